@@ -0,0 +1,196 @@
+// abuse.js
+// defenses for the public form posts (POST /api/contact, POST /api/project),
+// which anyone can send without logging in:
+//
+//   rate limits  at most RATE_LIMIT_PER_IP posts per ip and
+//                RATE_LIMIT_PER_EMAIL per email address in each window,
+//                counted per form → 429 + retry-after
+//   form token   GET /api/form-token gives the page a signed token tied to a
+//                cookie. posts without a matching token are refused (csrf),
+//                and so are posts sent faster than a person can fill the
+//                form (FORM_MIN_SECONDS)
+//   honeypot     a hidden "website" field people never see, bots fill it
+//
+// every refusal is logged with console.warn. the counters live in memory,
+// so they start over when the server restarts.
+
+const crypto = require("crypto");
+const config = require("./config");
+const { readCookie } = require("./auth");
+
+const FORM_COOKIE = "cm_form";
+const HONEYPOT_FIELD = "website";
+
+const EXPIRED_MSG = "this form has expired, please reload the page and try again.";
+
+// ------------------------------------------------------
+// rate limits (fixed window per key)
+// ------------------------------------------------------
+
+// "contact:ip:1.2.3.4" → { count, resetAt }
+const hits = new Map();
+let nextSweep = 0;
+
+function windowMs() {
+  return config.rateLimit.windowMinutes * 60 * 1000;
+}
+
+// count one post for a key → its { count, resetAt }
+function hit(key, now) {
+  // drop finished windows now and then, so the map can't grow forever
+  if (now >= nextSweep) {
+    hits.forEach((entry, k) => {
+      if (entry.resetAt <= now) hits.delete(k);
+    });
+    nextSweep = now + windowMs();
+  }
+
+  let entry = hits.get(key);
+  if (!entry || entry.resetAt <= now) {
+    entry = { count: 0, resetAt: now + windowMs() };
+    hits.set(key, entry);
+  }
+  entry.count += 1;
+  return entry;
+}
+
+// "sara@example.com" → "s***@example.com" (logs don't need the full address)
+function maskEmail(email) {
+  const at = email.indexOf("@");
+  return at > 0 ? email[0] + "***" + email.slice(at) : "***";
+}
+
+// form = "contact" | "project", emailField = body field with the sender's email
+function rateLimit(form, emailField) {
+  return (req, res, next) => {
+    const now = Date.now();
+    const email = String((req.body && req.body[emailField]) || "")
+      .trim()
+      .toLowerCase();
+
+    const checks = [
+      { key: `${form}:ip:${req.ip}`, max: config.rateLimit.perIp, who: `ip ${req.ip}` },
+    ];
+    if (email) {
+      checks.push({
+        key: `${form}:email:${email}`,
+        max: config.rateLimit.perEmail,
+        who: `email ${maskEmail(email)}`,
+      });
+    }
+
+    // count every key first, so hitting one limit doesn't pause the other
+    const counted = checks.map((c) => ({ ...c, entry: hit(c.key, now) }));
+    const over = counted.find((c) => c.entry.count > c.max);
+    if (!over) return next();
+
+    const seconds = Math.ceil((over.entry.resetAt - now) / 1000);
+    console.warn(
+      `throttled ${form} post: ${over.who} ` +
+        `(${over.entry.count} in ${config.rateLimit.windowMinutes} min)`
+    );
+
+    res.set("Retry-After", String(seconds));
+    return res.status(429).json({
+      status: "error",
+      msg: `too many submissions, please try again in ${Math.ceil(seconds / 60)} minute(s).`,
+      retryAfter: seconds,
+    });
+  };
+}
+
+// ------------------------------------------------------
+// form tokens: "<issued at ms>.<cookie nonce>.<signature>"
+// ------------------------------------------------------
+
+function sign(payload) {
+  return crypto
+    .createHmac("sha256", config.forms.secret)
+    .update(payload)
+    .digest("base64url");
+}
+
+function sameText(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// GET /api/form-token → { status, token } + the cookie the token belongs to
+function issueFormToken(req, res) {
+  // keep the browser's nonce, so forms open in several tabs all stay valid
+  let nonce = readCookie(req, FORM_COOKIE);
+  if (!/^[\w-]{22}$/.test(nonce)) {
+    nonce = crypto.randomBytes(16).toString("base64url");
+  }
+
+  res.cookie(FORM_COOKIE, nonce, {
+    httpOnly: true,
+    sameSite: "strict",
+    secure: req.secure,
+    path: "/",
+  });
+
+  const payload = `${Date.now()}.${nonce}`;
+  res.set("Cache-Control", "no-store");
+  return res.json({ status: "ok", token: `${payload}.${sign(payload)}` });
+}
+
+// honeypot, then token (signature + cookie), then how long the form was open
+function checkFormPost(form) {
+  return (req, res, next) => {
+    const body = req.body || {};
+
+    // code tells the page what to do (form_expired → fetch a new token)
+    function refuse(status, code, reason, msg) {
+      console.warn(`blocked ${form} post from ${req.ip}: ${reason}`);
+      return res.status(status).json({ status: "error", code, msg });
+    }
+
+    if (String(body[HONEYPOT_FIELD] || "").trim()) {
+      return refuse(
+        400,
+        "spam_suspected",
+        "honeypot field filled in",
+        "your submission could not be accepted."
+      );
+    }
+
+    const token = req.get("x-csrf-token") || body.csrfToken || "";
+    const [issuedAt, nonce, signature] = String(token).split(".");
+    const valid =
+      signature &&
+      sameText(signature, sign(`${issuedAt}.${nonce}`)) &&
+      sameText(nonce, readCookie(req, FORM_COOKIE));
+    if (!valid) {
+      return refuse(403, "form_expired", "missing or bad form token", EXPIRED_MSG);
+    }
+
+    const age = Date.now() - Number(issuedAt);
+    if (age > config.forms.maxAgeHours * 60 * 60 * 1000) {
+      return refuse(403, "form_expired", "form token expired", EXPIRED_MSG);
+    }
+    if (age < config.forms.minSeconds * 1000) {
+      return refuse(
+        400,
+        "too_quick",
+        `sent ${age} ms after opening the form`,
+        "that was quick! please check your form once more, then send it again."
+      );
+    }
+
+    return next();
+  };
+}
+
+// everything a public form post goes through before its validation rules
+function protectFormPost(form, emailField) {
+  return [rateLimit(form, emailField), checkFormPost(form)];
+}
+
+module.exports = {
+  FORM_COOKIE,
+  HONEYPOT_FIELD,
+  issueFormToken,
+  protectFormPost,
+};
@@ -0,0 +1,183 @@
+// auth.js
+// user accounts, password hashing and login sessions for classmate idea hub
+//
+// roles:
+//   student    → can log in, sees only public project fields
+//   instructor → can see rep emails, student ids and contact messages
+//   admin      → same as instructor (+ anything admin-only later)
+//
+// sessions are random tokens kept in the sessions table (only a sha-256 hash
+// is stored). the browser gets the token in an http-only cookie; scripts can
+// send it as "authorization: bearer <token>" instead.
+
+const crypto = require("crypto");
+const { promisify } = require("util");
+const repos = require("./repositories");
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_COOKIE = "cm_session";
+const SESSION_DAYS = 7;
+
+const ROLES = ["student", "instructor", "admin"];
+const STAFF_ROLES = ["instructor", "admin"];
+
+// ------------------------------------------------------
+// password hashing (scrypt, built into node → no extra package)
+// stored as "scrypt$<salt hex>$<hash hex>"
+// ------------------------------------------------------
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(password), salt, 64);
+  return `scrypt$${salt.toString("hex")}$${hash.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const parts = String(stored || "").split("$");
+  if (parts.length !== 3 || parts[0] !== "scrypt") return false;
+
+  const salt = Buffer.from(parts[1], "hex");
+  const expected = Buffer.from(parts[2], "hex");
+  const actual = await scrypt(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// used when the email is unknown, so a failed login takes the same time
+// whether or not the account exists
+const DUMMY_HASH =
+  "scrypt$00000000000000000000000000000000$" + "0".repeat(128);
+
+// ------------------------------------------------------
+// sessions
+// ------------------------------------------------------
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+// create a session row and return the raw token (only shown once)
+async function createSession(userId) {
+  const token = crypto.randomBytes(32).toString("hex");
+  await repos.users.createSession(hashToken(token), userId, SESSION_DAYS);
+  return token;
+}
+
+async function destroySession(token) {
+  if (!token) return;
+  await repos.users.deleteSession(hashToken(token));
+}
+
+// tiny cookie header parser (we only need one cookie); a value that is not
+// valid percent-encoding counts as no cookie
+function readCookie(req, name) {
+  const header = req.get("cookie") || "";
+  const found = header
+    .split(";")
+    .map((part) => part.trim())
+    .find((part) => part.startsWith(name + "="));
+  if (!found) return "";
+  try {
+    return decodeURIComponent(found.slice(name.length + 1));
+  } catch {
+    return "";
+  }
+}
+
+// session token from the cookie or a bearer header
+function getSessionToken(req) {
+  const auth = req.get("authorization") || "";
+  if (auth.toLowerCase().startsWith("bearer ")) return auth.slice(7).trim();
+  return readCookie(req, SESSION_COOKIE);
+}
+
+function setSessionCookie(req, res, token) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: req.secure,
+    path: "/",
+    maxAge: SESSION_DAYS * 24 * 60 * 60 * 1000,
+  });
+}
+
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { path: "/" });
+}
+
+// ------------------------------------------------------
+// middleware
+// ------------------------------------------------------
+
+// attach req.user ({ id, full_name, email, student_id, role }) or null
+async function loadUser(req, res, next) {
+  req.user = null;
+
+  const token = getSessionToken(req);
+  if (!token) return next();
+
+  try {
+    req.user = await repos.users.findBySession(hashToken(token));
+    next();
+  } catch (err) {
+    console.error("error loading session:", err);
+    next();
+  }
+}
+
+// 401 when nobody is logged in
+function requireLogin(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({
+      status: "error",
+      msg: "please log in first.",
+    });
+  }
+  next();
+}
+
+// 401 when logged out, 403 when logged in with the wrong role
+// usage: app.get("/api/admin/…", requireRole("instructor", "admin"), handler)
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        status: "error",
+        msg: "please log in first.",
+      });
+    }
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({
+        status: "error",
+        msg: "you do not have access to this page.",
+      });
+    }
+    next();
+  };
+}
+
+const requireStaff = requireRole(...STAFF_ROLES);
+
+// true for instructors / admins (they may see emails, ids, contact data)
+function isStaff(user) {
+  return Boolean(user && STAFF_ROLES.includes(user.role));
+}
+
+module.exports = {
+  ROLES,
+  STAFF_ROLES,
+  hashPassword,
+  verifyPassword,
+  DUMMY_HASH,
+  createSession,
+  destroySession,
+  readCookie,
+  getSessionToken,
+  setSessionCookie,
+  clearSessionCookie,
+  loadUser,
+  requireLogin,
+  requireRole,
+  requireStaff,
+  isStaff,
+};
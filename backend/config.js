@@ -0,0 +1,209 @@
+// config.js
+// all server settings in one place, read from environment variables
+//
+// an optional .env file in the project root is loaded first (KEY=value lines,
+// real environment variables always win). see .env.example for every key.
+// bad or missing settings stop the server at startup with a clear message,
+// instead of failing later on the first db query.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const ENV_FILE = path.join(__dirname, "..", ".env");
+
+const ENVIRONMENTS = ["development", "test", "production"];
+const STORAGE_DRIVERS = ["mysql", "memory"];
+const MAIL_TRANSPORTS = ["smtp", "file", "console"];
+
+// ------------------------------------------------------
+// .env loader (tiny, no extra package)
+// ------------------------------------------------------
+
+function loadEnvFile(file) {
+  if (!fs.existsSync(file)) return;
+
+  const lines = fs.readFileSync(file, "utf8").split(/\r?\n/);
+  lines.forEach((line, i) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith("#")) return;
+
+    const m = /^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/.exec(trimmed);
+    if (!m) {
+      throw new Error(`${path.basename(file)} line ${i + 1} is not KEY=value`);
+    }
+
+    let value = m[2];
+    // strip matching quotes, otherwise drop a trailing " # comment"
+    if (/^(['"]).*\1$/.test(value)) {
+      value = value.slice(1, -1);
+    } else {
+      value = value.replace(/\s+#.*$/, "");
+    }
+
+    if (process.env[m[1]] === undefined) process.env[m[1]] = value;
+  });
+}
+
+// ------------------------------------------------------
+// readers: each one records a problem instead of throwing,
+// so all bad settings are reported at once
+// ------------------------------------------------------
+
+function readConfig(env) {
+  const problems = [];
+
+  function str(name, fallback, { required = false } = {}) {
+    const value = env[name];
+    if (value === undefined || value === "") {
+      if (required) problems.push(`${name} is required`);
+      return fallback;
+    }
+    return value;
+  }
+
+  function int(name, fallback, min, max) {
+    const raw = env[name];
+    if (raw === undefined || raw === "") return fallback;
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      problems.push(`${name} must be a whole number between ${min} and ${max} (got "${raw}")`);
+      return fallback;
+    }
+    return value;
+  }
+
+  function bool(name, fallback) {
+    const raw = env[name];
+    if (raw === undefined || raw === "") return fallback;
+    if (["true", "1", "yes"].includes(raw.toLowerCase())) return true;
+    if (["false", "0", "no"].includes(raw.toLowerCase())) return false;
+    problems.push(`${name} must be true or false (got "${raw}")`);
+    return fallback;
+  }
+
+  const name = str("NODE_ENV", "development");
+  if (!ENVIRONMENTS.includes(name)) {
+    problems.push(`NODE_ENV must be one of ${ENVIRONMENTS.join(", ")} (got "${name}")`);
+  }
+  const isProduction = name === "production";
+
+  const driver = str("STORAGE", "mysql");
+  if (!STORAGE_DRIVERS.includes(driver)) {
+    problems.push(`STORAGE must be one of ${STORAGE_DRIVERS.join(", ")} (got "${driver}")`);
+  }
+
+  // the memory store starts empty, so it gets the demo data unless told not to
+  const seedDemo = bool("SEED_DEMO_DATA", driver === "memory");
+  if (seedDemo && driver !== "memory") {
+    problems.push('SEED_DEMO_DATA only works with STORAGE=memory (use "npm run seed" for mysql)');
+  }
+
+  // emails go to the console unless a transport is chosen; smtp needs a host.
+  // on the lab server it must be chosen: a forgotten setting would print every
+  // email (edit links included) to the log and never send one
+  const mailTransport = str("MAIL_TRANSPORT", "console", { required: isProduction });
+  if (!MAIL_TRANSPORTS.includes(mailTransport)) {
+    problems.push(
+      `MAIL_TRANSPORT must be one of ${MAIL_TRANSPORTS.join(", ")} (got "${mailTransport}")`
+    );
+  }
+  const smtpPort = int("SMTP_PORT", 587, 1, 65535);
+
+  const port = int("PORT", 3000, 1, 65535);
+
+  const config = {
+    env: name,
+    isProduction,
+    isTest: name === "test",
+
+    port,
+
+    // where the site is reachable, for links in emails (edit links etc.)
+    publicUrl: str("PUBLIC_URL", `http://localhost:${port}`).replace(/\/+$/, ""),
+
+    // behind the lab's reverse proxy: take the client ip from x-forwarded-for
+    // (otherwise every visitor shares the proxy's ip for the rate limits)
+    trustProxy: bool("TRUST_PROXY", false),
+
+    // where data lives: "mysql" (default) or "memory" (no database server,
+    // everything is lost on restart → laptops, tests, offline demos)
+    storage: {
+      driver,
+      seedDemo,
+    },
+
+    db: {
+      host: str("DB_HOST", "localhost"),
+      port: int("DB_PORT", 3306, 1, 65535),
+      // on the lab server these must be set explicitly
+      user: str("DB_USER", "root", { required: isProduction }),
+      password: str("DB_PASSWORD", "", { required: isProduction }),
+      database: str("DB_NAME", "classmate_db", { required: isProduction }),
+      connectionLimit: int("DB_POOL_SIZE", 10, 1, 100),
+    },
+
+    // public form posts (contact + project), see abuse.js
+    rateLimit: {
+      windowMinutes: int("RATE_LIMIT_WINDOW_MINUTES", 15, 1, 1440),
+      perIp: int("RATE_LIMIT_PER_IP", 20, 1, 100000),
+      perEmail: int("RATE_LIMIT_PER_EMAIL", 5, 1, 100000),
+    },
+    forms: {
+      // signs the form tokens; a random one per start is fine locally, but
+      // then every open form breaks on restart → set it on the lab server
+      secret:
+        str("FORM_SECRET", "", { required: isProduction }) ||
+        crypto.randomBytes(32).toString("hex"),
+      // posts sent faster than this after the form was opened are bots
+      minSeconds: int("FORM_MIN_SECONDS", 3, 0, 600),
+      maxAgeHours: int("FORM_MAX_AGE_HOURS", 12, 1, 168),
+    },
+
+    // outgoing emails, see mailer.js. "file" writes .eml files to mail.dir,
+    // "console" prints them (local development)
+    mail: {
+      transport: mailTransport,
+      from: str("MAIL_FROM", "ClassMate Idea Hub <no-reply@localhost>"),
+      dir: path.resolve(str("MAIL_DIR", path.join(__dirname, "..", "mail-outbox"))),
+      // a failed email is tried again after 1, 2, 4, … minutes
+      maxAttempts: int("MAIL_MAX_ATTEMPTS", 5, 1, 20),
+      retryMinutes: int("MAIL_RETRY_MINUTES", 1, 1, 1440),
+      pollSeconds: int("MAIL_POLL_SECONDS", 30, 1, 3600),
+      smtp: {
+        host: str("SMTP_HOST", "", { required: mailTransport === "smtp" }),
+        port: smtpPort,
+        // true = tls from the first byte (port 465), false = starttls
+        secure: bool("SMTP_SECURE", smtpPort === 465),
+        user: str("SMTP_USER", ""),
+        password: str("SMTP_PASSWORD", ""),
+      },
+    },
+  };
+
+  if (problems.length > 0) {
+    throw new Error(
+      "invalid configuration:\n" + problems.map((p) => "  - " + p).join("\n")
+    );
+  }
+
+  return config;
+}
+
+// fail fast: print what is wrong and stop before anything else starts
+let config;
+try {
+  loadEnvFile(ENV_FILE);
+  config = readConfig(process.env);
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+Object.freeze(config.storage);
+Object.freeze(config.db);
+Object.freeze(config.rateLimit);
+Object.freeze(config.forms);
+Object.freeze(config.mail.smtp);
+Object.freeze(config.mail);
+module.exports = Object.freeze(config);
@@ -0,0 +1,391 @@
+// courses.js
+// the courses teams can submit to, mounted in server.js at /api/courses.
+// the course dropdown of idea.html lists them (GET is public), instructors
+// add and change them. a new idea must name one of these courses, fit its
+// team size limits and come in while its submission window is open; the
+// project routes and the csv import check that with courseForBody.
+
+const express = require("express");
+const { check, validationResult } = require("express-validator");
+const { FORM_SCHEMAS } = require("../js/validation");
+const repos = require("./repositories");
+const auth = require("./auth");
+const { formatDate } = require("./export");
+
+const router = express.Router();
+
+const COURSE_CODE_PATTERN = /^[A-Za-z]{2,}\d{2,}$/;
+const { min: TEAM_MIN, max: TEAM_MAX } = FORM_SCHEMAS.project.teamSize;
+
+// "open" | "not_open_yet" | "closed"
+function submissionWindow(course, now = new Date()) {
+  if (course.opens_at && now < new Date(course.opens_at)) return "not_open_yet";
+  if (course.closes_at && now >= new Date(course.closes_at)) return "closed";
+  return "open";
+}
+
+// what the api shows of a course
+function publicCourse(course) {
+  return {
+    code: course.code,
+    title: course.title,
+    section: course.section,
+    instructor: course.instructor_name,
+    minTeamSize: course.min_team_size,
+    maxTeamSize: course.max_team_size,
+    opensAt: course.opens_at,
+    closesAt: course.closes_at,
+    window: submissionWindow(course),
+  };
+}
+
+// problems of an idea with its course → [{ path, msg }] ([] when fine)
+// checkWindow: false for edits and instructor imports, which may happen
+// after the deadline
+function courseProblems(course, code, teamSize, { checkWindow = true } = {}) {
+  if (!course) {
+    return [
+      {
+        path: "courseCode",
+        msg: `there is no course ${code}, please choose your course from the list`,
+      },
+    ];
+  }
+
+  const problems = [];
+  const state = submissionWindow(course);
+  if (checkWindow && state === "not_open_yet") {
+    problems.push({
+      path: "courseCode",
+      msg: `submissions for ${course.code} open on ${formatDate(course.opens_at)}`,
+    });
+  }
+  if (checkWindow && state === "closed") {
+    problems.push({
+      path: "courseCode",
+      msg: `submissions for ${course.code} closed on ${formatDate(course.closes_at)}`,
+    });
+  }
+
+  const size = parseInt(teamSize, 10);
+  if (size < course.min_team_size || size > course.max_team_size) {
+    problems.push({
+      path: "teamSize",
+      msg:
+        course.min_team_size === course.max_team_size
+          ? `${course.code} needs teams of exactly ${course.min_team_size} student(s)`
+          : `${course.code} needs teams of ${course.min_team_size}–${course.max_team_size} students`,
+    });
+  }
+  return problems;
+}
+
+// the course of a validated project body, with its code written the way the
+// course has it ("ccsw321" → "CCSW321") → { course, problems }
+async function courseForBody(body, options) {
+  const course = await repos.courses.findByCode(body.courseCode);
+  const problems = courseProblems(course, body.courseCode, body.teamSize, options);
+  if (course) body.courseCode = course.code;
+  return { course, problems };
+}
+
+// error body for a 400 when the course does not take this idea
+function courseProblemResponse(problems) {
+  return {
+    status: "error",
+    msg: "this idea does not fit its course.",
+    errors: problems,
+  };
+}
+
+// turn a validated course body into a course record (column names)
+function courseFromBody(body, instructorId) {
+  return {
+    code: body.code,
+    title: body.title,
+    section: body.section || "",
+    instructor_id: instructorId,
+    min_team_size: body.minTeamSize,
+    max_team_size: body.maxTeamSize,
+    opens_at: body.opensAt || null,
+    closes_at: body.closesAt || null,
+  };
+}
+
+const courseRules = [
+  check("title")
+    .trim()
+    .notEmpty()
+    .withMessage("course title is required")
+    .bail()
+    .isLength({ max: 100 })
+    .withMessage("course title must be at most 100 characters"),
+
+  check("section")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: 10 })
+    .withMessage("section must be at most 10 characters"),
+
+  check("instructorEmail")
+    .optional({ values: "falsy" })
+    .trim()
+    .isEmail()
+    .withMessage("instructor email must be a valid email"),
+
+  check("minTeamSize")
+    .isInt({ min: TEAM_MIN, max: TEAM_MAX })
+    .withMessage(`minimum team size must be between ${TEAM_MIN} and ${TEAM_MAX}`)
+    .toInt(),
+
+  check("maxTeamSize")
+    .isInt({ min: TEAM_MIN, max: TEAM_MAX })
+    .withMessage(`maximum team size must be between ${TEAM_MIN} and ${TEAM_MAX}`)
+    .bail()
+    .toInt()
+    .custom((max, { req }) => max >= parseInt(req.body.minTeamSize, 10))
+    .withMessage("maximum team size can't be smaller than the minimum"),
+
+  check("opensAt")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("opensAt must be a date, e.g. 2025-09-01T08:00")
+    .toDate(),
+
+  check("closesAt")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("closesAt must be a date, e.g. 2025-10-01T23:59")
+    .bail()
+    .toDate()
+    .custom((closes, { req }) => !req.body.opensAt || closes > new Date(req.body.opensAt))
+    .withMessage("the submission window must close after it opens"),
+];
+
+// the account behind instructorEmail (must be staff), else the current user
+// → user id, or null when the email is not an instructor
+async function courseInstructorId(req) {
+  if (!req.body.instructorEmail) return req.user.id;
+  const user = await repos.users.findByEmail(req.body.instructorEmail);
+  return user && auth.isStaff(user) ? user.id : null;
+}
+
+const unknownInstructorResponse = {
+  status: "error",
+  errors: [{ path: "instructorEmail", msg: "no instructor account has this email" }],
+};
+
+// ------------------------------------------------------
+// list, add and change courses
+// ------------------------------------------------------
+
+router.get("/", async (req, res) => {
+  try {
+    const courses = await repos.courses.list();
+    return res.json({ status: "ok", data: courses.map(publicCourse) });
+  } catch (err) {
+    console.error("error loading courses:", err);
+    return res.status(500).json({
+      status: "error",
+      msg: "database error while loading courses.",
+    });
+  }
+});
+
+router.post(
+  "/",
+  auth.requireStaff,
+  [
+    check("code")
+      .trim()
+      .matches(COURSE_CODE_PATTERN)
+      .withMessage("course code must look like ccsw321 (letters + digits)")
+      .customSanitizer((code) => code.toUpperCase()),
+    ...courseRules,
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    try {
+      if (await repos.courses.findByCode(req.body.code)) {
+        return res.status(409).json({
+          status: "error",
+          errors: [{ path: "code", msg: `course ${req.body.code} already exists` }],
+        });
+      }
+
+      const instructorId = await courseInstructorId(req);
+      if (!instructorId) return res.status(400).json(unknownInstructorResponse);
+
+      await repos.courses.create(courseFromBody(req.body, instructorId));
+      const course = await repos.courses.findByCode(req.body.code);
+      console.log(`course ${course.code} created by user ${req.user.id}`);
+
+      return res.status(201).json({
+        status: "ok",
+        msg: "course saved ✔",
+        data: publicCourse(course),
+      });
+    } catch (err) {
+      console.error("error creating course:", err);
+      return res.status(500).json({
+        status: "error",
+        msg: "database error while saving the course.",
+      });
+    }
+  }
+);
+
+// the code itself can't change: projects are filed under it, so a code in
+// the body is ignored
+router.put(
+  "/:code",
+  auth.requireStaff,
+  courseRules,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    try {
+      const current = await repos.courses.findByCode(req.params.code);
+      if (!current) {
+        return res.status(404).json({
+          status: "error",
+          msg: "course not found.",
+        });
+      }
+
+      let instructorId = current.instructor_id;
+      if (req.body.instructorEmail) {
+        instructorId = await courseInstructorId(req);
+        if (!instructorId) return res.status(400).json(unknownInstructorResponse);
+      }
+
+      await repos.courses.update(
+        current.code,
+        courseFromBody({ ...req.body, code: current.code }, instructorId)
+      );
+      const course = await repos.courses.findByCode(current.code);
+
+      return res.json({
+        status: "ok",
+        msg: "course saved ✔",
+        data: publicCourse(course),
+      });
+    } catch (err) {
+      console.error("error updating course:", err);
+      return res.status(500).json({
+        status: "error",
+        msg: "database error while saving the course.",
+      });
+    }
+  }
+);
+
+// ------------------------------------------------------
+// course settings (instructors only)
+// ------------------------------------------------------
+// blockDuplicateTitles: true → a new or edited idea may not reuse the title
+// of another live idea in the course (otherwise that is only a warning)
+
+const courseCodeRule = check("code")
+  .trim()
+  .matches(COURSE_CODE_PATTERN)
+  .withMessage("course code must look like ccsw321 (letters + digits)");
+
+router.get(
+  "/:code/settings",
+  auth.requireStaff,
+  [courseCodeRule],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    try {
+      const settings = await repos.courses.settings(req.params.code);
+      return res.json({
+        status: "ok",
+        data: { blockDuplicateTitles: settings.block_duplicate_titles },
+      });
+    } catch (err) {
+      console.error("error loading course settings:", err);
+      return res.status(500).json({
+        status: "error",
+        msg: "database error while loading course settings.",
+      });
+    }
+  }
+);
+
+router.put(
+  "/:code/settings",
+  auth.requireStaff,
+  [
+    courseCodeRule,
+    check("blockDuplicateTitles")
+      .isBoolean({ strict: true })
+      .withMessage("blockDuplicateTitles must be true or false")
+      .toBoolean(true),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    const { blockDuplicateTitles } = req.body;
+
+    try {
+      // saved under the code the course has, never for a course that isn't there
+      const course = await repos.courses.findByCode(req.params.code);
+      if (!course) {
+        return res.status(404).json({
+          status: "error",
+          msg: "course not found.",
+        });
+      }
+
+      await repos.courses.saveSettings(course.code, { blockDuplicateTitles }, req.user.id);
+
+      console.log(
+        `course ${course.code}: duplicate titles ` +
+          (blockDuplicateTitles ? "blocked" : "allowed")
+      );
+
+      return res.json({
+        status: "ok",
+        msg: "course settings saved ✔",
+        data: { blockDuplicateTitles },
+      });
+    } catch (err) {
+      console.error("error saving course settings:", err);
+      return res.status(500).json({
+        status: "error",
+        msg: "database error while saving course settings.",
+      });
+    }
+  }
+);
+
+module.exports = router;
+module.exports.courseForBody = courseForBody;
+module.exports.courseProblemResponse = courseProblemResponse;
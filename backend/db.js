@@ -1,16 +1,19 @@
 // db.js
 // mysql connection for classmate idea hub
+// connection settings come from config.js (env vars / .env file)
 
 const mysql = require("mysql2/promise");
+const config = require("./config");
 
 // create a small connection pool (faster + safer than single connection)
 const pool = mysql.createPool({
-  host: "localhost",       // server (keep localhost)
-  user: "root",            // your mysql username
-  password: "",            // add your mysql password here (if any)
-  database: "classmate_db",// name of your database
+  host: config.db.host,
+  port: config.db.port,
+  user: config.db.user,
+  password: config.db.password,
+  database: config.db.database,
   waitForConnections: true,
-  connectionLimit: 10,     // max open connections
+  connectionLimit: config.db.connectionLimit, // max open connections
   queueLimit: 0,           // unlimited waiting queue
 });
 
@@ -0,0 +1,207 @@
+// demo-data.js
+// demo projects, tasks and contact messages for a fresh install
+// used by "npm run seed" (mysql) and on start of the memory store (STORAGE=memory)
+//
+// adds the demo courses, projects for every major in formatMajor() (app.js)
+// with members, review states, a few tasks and contact messages, plus one
+// demo instructor (instructor@classmate.test / classmate-demo).
+
+const { hashPassword } = require("./auth");
+
+const DEMO_INSTRUCTOR = {
+  fullName: "Demo Instructor",
+  email: "instructor@classmate.test",
+  password: "classmate-demo",
+};
+
+// [code, title, section, min team size, max team size, days until submissions close]
+// (all of them opened a week ago; CPCS351 is already closed)
+const COURSES = [
+  ["CCSW321", "Web Application Development", "S1", 1, 4, 30],
+  ["CPCS351", "Software Engineering", "CA", 2, 5, -1],
+  ["CCCY312", "Network Security", "S2", 2, 4, 21],
+  ["CCAI321", "Artificial Intelligence", "S1", 1, 3, 21],
+  ["CCDS331", "Data Visualization", "S3", 2, 4, 14],
+  ["CCIS341", "Information Systems Analysis", "S1", 1, 4, 14],
+];
+
+// [course, category, type, team, project, description, tools, status, feedback, members]
+// members[0] is the representative → [name, student id]
+const PROJECTS = [
+  ["CCSW321", "se", "group", "ClassMate CM3", "ClassMate Idea Hub",
+    "A web platform where student teams register their project ideas and instructors review them by course and major.",
+    "HTML, CSS, JavaScript, Node.js, Express, MySQL", "approved", null,
+    [["Lama Alharbi", "2310026"], ["Sara Alghamdi", "2310114"], ["Noura Alzahrani", "2310231"]]],
+  ["CCSW321", "se", "group", "Shelf Keepers", "Smart Library Booking",
+    "Students reserve study rooms and borrow books online, with reminders before the return date.",
+    "React, Node.js, MySQL", "under_review", null,
+    [["Reem Almalki", "2310340"], ["Hala Alotaibi", "2310352"]]],
+  ["CCSW321", "cs", "solo", "Solo Route", "Campus Shuttle Tracker",
+    "Live map of university shuttle buses with estimated arrival times for every stop.",
+    "Leaflet, Express, WebSockets", "needs_changes",
+    "please explain where the bus locations come from (gps devices or driver app?).",
+    [["Faisal Alqahtani", "2310415"]]],
+  ["CPCS351", "cs", "group", "Byte Bakers", "Recipe Cost Calculator",
+    "Calculates the cost of home bakery recipes from ingredient prices and suggests a selling price.",
+    "Python, Flask, SQLite", "submitted", null,
+    [["Maha Alshehri", "2310509"], ["Afnan Alsulami", "2310511"], ["Jana Alamri", "2310527"], ["Ruba Alharthi", "2310533"]]],
+  ["CCCY312", "cybersecurity", "group", "Red Ribbon", "Phishing Awareness Trainer",
+    "Sends simulated phishing emails to volunteers and teaches them to spot warning signs with short lessons.",
+    "Node.js, Nodemailer, MySQL", "approved", null,
+    [["Raghad Alsubaie", "2310602"], ["Dana Alghamdi", "2310618"], ["Layan Bakr", "2310624"]]],
+  ["CCCY312", "cybersecurity", "group", "Lock Step", "Password Strength Coach",
+    "A browser extension that rates new passwords and explains how to make them stronger without storing them.",
+    "JavaScript, Chrome Extensions API", "rejected",
+    "very close to the phishing trainer scope of another team; please pick a different idea.",
+    [["Yara Hakami", "2310705"], ["Shahad Alyami", "2310719"]]],
+  ["CCAI321", "ai", "group", "Neural Knights", "Arabic Handwriting Reader",
+    "Recognises handwritten Arabic letters from photos of lecture notes and turns them into searchable text.",
+    "Python, TensorFlow, OpenCV", "under_review", null,
+    [["Abdulrahman Alamoudi", "2310801"], ["Omar Basha", "2310812"], ["Khalid Alsaadi", "2310826"]]],
+  ["CCAI321", "ai", "solo", "One Mind", "Course Question Bot",
+    "A chatbot that answers common questions about course policies using the syllabus as its only source.",
+    "Python, FastAPI", "submitted", null,
+    [["Hassan Alturki", "2310903"]]],
+  ["CCDS331", "data", "group", "Data Dunes", "Jeddah Traffic Insights",
+    "Analyses open traffic data to show the busiest roads and hours around campus with simple charts.",
+    "Python, Pandas, Matplotlib", "approved", null,
+    [["Joud Alharbi", "2311004"], ["Wejdan Saleh", "2311017"], ["Arwa Khan", "2311025"]]],
+  ["CCDS331", "data", "group", "Number Crunchers", "Cafeteria Demand Forecast",
+    "Predicts daily meal demand from past sales to reduce food waste in the campus cafeteria.",
+    "Python, scikit-learn, MySQL", "submitted", null,
+    [["Ziyad Alshamrani", "2311106"], ["Turki Alanazi", "2311114"]]],
+  ["CCIS341", "is", "group", "Form Fixers", "Clinic Appointment System",
+    "Online booking and queue management for the university clinic with sms reminders.",
+    "PHP, Laravel, MySQL", "needs_changes",
+    "add how students cancel or move an appointment.",
+    [["Nouf Alrashid", "2311201"], ["Amal Alqarni", "2311219"], ["Ghada Aljohani", "2311228"]]],
+  ["CCIS341", "is", "solo", "Solo Ledger", "Student Club Budget Tracker",
+    "Helps student clubs record income and expenses and export a monthly report for the deanship.",
+    "Django, PostgreSQL", "approved", null,
+    [["Bayan Alharbi", "2311302"]]],
+];
+
+// [project index, member index, title, days from today (negative = overdue), status]
+const TASKS = [
+  [0, 0, "Write the api documentation", 5, "in_progress"],
+  [0, 1, "Finish the projects page filters", -2, "todo"],
+  [0, 2, "Prepare the final presentation", 12, "todo"],
+  [1, 0, "Design the booking database", 3, "todo"],
+  [4, 1, "Draft the first phishing lesson", -1, "in_progress"],
+  [8, 0, "Clean the traffic dataset", 7, "todo"],
+];
+
+// [first, last, gender, mobile, dob, email, language, message]
+const MESSAGES = [
+  ["Mona", "Alharbi", "female", "0551234567", "2003-04-12", "mona@example.com", "ar",
+    "Can a team change its project idea after the instructor approved it?"],
+  ["Ahmed", "Saleh", "male", "+966501112233", "2002-09-30", "ahmed@example.com", "en",
+    "The projects page does not show my team, we submitted yesterday evening."],
+  ["Lina", "Yousef", "female", "0569876543", "2004-01-05", "lina@example.com", "both",
+    "Is there a maximum team size for the data science course projects?"],
+];
+
+function daysFromNow(days) {
+  const d = new Date();
+  d.setDate(d.getDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// local midnight some days from today (submission windows)
+function startOfDay(days) {
+  const d = new Date();
+  d.setHours(0, 0, 0, 0);
+  d.setDate(d.getDate() + days);
+  return d;
+}
+
+// add everything through the given repositories (see repositories/index.js)
+// → { courses, projects, tasks, messages } counts
+async function seedDemoData(repos) {
+  const instructor = await repos.users.findByEmail(DEMO_INSTRUCTOR.email);
+  const instructorId = instructor
+    ? instructor.id
+    : await repos.users.create({
+        fullName: DEMO_INSTRUCTOR.fullName,
+        email: DEMO_INSTRUCTOR.email,
+        role: "instructor",
+        passwordHash: await hashPassword(DEMO_INSTRUCTOR.password),
+      });
+
+  for (const [code, title, section, minSize, maxSize, closesIn] of COURSES) {
+    if (await repos.courses.findByCode(code)) continue;
+    await repos.courses.create({
+      code,
+      title,
+      section,
+      instructor_id: instructorId,
+      min_team_size: minSize,
+      max_team_size: maxSize,
+      opens_at: startOfDay(-7),
+      closes_at: startOfDay(closesIn),
+    });
+  }
+
+  const projectIds = [];
+  for (const p of PROJECTS) {
+    const [course, category, type, team, name, desc, tools, status, feedback, members] = p;
+    const [rep] = members;
+
+    const { id, conflicts } = await repos.projects.create(
+      {
+        team_name: team,
+        team_size: members.length,
+        rep_name: rep[0],
+        rep_id: rep[1],
+        rep_email: `${rep[1]}@uj.edu.sa`,
+        course_code: course,
+        category,
+        project_type: type,
+        project_name: name,
+        description: desc,
+        tools,
+        language: "en",
+      },
+      members.map(([memberName, studentId], i) => ({
+        name: memberName,
+        studentId,
+        isRep: i === 0,
+      })),
+      null
+    );
+    if (conflicts) {
+      throw new Error(`demo team "${team}" is already in the database`);
+    }
+    projectIds.push(id);
+
+    if (status !== "submitted") {
+      await repos.projects.changeStatus(id, "submitted", status, feedback, instructorId);
+    }
+  }
+
+  for (const [projectIndex, memberIndex, title, days, status] of TASKS) {
+    await repos.tasks.create({
+      projectId: projectIds[projectIndex],
+      title,
+      assignee: PROJECTS[projectIndex][9][memberIndex][1],
+      dueDate: daysFromNow(days),
+      status,
+    });
+  }
+
+  for (const m of MESSAGES) {
+    const [firstName, lastName, gender, mobile, dob, email, language, message] = m;
+    await repos.contact.create({
+      firstName, lastName, gender, mobile, dob, email, language, message,
+    });
+  }
+
+  return {
+    courses: COURSES.length,
+    projects: PROJECTS.length,
+    tasks: TASKS.length,
+    messages: MESSAGES.length,
+  };
+}
+
+module.exports = { DEMO_INSTRUCTOR, seedDemoData };
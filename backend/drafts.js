@@ -0,0 +1,164 @@
+// drafts.js
+// a half-filled idea form kept in the representative's account, so a team
+// can start on one device and finish on another (idea.html also keeps a
+// copy in the browser as it is typed; this is the "take it with you" one).
+// mounted in server.js at /api/drafts behind auth.requireLogin
+//
+// drafts are keyed by the rep's student id and only the logged-in student
+// with that id can read or change it. a draft is not checked like a real
+// submission (it is half-filled by definition), only kept to the sizes of
+// the project form so nothing huge ends up in the table. it is deleted once
+// the rep, logged in, submits the idea (POST /api/project).
+
+const express = require("express");
+const { check, param } = require("express-validator");
+const { FORM_SCHEMAS } = require("../js/validation");
+const repos = require("./repositories");
+const { sendValidationErrors } = require("./errors");
+
+const router = express.Router();
+
+const PROJECT_SCHEMA = FORM_SCHEMAS.project;
+// numbers and dates are short, everything else has its own max length
+const SHORT_FIELD_MAX = 10;
+
+function draftFieldMax(rule) {
+  return rule.type ? SHORT_FIELD_MAX : rule.max;
+}
+
+// every field optional, just a string of at most the form's length
+function draftChain(path, rule) {
+  return check(path)
+    .optional({ values: "null" })
+    .isString()
+    .withMessage(`${path} must be text`)
+    .bail()
+    .isLength({ max: draftFieldMax(rule) })
+    .withMessage(`${path} must be at most ${draftFieldMax(rule)} characters`);
+}
+
+const repIdRule = param("repId")
+  .matches(/^\d{7}$/)
+  .withMessage("representative id must be exactly 7 digits.");
+
+const draftRules = Object.entries(PROJECT_SCHEMA).flatMap(([path, rule]) =>
+  rule.items
+    ? [
+        check(path)
+          .optional({ values: "null" })
+          .isArray({ max: rule.max })
+          .withMessage(rule.message),
+        ...Object.entries(rule.items).map(([field, itemRule]) =>
+          draftChain(`${path}.*.${field}`, itemRule)
+        ),
+      ]
+    : [draftChain(path, rule)]
+);
+
+// only the form's own fields are kept; the rep id is always the draft's key
+function draftFromBody(body, repId) {
+  const draft = {};
+  Object.entries(PROJECT_SCHEMA).forEach(([path, rule]) => {
+    if (rule.items) {
+      draft[path] = (body[path] || []).map((item) => {
+        const kept = {};
+        Object.keys(rule.items).forEach((field) => {
+          kept[field] = item && typeof item[field] === "string" ? item[field] : "";
+        });
+        return kept;
+      });
+    } else if (typeof body[path] === "string") {
+      draft[path] = body[path];
+    }
+  });
+  draft.repId = repId;
+  return draft;
+}
+
+// after the rules: a valid request from the representative (logged in with
+// that student id), the only one who has the draft
+function repOnly(req, res, next) {
+  if (sendValidationErrors(req, res)) return;
+  if (req.user.student_id !== req.params.repId) {
+    return res.status(403).json({
+      status: "error",
+      msg: "drafts are kept under the representative's student id; log in as the representative.",
+    });
+  }
+  return next();
+}
+
+// ------------------------------------------------------
+// read a draft
+// ------------------------------------------------------
+
+router.get("/:repId", repIdRule, repOnly, async (req, res) => {
+  try {
+    const saved = await repos.drafts.find(req.params.repId);
+    if (!saved) {
+      return res.status(404).json({
+        status: "error",
+        msg: "no draft saved for this student id.",
+      });
+    }
+
+    return res.json({
+      status: "ok",
+      data: saved.draft,
+      savedAt: saved.updated_at,
+    });
+  } catch (err) {
+    console.error("error loading draft:", err);
+    return res.status(500).json({
+      status: "error",
+      msg: "database error while loading draft.",
+    });
+  }
+});
+
+// ------------------------------------------------------
+// save (replace) a draft
+// ------------------------------------------------------
+
+router.put("/:repId", [repIdRule, ...draftRules], repOnly, async (req, res) => {
+  try {
+    await repos.drafts.save(req.params.repId, draftFromBody(req.body, req.params.repId));
+    const saved = await repos.drafts.find(req.params.repId);
+
+    return res.json({
+      status: "ok",
+      msg: "draft saved to your account ✔",
+      savedAt: saved.updated_at,
+    });
+  } catch (err) {
+    console.error("error saving draft:", err);
+    return res.status(500).json({
+      status: "error",
+      msg: "database error while saving draft.",
+    });
+  }
+});
+
+// ------------------------------------------------------
+// delete a draft
+// ------------------------------------------------------
+
+router.delete("/:repId", repIdRule, repOnly, async (req, res) => {
+  try {
+    await repos.drafts.remove(req.params.repId);
+
+    return res.json({
+      status: "ok",
+      msg: "draft deleted.",
+    });
+  } catch (err) {
+    console.error("error deleting draft:", err);
+    return res.status(500).json({
+      status: "error",
+      msg: "database error while deleting draft.",
+    });
+  }
+});
+
+module.exports = router;
+module.exports.draftFieldMax = draftFieldMax;
@@ -0,0 +1,132 @@
+// errors.js
+// one shape for every error answer of the api:
+//
+//   {
+//     status: "error",
+//     code:   "validation_failed",          // what went wrong, for code
+//     msg:    "please check the highlighted fields.",   // for people
+//     errors: [{ path: "email", msg: "email is required." }, …],
+//     fields: { email: "email is required.", … }        // first msg per field
+//   }
+//
+// routes keep answering res.status(…).json({ status: "error", msg, errors });
+// apiErrors() fills in the rest on the way out (code from the http status
+// unless the route set one, a msg when the route only sent field errors,
+// errors cut down to path + msg). errorHandler() answers what routes throw
+// or body parsing refuses, notFound() unknown /api urls, in the same shape.
+
+const { validationResult } = require("express-validator");
+
+// http status → code of the error (a route may send a more precise one,
+// e.g. abuse.js: "form_expired")
+const ERROR_CODES = {
+  400: "bad_request",
+  401: "unauthorized",
+  403: "forbidden",
+  404: "not_found",
+  409: "conflict",
+  413: "payload_too_large",
+  415: "unsupported_media_type",
+  429: "rate_limited",
+  500: "server_error",
+};
+
+// msg for answers that came without one
+const DEFAULT_MESSAGES = {
+  validation_failed: "please check the highlighted fields.",
+  bad_request: "the request could not be understood.",
+  unauthorized: "please log in first.",
+  forbidden: "you do not have access to this page.",
+  not_found: "not found.",
+  conflict: "this clashes with data that is already saved.",
+  payload_too_large: "the request is too large.",
+  unsupported_media_type: "this type of content is not accepted here.",
+  rate_limited: "too many requests, please try again later.",
+  server_error: "server error, please try again.",
+};
+
+function codeFor(httpStatus, errors) {
+  if (httpStatus === 400 && errors.length > 0) return "validation_failed";
+  return ERROR_CODES[httpStatus] || (httpStatus >= 500 ? "server_error" : "bad_request");
+}
+
+// { msg?, errors?, code?, …extra } + http status → the full error body
+// (extra keys such as retryAfter are kept)
+function errorBody(httpStatus, body = {}) {
+  const errors = (body.errors || []).map((e) => ({ path: e.path, msg: e.msg }));
+  const code = body.code || codeFor(httpStatus, errors);
+
+  const fields = {};
+  errors.forEach((e) => {
+    if (e.path && !(e.path in fields)) fields[e.path] = e.msg;
+  });
+
+  return {
+    ...body,
+    status: "error",
+    code,
+    msg: body.msg || DEFAULT_MESSAGES[code] || DEFAULT_MESSAGES.server_error,
+    errors,
+    fields,
+  };
+}
+
+// every json answer with status "error" → errorBody()
+function apiErrors(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = (body) =>
+    json(body && body.status === "error" ? errorBody(res.statusCode, body) : body);
+  next();
+}
+
+// last /api route: nothing matched
+function notFound(req, res) {
+  res.status(404).json({
+    status: "error",
+    msg: `there is no api route ${req.method} ${req.baseUrl}${req.path}.`,
+  });
+}
+
+// what body-parser refuses (err.type) → code + msg; other types get the
+// defaults of their http status (413 for too big bodies)
+const PARSER_REFUSALS = {
+  "entity.parse.failed": { code: "invalid_json", msg: "the request body is not valid json." },
+  "encoding.unsupported": { code: "unsupported_media_type" },
+};
+
+// errors passed to next() or thrown by middleware (bad json, too big bodies);
+// express knows an error handler by its four parameters. body parsing runs
+// before apiErrors() is in place, so the body is built here.
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+
+  // body-parser sets status + type on what it refuses
+  const httpStatus = err.status || err.statusCode || 500;
+  if (httpStatus >= 500) {
+    console.error(`error in ${req.method} ${req.originalUrl}:`, err);
+    return res.status(500).json(errorBody(500));
+  }
+
+  return res.status(httpStatus).json(errorBody(httpStatus, PARSER_REFUSALS[err.type]));
+}
+
+// for routers that check with express-validator: answers 400 with the
+// errors of the request, returns true if it did
+function sendValidationErrors(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    status: "error",
+    errors: errors.array(),
+  });
+  return true;
+}
+
+module.exports = {
+  ERROR_CODES,
+  errorBody,
+  apiErrors,
+  notFound,
+  errorHandler,
+  sendValidationErrors,
+};
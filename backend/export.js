@@ -0,0 +1,115 @@
+// export.js
+// projects list → spreadsheet (csv or xlsx) for instructors
+// used by GET /api/projects/export in server.js
+//
+// one row per project, one column per team member after the fixed columns
+// (as many member columns as the biggest team in the export).
+
+const { toXlsx } = require("./xlsx");
+
+const EXPORT_FORMATS = ["csv", "xlsx"];
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+// [header, value of a list row]
+const COLUMNS = [
+  ["ID", (p) => p.id],
+  ["Team Name", (p) => p.team_name],
+  ["Team Size", (p) => p.team_size],
+  ["Course", (p) => p.course_code],
+  ["Major", (p) => p.category],
+  ["Type", (p) => p.project_type],
+  ["Project Name", (p) => p.project_name],
+  ["Description", (p) => p.description],
+  ["Tools", (p) => p.tools],
+  ["Status", (p) => p.status],
+  ["Representative", (p) => p.rep_name],
+  ["Rep Student ID", (p) => p.rep_id],
+  ["Rep Email", (p) => p.rep_email],
+  ["Submitted", (p) => formatDate(p.created_at)],
+];
+
+// "2025-03-01 14:05" in server local time, "" when unknown
+function formatDate(value) {
+  if (!value) return "";
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return "";
+  const pad = (n) => String(n).padStart(2, "0");
+  return (
+    `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ` +
+    `${pad(d.getHours())}:${pad(d.getMinutes())}`
+  );
+}
+
+// "sara ahmed (2310123)"
+function memberCell(member) {
+  return member.student_id ? `${member.name} (${member.student_id})` : member.name;
+}
+
+// projects (list rows with members) → { header, rows }
+function exportTable(projects) {
+  const memberColumns = Math.max(0, ...projects.map((p) => (p.members || []).length));
+
+  const header = COLUMNS.map(([title]) => title);
+  for (let i = 1; i <= memberColumns; i++) header.push(`Member ${i}`);
+
+  const rows = projects.map((p) => {
+    const members = (p.members || []).map(memberCell);
+    while (members.length < memberColumns) members.push("");
+    return [...COLUMNS.map(([, value]) => value(p) ?? ""), ...members];
+  });
+
+  return { header, rows };
+}
+
+// ------------------------------------------------------
+// csv
+// ------------------------------------------------------
+
+// a cell starting with one of these is read as a formula by excel
+// (=HYPERLINK(…) in a team name must stay text)
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (typeof value === "number") return String(value);
+
+  let text = String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  if (/[",\r\n]/.test(text)) text = `"${text.replace(/"/g, '""')}"`;
+  return text;
+}
+
+// utf-8 with a byte order mark, otherwise excel opens arabic names as
+// mojibake; crlf line ends as rfc 4180 asks
+function toCsv(header, rows) {
+  const lines = [header, ...rows].map((cells) => cells.map(csvCell).join(","));
+  return Buffer.from("\uFEFF" + lines.join("\r\n") + "\r\n", "utf8");
+}
+
+// ------------------------------------------------------
+// file
+// ------------------------------------------------------
+
+// → { body: Buffer, contentType, filename }
+function exportFile(projects, format, now = new Date()) {
+  const { header, rows } = exportTable(projects);
+  const body = format === "xlsx" ? toXlsx(header, rows, "Projects") : toCsv(header, rows);
+  const date = formatDate(now).slice(0, 10);
+
+  return {
+    body,
+    contentType: CONTENT_TYPES[format],
+    filename: `projects-${date}.${format}`,
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportTable,
+  exportFile,
+  toCsv,
+  formatDate,
+};
@@ -0,0 +1,46 @@
+// i18n.js
+// api answers in the language of the request (Accept-Language: en or ar,
+// see js/i18n.js for the catalogs)
+//
+// the routes keep writing their messages in english; localize() sets
+// req.lang and translates every "msg" text of a json answer on the way out
+// (the top-level msg, the msg of each field error, also inside rows of an
+// import preview, and the fields map of errors.js). user data is never
+// translated, only messages.
+
+const { pickLanguage, translate, DEFAULT_LANGUAGE } = require("../js/i18n");
+
+// every msg string inside a json body, translated (a new body, the route's
+// objects stay untouched)
+function translateMessages(value, lang) {
+  if (Array.isArray(value)) return value.map((item) => translateMessages(item, lang));
+  if (!value || typeof value !== "object" || value instanceof Date) return value;
+
+  const out = {};
+  Object.entries(value).forEach(([key, item]) => {
+    if (key === "msg" && typeof item === "string") {
+      out[key] = translate(lang, item);
+    } else if (key === "fields" && item && typeof item === "object") {
+      // { email: "email is required." } of an error answer (see errors.js)
+      out[key] = {};
+      Object.entries(item).forEach(([field, msg]) => (out[key][field] = translate(lang, msg)));
+    } else {
+      out[key] = translateMessages(item, lang);
+    }
+  });
+  return out;
+}
+
+function localize(req, res, next) {
+  req.lang = pickLanguage(req.get("accept-language"));
+  res.vary("Accept-Language");
+  res.set("Content-Language", req.lang);
+
+  if (req.lang !== DEFAULT_LANGUAGE) {
+    const json = res.json.bind(res);
+    res.json = (body) => json(translateMessages(body, req.lang));
+  }
+  next();
+}
+
+module.exports = { localize, translateMessages };
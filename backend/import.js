@@ -0,0 +1,296 @@
+// import.js
+// csv files for the instructor import routes:
+//   - teams → project bodies (POST /api/projects/import/preview and
+//     POST /api/projects/import in server.js)
+//   - class lists → roster entries (POST /api/rosters/import/preview and
+//     POST /api/rosters/import in rosters.js)
+//
+// columns are matched by their header, in any order and letter case, so a
+// file from GET /api/projects/export can be read back in. one row per team:
+//
+//   Team Name, Representative, Rep Student ID, Rep Email, Course, Major,
+//   Project Name, Description          required
+//   Team Size, Type, Tools             optional (size + type follow the members)
+//   Member 1, Member 2, …              "sara ahmed (2310123)", or the name with
+//                                      the id in "Member 1 ID"
+//
+// one row per enrolled student:
+//
+//   Course, Student ID, Name           required
+//   Email                              optional
+//
+// other columns (ID, Status, Submitted, …) are ignored.
+
+const express = require("express");
+
+const MAX_IMPORT_ROWS = 500;
+
+// body field → accepted headers (lowercase, letters + digits only)
+const FIELD_HEADERS = {
+  teamName: ["teamname", "team"],
+  teamSize: ["teamsize", "size"],
+  repName: ["representative", "repname", "representativename"],
+  repId: ["repstudentid", "repid", "representativeid"],
+  repEmail: ["repemail", "representativeemail", "email"],
+  courseCode: ["course", "coursecode"],
+  category: ["major", "category", "track"],
+  projectType: ["type", "projecttype"],
+  projectName: ["projectname", "project", "title"],
+  projectDesc: ["description", "projectdescription", "projectdesc"],
+  tools: ["tools"],
+};
+
+const OPTIONAL_FIELDS = ["teamSize", "projectType", "tools"];
+
+// the same for a class list
+const ROSTER_HEADERS = {
+  courseCode: ["course", "coursecode"],
+  studentId: ["studentid", "id", "universityid"],
+  fullName: ["name", "fullname", "studentname"],
+  email: ["email", "studentemail"],
+};
+
+const ROSTER_OPTIONAL_FIELDS = ["email"];
+
+// "Rep Student ID" → "repstudentid"
+function headerKey(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+// ------------------------------------------------------
+// csv
+// ------------------------------------------------------
+
+// rfc 4180 text → rows of cells. quoted cells may hold commas, "" and line
+// breaks; crlf and lf both end a row; blank rows are dropped.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  const endCell = () => {
+    row.push(cell);
+    cell = "";
+  };
+  const endRow = () => {
+    endCell();
+    if (row.some((c) => c.trim() !== "")) rows.push(row);
+    row = [];
+  };
+
+  const input = String(text).replace(/^\uFEFF/, ""); // excel's byte order mark
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      endCell();
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i++;
+      endRow();
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || row.length > 0) endRow();
+
+  return rows;
+}
+
+// ------------------------------------------------------
+// rows → request bodies
+// ------------------------------------------------------
+
+// where each field sits in the header row
+// → { fields: { teamName: 0, … }, missing: [required fields without a column] }
+function findColumns(keys, fieldHeaders, optionalFields) {
+  const fields = {};
+  Object.entries(fieldHeaders).forEach(([field, names]) => {
+    const index = keys.findIndex((k) => names.includes(k));
+    if (index !== -1) fields[field] = index;
+  });
+
+  const missing = Object.keys(fieldHeaders).filter(
+    (field) => fields[field] === undefined && !optionalFields.includes(field)
+  );
+  return { fields, missing };
+}
+
+// where each field and member sits in the header row
+// → { fields: { teamName: 0, … }, members: [{ name: 12, id: 13 }, …], missing }
+function readHeader(header) {
+  const keys = header.map(headerKey);
+  const { fields, missing } = findColumns(keys, FIELD_HEADERS, OPTIONAL_FIELDS);
+
+  const members = [];
+  keys.forEach((key, index) => {
+    const match = key.match(/^member(\d+)(name|id|studentid)?$/);
+    if (!match) return;
+    const slot = Number(match[1]);
+    members[slot] = members[slot] || {};
+    members[slot][match[2] && match[2] !== "name" ? "id" : "name"] = index;
+  });
+
+  return { fields, members: members.filter((m) => m && m.name !== undefined), missing };
+}
+
+// "sara ahmed (2310123)" → { name: "sara ahmed", studentId: "2310123" }
+function memberFromCells(nameCell, idCell) {
+  const name = nameCell.trim();
+  if (idCell !== undefined) return { name, studentId: idCell.trim() };
+
+  const match = name.match(/^(.*?)\s*\(\s*([^()]*?)\s*\)$/);
+  return match ? { name: match[1], studentId: match[2] } : { name, studentId: "" };
+}
+
+// the cell of a field in a row ("" for a column the file does not have)
+function cellOf(cells, index) {
+  return index === undefined ? "" : (cells[index] || "").trim();
+}
+
+// one csv row → the body POST /api/project would get
+function bodyFromRow(cells, layout) {
+  const cell = (index) => cellOf(cells, index);
+  const body = {};
+
+  Object.entries(layout.fields).forEach(([field, index]) => {
+    body[field] = cell(index);
+  });
+
+  body.members = layout.members
+    .filter((m) => cell(m.name) !== "" || cell(m.id) !== "")
+    .map((m) => memberFromCells(cell(m.name), m.id === undefined ? undefined : cell(m.id)));
+
+  // size and type can be left out: the members say what they are
+  if (!body.teamSize) body.teamSize = String(body.members.length + 1);
+  if (!body.projectType) body.projectType = body.teamSize === "1" ? "solo" : "group";
+
+  return body;
+}
+
+// header + rows of a csv file within the row limit, or { error } for a file
+// that can't be read at all
+function readCsv(text, readLayout) {
+  const [header, ...records] = parseCsv(text);
+  if (!header) return { error: "the file is empty." };
+
+  const layout = readLayout(header);
+  if (layout.missing.length > 0) {
+    return { error: `the file is missing the column(s): ${layout.missing.join(", ")}.` };
+  }
+  if (records.length === 0) return { error: "the file has no rows after the header." };
+  if (records.length > MAX_IMPORT_ROWS) {
+    return {
+      error: `the file has ${records.length} rows, import at most ${MAX_IMPORT_ROWS} at a time.`,
+    };
+  }
+  return { layout, records };
+}
+
+// csv text → { error } or { rows: [{ row, body }] } where row is the
+// spreadsheet row number
+function bodiesFromCsv(text) {
+  const csv = readCsv(text, readHeader);
+  if (csv.error) return csv;
+
+  return {
+    rows: csv.records.map((cells, i) => ({ row: i + 2, body: bodyFromRow(cells, csv.layout) })),
+  };
+}
+
+// csv text → { error } or { rows: [{ row, entry: { courseCode, studentId,
+// fullName, email } }] }
+function rosterFromCsv(text) {
+  const csv = readCsv(text, (header) =>
+    findColumns(header.map(headerKey), ROSTER_HEADERS, ROSTER_OPTIONAL_FIELDS)
+  );
+  if (csv.error) return csv;
+
+  return {
+    rows: csv.records.map((cells, i) => {
+      const entry = {};
+      Object.keys(ROSTER_HEADERS).forEach((field) => {
+        entry[field] = cellOf(cells, csv.layout.fields[field]);
+      });
+      return { row: i + 2, entry };
+    }),
+  };
+}
+
+// ------------------------------------------------------
+// requests
+// ------------------------------------------------------
+
+// the file is posted as the request body, not as a form upload
+const csvBody = express.text({ type: ["text/csv", "text/plain"], limit: "2mb" });
+
+// 400 unless the request body is csv text
+function csvTextOrError(req, res) {
+  if (typeof req.body === "string" && req.body.trim() !== "") return req.body;
+  res.status(400).json({
+    status: "error",
+    msg: "please upload a csv file (content-type text/csv).",
+  });
+  return null;
+}
+
+// ------------------------------------------------------
+// checks
+// ------------------------------------------------------
+
+// run express-validator chains on one body, outside of a request
+// → [{ path, msg }] (the body is sanitized in place, like in a route)
+async function checkBody(body, rules) {
+  const req = { body, query: {}, params: {}, cookies: {}, headers: {} };
+  const problems = [];
+
+  for (const rule of rules) {
+    const result = await rule.run(req);
+    result.array().forEach((e) => problems.push({ path: e.path, msg: e.msg }));
+  }
+  return problems;
+}
+
+// the same student twice in one course inside the file
+// rows = [{ row, body, errors }], only rows without errors are compared
+function markRepeatedStudents(rows) {
+  const seen = new Map(); // "course|student id" → row number
+
+  rows.forEach((r) => {
+    if (r.errors.length > 0) return;
+    const course = r.body.courseCode.toLowerCase();
+    const ids = [r.body.repId, ...r.body.members.map((m) => m.studentId)];
+
+    ids.forEach((id) => {
+      const other = seen.get(`${course}|${id}`);
+      if (other) {
+        r.errors.push({
+          path: "members",
+          msg: `student ${id} is already in row ${other} for ${r.body.courseCode}`,
+        });
+      }
+    });
+    if (r.errors.length === 0) ids.forEach((id) => seen.set(`${course}|${id}`, r.row));
+  });
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  parseCsv,
+  bodiesFromCsv,
+  rosterFromCsv,
+  csvBody,
+  csvTextOrError,
+  checkBody,
+  markRepeatedStudents,
+};
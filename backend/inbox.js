@@ -0,0 +1,326 @@
+// inbox.js
+// instructor-only inbox for messages sent through contact-us.html
+// mounted in server.js at /api/admin/messages behind auth.requireStaff
+//
+// each message can be marked read, replied and archived (timestamps on the
+// contact_messages row) and staff can leave internal notes on it. a reply is
+// emailed to the sender (mailer.js) and kept as a note.
+
+const express = require("express");
+const { check } = require("express-validator");
+const repos = require("./repositories");
+const { sendValidationErrors } = require("./errors");
+const mailer = require("./mailer");
+
+const router = express.Router();
+
+const MESSAGES_DEFAULT_LIMIT = 20;
+const MESSAGES_MAX_LIMIT = 100;
+const REPLY_MAX_LENGTH = 5000;
+// notes are varchar(1000), a longer reply is cut in its note
+const NOTE_MAX_LENGTH = 1000;
+
+const messageIdRule = check("id")
+  .isInt({ min: 1 })
+  .withMessage("message id must be a positive number");
+
+// ------------------------------------------------------
+// unread / total counts (for the badge)
+// ------------------------------------------------------
+
+router.get("/count", async (req, res) => {
+  try {
+    const { total, unread } = await repos.contact.counts();
+
+    return res.json({
+      status: "ok",
+      total,
+      unread,
+    });
+  } catch (err) {
+    console.error("error counting messages:", err);
+    return res.status(500).json({
+      status: "error",
+      msg: "database error while counting messages.",
+    });
+  }
+});
+
+// ------------------------------------------------------
+// list messages
+// /api/admin/messages?state=unread&language=ar&from=2025-01-01&to=2025-02-01&page=1
+// state: inbox (default, everything not archived), unread, read, replied, archived, all
+// ------------------------------------------------------
+
+const MESSAGE_STATES = ["inbox", "unread", "read", "replied", "archived", "all"];
+
+router.get(
+  "/",
+  [
+    check("state")
+      .optional()
+      .isIn(MESSAGE_STATES)
+      .withMessage(`state must be one of: ${MESSAGE_STATES.join(", ")}`),
+
+    check("language")
+      .optional()
+      .isIn(["en", "ar", "both"])
+      .withMessage("language must be en, ar or both"),
+
+    check("from")
+      .optional()
+      .isISO8601()
+      .withMessage("from must be a date like 2025-01-31"),
+
+    check("to")
+      .optional()
+      .isISO8601()
+      .withMessage("to must be a date like 2025-01-31"),
+
+    check("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("page must be a positive number"),
+
+    check("limit")
+      .optional()
+      .isInt({ min: 1, max: MESSAGES_MAX_LIMIT })
+      .withMessage(`limit must be between 1 and ${MESSAGES_MAX_LIMIT}`),
+  ],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    const { language, from, to } = req.query;
+    const state = req.query.state || "inbox";
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || MESSAGES_DEFAULT_LIMIT;
+
+    try {
+      const { rows, total } = await repos.contact.list({
+        state,
+        language,
+        from,
+        to,
+        page,
+        limit,
+      });
+
+      return res.json({
+        status: "ok",
+        data: rows,
+        total,
+        page,
+        limit,
+        pages: Math.max(1, Math.ceil(total / limit)),
+      });
+    } catch (err) {
+      console.error("error fetching messages:", err);
+      return res.status(500).json({
+        status: "error",
+        msg: "database error while loading messages.",
+      });
+    }
+  }
+);
+
+// ------------------------------------------------------
+// one message + its notes
+// ------------------------------------------------------
+
+router.get("/:id", [messageIdRule], async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  try {
+    const message = await repos.contact.findById(req.params.id);
+
+    if (!message) {
+      return res.status(404).json({
+        status: "error",
+        msg: "message not found.",
+      });
+    }
+
+    return res.json({
+      status: "ok",
+      data: message,
+    });
+  } catch (err) {
+    console.error("error fetching message:", err);
+    return res.status(500).json({
+      status: "error",
+      msg: "database error while loading message.",
+    });
+  }
+});
+
+// ------------------------------------------------------
+// mark read / replied / archived (and undo)
+// body: { read: true, replied: false, archived: true } (any subset)
+// ------------------------------------------------------
+
+const MESSAGE_FLAGS = ["read", "replied", "archived"];
+
+router.patch(
+  "/:id",
+  [
+    messageIdRule,
+    ...MESSAGE_FLAGS.map((flag) =>
+      check(flag)
+        .optional()
+        .isBoolean({ strict: true })
+        .withMessage(`${flag} must be true or false`)
+    ),
+  ],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    // only the known flags are passed on, never the whole body
+    // (setting a flag again keeps its first timestamp)
+    const flags = {};
+    MESSAGE_FLAGS.forEach((flag) => {
+      if (typeof req.body[flag] === "boolean") flags[flag] = req.body[flag];
+    });
+
+    if (Object.keys(flags).length === 0) {
+      return res.status(400).json({
+        status: "error",
+        msg: "nothing to update (send read, replied or archived).",
+      });
+    }
+
+    // a replied message has obviously been read
+    if (flags.replied === true && flags.read === undefined) {
+      flags.read = true;
+    }
+
+    try {
+      const found = await repos.contact.setFlags(req.params.id, flags);
+
+      if (!found) {
+        return res.status(404).json({
+          status: "error",
+          msg: "message not found.",
+        });
+      }
+
+      return res.json({
+        status: "ok",
+        msg: "message updated ✔",
+      });
+    } catch (err) {
+      console.error("error updating message:", err);
+      return res.status(500).json({
+        status: "error",
+        msg: "database error while updating message.",
+      });
+    }
+  }
+);
+
+// ------------------------------------------------------
+// internal notes (never shown to the sender)
+// ------------------------------------------------------
+
+router.post(
+  "/:id/notes",
+  [
+    messageIdRule,
+    check("note")
+      .trim()
+      .isLength({ min: 1, max: 1000 })
+      .withMessage("note must be 1–1000 characters"),
+  ],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const noteId = await repos.contact.addNote(
+        req.params.id,
+        req.user.id,
+        req.body.note
+      );
+      if (noteId === null) {
+        return res.status(404).json({
+          status: "error",
+          msg: "message not found.",
+        });
+      }
+
+      return res.json({
+        status: "ok",
+        msg: "note added ✔",
+        data: {
+          id: noteId,
+          note: req.body.note,
+          author: req.user.full_name,
+          created_at: new Date(),
+        },
+      });
+    } catch (err) {
+      console.error("error adding note:", err);
+      return res.status(500).json({
+        status: "error",
+        msg: "database error while saving note.",
+      });
+    }
+  }
+);
+
+// ------------------------------------------------------
+// reply by email
+// ------------------------------------------------------
+
+// "replied by email: …" within the note column
+function replyNote(reply) {
+  const note = `replied by email: ${reply}`;
+  return note.length > NOTE_MAX_LENGTH
+    ? note.slice(0, NOTE_MAX_LENGTH - 1) + "…"
+    : note;
+}
+
+router.post(
+  "/:id/reply",
+  [
+    messageIdRule,
+    check("reply")
+      .trim()
+      .isLength({ min: 1, max: REPLY_MAX_LENGTH })
+      .withMessage(`reply must be 1–${REPLY_MAX_LENGTH} characters`),
+  ],
+  async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    try {
+      const message = await repos.contact.findById(req.params.id);
+      if (!message) {
+        return res.status(404).json({
+          status: "error",
+          msg: "message not found.",
+        });
+      }
+
+      // in the language the sender chose on the form (en, ar or both)
+      await mailer.queue(
+        "contactReply",
+        message.email,
+        { message, reply: req.body.reply, instructorName: req.user.full_name },
+        message.language
+      );
+      await repos.contact.setFlags(message.id, { read: true, replied: true });
+      await repos.contact.addNote(message.id, req.user.id, replyNote(req.body.reply));
+
+      return res.json({
+        status: "ok",
+        msg: `reply to ${message.email} is on its way ✔`,
+      });
+    } catch (err) {
+      console.error("error replying to message:", err);
+      return res.status(500).json({
+        status: "error",
+        msg: "database error while sending the reply.",
+      });
+    }
+  }
+);
+
+module.exports = router;
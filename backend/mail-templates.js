@@ -0,0 +1,175 @@
+// mail-templates.js
+// the emails the app sends, as plain text: name → (data, t) → { subject, text }
+//
+//   submissionReceipt → the representative, right after POST /api/project
+//   newIdea           → the course instructor, for the same new idea
+//   statusChanged     → the representative, when an instructor reviews it
+//   contactReply      → whoever wrote through contact-us.html
+//
+// links are absolute (config.publicUrl), the rest is the data the team or
+// sender typed, so nothing here is html. every text goes through t(), so
+// an email can be written in english, arabic or both (see renderEmail).
+
+const config = require("./config");
+const { translate } = require("../js/i18n");
+const { MAJOR_LABELS } = require("../js/validation");
+
+// "needs_changes" → "needs changes"
+function statusLabel(status) {
+  return status.replace(/_/g, " ");
+}
+
+function link(pathAndQuery) {
+  return config.publicUrl + pathAndQuery;
+}
+
+function signature(t) {
+  return `\n-- \n${t("ClassMate Idea Hub")}\n${t("College of Computing, University of Jeddah")}\n`;
+}
+
+// the idea as a few "Label: value" lines, same in every project email
+function projectSummary(project, members = [], t) {
+  const lines = [
+    t("Team: {team} ({size} student(s))", {
+      team: project.team_name,
+      size: project.team_size,
+    }),
+    t("Course: {course}", { course: project.course_code }),
+    t("Project: {title}", { title: project.project_name }),
+    t("Major: {major}, {type} project", {
+      major: t(MAJOR_LABELS[project.category] || project.category),
+      type: t(project.project_type),
+    }),
+    t("Representative: {name} ({id})", { name: project.rep_name, id: project.rep_id }),
+  ];
+  members
+    .filter((m) => !m.isRep)
+    .forEach((m, i) =>
+      lines.push(
+        t("Member {n}: {name} ({id})", { n: i + 1, name: m.name, id: m.studentId })
+      )
+    );
+  if (project.tools) lines.push(t("Tools: {tools}", { tools: project.tools }));
+  lines.push("", project.description);
+  return lines.join("\n");
+}
+
+const TEMPLATES = {
+  // data = { project, members, editUrl } (editUrl as returned by the api)
+  submissionReceipt({ project, members, editUrl }, t) {
+    return {
+      subject: t("Idea received: {title} ({course})", {
+        title: project.project_name,
+        course: project.course_code,
+      }),
+      text: [
+        t("Hello {name},", { name: project.rep_name }),
+        "",
+        t("your team's project idea for {course} was received. This is what we saved:", {
+          course: project.course_code,
+        }),
+        "",
+        projectSummary(project, members, t),
+        "",
+        t(
+          "You can change or withdraw the idea with this private link " +
+            "(keep it to your team, anyone with it can edit the idea):"
+        ),
+        link(editUrl),
+        signature(t),
+      ].join("\n"),
+    };
+  },
+
+  // data = { project, members, id, instructorName }
+  newIdea({ project, members, id, instructorName }, t) {
+    return {
+      subject: t("New idea in {course}: {title}", {
+        course: project.course_code,
+        title: project.project_name,
+      }),
+      text: [
+        t("Hello {name},", { name: instructorName || t("instructor") }),
+        "",
+        t('team "{team}" submitted a new idea in {course}:', {
+          team: project.team_name,
+          course: project.course_code,
+        }),
+        "",
+        projectSummary(project, members, t),
+        "",
+        t("Review it here:"),
+        link(`/project.html?id=${id}`),
+        signature(t),
+      ].join("\n"),
+    };
+  },
+
+  // data = { project, status, feedback }
+  statusChanged({ project, status, feedback }, t) {
+    const lines = [
+      t("Hello {name},", { name: project.rep_name }),
+      "",
+      t('your idea "{title}" ({course}) is now {status}.', {
+        title: project.project_name,
+        course: project.course_code,
+        status: t(statusLabel(status)),
+      }),
+    ];
+    if (feedback) lines.push("", t("Feedback from your instructor:"), feedback);
+    if (status === "needs_changes") {
+      lines.push("", t("Open your private edit link to change the idea and send it again."));
+    }
+    lines.push("", t("Details:"), link(`/project.html?id=${project.id}`), signature(t));
+    return {
+      subject: t("Your idea is {status}: {title}", {
+        status: t(statusLabel(status)),
+        title: project.project_name,
+      }),
+      text: lines.join("\n"),
+    };
+  },
+
+  // data = { message (contact_messages row), reply, instructorName }
+  // the instructor's reply is sent as written, only the frame is translated
+  contactReply({ message, reply, instructorName }, t) {
+    const quoted = message.message
+      .split(/\r?\n/)
+      .map((line) => `> ${line}`)
+      .join("\n");
+    return {
+      subject: t("Re: your message to ClassMate Idea Hub"),
+      text: [
+        t("Hello {name},", { name: message.first_name }),
+        "",
+        reply,
+        "",
+        instructorName || "",
+        "",
+        t("On {date} you wrote:", { date: new Date(message.created_at).toUTCString() }),
+        quoted,
+        signature(t),
+      ].join("\n"),
+    };
+  },
+};
+
+const TEMPLATE_NAMES = Object.keys(TEMPLATES);
+
+// lang: "en", "ar", or "both" (the contact form's choice: every text in
+// arabic / english, the data once) → { subject, text }
+function renderEmail(template, data, lang = "en") {
+  if (!TEMPLATES[template]) throw new Error(`unknown email template "${template}"`);
+
+  const t =
+    lang === "both"
+      ? (text, params) => {
+          const ar = translate("ar", text, params);
+          const en = translate("en", text, params);
+          return ar === en ? en : `${ar} / ${en}`;
+        }
+      : (text, params) => translate(lang, text, params);
+  return TEMPLATES[template](data, t);
+}
+
+module.exports = { TEMPLATE_NAMES, renderEmail, statusLabel };
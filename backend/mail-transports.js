@@ -0,0 +1,164 @@
+// mail-transports.js
+// how mailer.js hands an email over: { from, to, subject, text } → sent
+//
+//   smtp    → the college mail server through nodemailer (starttls, or tls
+//             on port 465; the login never goes over an unencrypted link)
+//   file    → one .eml file per email in config.mail.dir (open it in any
+//             mail program), for local development and tests
+//   console → prints the email (the default)
+//
+// a transport throws when the email was not accepted; errors with
+// permanent = true (the server refused the address, 5xx) are not retried.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const nodemailer = require("nodemailer");
+
+const SMTP_TIMEOUT_MS = 30 * 1000;
+
+// ------------------------------------------------------
+// message format (rfc 5322, utf-8 body in base64)
+// ------------------------------------------------------
+
+// "Name <a@b.c>" or "a@b.c" → "a@b.c"
+function addressOf(mailbox) {
+  const m = /<([^<>]+)>\s*$/.exec(mailbox);
+  return (m ? m[1] : mailbox).trim();
+}
+
+// header value without line breaks (no header injection from user data),
+// non-ascii text as =?UTF-8?B?…?= words of at most 45 bytes each
+function encodeHeader(value) {
+  const flat = String(value).replace(/[\r\n]+/g, " ");
+  if (!/[^\x20-\x7e]/.test(flat)) return flat;
+
+  const words = [];
+  let chunk = "";
+  for (const char of flat) {
+    if (Buffer.byteLength(chunk + char) > 45) {
+      words.push(chunk);
+      chunk = "";
+    }
+    chunk += char;
+  }
+  words.push(chunk);
+  return words
+    .map((w) => `=?UTF-8?B?${Buffer.from(w).toString("base64")}?=`)
+    .join("\r\n ");
+}
+
+// "Name <a@b.c>" with the name encoded when needed
+function encodeMailbox(mailbox) {
+  const m = /^(.*?)\s*<([^<>]+)>\s*$/.exec(mailbox);
+  if (!m || !m[1]) return addressOf(mailbox);
+  return `${encodeHeader(m[1].replace(/^"|"$/g, ""))} <${m[2]}>`;
+}
+
+// the whole message as it goes over smtp or into a .eml file
+function formatMessage({ from, to, subject, text }) {
+  const domain = addressOf(from).split("@")[1] || "localhost";
+  const body = Buffer.from(text.replace(/\r?\n/g, "\r\n"))
+    .toString("base64")
+    .replace(/.{76}/g, "$&\r\n");
+
+  return [
+    `From: ${encodeMailbox(from)}`,
+    `To: ${encodeMailbox(to)}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    body,
+  ].join("\r\n");
+}
+
+// ------------------------------------------------------
+// smtp
+// ------------------------------------------------------
+
+class SmtpTransport {
+  // options = config.mail.smtp
+  constructor(options, { timeoutMs = SMTP_TIMEOUT_MS } = {}) {
+    this.name = "smtp";
+    this.mailer = nodemailer.createTransport({
+      host: options.host,
+      port: options.port,
+      secure: options.secure,
+      // a password only goes over tls: starttls is a must when logging in
+      requireTLS: Boolean(options.user),
+      auth: options.user ? { user: options.user, pass: options.password } : undefined,
+      // a server that never answers (or never accepts the connection) is an
+      // error like any other, so the email is tried again later
+      connectionTimeout: timeoutMs,
+      greetingTimeout: timeoutMs,
+      socketTimeout: timeoutMs,
+    });
+  }
+
+  // the message is built here (same bytes as the .eml files), nodemailer
+  // only talks to the server
+  async send(email) {
+    try {
+      await this.mailer.sendMail({
+        envelope: { from: addressOf(email.from), to: addressOf(email.to) },
+        raw: formatMessage(email),
+      });
+    } catch (err) {
+      err.permanent = err.responseCode >= 500;
+      throw err;
+    }
+  }
+}
+
+// ------------------------------------------------------
+// file + console
+// ------------------------------------------------------
+
+class FileTransport {
+  constructor(dir) {
+    this.name = "file";
+    this.dir = dir;
+  }
+
+  // → path of the .eml file
+  async send(email) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const file = path.join(this.dir, `${stamp}-${crypto.randomBytes(4).toString("hex")}.eml`);
+    await fs.promises.writeFile(file, formatMessage(email));
+    return file;
+  }
+}
+
+class ConsoleTransport {
+  constructor() {
+    this.name = "console";
+  }
+
+  async send({ from, to, subject, text }) {
+    console.log(
+      ["----- email -----", `from: ${from}`, `to: ${to}`, `subject: ${subject}`, "", text].join(
+        "\n"
+      )
+    );
+  }
+}
+
+// mail = config.mail
+function createTransport(mail) {
+  if (mail.transport === "smtp") return new SmtpTransport(mail.smtp);
+  if (mail.transport === "file") return new FileTransport(mail.dir);
+  return new ConsoleTransport();
+}
+
+module.exports = {
+  createTransport,
+  formatMessage,
+  SmtpTransport,
+  FileTransport,
+  ConsoleTransport,
+};
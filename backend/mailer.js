@@ -0,0 +1,121 @@
+// mailer.js
+// outgoing emails: routes queue them, a background loop sends them
+//
+// queue() renders a template (mail-templates.js) and stores the email in the
+// outbox (repos.emails), so a slow or broken mail server never holds up a
+// request. processQueue() sends every due email through the transport
+// (mail-transports.js); a failed one is tried again after retryMinutes,
+// then twice that, and so on, until maxAttempts, then it is marked failed.
+// server.js calls start() when it listens; tests call processQueue().
+
+const config = require("./config");
+const repos = require("./repositories");
+const { renderEmail } = require("./mail-templates");
+const { createTransport } = require("./mail-transports");
+
+// emails sent per round, the rest waits for the next one
+const BATCH_SIZE = 20;
+
+class Mailer {
+  // options = { emails (repository), transport, from, maxAttempts,
+  //             retryMinutes, pollSeconds }
+  constructor(options) {
+    this.emails = options.emails;
+    this.transport = options.transport;
+    this.from = options.from;
+    this.maxAttempts = options.maxAttempts;
+    this.retryMinutes = options.retryMinutes;
+    this.pollSeconds = options.pollSeconds;
+    this.timer = null;
+    this.running = null;
+  }
+
+  // render + store one email → outbox id; sending happens later
+  // lang: "en", "ar" or "both" (see renderEmail)
+  async queue(template, to, data, lang) {
+    const { subject, text } = renderEmail(template, data, lang);
+    const id = await this.emails.create({ template, to, subject, text });
+    if (this.timer) setImmediate(() => this.processQueue().catch(logQueueError));
+    return id;
+  }
+
+  // minutes to wait after the nth failed attempt (1, 2, 4, … × retryMinutes)
+  retryDelay(attempt) {
+    return this.retryMinutes * 2 ** (attempt - 1);
+  }
+
+  // send everything that is due → { sent, retried, failed } (counts);
+  // a second call while one is running waits for that one
+  processQueue(now = new Date()) {
+    if (!this.running) {
+      this.running = this.sendDue(now).finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async sendDue(now) {
+    const counts = { sent: 0, retried: 0, failed: 0 };
+    const due = await this.emails.due(now, BATCH_SIZE);
+
+    for (const email of due) {
+      try {
+        await this.transport.send({
+          from: this.from,
+          to: email.to_address,
+          subject: email.subject,
+          text: email.body_text,
+        });
+        await this.emails.markSent(email.id);
+        counts.sent += 1;
+      } catch (err) {
+        const attempt = email.attempts + 1;
+        const giveUp = err.permanent || attempt >= this.maxAttempts;
+        const next = giveUp
+          ? null
+          : new Date(now.getTime() + this.retryDelay(attempt) * 60 * 1000);
+        await this.emails.markAttemptFailed(email.id, err.message, next);
+        counts[giveUp ? "failed" : "retried"] += 1;
+        console.error(
+          `email ${email.id} to ${email.to_address} not sent (attempt ${attempt}` +
+            `${giveUp ? ", giving up" : ""}): ${err.message}`
+        );
+      }
+    }
+    return counts;
+  }
+
+  // look for due emails every pollSeconds (and right after queue())
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(
+      () => this.processQueue().catch(logQueueError),
+      this.pollSeconds * 1000
+    );
+    this.timer.unref();
+    this.processQueue().catch(logQueueError);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+function logQueueError(err) {
+  console.error("error sending queued emails:", err);
+}
+
+// one shared mailer for the whole app, like repositories/index.js
+const mailer = new Mailer({
+  emails: repos.emails,
+  transport: createTransport(config.mail),
+  from: config.mail.from,
+  maxAttempts: config.mail.maxAttempts,
+  retryMinutes: config.mail.retryMinutes,
+  pollSeconds: config.mail.pollSeconds,
+});
+
+module.exports = mailer;
+module.exports.Mailer = Mailer;
@@ -0,0 +1,97 @@
+// members.js
+// team members of each project (project_members table)
+// one row per student: the representative (is_rep = 1) + every other member
+
+const { check } = require("express-validator");
+
+// ------------------------------------------------------
+// team checks for the members array in POST / PUT bodies
+// ------------------------------------------------------
+// body.members = [{ name: "sara ahmed", studentId: "2310123" }, ...]
+// (other members only, the representative comes from repName + repId)
+// the list itself and each name / id are checked by the shared project
+// schema (js/validation.js); these rules need the rest of the body.
+
+// anything but a list (a string, an object, …) is reported once by the
+// schema as "members must be a list …", so these rules skip it instead of
+// adding errors of their own
+const memberRules = [
+  // team size counts the representative, so others = size - 1
+  check("members").custom((members, { req }) => {
+    if (members !== undefined && !Array.isArray(members)) return true;
+    const expected = parseInt(req.body.teamSize, 10) - 1;
+    const given = members ? members.length : 0;
+    if (!Number.isNaN(expected) && given !== expected) {
+      throw new Error(
+        `team size ${req.body.teamSize} needs exactly ${expected} other member(s)`
+      );
+    }
+    return true;
+  }),
+
+  // the same student id can only appear once in a team (rep included)
+  // (entries without an id are reported by the schema too)
+  check("members").custom((members, { req }) => {
+    if (!Array.isArray(members)) return true;
+    const ids = [req.body.repId, ...members.map((m) => m && m.studentId)].filter(Boolean);
+    const seen = new Set();
+    ids.forEach((id) => {
+      if (seen.has(id)) {
+        throw new Error(`student ${id} is listed more than once in this team`);
+      }
+      seen.add(id);
+    });
+    return true;
+  }),
+];
+
+// every student in a validated body, representative first
+function teamFromBody(body) {
+  return [
+    { name: body.repName, studentId: body.repId, isRep: true },
+    ...(Array.isArray(body.members) ? body.members : []).map((m) => ({
+      name: m.name,
+      studentId: m.studentId,
+      isRep: false,
+    })),
+  ];
+}
+
+// error body for a 409 when students are already taken
+function conflictResponse(conflicts, courseCode) {
+  return {
+    status: "error",
+    msg: "some students are already in another team for this course.",
+    errors: conflicts.map((c) => ({
+      path: "members",
+      msg: `student ${c.student_id} is already in team "${c.team_name}" for ${courseCode}`,
+    })),
+  };
+}
+
+// ------------------------------------------------------
+// legacy other_members text
+// ------------------------------------------------------
+// before this table existed, members were saved as lines like
+// "member 1: sara — 2310123". used by migration 004 to copy old rows over.
+
+function parseOtherMembers(text) {
+  if (!text) return [];
+
+  return text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const cleaned = line.replace(/^member\s*\d+:\s*/i, "");
+      const m = /^(.*?)\s*[—–-]\s*(\d{7})$/.exec(cleaned);
+      return m ? { name: m[1].trim(), studentId: m[2] } : null;
+    });
+}
+
+module.exports = {
+  memberRules,
+  teamFromBody,
+  conflictResponse,
+  parseOtherMembers,
+};
@@ -0,0 +1,46 @@
+// 001_create_projects_and_contact_messages.js
+// the two original tables written by server.js
+// "if not exists" so databases created by hand before migrations existed
+// can run this safely
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      create table if not exists projects (
+        id int not null auto_increment primary key,
+        team_name varchar(50) not null,
+        team_size tinyint not null,
+        rep_name varchar(50) not null,
+        rep_id char(7) not null,
+        rep_email varchar(120) not null,
+        other_members text null,
+        course_code varchar(20) not null,
+        category varchar(30) not null,
+        project_type varchar(10) not null,
+        project_name varchar(60) not null,
+        description varchar(400) not null,
+        tools varchar(300) null,
+        key idx_projects_course (course_code)
+      ) default charset = utf8mb4
+    `);
+
+    await db.query(`
+      create table if not exists contact_messages (
+        id int not null auto_increment primary key,
+        first_name varchar(30) not null,
+        last_name varchar(30) not null,
+        gender varchar(10) not null,
+        mobile varchar(15) not null,
+        dob date not null,
+        email varchar(120) not null,
+        language varchar(10) not null,
+        message varchar(1000) not null
+      ) default charset = utf8mb4
+    `);
+  },
+
+  async down(db) {
+    await db.query("drop table if exists contact_messages");
+    await db.query("drop table if exists projects");
+  },
+};
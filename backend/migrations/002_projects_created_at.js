@@ -0,0 +1,15 @@
+// 002_projects_created_at.js
+// created timestamp for the project detail page
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      alter table projects
+        add column created_at timestamp not null default current_timestamp
+    `);
+  },
+
+  async down(db) {
+    await db.query("alter table projects drop column created_at");
+  },
+};
@@ -0,0 +1,22 @@
+// 003_projects_edit_token.js
+// lets a team edit or withdraw its own idea
+//   edit_token_hash: sha-256 of the secret token returned by POST /api/project
+//   deleted_at: set when the idea is withdrawn (soft delete), null = live
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      alter table projects
+        add column edit_token_hash char(64) null,
+        add column deleted_at timestamp null default null
+    `);
+  },
+
+  async down(db) {
+    await db.query(`
+      alter table projects
+        drop column edit_token_hash,
+        drop column deleted_at
+    `);
+  },
+};
@@ -0,0 +1,65 @@
+// 004_project_members.js
+// one row per student in a team (representative + other members),
+// replacing the free-text projects.other_members column.
+// existing rows are copied over: lines like "member 1: sara — 2310123" become
+// member rows; lines that cannot be parsed are reported and left for manual
+// fixing (other_members itself is kept, so nothing is lost).
+
+const { parseOtherMembers } = require("../members");
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      create table project_members (
+        id int not null auto_increment primary key,
+        project_id int not null,
+        member_name varchar(50) not null,
+        student_id char(7) not null,
+        is_rep tinyint(1) not null default 0,
+        position tinyint not null default 0,
+        constraint fk_project_members_project
+          foreign key (project_id) references projects (id) on delete cascade,
+        unique key uq_project_members_student (project_id, student_id),
+        key idx_project_members_student (student_id)
+      ) default charset = utf8mb4
+    `);
+
+    const [projects] = await db.query(
+      "select id, rep_name, rep_id, other_members from projects order by id"
+    );
+
+    for (const p of projects) {
+      const parsed = parseOtherMembers(p.other_members);
+      const bad = parsed.filter((m) => m === null).length;
+      if (bad > 0) {
+        console.warn(`  project ${p.id}: ${bad} member line(s) could not be parsed`);
+      }
+
+      // drop repeated ids inside the same team (old data was never checked)
+      const seen = new Set();
+      const team = [
+        { name: p.rep_name, studentId: p.rep_id, isRep: true },
+        ...parsed.filter(Boolean).map((m) => ({ ...m, isRep: false })),
+      ].filter((m) => {
+        if (seen.has(m.studentId)) return false;
+        seen.add(m.studentId);
+        return true;
+      });
+
+      // plain sql on purpose: migrations must not change when the
+      // repositories do
+      for (let i = 0; i < team.length; i++) {
+        await db.query(
+          `insert into project_members
+           (project_id, member_name, student_id, is_rep, position)
+           values (?, ?, ?, ?, ?)`,
+          [p.id, team[i].name, team[i].studentId, team[i].isRep ? 1 : 0, i]
+        );
+      }
+    }
+  },
+
+  async down(db) {
+    await db.query("drop table if exists project_members");
+  },
+};
@@ -0,0 +1,39 @@
+// 005_users_sessions.js
+// user accounts (student / instructor / admin) and login sessions
+// create the first instructor afterwards: node backend/scripts/create-user.js
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      create table users (
+        id int not null auto_increment primary key,
+        full_name varchar(60) not null,
+        email varchar(120) not null,
+        student_id char(7) null,
+        role enum('student', 'instructor', 'admin') not null default 'student',
+        password_hash varchar(255) not null,
+        created_at timestamp not null default current_timestamp,
+        unique key uq_users_email (email),
+        unique key uq_users_student_id (student_id)
+      ) default charset = utf8mb4
+    `);
+
+    // token_hash = sha-256 of the cookie token, the raw token is never stored
+    await db.query(`
+      create table sessions (
+        token_hash char(64) not null primary key,
+        user_id int not null,
+        expires_at datetime not null,
+        created_at timestamp not null default current_timestamp,
+        constraint fk_sessions_user
+          foreign key (user_id) references users (id) on delete cascade,
+        key idx_sessions_user (user_id)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query("drop table if exists sessions");
+    await db.query("drop table if exists users");
+  },
+};
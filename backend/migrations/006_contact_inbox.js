@@ -0,0 +1,43 @@
+// 006_contact_inbox.js
+// lets instructors work through contact messages in the admin inbox
+//   read_at / replied_at / archived_at: null = not yet
+//   contact_message_notes: internal staff notes, never shown to the sender
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      alter table contact_messages
+        add column created_at timestamp not null default current_timestamp,
+        add column read_at datetime null default null,
+        add column replied_at datetime null default null,
+        add column archived_at datetime null default null,
+        add key idx_contact_messages_created (created_at)
+    `);
+
+    await db.query(`
+      create table contact_message_notes (
+        id int not null auto_increment primary key,
+        message_id int not null,
+        author_id int null,
+        note varchar(1000) not null,
+        created_at timestamp not null default current_timestamp,
+        constraint fk_contact_notes_message
+          foreign key (message_id) references contact_messages (id) on delete cascade,
+        constraint fk_contact_notes_author
+          foreign key (author_id) references users (id) on delete set null
+      ) default charset = utf8mb4
+    `);
+  },
+
+  async down(db) {
+    await db.query("drop table if exists contact_message_notes");
+    await db.query(`
+      alter table contact_messages
+        drop key idx_contact_messages_created,
+        drop column created_at,
+        drop column read_at,
+        drop column replied_at,
+        drop column archived_at
+    `);
+  },
+};
@@ -0,0 +1,42 @@
+// 007_project_review.js
+// review lifecycle for project ideas (see backend/review.js)
+//   status: current state, status_feedback: latest instructor comment
+//   project_status_history: one row per state change
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      alter table projects
+        add column status enum('submitted', 'under_review', 'approved', 'needs_changes', 'rejected')
+          not null default 'submitted',
+        add column status_feedback varchar(1000) null default null,
+        add key idx_projects_status (status)
+    `);
+
+    await db.query(`
+      create table project_status_history (
+        id int not null auto_increment primary key,
+        project_id int not null,
+        from_status varchar(20) null,
+        to_status varchar(20) not null,
+        feedback varchar(1000) null,
+        changed_by int null,
+        created_at timestamp not null default current_timestamp,
+        constraint fk_status_history_project
+          foreign key (project_id) references projects (id) on delete cascade,
+        constraint fk_status_history_user
+          foreign key (changed_by) references users (id) on delete set null
+      ) default charset = utf8mb4
+    `);
+  },
+
+  async down(db) {
+    await db.query("drop table if exists project_status_history");
+    await db.query(`
+      alter table projects
+        drop key idx_projects_status,
+        drop column status,
+        drop column status_feedback
+    `);
+  },
+};
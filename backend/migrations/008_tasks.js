@@ -0,0 +1,26 @@
+// 008_tasks.js
+// tasks inside a project, assigned to one team member by student id
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      create table tasks (
+        id int not null auto_increment primary key,
+        project_id int not null,
+        title varchar(100) not null,
+        assignee_id char(7) not null,
+        due_date date null,
+        status enum('todo', 'in_progress', 'done') not null default 'todo',
+        created_at timestamp not null default current_timestamp,
+        updated_at timestamp not null default current_timestamp on update current_timestamp,
+        constraint fk_tasks_project
+          foreign key (project_id) references projects (id) on delete cascade,
+        key idx_tasks_assignee (assignee_id, status)
+      ) default charset = utf8mb4
+    `);
+  },
+
+  async down(db) {
+    await db.query("drop table if exists tasks");
+  },
+};
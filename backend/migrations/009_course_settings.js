@@ -0,0 +1,22 @@
+// 009_course_settings.js
+// per-course options an instructor can change (so far: whether a new idea
+// may reuse the title of another idea in the same course)
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      create table course_settings (
+        course_code varchar(20) not null primary key,
+        block_duplicate_titles tinyint(1) not null default 0,
+        updated_by int null,
+        updated_at timestamp not null default current_timestamp on update current_timestamp,
+        constraint fk_course_settings_user
+          foreign key (updated_by) references users (id) on delete set null
+      ) default charset = utf8mb4
+    `);
+  },
+
+  async down(db) {
+    await db.query("drop table if exists course_settings");
+  },
+};
@@ -0,0 +1,64 @@
+// 010_courses.js
+// the courses teams can submit to: code, title, section, instructor, team
+// size limits and the submission window (null = no limit on that side).
+//
+// existing course codes were free text, so "ccsw 321" and "CCSW321" were two
+// courses. they are written the same way first (upper case, no spaces), then
+// every code in use gets a course row the instructor can fill in later.
+// (the rename is not undone by down)
+
+const { FORM_SCHEMAS } = require("../../js/validation");
+
+const { min: TEAM_MIN, max: TEAM_MAX } = FORM_SCHEMAS.project.teamSize;
+
+function seededMaxTeamSize(biggest) {
+  return Math.min(TEAM_MAX, Math.max(TEAM_MIN, Number(biggest) || TEAM_MIN));
+}
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      create table courses (
+        id int not null auto_increment primary key,
+        code varchar(20) not null,
+        title varchar(100) not null,
+        section varchar(10) not null default '',
+        instructor_id int null,
+        min_team_size tinyint not null default 1,
+        max_team_size tinyint not null default 5,
+        opens_at datetime null,
+        closes_at datetime null,
+        created_at timestamp not null default current_timestamp,
+        unique key uq_courses_code (code),
+        constraint fk_courses_instructor
+          foreign key (instructor_id) references users (id) on delete set null
+      ) default charset = utf8mb4
+    `);
+
+    await db.query(
+      "update projects set course_code = upper(replace(course_code, ' ', ''))"
+    );
+    // ignore: keeps the first settings row if two spellings had one each
+    await db.query(
+      "update ignore course_settings set course_code = upper(replace(course_code, ' ', ''))"
+    );
+
+    // old courses allow their biggest team, kept inside the team sizes the
+    // idea form and the course rules accept (a bigger old team stays as it
+    // is, only new ideas and edits are held to the limit)
+    const [courses] = await db.query(
+      "select course_code, max(team_size) as biggest from projects group by course_code"
+    );
+    for (const c of courses) {
+      await db.query("insert into courses (code, title, max_team_size) values (?, ?, ?)", [
+        c.course_code,
+        c.course_code,
+        seededMaxTeamSize(c.biggest),
+      ]);
+    }
+  },
+
+  async down(db) {
+    await db.query("drop table if exists courses");
+  },
+};
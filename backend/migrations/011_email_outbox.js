@@ -0,0 +1,30 @@
+// 011_email_outbox.js
+// outgoing emails, written when something happens (idea submitted, status
+// changed, contact reply) and sent by mailer.js in the background. a failed
+// send stays "pending" with a later next_attempt_at until max attempts,
+// then it is "failed" with the last error kept for the instructor.
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      create table email_outbox (
+        id int not null auto_increment primary key,
+        template varchar(40) not null,
+        to_address varchar(255) not null,
+        subject varchar(255) not null,
+        body_text text not null,
+        status enum('pending', 'sent', 'failed') not null default 'pending',
+        attempts tinyint not null default 0,
+        next_attempt_at datetime not null default current_timestamp,
+        last_error varchar(500) null,
+        created_at timestamp not null default current_timestamp,
+        sent_at datetime null,
+        key idx_email_outbox_due (status, next_attempt_at)
+      ) default charset = utf8mb4
+    `);
+  },
+
+  async down(db) {
+    await db.query("drop table if exists email_outbox");
+  },
+};
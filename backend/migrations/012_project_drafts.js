@@ -0,0 +1,20 @@
+// 012_project_drafts.js
+// a half-filled idea form kept under the representative's student id, so a
+// team can start on one device and finish on another. one draft per rep;
+// the form answers are stored as json and dropped once the idea is submitted.
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      create table project_drafts (
+        rep_id varchar(7) not null primary key,
+        draft text not null,
+        updated_at timestamp not null default current_timestamp on update current_timestamp
+      ) default charset = utf8mb4
+    `);
+  },
+
+  async down(db) {
+    await db.query("drop table if exists project_drafts");
+  },
+};
@@ -0,0 +1,28 @@
+// 013_course_rosters.js
+// the class list of each course, imported by the instructor from a csv file
+// (see rosters.js). one row per enrolled student; importing a course again
+// replaces its list. the dashboard compares it with the teams to find the
+// students who have not joined one yet.
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      create table course_rosters (
+        id int not null auto_increment primary key,
+        course_code varchar(20) not null,
+        student_id varchar(7) not null,
+        full_name varchar(100) not null,
+        email varchar(120) null,
+        created_at timestamp not null default current_timestamp,
+        unique key uq_course_rosters_student (course_code, student_id),
+        constraint fk_course_rosters_course
+          foreign key (course_code) references courses (code)
+          on update cascade on delete cascade
+      ) default charset = utf8mb4
+    `);
+  },
+
+  async down(db) {
+    await db.query("drop table if exists course_rosters");
+  },
+};
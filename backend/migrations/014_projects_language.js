@@ -0,0 +1,17 @@
+// 014_projects_language.js
+// the language the team used the site in when it submitted the idea (en or
+// ar, from Accept-Language), so the emails about the idea that come later
+// (status changes, the instructor's notice) are written in it too.
+// ideas from before this were all sent in english.
+
+module.exports = {
+  async up(db) {
+    await db.query(
+      "alter table projects add column language varchar(2) not null default 'en' after tools"
+    );
+  },
+
+  async down(db) {
+    await db.query("alter table projects drop column language");
+  },
+};
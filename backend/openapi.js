@@ -0,0 +1,1243 @@
+// openapi.js
+// the api described as an OpenAPI 3 document, served by server.js at
+// GET /api/openapi.json and shown as a browsable page by api-docs.html
+//
+// the bodies of the shared forms (contact, project, my work) are built from
+// FORM_SCHEMAS in js/validation.js, the same rules the routes check, so
+// their limits, patterns and choices can't drift. the other routes are
+// written out here; tests/openapi.test.js compares every path + method
+// with the routes express really has, and checks live answers against the
+// response schemas.
+
+const { FORM_SCHEMAS } = require("../js/validation");
+const { ERROR_CODES } = require("./errors");
+const { STATUSES } = require("./review");
+const { EXPORT_FORMATS } = require("./export");
+const { FORM_COOKIE, HONEYPOT_FIELD } = require("./abuse");
+const { ROLES, STAFF_ROLES } = require("./auth");
+const { draftFieldMax } = require("./drafts");
+const { STATS_INTERVALS, TOOLS_DEFAULT_LIMIT, TOOLS_MAX_LIMIT } = require("./stats");
+const { version } = require("../package.json");
+
+const STUDENT_ID = { type: "string", pattern: "^\\d{7}$", example: "2310123" };
+const COURSE_CODE = { type: "string", pattern: "^[A-Za-z]{2,}\\d{2,}$", example: "CCSW321" };
+const TIMESTAMP = { type: "string", format: "date-time" };
+const TASK_STATUSES = ["todo", "in_progress", "done"];
+const MESSAGE_STATES = ["inbox", "unread", "read", "replied", "archived", "all"];
+const { min: TEAM_MIN, max: TEAM_MAX } = FORM_SCHEMAS.project.teamSize;
+
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+function nullable(schema) {
+  return { ...schema, nullable: true };
+}
+
+function object(properties, required = Object.keys(properties)) {
+  return { type: "object", required, properties };
+}
+
+// ------------------------------------------------------
+// shared form schemas → json schemas
+// ------------------------------------------------------
+
+// one field rule of FORM_SCHEMAS (see the key list in js/validation.js)
+function schemaFromRule(rule) {
+  if (rule.items) {
+    return {
+      type: "array",
+      maxItems: rule.max,
+      items: schemaFromForm(rule.items),
+      description: rule.message,
+    };
+  }
+
+  if (rule.type === "int") {
+    return { type: "integer", minimum: rule.min, maximum: rule.max, description: rule.message };
+  }
+
+  if (rule.type === "date") {
+    return { type: "string", format: "date", description: rule.message };
+  }
+
+  const schema = { type: "string" };
+  if (rule.min !== undefined) schema.minLength = rule.min;
+  if (rule.max !== undefined) schema.maxLength = rule.max;
+  if (rule.pattern) schema.pattern = rule.pattern;
+  if (rule.oneOf) schema.enum = rule.oneOf;
+  schema.description = rule.message;
+  return schema;
+}
+
+// a whole schema → object with the fields that have a `required` message
+function schemaFromForm(schema) {
+  const properties = {};
+  Object.entries(schema).forEach(([path, rule]) => (properties[path] = schemaFromRule(rule)));
+  return object(
+    properties,
+    Object.keys(schema).filter((path) => schema[path].required)
+  );
+}
+
+// a half-filled form: every field optional and kept as typed (drafts.js)
+function draftFromForm(schema) {
+  const properties = {};
+  Object.entries(schema).forEach(([path, rule]) => {
+    properties[path] = rule.items
+      ? { type: "array", maxItems: rule.max, items: draftFromForm(rule.items) }
+      : { type: "string", maxLength: draftFieldMax(rule) };
+  });
+  return object(properties, []);
+}
+
+// [{ key, count }] of the dashboard numbers, biggest first
+function counts(key, description) {
+  return {
+    type: "array",
+    items: object({ key, count: { type: "integer" } }),
+    description,
+  };
+}
+
+// ------------------------------------------------------
+// answers
+// ------------------------------------------------------
+
+function json(schema) {
+  return { "application/json": { schema } };
+}
+
+// 200 answer: { status: "ok", …properties } (all of them required unless
+// the list says otherwise)
+function ok(description, properties = {}, required = Object.keys(properties)) {
+  return {
+    description,
+    content: json(
+      object({ status: { type: "string", enum: ["ok"] }, ...properties }, ["status", ...required])
+    ),
+  };
+}
+
+// what each error status means here (the codes come from errors.js)
+const ERROR_DESCRIPTIONS = {
+  400: "invalid input: code validation_failed with one entry per field, or a msg only",
+  401: "not logged in",
+  403: "no access (wrong role or edit token), or a refused form post (code form_expired)",
+  404: "not found",
+  409: "clashes with saved data (students in another team, a taken title, …)",
+  413: "the body is too large",
+  415: "this type of content is not accepted here",
+  429: "too many posts, try again after retryAfter seconds",
+  500: "database error",
+};
+
+// { 400: { $ref }, 404: { $ref }, … } for the operation's responses
+function errors(...statuses) {
+  return Object.fromEntries(
+    statuses.map((status) => [status, { $ref: `#/components/responses/Error${status}` }])
+  );
+}
+
+const MSG = { type: "string", description: "for people, in the language asked for" };
+
+// ------------------------------------------------------
+// parameters
+// ------------------------------------------------------
+
+function pathParam(name, schema, description) {
+  return { name, in: "path", required: true, schema, description };
+}
+
+function query(name, schema, description) {
+  return { name, in: "query", required: false, schema, description };
+}
+
+const PROJECT_ID = pathParam("id", { type: "integer", minimum: 1 }, "project id");
+const MESSAGE_ID = pathParam("id", { type: "integer", minimum: 1 }, "message id");
+const COURSE_PATH = pathParam("code", COURSE_CODE, "course code");
+const REP_ID = pathParam("repId", STUDENT_ID, "the representative's student id");
+
+// "course" and "type" still work for older links and bookmarks
+function alias(name, of) {
+  return { ...of, name, deprecated: true, description: `older name of ${of.name}` };
+}
+
+const COURSE_FILTER = query("course_code", { type: "string", maxLength: 20 }, "course code");
+const TYPE_FILTER = query("project_type", { type: "string", enum: ["group", "solo"] });
+
+const PROJECT_FILTERS = [
+  COURSE_FILTER,
+  alias("course", COURSE_FILTER),
+  query("category", { type: "string", maxLength: 30 }, "major / track"),
+  TYPE_FILTER,
+  alias("type", TYPE_FILTER),
+  query("status", { type: "string", enum: STATUSES }),
+  query(
+    "withdrawn",
+    { type: "string", enum: ["true", "false"], default: "false" },
+    "instructors only: the withdrawn ideas instead of the live ones"
+  ),
+  query("q", { type: "string", maxLength: 100 }, "words in the title, description or tools"),
+  query("sort", {
+    type: "string",
+    enum: [
+      "id",
+      "status",
+      "team_name",
+      "team_size",
+      "course_code",
+      "category",
+      "project_type",
+      "project_name",
+      "rep_name",
+    ],
+    default: "id",
+  }),
+  query("dir", { type: "string", enum: ["asc", "desc"], default: "desc" }),
+];
+
+function paging(maxLimit) {
+  return [
+    query("page", { type: "integer", minimum: 1, default: 1 }),
+    query("limit", { type: "integer", minimum: 1, maximum: maxLimit, default: 20 }),
+  ];
+}
+
+const PAGE_INFO = {
+  total: { type: "integer" },
+  page: { type: "integer" },
+  limit: { type: "integer" },
+  pages: { type: "integer" },
+};
+
+// ------------------------------------------------------
+// who may call an operation
+// ------------------------------------------------------
+
+const LOGIN = [{ session: [] }, { bearer: [] }];
+const FORM_TOKEN = [{ formToken: [] }];
+const EDIT_TOKEN = [{ editToken: [] }];
+// staff, the team (edit token) or a logged-in member of the team
+const TEAM = [...LOGIN, ...EDIT_TOKEN];
+// instructors only: logged in with one of these roles
+const STAFF = { security: LOGIN, "x-roles": STAFF_ROLES };
+
+// ------------------------------------------------------
+// components
+// ------------------------------------------------------
+
+const schemas = {
+  FieldError: object({ path: { type: "string" }, msg: MSG }),
+
+  ErrorEnvelope: object(
+    {
+      status: { type: "string", enum: ["error"] },
+      code: {
+        type: "string",
+        description:
+          "what went wrong, for code: one per http status " +
+          `(${Object.values(ERROR_CODES).join(", ")}) or a more precise one ` +
+          "(validation_failed, invalid_json, form_expired, too_quick, spam_suspected)",
+      },
+      msg: MSG,
+      errors: { type: "array", items: ref("FieldError") },
+      fields: {
+        type: "object",
+        additionalProperties: { type: "string" },
+        description: "first msg of each field",
+      },
+      retryAfter: { type: "integer", description: "seconds, on 429 answers" },
+    },
+    ["status", "code", "msg", "errors", "fields"]
+  ),
+
+  User: object({
+    id: { type: "integer" },
+    full_name: { type: "string" },
+    email: { type: "string" },
+    student_id: nullable({ type: "string" }),
+    role: { type: "string", enum: ROLES },
+  }),
+
+  SessionUser: object({
+    id: { type: "integer" },
+    full_name: { type: "string" },
+    role: { type: "string", enum: ROLES },
+  }),
+
+  ContactForm: {
+    ...schemaFromForm(FORM_SCHEMAS.contact),
+    description: `the contact-us form; "${HONEYPOT_FIELD}" must stay empty`,
+  },
+
+  ProjectForm: {
+    ...schemaFromForm(FORM_SCHEMAS.project),
+    description:
+      "the idea form; members are the other students (teamSize - 1 of them, " +
+      "the representative is not in the list) and no student id may repeat",
+  },
+
+  Draft: {
+    ...draftFromForm(FORM_SCHEMAS.project),
+    description: "the idea form as far as it is filled in, every field as text",
+  },
+
+  Stats: object({
+    course: nullable({ type: "string", description: "the course filter, if any" }),
+    total: { type: "integer", description: "live ideas" },
+    byCourse: counts({ type: "string" }, "ideas per course code"),
+    byCategory: counts({ type: "string" }, "ideas per major / track"),
+    byProjectType: counts({ type: "string", enum: ["group", "solo"] }, "group or solo"),
+    byTeamSize: counts({ type: "integer" }, "ideas per team size, smallest first"),
+    byStatus: counts({ type: "string", enum: STATUSES }, "ideas per review status"),
+    overTime: object({
+      interval: { type: "string", enum: STATS_INTERVALS },
+      points: {
+        type: "array",
+        description: "first to last submission, periods without one included as 0",
+        items: object({
+          period: {
+            type: "string",
+            description: "day or first day of the week: 2025-03-03, month: 2025-03",
+          },
+          count: { type: "integer" },
+        }),
+      },
+    }),
+    tools: {
+      type: "array",
+      description: "tools named in the most ideas (split from the free-text tools field)",
+      items: object({ tool: { type: "string" }, count: { type: "integer" } }),
+    },
+    roster: nullable({
+      ...object({
+        students: { type: "integer", description: "students on the class list(s)" },
+        withoutTeam: {
+          type: "array",
+          description: "students of a class list in no live team of that course",
+          items: object({
+            course_code: { type: "string" },
+            student_id: STUDENT_ID,
+            full_name: { type: "string" },
+            email: { type: "string" },
+          }),
+        },
+      }),
+      description: "null while no class list is imported (for the course)",
+    }),
+  }),
+
+  Member: object({ name: { type: "string" }, student_id: STUDENT_ID }, ["name"]),
+
+  Project: {
+    ...object(
+      {
+        id: { type: "integer" },
+        team_name: { type: "string" },
+        team_size: { type: "integer" },
+        course_code: { type: "string" },
+        category: { type: "string" },
+        project_type: { type: "string", enum: ["group", "solo"] },
+        project_name: { type: "string" },
+        rep_name: { type: "string" },
+        rep_id: STUDENT_ID,
+        rep_email: { type: "string" },
+        description: { type: "string" },
+        tools: nullable({ type: "string" }),
+        language: {
+          type: "string",
+          enum: ["en", "ar"],
+          description: "the team's emails are written in it (the language the idea was sent in)",
+        },
+        created_at: TIMESTAMP,
+        status: { type: "string", enum: STATUSES },
+        status_feedback: nullable({ type: "string" }),
+        deleted_at: { ...nullable(TIMESTAMP), description: "when the team withdrew it" },
+        members: { type: "array", items: ref("Member") },
+      },
+      [
+        "id",
+        "team_name",
+        "team_size",
+        "course_code",
+        "category",
+        "project_type",
+        "project_name",
+        "rep_name",
+        "description",
+        "status",
+        "members",
+      ]
+    ),
+    description:
+      "rep_id, rep_email, status_feedback and the members' student ids are " +
+      "only sent to instructors (and the team itself on GET /api/projects/{id})",
+  },
+
+  StatusChange: object({
+    from_status: nullable({ type: "string", enum: STATUSES }),
+    to_status: { type: "string", enum: STATUSES },
+    feedback: nullable({ type: "string" }),
+    created_at: TIMESTAMP,
+    changed_by: nullable({ type: "string" }),
+  }),
+
+  ProjectDetail: {
+    allOf: [
+      ref("Project"),
+      object(
+        {
+          can_review: { type: "boolean" },
+          history: {
+            type: "array",
+            items: ref("StatusChange"),
+            description: "the team and instructors only",
+          },
+        },
+        ["can_review"]
+      ),
+    ],
+  },
+
+  SimilarIdea: object({
+    id: { type: "integer" },
+    team_name: { type: "string" },
+    project_name: { type: "string" },
+    score: { type: "number", minimum: 0, maximum: 1 },
+    same_title: { type: "boolean" },
+  }),
+
+  ImportRow: object(
+    {
+      row: { type: "integer", description: "line of the csv file" },
+      teamName: nullable({ type: "string" }),
+      courseCode: nullable({ type: "string" }),
+      projectName: nullable({ type: "string" }),
+      teamSize: nullable({ type: "string" }),
+      errors: { type: "array", items: ref("FieldError") },
+    },
+    ["row", "errors"]
+  ),
+
+  RosterRow: object(
+    {
+      row: { type: "integer", description: "line of the csv file" },
+      courseCode: { type: "string" },
+      studentId: { type: "string" },
+      fullName: { type: "string" },
+      email: { type: "string" },
+      errors: { type: "array", items: ref("FieldError") },
+    },
+    ["row", "errors"]
+  ),
+
+  RosterCount: object({
+    code: COURSE_CODE,
+    students: { type: "integer", description: "students on the list" },
+  }),
+
+  RosterStudent: object({
+    student_id: STUDENT_ID,
+    full_name: { type: "string" },
+    email: nullable({ type: "string" }),
+  }),
+
+  Course: object({
+    code: COURSE_CODE,
+    title: { type: "string" },
+    section: nullable({ type: "string" }),
+    instructor: nullable({ type: "string" }),
+    minTeamSize: { type: "integer" },
+    maxTeamSize: { type: "integer" },
+    opensAt: nullable(TIMESTAMP),
+    closesAt: nullable(TIMESTAMP),
+    window: { type: "string", enum: ["open", "not_open_yet", "closed"] },
+  }),
+
+  CourseBody: object(
+    {
+      title: { type: "string", maxLength: 100 },
+      section: { type: "string", maxLength: 10 },
+      instructorEmail: {
+        type: "string",
+        format: "email",
+        description: "an instructor account (default: you)",
+      },
+      minTeamSize: { type: "integer", minimum: TEAM_MIN, maximum: TEAM_MAX },
+      maxTeamSize: {
+        type: "integer",
+        minimum: TEAM_MIN,
+        maximum: TEAM_MAX,
+        description: "not smaller than minTeamSize",
+      },
+      opensAt: nullable({ ...TIMESTAMP, description: "no limit when null" }),
+      closesAt: nullable({ ...TIMESTAMP, description: "after opensAt, no limit when null" }),
+    },
+    ["title", "minTeamSize", "maxTeamSize"]
+  ),
+
+  Task: object(
+    {
+      title: { type: "string", minLength: 3, maxLength: 100 },
+      assignee: { ...STUDENT_ID, description: "student id of a member of the team" },
+      dueDate: { type: "string", format: "date" },
+      status: { type: "string", enum: TASK_STATUSES, default: "todo" },
+    },
+    ["title", "assignee"]
+  ),
+
+  StudentProject: object({
+    id: { type: "integer" },
+    project_name: { type: "string" },
+    team_name: { type: "string" },
+    course_code: { type: "string" },
+    status: { type: "string", enum: STATUSES },
+    is_rep: { type: "boolean" },
+  }),
+
+  StudentTask: object({
+    id: { type: "integer" },
+    project_id: { type: "integer" },
+    project_name: { type: "string" },
+    title: { type: "string" },
+    status: { type: "string", enum: TASK_STATUSES },
+    due_date: nullable({ type: "string", format: "date" }),
+    overdue: { type: "boolean" },
+  }),
+
+  MessageSummary: object({
+    id: { type: "integer" },
+    first_name: { type: "string" },
+    last_name: { type: "string" },
+    email: { type: "string" },
+    language: { type: "string", enum: ["en", "ar", "both"] },
+    preview: { type: "string", description: "first 120 characters" },
+    created_at: TIMESTAMP,
+    read_at: nullable(TIMESTAMP),
+    replied_at: nullable(TIMESTAMP),
+    archived_at: nullable(TIMESTAMP),
+  }),
+
+  Note: object({
+    id: { type: "integer" },
+    note: { type: "string" },
+    author: nullable({ type: "string" }),
+    created_at: TIMESTAMP,
+  }),
+
+  Message: object(
+    {
+      id: { type: "integer" },
+      first_name: { type: "string" },
+      last_name: { type: "string" },
+      gender: { type: "string" },
+      mobile: { type: "string" },
+      dob: { type: "string" },
+      email: { type: "string" },
+      language: { type: "string", enum: ["en", "ar", "both"] },
+      message: { type: "string" },
+      created_at: TIMESTAMP,
+      read_at: nullable(TIMESTAMP),
+      replied_at: nullable(TIMESTAMP),
+      archived_at: nullable(TIMESTAMP),
+      notes: { type: "array", items: ref("Note") },
+    },
+    ["id", "first_name", "last_name", "email", "language", "message", "created_at", "notes"]
+  ),
+};
+
+const responses = Object.fromEntries(
+  Object.keys(ERROR_CODES).map((status) => [
+    `Error${status}`,
+    { description: ERROR_DESCRIPTIONS[status], content: json(ref("ErrorEnvelope")) },
+  ])
+);
+
+const securitySchemes = {
+  session: {
+    type: "apiKey",
+    in: "cookie",
+    name: "cm_session",
+    description: "set by POST /api/auth/login",
+  },
+  bearer: {
+    type: "http",
+    scheme: "bearer",
+    description: "the same session token, for scripts",
+  },
+  formToken: {
+    type: "apiKey",
+    in: "header",
+    name: "x-csrf-token",
+    description:
+      `from GET /api/form-token, together with its ${FORM_COOKIE} cookie ` +
+      "(or csrfToken in the body)",
+  },
+  editToken: {
+    type: "apiKey",
+    in: "header",
+    name: "x-edit-token",
+    description: "given once when the idea is saved (or editToken in the body)",
+  },
+};
+
+// ------------------------------------------------------
+// paths
+// ------------------------------------------------------
+
+function body(schema, description) {
+  return { required: true, description, content: json(schema) };
+}
+
+const csvBody = {
+  required: true,
+  description: "the csv file, see import-projects.html for its columns (at most 2 MB)",
+  content: { "text/csv": { schema: { type: "string" } } },
+};
+
+const paths = {
+  "/api/openapi.json": {
+    get: {
+      tags: ["docs"],
+      summary: "This document",
+      responses: { 200: { description: "OpenAPI 3 document", content: json({ type: "object" }) } },
+    },
+  },
+
+  // auth
+  "/api/auth/register": {
+    post: {
+      tags: ["auth"],
+      summary: "Create a student account and log in",
+      requestBody: body(
+        object({
+          fullName: { type: "string", minLength: 3, maxLength: 60 },
+          email: { type: "string", format: "email" },
+          studentId: STUDENT_ID,
+          password: { type: "string", minLength: 8, maxLength: 100 },
+        })
+      ),
+      responses: {
+        200: ok("account created, session cookie set", { msg: MSG, user: ref("SessionUser") }),
+        ...errors(400, 409, 500),
+      },
+    },
+  },
+  "/api/auth/login": {
+    post: {
+      tags: ["auth"],
+      summary: "Log in",
+      requestBody: body(
+        object({ email: { type: "string", format: "email" }, password: { type: "string" } })
+      ),
+      responses: {
+        200: ok("session cookie set", { msg: MSG, user: ref("SessionUser") }),
+        ...errors(400, 401, 500),
+      },
+    },
+  },
+  "/api/auth/logout": {
+    post: {
+      tags: ["auth"],
+      summary: "Log out",
+      responses: { 200: ok("session ended", { msg: MSG }) },
+    },
+  },
+  "/api/auth/me": {
+    get: {
+      tags: ["auth"],
+      summary: "Who is logged in",
+      responses: {
+        // (a $ref can't carry nullable itself, so it goes through allOf)
+        200: ok("user is null for visitors", { user: nullable({ allOf: [ref("User")] }) }),
+      },
+    },
+  },
+
+  // public forms
+  "/api/form-token": {
+    get: {
+      tags: ["forms"],
+      summary: "Token for one contact or idea form post",
+      description: `sets the ${FORM_COOKIE} cookie the token belongs to`,
+      responses: { 200: ok("a fresh token", { token: { type: "string" } }) },
+    },
+  },
+  "/api/contact": {
+    post: {
+      tags: ["forms"],
+      summary: "Send a message to the instructors",
+      security: FORM_TOKEN,
+      requestBody: body(ref("ContactForm")),
+      responses: {
+        200: ok("message saved", { msg: MSG }),
+        ...errors(400, 403, 429, 500),
+      },
+    },
+  },
+  "/api/project": {
+    post: {
+      tags: ["projects"],
+      summary: "Submit a team project idea",
+      description:
+        "the course must exist, be open for submissions and allow the team size; " +
+        "the edit token is only given here, once",
+      security: FORM_TOKEN,
+      requestBody: body(ref("ProjectForm")),
+      responses: {
+        200: ok("idea saved", {
+          msg: MSG,
+          id: { type: "integer" },
+          editToken: { type: "string" },
+          editUrl: { type: "string" },
+          similar: {
+            type: "array",
+            items: ref("SimilarIdea"),
+            description: "closest ideas of the course (warning only)",
+          },
+        }),
+        ...errors(400, 403, 409, 429, 500),
+      },
+    },
+  },
+
+  // projects
+  "/api/projects": {
+    get: {
+      tags: ["projects"],
+      summary: "List projects",
+      description:
+        "withdrawn ideas are left out; instructors list them with withdrawn=true " +
+        "(to restore one)",
+      parameters: [...PROJECT_FILTERS, ...paging(100)],
+      responses: {
+        200: ok("one page of projects", {
+          data: { type: "array", items: ref("Project") },
+          ...PAGE_INFO,
+        }),
+        ...errors(400, 403, 500),
+      },
+    },
+  },
+  "/api/projects/similar": {
+    get: {
+      tags: ["projects"],
+      summary: "Ideas of a course that look like a new one",
+      parameters: [
+        { ...query("course", { type: "string", maxLength: 20 }), required: true },
+        { ...query("title", { type: "string", maxLength: 60 }), required: true },
+        query("description", { type: "string", maxLength: 400 }),
+      ],
+      responses: {
+        200: ok("closest ideas first", {
+          data: { type: "array", items: ref("SimilarIdea") },
+          blockDuplicateTitles: { type: "boolean" },
+        }),
+        ...errors(400, 500),
+      },
+    },
+  },
+  "/api/projects/export": {
+    get: {
+      tags: ["projects"],
+      summary: "Download the filtered list as a spreadsheet",
+      ...STAFF,
+      parameters: [
+        ...PROJECT_FILTERS,
+        query("format", { type: "string", enum: EXPORT_FORMATS, default: "csv" }),
+      ],
+      responses: {
+        200: {
+          description: "every matching project, as an attachment",
+          content: {
+            "text/csv": { schema: { type: "string" } },
+            "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": {
+              schema: { type: "string", format: "binary" },
+            },
+          },
+        },
+        ...errors(400, 401, 403, 500),
+      },
+    },
+  },
+  "/api/stats": {
+    get: {
+      tags: ["stats"],
+      summary: "Counts behind the instructor dashboard",
+      ...STAFF,
+      parameters: [
+        query("course", { type: "string", maxLength: 20 }, "only this course"),
+        query("interval", { type: "string", enum: STATS_INTERVALS, default: "day" }),
+        query(
+          "tools",
+          { type: "integer", minimum: 1, maximum: TOOLS_MAX_LIMIT, default: TOOLS_DEFAULT_LIMIT },
+          "how many tools to list"
+        ),
+      ],
+      responses: {
+        200: {
+          description: "the counts",
+          content: json({
+            allOf: [object({ status: { type: "string", enum: ["ok"] } }), ref("Stats")],
+          }),
+        },
+        ...errors(400, 401, 403, 500),
+      },
+    },
+  },
+  "/api/projects/import/preview": {
+    post: {
+      tags: ["import"],
+      summary: "Check a csv file of teams, saves nothing",
+      ...STAFF,
+      requestBody: csvBody,
+      responses: {
+        200: ok("every row with its problems", {
+          total: { type: "integer" },
+          valid: { type: "integer" },
+          invalid: { type: "integer" },
+          rows: { type: "array", items: ref("ImportRow") },
+        }),
+        ...errors(400, 401, 403, 413, 500),
+      },
+    },
+  },
+  "/api/projects/import": {
+    post: {
+      tags: ["import"],
+      summary: "Save the rows of a csv file that have no problems",
+      description: "all in one go: a clash with a team saved meanwhile imports nothing",
+      ...STAFF,
+      requestBody: csvBody,
+      responses: {
+        200: ok("rows saved", {
+          msg: MSG,
+          imported: {
+            type: "array",
+            items: object({
+              row: { type: "integer" },
+              id: { type: "integer" },
+              teamName: { type: "string" },
+              editUrl: { type: "string" },
+            }),
+          },
+        }),
+        ...errors(400, 401, 403, 409, 413, 500),
+      },
+    },
+  },
+  "/api/rosters/import/preview": {
+    post: {
+      tags: ["import"],
+      summary: "Check a csv file of enrolled students, saves nothing",
+      ...STAFF,
+      requestBody: csvBody,
+      responses: {
+        200: ok("every row with its problems", {
+          total: { type: "integer" },
+          valid: { type: "integer" },
+          invalid: { type: "integer" },
+          courses: { type: "array", items: ref("RosterCount") },
+          rows: { type: "array", items: ref("RosterRow") },
+        }),
+        ...errors(400, 401, 403, 413, 500),
+      },
+    },
+  },
+  "/api/rosters/import": {
+    post: {
+      tags: ["import"],
+      summary: "Replace the class list of every course in a csv file",
+      description: "the rows without problems, all courses in one go",
+      ...STAFF,
+      requestBody: csvBody,
+      responses: {
+        200: ok("lists saved", {
+          msg: MSG,
+          courses: { type: "array", items: ref("RosterCount") },
+          skipped: { type: "array", items: ref("RosterRow") },
+        }),
+        ...errors(400, 401, 403, 413, 500),
+      },
+    },
+  },
+  "/api/rosters/{code}": {
+    get: {
+      tags: ["import"],
+      summary: "The class list of one course",
+      ...STAFF,
+      parameters: [COURSE_PATH],
+      responses: {
+        200: ok("the enrolled students, by student id", {
+          course: COURSE_CODE,
+          students: { type: "array", items: ref("RosterStudent") },
+        }),
+        ...errors(401, 403, 404, 500),
+      },
+    },
+  },
+  "/api/projects/{id}": {
+    get: {
+      tags: ["projects"],
+      summary: "One project",
+      description: "the team (edit token) and instructors get the full record + its history",
+      security: [{}, ...TEAM],
+      parameters: [PROJECT_ID],
+      responses: {
+        200: ok("the project", { data: ref("ProjectDetail") }),
+        ...errors(400, 404, 500),
+      },
+    },
+    put: {
+      tags: ["projects"],
+      summary: "Edit an idea",
+      description:
+        "an idea that needs changes goes back to submitted, and so does an approved one " +
+        "whose course, major, type, title, description or tools change",
+      security: EDIT_TOKEN,
+      parameters: [PROJECT_ID],
+      requestBody: body(ref("ProjectForm")),
+      responses: {
+        200: ok("idea saved", { msg: MSG }),
+        ...errors(400, 403, 404, 409, 500),
+      },
+    },
+    delete: {
+      tags: ["projects"],
+      summary: "Withdraw an idea",
+      description: "an instructor can restore it",
+      security: EDIT_TOKEN,
+      parameters: [PROJECT_ID],
+      responses: {
+        200: ok("idea withdrawn", { msg: MSG }),
+        ...errors(400, 403, 404, 500),
+      },
+    },
+  },
+  "/api/projects/{id}/restore": {
+    post: {
+      tags: ["review"],
+      summary: "Bring a withdrawn idea back",
+      ...STAFF,
+      parameters: [PROJECT_ID],
+      responses: {
+        200: ok("idea restored", { msg: MSG }),
+        ...errors(400, 401, 403, 404, 409, 500),
+      },
+    },
+  },
+  "/api/projects/{id}/status": {
+    post: {
+      tags: ["review"],
+      summary: "Move an idea through the review",
+      description: "the representative gets an email about it",
+      ...STAFF,
+      parameters: [PROJECT_ID],
+      requestBody: body(
+        object(
+          {
+            status: { type: "string", enum: STATUSES },
+            feedback: {
+              type: "string",
+              maxLength: 1000,
+              description: "required for needs_changes and rejected",
+            },
+          },
+          ["status"]
+        )
+      ),
+      responses: {
+        200: ok("status changed", {
+          msg: MSG,
+          data: object({
+            status: { type: "string", enum: STATUSES },
+            feedback: nullable({ type: "string" }),
+          }),
+        }),
+        ...errors(400, 401, 403, 404, 409, 500),
+      },
+    },
+  },
+
+  // idea form drafts
+  "/api/drafts/{repId}": {
+    get: {
+      tags: ["drafts"],
+      summary: "The idea form draft kept in the representative's account",
+      description: "only for the representative, logged in with this student id",
+      security: LOGIN,
+      parameters: [REP_ID],
+      responses: {
+        200: ok("the draft", { data: ref("Draft"), savedAt: TIMESTAMP }),
+        ...errors(400, 401, 403, 404, 500),
+      },
+    },
+    put: {
+      tags: ["drafts"],
+      summary: "Keep a draft of the idea form (replaces the last one)",
+      description: "deleted again once the idea is submitted",
+      security: LOGIN,
+      parameters: [REP_ID],
+      requestBody: body(ref("Draft")),
+      responses: {
+        200: ok("draft saved", { msg: MSG, savedAt: TIMESTAMP }),
+        ...errors(400, 401, 403, 500),
+      },
+    },
+    delete: {
+      tags: ["drafts"],
+      summary: "Delete the draft",
+      security: LOGIN,
+      parameters: [REP_ID],
+      responses: {
+        200: ok("draft deleted", { msg: MSG }),
+        ...errors(400, 401, 403, 500),
+      },
+    },
+  },
+
+  // tasks
+  "/api/projects/{id}/tasks": {
+    post: {
+      tags: ["tasks"],
+      summary: "Add a task to a project",
+      security: TEAM,
+      parameters: [PROJECT_ID],
+      requestBody: body(ref("Task")),
+      responses: {
+        200: ok("task saved", { msg: MSG, id: { type: "integer" } }),
+        ...errors(400, 403, 500),
+      },
+    },
+  },
+  "/api/tasks/{id}": {
+    patch: {
+      tags: ["tasks"],
+      summary: "Change a task",
+      description: "send only the fields that change",
+      security: TEAM,
+      parameters: [pathParam("id", { type: "integer", minimum: 1 }, "task id")],
+      requestBody: body({ ...ref("Task"), description: "any of the fields of a task" }),
+      responses: {
+        200: ok("task saved", { msg: MSG }),
+        ...errors(400, 403, 404, 500),
+      },
+    },
+  },
+  "/api/students/{sid}/work": {
+    get: {
+      tags: ["tasks"],
+      summary: "Projects and open tasks of one student",
+      description: "the student themself (logged in with this student id) or an instructor",
+      security: LOGIN,
+      parameters: [pathParam("sid", schemaFromRule(FORM_SCHEMAS.myWork.sid), "student id")],
+      responses: {
+        200: ok("overdue tasks first, then by due date", {
+          data: object({
+            projects: { type: "array", items: ref("StudentProject") },
+            tasks: { type: "array", items: ref("StudentTask") },
+          }),
+        }),
+        ...errors(400, 401, 403, 500),
+      },
+    },
+  },
+
+  // courses
+  "/api/courses": {
+    get: {
+      tags: ["courses"],
+      summary: "List courses",
+      responses: {
+        200: ok("every course", { data: { type: "array", items: ref("Course") } }),
+        ...errors(500),
+      },
+    },
+    post: {
+      tags: ["courses"],
+      summary: "Add a course",
+      ...STAFF,
+      requestBody: body({
+        allOf: [ref("CourseBody"), object({ code: COURSE_CODE })],
+      }),
+      responses: {
+        201: ok("course saved", { msg: MSG, data: ref("Course") }),
+        ...errors(400, 401, 403, 409, 500),
+      },
+    },
+  },
+  "/api/courses/{code}": {
+    put: {
+      tags: ["courses"],
+      summary: "Change a course",
+      description: "the code itself can't change",
+      ...STAFF,
+      parameters: [COURSE_PATH],
+      requestBody: body(ref("CourseBody")),
+      responses: {
+        200: ok("course saved", { msg: MSG, data: ref("Course") }),
+        ...errors(400, 401, 403, 404, 500),
+      },
+    },
+  },
+  "/api/courses/{code}/settings": {
+    get: {
+      tags: ["courses"],
+      summary: "Settings of a course",
+      ...STAFF,
+      parameters: [COURSE_PATH],
+      responses: {
+        200: ok("the settings", {
+          data: object({ blockDuplicateTitles: { type: "boolean" } }),
+        }),
+        ...errors(400, 401, 403, 500),
+      },
+    },
+    put: {
+      tags: ["courses"],
+      summary: "Change the settings of a course",
+      ...STAFF,
+      parameters: [COURSE_PATH],
+      requestBody: body(
+        object({
+          blockDuplicateTitles: {
+            type: "boolean",
+            description: "true: a title may only be used once in the course",
+          },
+        })
+      ),
+      responses: {
+        200: ok("settings saved", {
+          msg: MSG,
+          data: object({ blockDuplicateTitles: { type: "boolean" } }),
+        }),
+        ...errors(400, 401, 403, 404, 500),
+      },
+    },
+  },
+
+  // contact messages inbox (instructors only)
+  "/api/admin/messages/count": {
+    get: {
+      tags: ["inbox"],
+      summary: "Unread and total messages",
+      ...STAFF,
+      responses: {
+        200: ok("the counts", { total: { type: "integer" }, unread: { type: "integer" } }),
+        ...errors(401, 403, 500),
+      },
+    },
+  },
+  "/api/admin/messages": {
+    get: {
+      tags: ["inbox"],
+      summary: "List contact messages",
+      ...STAFF,
+      parameters: [
+        query("state", { type: "string", enum: MESSAGE_STATES, default: "inbox" }),
+        query("language", { type: "string", enum: ["en", "ar", "both"] }),
+        query("from", { type: "string", format: "date" }),
+        query("to", { type: "string", format: "date" }, "inclusive"),
+        ...paging(100),
+      ],
+      responses: {
+        200: ok("one page of messages", {
+          data: { type: "array", items: ref("MessageSummary") },
+          ...PAGE_INFO,
+        }),
+        ...errors(400, 401, 403, 500),
+      },
+    },
+  },
+  "/api/admin/messages/{id}": {
+    get: {
+      tags: ["inbox"],
+      summary: "One message with its notes",
+      ...STAFF,
+      parameters: [MESSAGE_ID],
+      responses: {
+        200: ok("the message", { data: ref("Message") }),
+        ...errors(400, 401, 403, 404, 500),
+      },
+    },
+    patch: {
+      tags: ["inbox"],
+      summary: "Mark a message read, replied or archived (or undo)",
+      ...STAFF,
+      parameters: [MESSAGE_ID],
+      requestBody: body(
+        object(
+          {
+            read: { type: "boolean" },
+            replied: { type: "boolean" },
+            archived: { type: "boolean" },
+          },
+          []
+        ),
+        "any of the flags"
+      ),
+      responses: {
+        200: ok("message saved", { msg: MSG }),
+        ...errors(400, 401, 403, 404, 500),
+      },
+    },
+  },
+  "/api/admin/messages/{id}/notes": {
+    post: {
+      tags: ["inbox"],
+      summary: "Add an internal note",
+      ...STAFF,
+      parameters: [MESSAGE_ID],
+      requestBody: body(object({ note: { type: "string", minLength: 1, maxLength: 1000 } })),
+      responses: {
+        200: ok("note saved", { msg: MSG, data: ref("Note") }),
+        ...errors(400, 401, 403, 404, 500),
+      },
+    },
+  },
+  "/api/admin/messages/{id}/reply": {
+    post: {
+      tags: ["inbox"],
+      summary: "Answer a message by email",
+      description: "in the language the sender chose; kept as a note",
+      ...STAFF,
+      parameters: [MESSAGE_ID],
+      requestBody: body(object({ reply: { type: "string", minLength: 1, maxLength: 5000 } })),
+      responses: {
+        200: ok("reply queued", { msg: MSG }),
+        ...errors(400, 401, 403, 404, 500),
+      },
+    },
+  },
+};
+
+const openApiSpec = {
+  openapi: "3.0.3",
+  info: {
+    title: "ClassMate Idea Hub API",
+    version,
+    description:
+      "Every answer has status \"ok\" or \"error\"; errors share one shape " +
+      "(ErrorEnvelope). Messages come in English or Arabic (Accept-Language). " +
+      "Routes for instructors only list the roles allowed in x-roles.",
+  },
+  servers: [{ url: "/" }],
+  tags: [
+    { name: "auth", description: "accounts and sessions" },
+    { name: "forms", description: "public form posts" },
+    { name: "projects", description: "team project ideas" },
+    { name: "review", description: "instructors review ideas" },
+    { name: "drafts", description: "half-filled idea forms" },
+    { name: "tasks", description: "to-do items of a team" },
+    { name: "courses", description: "courses and their rules" },
+    { name: "import", description: "csv import (instructors)" },
+    { name: "stats", description: "numbers for the dashboard (instructors)" },
+    { name: "inbox", description: "contact messages (instructors)" },
+    { name: "docs", description: "this description" },
+  ],
+  paths,
+  components: { schemas, responses, securitySchemes },
+};
+
+module.exports = { openApiSpec, schemaFromForm };
@@ -0,0 +1,75 @@
+// repositories/index.js
+// the storage layer: routes talk to these repositories instead of running
+// sql themselves, so the same app runs on mysql or fully in memory.
+//
+//   projects → projects, team members, review history
+//   tasks    → project tasks
+//   contact  → contact-us messages + internal notes
+//   users    → accounts + login sessions
+//   courses  → courses (team sizes, submission window) + their settings
+//   emails   → outgoing emails waiting to be sent (see mailer.js)
+//   drafts   → half-filled idea forms, kept under the rep's student id
+//   rosters  → the class list of each course (imported from csv)
+//
+// the driver comes from config (STORAGE=mysql|memory). the mysql files are
+// only required for the mysql driver, so memory mode never opens a pool.
+
+const config = require("../config");
+
+function createRepositories(driver = config.storage.driver) {
+  if (driver === "memory") {
+    const { MemoryStore } = require("./memory/store");
+    const MemoryProjectsRepository = require("./memory/projects");
+    const MemoryTasksRepository = require("./memory/tasks");
+    const MemoryContactRepository = require("./memory/contact");
+    const MemoryUsersRepository = require("./memory/users");
+    const MemoryCoursesRepository = require("./memory/courses");
+    const MemoryEmailsRepository = require("./memory/emails");
+    const MemoryDraftsRepository = require("./memory/drafts");
+    const MemoryRostersRepository = require("./memory/rosters");
+
+    const store = new MemoryStore();
+    return {
+      driver,
+      projects: new MemoryProjectsRepository(store),
+      tasks: new MemoryTasksRepository(store),
+      contact: new MemoryContactRepository(store),
+      users: new MemoryUsersRepository(store),
+      courses: new MemoryCoursesRepository(store),
+      emails: new MemoryEmailsRepository(store),
+      drafts: new MemoryDraftsRepository(store),
+      rosters: new MemoryRostersRepository(store),
+    };
+  }
+
+  if (driver === "mysql") {
+    const MysqlProjectsRepository = require("./mysql/projects");
+    const MysqlTasksRepository = require("./mysql/tasks");
+    const MysqlContactRepository = require("./mysql/contact");
+    const MysqlUsersRepository = require("./mysql/users");
+    const MysqlCoursesRepository = require("./mysql/courses");
+    const MysqlEmailsRepository = require("./mysql/emails");
+    const MysqlDraftsRepository = require("./mysql/drafts");
+    const MysqlRostersRepository = require("./mysql/rosters");
+
+    return {
+      driver,
+      projects: new MysqlProjectsRepository(),
+      tasks: new MysqlTasksRepository(),
+      contact: new MysqlContactRepository(),
+      users: new MysqlUsersRepository(),
+      courses: new MysqlCoursesRepository(),
+      emails: new MysqlEmailsRepository(),
+      drafts: new MysqlDraftsRepository(),
+      rosters: new MysqlRostersRepository(),
+    };
+  }
+
+  throw new Error(`unknown storage driver "${driver}"`);
+}
+
+// one shared set for the whole app
+const repositories = createRepositories();
+
+module.exports = repositories;
+module.exports.createRepositories = createRepositories;
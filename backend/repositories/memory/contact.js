@@ -0,0 +1,128 @@
+// memory/contact.js
+// ContactRepository kept in a MemoryStore (same results as mysql/contact.js)
+
+const { startOfDay } = require("./store");
+
+const MESSAGE_FLAGS = {
+  read: "read_at",
+  replied: "replied_at",
+  archived: "archived_at",
+};
+
+const STATE_FILTERS = {
+  inbox: (m) => m.archived_at === null,
+  unread: (m) => m.read_at === null && m.archived_at === null,
+  read: (m) => m.read_at !== null && m.archived_at === null,
+  replied: (m) => m.replied_at !== null,
+  archived: (m) => m.archived_at !== null,
+  all: () => true,
+};
+
+class MemoryContactRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async create(message) {
+    const saved = this.store.insert("contact_messages", {
+      first_name: message.firstName,
+      last_name: message.lastName,
+      gender: message.gender,
+      mobile: message.mobile,
+      dob: message.dob,
+      email: message.email,
+      language: message.language,
+      message: message.message,
+      created_at: new Date(),
+      read_at: null,
+      replied_at: null,
+      archived_at: null,
+    });
+    return saved.id;
+  }
+
+  async counts() {
+    const messages = this.store.contact_messages;
+    return {
+      total: messages.length,
+      unread: messages.filter(STATE_FILTERS.unread).length,
+    };
+  }
+
+  async list({ state, language, from, to, page, limit }) {
+    const fromDate = from ? startOfDay(from) : null;
+    let toDate = null;
+    if (to) {
+      // "to" is inclusive: everything before the next day
+      toDate = startOfDay(to);
+      toDate.setDate(toDate.getDate() + 1);
+    }
+
+    const matches = this.store.contact_messages
+      .filter(STATE_FILTERS[state] || STATE_FILTERS.all)
+      .filter(
+        (m) =>
+          (!language || m.language === language) &&
+          (!fromDate || m.created_at >= fromDate) &&
+          (!toDate || m.created_at < toDate)
+      )
+      .sort((a, b) => b.created_at - a.created_at || b.id - a.id);
+
+    const offset = (page - 1) * limit;
+    const rows = matches.slice(offset, offset + limit).map((m) => ({
+      id: m.id,
+      first_name: m.first_name,
+      last_name: m.last_name,
+      email: m.email,
+      language: m.language,
+      preview: m.message.slice(0, 120),
+      created_at: m.created_at,
+      read_at: m.read_at,
+      replied_at: m.replied_at,
+      archived_at: m.archived_at,
+    }));
+
+    return { rows, total: matches.length };
+  }
+
+  async findById(id) {
+    const message = this.store.find("contact_messages", id);
+    if (!message) return null;
+
+    const notes = this.store.contact_message_notes
+      .filter((n) => n.message_id === message.id)
+      .map((n) => ({
+        id: n.id,
+        note: n.note,
+        created_at: n.created_at,
+        author: this.store.userName(n.author_id),
+      }));
+
+    return { ...message, notes };
+  }
+
+  async setFlags(id, flags) {
+    const message = this.store.find("contact_messages", id);
+    if (!message) return false;
+
+    Object.entries(MESSAGE_FLAGS).forEach(([flag, column]) => {
+      if (flags[flag] === true) message[column] = message[column] || new Date();
+      if (flags[flag] === false) message[column] = null;
+    });
+    return true;
+  }
+
+  async addNote(messageId, authorId, note) {
+    if (!this.store.find("contact_messages", messageId)) return null;
+
+    const saved = this.store.insert("contact_message_notes", {
+      message_id: Number(messageId),
+      author_id: authorId,
+      note,
+      created_at: new Date(),
+    });
+    return saved.id;
+  }
+}
+
+module.exports = MemoryContactRepository;
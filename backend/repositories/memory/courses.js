@@ -0,0 +1,87 @@
+// memory/courses.js
+// CoursesRepository kept in a MemoryStore (same results as mysql/courses.js)
+
+const { sameText } = require("./store");
+
+const DEFAULT_SETTINGS = { block_duplicate_titles: false };
+
+const COURSE_COLUMNS = [
+  "code",
+  "title",
+  "section",
+  "instructor_id",
+  "min_team_size",
+  "max_team_size",
+  "opens_at",
+  "closes_at",
+];
+
+class MemoryCoursesRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  // like the left join on users in mysql
+  withInstructor(course) {
+    const { created_at, ...row } = course;
+    const instructor = course.instructor_id
+      ? this.store.find("users", course.instructor_id)
+      : null;
+    return {
+      ...row,
+      instructor_name: instructor ? instructor.full_name : null,
+      instructor_email: instructor ? instructor.email : null,
+    };
+  }
+
+  async list() {
+    return [...this.store.courses]
+      .sort((a, b) => a.code.localeCompare(b.code))
+      .map((c) => this.withInstructor(c));
+  }
+
+  async findByCode(code) {
+    const course = this.store.courses.find((c) => sameText(c.code, code));
+    return course ? this.withInstructor(course) : null;
+  }
+
+  async create(course) {
+    const row = {};
+    COURSE_COLUMNS.forEach((c) => (row[c] = course[c] ?? null));
+    return this.store.insert("courses", { ...row, created_at: new Date() }).id;
+  }
+
+  async update(code, course) {
+    const row = this.store.courses.find((c) => sameText(c.code, code));
+    if (!row) return false;
+    COURSE_COLUMNS.filter((c) => c !== "code").forEach((c) => (row[c] = course[c] ?? null));
+    return true;
+  }
+
+  // course codes compare case-insensitively, like the mysql primary key
+  findSettingsRow(courseCode) {
+    return this.store.course_settings.find((s) => sameText(s.course_code, courseCode));
+  }
+
+  async settings(courseCode) {
+    const row = this.findSettingsRow(courseCode);
+    if (!row) return { ...DEFAULT_SETTINGS };
+    return { block_duplicate_titles: row.block_duplicate_titles };
+  }
+
+  async saveSettings(courseCode, settings, userId) {
+    const changes = {
+      block_duplicate_titles: Boolean(settings.blockDuplicateTitles),
+      updated_by: userId || null,
+      updated_at: new Date(),
+    };
+    const row = this.findSettingsRow(courseCode);
+    if (row) {
+      Object.assign(row, changes);
+    } else {
+      this.store.insert("course_settings", { course_code: courseCode, ...changes });
+    }
+  }
+}
+
+module.exports = MemoryCoursesRepository;
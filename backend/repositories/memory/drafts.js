@@ -0,0 +1,34 @@
+// memory/drafts.js
+// DraftsRepository kept in a MemoryStore (same results as mysql/drafts.js)
+
+class MemoryDraftsRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  findRow(repId) {
+    return this.store.project_drafts.find((d) => d.rep_id === repId);
+  }
+
+  async find(repId) {
+    const row = this.findRow(repId);
+    if (!row) return null;
+    return { draft: JSON.parse(row.draft), updated_at: row.updated_at };
+  }
+
+  async save(repId, draft) {
+    const changes = { draft: JSON.stringify(draft), updated_at: new Date() };
+    const row = this.findRow(repId);
+    if (row) {
+      Object.assign(row, changes);
+    } else {
+      this.store.insert("project_drafts", { rep_id: repId, ...changes });
+    }
+  }
+
+  async remove(repId) {
+    this.store.project_drafts = this.store.project_drafts.filter((d) => d.rep_id !== repId);
+  }
+}
+
+module.exports = MemoryDraftsRepository;
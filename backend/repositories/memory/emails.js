@@ -0,0 +1,60 @@
+// memory/emails.js
+// EmailsRepository kept in a MemoryStore (same results as mysql/emails.js)
+
+class MemoryEmailsRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async create(email) {
+    const saved = this.store.insert("email_outbox", {
+      template: email.template,
+      to_address: email.to,
+      subject: email.subject,
+      body_text: email.text,
+      status: "pending",
+      attempts: 0,
+      next_attempt_at: new Date(),
+      last_error: null,
+      created_at: new Date(),
+      sent_at: null,
+    });
+    return saved.id;
+  }
+
+  async findById(id) {
+    const email = this.store.find("email_outbox", id);
+    return email ? { ...email } : null;
+  }
+
+  async due(now, limit) {
+    return this.store.email_outbox
+      .filter((e) => e.status === "pending" && e.next_attempt_at <= now)
+      .slice(0, limit)
+      .map((e) => ({ ...e }));
+  }
+
+  async markSent(id) {
+    const email = this.store.find("email_outbox", id);
+    if (!email) return;
+    Object.assign(email, {
+      status: "sent",
+      attempts: email.attempts + 1,
+      sent_at: new Date(),
+      last_error: null,
+    });
+  }
+
+  async markAttemptFailed(id, error, nextAttemptAt) {
+    const email = this.store.find("email_outbox", id);
+    if (!email) return;
+    Object.assign(email, {
+      attempts: email.attempts + 1,
+      last_error: String(error).slice(0, 500),
+      status: nextAttemptAt ? "pending" : "failed",
+      next_attempt_at: nextAttemptAt || email.next_attempt_at,
+    });
+  }
+}
+
+module.exports = MemoryEmailsRepository;
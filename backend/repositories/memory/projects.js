@@ -0,0 +1,328 @@
+// memory/projects.js
+// ProjectsRepository kept in a MemoryStore (same results as mysql/projects.js)
+
+const { sameText } = require("./store");
+
+const PROJECT_COLUMNS = [
+  "team_name",
+  "team_size",
+  "rep_name",
+  "rep_id",
+  "rep_email",
+  "course_code",
+  "category",
+  "project_type",
+  "project_name",
+  "description",
+  "tools",
+];
+
+// written once when the idea is saved first, never by an update
+const INSERT_COLUMNS = [...PROJECT_COLUMNS, "language"];
+
+// fields returned by list()
+const LIST_COLUMNS = [
+  "id",
+  "team_name",
+  "team_size",
+  "course_code",
+  "category",
+  "project_type",
+  "project_name",
+  "rep_name",
+  "rep_id",
+  "rep_email",
+  "description",
+  "tools",
+  "created_at",
+  "status",
+  "status_feedback",
+  "deleted_at",
+];
+
+// fields returned by forStats() (counted in backend/stats.js)
+const STATS_COLUMNS = [
+  "course_code",
+  "category",
+  "project_type",
+  "team_size",
+  "status",
+  "tools",
+  "created_at",
+];
+
+function pick(row, columns) {
+  const out = {};
+  columns.forEach((c) => (out[c] = row[c] === undefined ? null : row[c]));
+  return out;
+}
+
+// numbers by value, text case-insensitively (nulls first, like mysql asc)
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  if (typeof a === "number" && typeof b === "number") return a - b;
+  return String(a).localeCompare(String(b), undefined, { sensitivity: "base" });
+}
+
+class MemoryProjectsRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  // other (non-rep) members of one project, in team order
+  membersOf(projectId) {
+    return this.store.project_members
+      .filter((m) => m.project_id === projectId && !m.is_rep)
+      .sort((a, b) => a.position - b.position)
+      .map((m) => ({ name: m.member_name, student_id: m.student_id }));
+  }
+
+  findMemberConflicts(courseCode, studentIds, excludeProjectId) {
+    const conflicts = [];
+    this.store.projects
+      .filter(
+        (p) =>
+          p.id !== excludeProjectId &&
+          p.deleted_at === null &&
+          sameText(p.course_code, courseCode)
+      )
+      .forEach((p) => {
+        this.store.project_members
+          .filter((m) => m.project_id === p.id && studentIds.includes(m.student_id))
+          .forEach((m) =>
+            conflicts.push({
+              student_id: m.student_id,
+              team_name: p.team_name,
+              project_id: p.id,
+            })
+          );
+      });
+    return conflicts;
+  }
+
+  replaceMembers(projectId, team) {
+    this.store.project_members = this.store.project_members.filter(
+      (m) => m.project_id !== projectId
+    );
+    team.forEach((m, i) =>
+      this.store.insert("project_members", {
+        project_id: projectId,
+        member_name: m.name,
+        student_id: m.studentId,
+        is_rep: Boolean(m.isRep),
+        position: i,
+      })
+    );
+  }
+
+  recordTransition(projectId, fromStatus, toStatus, feedback, changedBy) {
+    const project = this.store.find("projects", projectId);
+    project.status = toStatus;
+    project.status_feedback = feedback || null;
+
+    this.store.insert("project_status_history", {
+      project_id: projectId,
+      from_status: fromStatus,
+      to_status: toStatus,
+      feedback: feedback || null,
+      changed_by: changedBy || null,
+      created_at: new Date(),
+    });
+  }
+
+  async list({ course, category, type, status, q, withdrawn, sort, dir, page, limit }) {
+    const needle = q ? String(q).toLowerCase() : "";
+    const contains = (value) =>
+      Boolean(value) && String(value).toLowerCase().includes(needle);
+
+    const matches = this.store.projects.filter(
+      (p) =>
+        (withdrawn ? p.deleted_at !== null : p.deleted_at === null) &&
+        (!course || sameText(p.course_code, course)) &&
+        (!category || sameText(p.category, category)) &&
+        (!type || sameText(p.project_type, type)) &&
+        (!status || p.status === status) &&
+        (!needle ||
+          contains(p.project_name) ||
+          contains(p.description) ||
+          contains(p.tools))
+    );
+
+    const sign = dir === "asc" ? 1 : -1;
+    matches.sort(
+      (a, b) => sign * compareValues(a[sort], b[sort]) || b.id - a.id
+    );
+
+    const offset = (page - 1) * limit;
+    const rows = matches.slice(offset, offset + limit).map((p) => ({
+      ...pick(p, LIST_COLUMNS),
+      members: this.membersOf(p.id),
+    }));
+
+    return { rows, total: matches.length };
+  }
+
+  async findById(id, { withDeleted = false } = {}) {
+    const project = this.store.find("projects", id);
+    if (!project || (!withDeleted && project.deleted_at !== null)) return null;
+    return { ...project, members: this.membersOf(project.id) };
+  }
+
+  async listForCourse(courseCode, excludeId) {
+    return this.store.projects
+      .filter(
+        (p) =>
+          p.id !== Number(excludeId) &&
+          p.deleted_at === null &&
+          sameText(p.course_code, courseCode)
+      )
+      .map((p) => pick(p, ["id", "team_name", "project_name", "description", "status"]));
+  }
+
+  async create(project, team, editTokenHash) {
+    const conflicts = this.findMemberConflicts(
+      project.course_code,
+      team.map((m) => m.studentId)
+    );
+    if (conflicts.length > 0) return { conflicts };
+
+    const saved = this.store.insert("projects", {
+      ...pick(project, INSERT_COLUMNS),
+      created_at: new Date(),
+      status: "submitted",
+      status_feedback: null,
+      edit_token_hash: editTokenHash,
+      deleted_at: null,
+    });
+
+    this.replaceMembers(saved.id, team);
+    this.recordTransition(saved.id, null, "submitted");
+    return { id: saved.id };
+  }
+
+  async memberConflicts(courseCode, studentIds) {
+    return this.findMemberConflicts(courseCode, studentIds);
+  }
+
+  // every item is checked before the first one is saved, so a clash
+  // leaves the store as it was (like the mysql transaction)
+  async createMany(items) {
+    const planned = [];
+    for (let i = 0; i < items.length; i++) {
+      const { project, team } = items[i];
+      const studentIds = team.map((m) => m.studentId);
+      const conflicts = [
+        ...this.findMemberConflicts(project.course_code, studentIds),
+        ...planned
+          .filter((p) => sameText(p.project.course_code, project.course_code))
+          .flatMap((p) =>
+            p.team
+              .filter((m) => studentIds.includes(m.studentId))
+              .map((m) => ({ student_id: m.studentId, team_name: p.project.team_name }))
+          ),
+      ];
+      if (conflicts.length > 0) return { index: i, conflicts };
+      planned.push(items[i]);
+    }
+
+    const ids = [];
+    for (const { project, team, editTokenHash } of items) {
+      ids.push((await this.create(project, team, editTokenHash)).id);
+    }
+    return { ids };
+  }
+
+  async update(id, project, team, resubmit) {
+    const conflicts = this.findMemberConflicts(
+      project.course_code,
+      team.map((m) => m.studentId),
+      Number(id)
+    );
+    if (conflicts.length > 0) return conflicts;
+
+    const saved = this.store.find("projects", id);
+    Object.assign(saved, pick(project, PROJECT_COLUMNS));
+    this.replaceMembers(saved.id, team);
+
+    if (resubmit) {
+      this.recordTransition(
+        saved.id,
+        resubmit.from,
+        "submitted",
+        resubmit.feedback
+      );
+    }
+    return [];
+  }
+
+  async withdraw(id) {
+    const project = this.store.find("projects", id);
+    if (project) project.deleted_at = new Date();
+  }
+
+  async restore(id) {
+    const project = this.store.find("projects", id);
+    if (!project || project.deleted_at === null) return null;
+
+    const studentIds = this.store.project_members
+      .filter((m) => m.project_id === project.id)
+      .map((m) => m.student_id);
+    const conflicts = this.findMemberConflicts(
+      project.course_code,
+      studentIds,
+      project.id
+    );
+    if (conflicts.length > 0) return conflicts;
+
+    project.deleted_at = null;
+    return [];
+  }
+
+  async changeStatus(id, fromStatus, toStatus, feedback, changedBy) {
+    this.recordTransition(Number(id), fromStatus, toStatus, feedback, changedBy);
+  }
+
+  async history(id) {
+    return this.store.project_status_history
+      .filter((h) => h.project_id === Number(id))
+      .map((h) => ({
+        from_status: h.from_status,
+        to_status: h.to_status,
+        feedback: h.feedback,
+        created_at: h.created_at,
+        changed_by: this.store.userName(h.changed_by),
+      }));
+  }
+
+  async isMember(projectId, studentId) {
+    return this.store.project_members.some(
+      (m) => m.project_id === Number(projectId) && m.student_id === studentId
+    );
+  }
+
+  async findForStudent(studentId) {
+    return this.store.project_members
+      .filter((m) => m.student_id === studentId)
+      .map((m) => ({ member: m, project: this.store.find("projects", m.project_id) }))
+      .filter(({ project }) => project && project.deleted_at === null)
+      .sort((a, b) => b.project.id - a.project.id)
+      .map(({ member, project }) => ({
+        id: project.id,
+        project_name: project.project_name,
+        team_name: project.team_name,
+        course_code: project.course_code,
+        status: project.status,
+        is_rep: member.is_rep,
+      }));
+  }
+
+  async forStats({ course } = {}) {
+    return this.store.projects
+      .filter((p) => p.deleted_at === null && (!course || sameText(p.course_code, course)))
+      .map((p) => pick(p, STATS_COLUMNS));
+  }
+}
+
+module.exports = MemoryProjectsRepository;
@@ -0,0 +1,66 @@
+// memory/rosters.js
+// RostersRepository kept in a MemoryStore (same results as mysql/rosters.js)
+
+const { sameText } = require("./store");
+
+class MemoryRostersRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async list(courseCode) {
+    return this.store.course_rosters
+      .filter((r) => sameText(r.course_code, courseCode))
+      .sort((a, b) => a.student_id.localeCompare(b.student_id))
+      .map((r) => ({ student_id: r.student_id, full_name: r.full_name, email: r.email }));
+  }
+
+  // roster entries (of one course, or all) in no live team of their course
+  async withoutTeam({ course } = {}) {
+    const inTeam = new Set(
+      this.store.project_members
+        .map((m) => ({ m, p: this.store.find("projects", m.project_id) }))
+        .filter(({ p }) => p && p.deleted_at === null)
+        .map(({ m, p }) => `${p.course_code.toLowerCase()}|${m.student_id}`)
+    );
+    return this.store.course_rosters
+      .filter((r) => !course || sameText(r.course_code, course))
+      .filter((r) => !inTeam.has(`${r.course_code.toLowerCase()}|${r.student_id}`))
+      .sort(
+        (a, b) =>
+          a.course_code.localeCompare(b.course_code) || a.student_id.localeCompare(b.student_id)
+      )
+      .map((r) => ({
+        course_code: r.course_code,
+        student_id: r.student_id,
+        full_name: r.full_name,
+        email: r.email,
+      }));
+  }
+
+  async count({ course } = {}) {
+    const entries = this.store.course_rosters.filter(
+      (r) => !course || sameText(r.course_code, course)
+    );
+    return entries.length;
+  }
+
+  async replaceMany(rosters) {
+    rosters.forEach(({ courseCode, students }) => {
+      this.store.course_rosters = this.store.course_rosters.filter(
+        (r) => !sameText(r.course_code, courseCode)
+      );
+      students.forEach((s) =>
+        this.store.insert("course_rosters", {
+          course_code: courseCode,
+          student_id: s.studentId,
+          full_name: s.fullName,
+          email: s.email || null,
+          created_at: new Date(),
+        })
+      );
+    });
+  }
+}
+
+module.exports = MemoryRostersRepository;
@@ -0,0 +1,67 @@
+// memory/store.js
+// plain arrays standing in for the mysql tables, shared by all in-memory
+// repositories of one app. nothing is saved to disk: every restart (and
+// every test that makes its own store) starts from empty tables.
+
+const TABLES = [
+  "projects",
+  "project_members",
+  "project_status_history",
+  "tasks",
+  "contact_messages",
+  "contact_message_notes",
+  "users",
+  "sessions",
+  "course_settings",
+  "courses",
+  "email_outbox",
+  "project_drafts",
+  "course_rosters",
+];
+
+class MemoryStore {
+  constructor() {
+    this.lastIds = {};
+    TABLES.forEach((table) => {
+      this[table] = [];
+      this.lastIds[table] = 0;
+    });
+  }
+
+  // add a row with the next auto-increment id and return it
+  insert(table, row) {
+    this.lastIds[table] += 1;
+    const saved = { id: this.lastIds[table], ...row };
+    this[table].push(saved);
+    return saved;
+  }
+
+  find(table, id) {
+    return this[table].find((row) => row.id === Number(id)) || null;
+  }
+
+  // full name of a user id (for "changed_by" / note authors), like a left join
+  userName(userId) {
+    const user = userId ? this.find("users", userId) : null;
+    return user ? user.full_name : null;
+  }
+}
+
+// "2025-01-31" → local midnight, like mysql compares dates with datetimes
+function startOfDay(date) {
+  return new Date(/^\d{4}-\d{2}-\d{2}$/.test(date) ? `${date}T00:00:00` : date);
+}
+
+// today as "yyyy-mm-dd" in local time (same as mysql curdate())
+function today() {
+  const d = new Date();
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// case-insensitive compare, like the default mysql collation
+function sameText(a, b) {
+  return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+module.exports = { MemoryStore, startOfDay, today, sameText };
@@ -0,0 +1,69 @@
+// memory/tasks.js
+// TasksRepository kept in a MemoryStore (same results as mysql/tasks.js)
+
+const { today } = require("./store");
+
+// task field → column
+const TASK_COLUMNS = {
+  title: "title",
+  assignee: "assignee_id",
+  dueDate: "due_date",
+  status: "status",
+};
+
+class MemoryTasksRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async create(task) {
+    const saved = this.store.insert("tasks", {
+      project_id: Number(task.projectId),
+      title: task.title,
+      assignee_id: task.assignee,
+      due_date: task.dueDate || null,
+      status: task.status,
+    });
+    return saved.id;
+  }
+
+  async findById(id) {
+    const task = this.store.find("tasks", id);
+    return task ? { ...task } : null;
+  }
+
+  async update(id, changes) {
+    const task = this.store.find("tasks", id);
+    if (!task) return;
+    Object.entries(TASK_COLUMNS).forEach(([field, column]) => {
+      if (changes[field] !== undefined) task[column] = changes[field] || null;
+    });
+  }
+
+  async openForStudent(studentId) {
+    const now = today();
+
+    return this.store.tasks
+      .filter((t) => t.assignee_id === studentId && t.status !== "done")
+      .map((t) => ({ task: t, project: this.store.find("projects", t.project_id) }))
+      .filter(({ project }) => project && project.deleted_at === null)
+      .map(({ task, project }) => ({
+        id: task.id,
+        project_id: task.project_id,
+        project_name: project.project_name,
+        title: task.title,
+        status: task.status,
+        due_date: task.due_date,
+        overdue: task.due_date !== null && task.due_date < now,
+      }))
+      .sort(
+        (a, b) =>
+          b.overdue - a.overdue ||
+          (a.due_date === null) - (b.due_date === null) ||
+          String(a.due_date).localeCompare(String(b.due_date)) ||
+          a.id - b.id
+      );
+  }
+}
+
+module.exports = MemoryTasksRepository;
@@ -0,0 +1,67 @@
+// memory/users.js
+// UsersRepository kept in a MemoryStore (same results as mysql/users.js)
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function publicUser(user) {
+  const { id, full_name, email, student_id, role } = user;
+  return { id, full_name, email, student_id, role };
+}
+
+class MemoryUsersRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async findByEmail(email) {
+    const user = this.store.users.find((u) => u.email === email);
+    return user ? { ...user } : null;
+  }
+
+  async existsByEmailOrStudentId(email, studentId) {
+    return this.store.users.some(
+      (u) => u.email === email || (studentId && u.student_id === studentId)
+    );
+  }
+
+  async create(user) {
+    // same unique keys as the users table
+    if (await this.existsByEmailOrStudentId(user.email, user.studentId)) {
+      throw new Error(`duplicate user ${user.email}`);
+    }
+
+    const saved = this.store.insert("users", {
+      full_name: user.fullName,
+      email: user.email,
+      student_id: user.studentId || null,
+      role: user.role,
+      password_hash: user.passwordHash,
+      created_at: new Date(),
+    });
+    return saved.id;
+  }
+
+  async createSession(tokenHash, userId, days) {
+    this.store.insert("sessions", {
+      token_hash: tokenHash,
+      user_id: userId,
+      expires_at: new Date(Date.now() + days * DAY_MS),
+    });
+  }
+
+  async findBySession(tokenHash) {
+    const session = this.store.sessions.find(
+      (s) => s.token_hash === tokenHash && s.expires_at > new Date()
+    );
+    const user = session ? this.store.find("users", session.user_id) : null;
+    return user ? publicUser(user) : null;
+  }
+
+  async deleteSession(tokenHash) {
+    this.store.sessions = this.store.sessions.filter(
+      (s) => s.token_hash !== tokenHash
+    );
+  }
+}
+
+module.exports = MemoryUsersRepository;
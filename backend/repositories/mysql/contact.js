@@ -0,0 +1,168 @@
+// mysql/contact.js
+// ContactRepository on top of the mysql pool
+// (contact_messages + contact_message_notes tables)
+
+const pool = require("../../db");
+
+// flag → timestamp column (see PATCH /api/admin/messages/:id)
+const MESSAGE_FLAGS = {
+  read: "read_at",
+  replied: "replied_at",
+  archived: "archived_at",
+};
+
+// where clause for each inbox state
+const STATE_FILTERS = {
+  inbox: "archived_at is null",
+  unread: "read_at is null and archived_at is null",
+  read: "read_at is not null and archived_at is null",
+  replied: "replied_at is not null",
+  archived: "archived_at is not null",
+  all: null,
+};
+
+class MysqlContactRepository {
+  // message = { firstName, lastName, gender, mobile, dob, email, language, message }
+  async create(message) {
+    const [result] = await pool.execute(
+      `insert into contact_messages 
+       (first_name, last_name, gender, mobile, dob, email, language, message) 
+       values (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        message.firstName,
+        message.lastName,
+        message.gender,
+        message.mobile,
+        message.dob,
+        message.email,
+        message.language,
+        message.message,
+      ]
+    );
+    return result.insertId;
+  }
+
+  // → { total, unread } (archived messages never count as unread)
+  async counts() {
+    const [rows] = await pool.execute(
+      `select
+         count(*) as total,
+         coalesce(sum(read_at is null and archived_at is null), 0) as unread
+       from contact_messages`
+    );
+    return { total: Number(rows[0].total), unread: Number(rows[0].unread) };
+  }
+
+  // filters: { state, language, from, to, page, limit } (validated by inbox.js)
+  async list({ state, language, from, to, page, limit }) {
+    const where = [];
+    const params = [];
+
+    if (STATE_FILTERS[state]) where.push(STATE_FILTERS[state]);
+
+    if (language) {
+      where.push("language = ?");
+      params.push(language);
+    }
+
+    if (from) {
+      where.push("created_at >= ?");
+      params.push(from);
+    }
+
+    // "to" is inclusive: everything before the next day
+    if (to) {
+      where.push("created_at < date_add(?, interval 1 day)");
+      params.push(to);
+    }
+
+    const whereSql = where.length ? `where ${where.join(" and ")}` : "";
+    const offset = (page - 1) * limit;
+
+    const [countRows] = await pool.execute(
+      `select count(*) as total from contact_messages ${whereSql}`,
+      params
+    );
+
+    // limit / offset are validated ints (see projects repository)
+    const [rows] = await pool.execute(
+      `select
+         id,
+         first_name,
+         last_name,
+         email,
+         language,
+         left(message, 120) as preview,
+         created_at,
+         read_at,
+         replied_at,
+         archived_at
+       from contact_messages
+       ${whereSql}
+       order by created_at desc, id desc
+       limit ${limit} offset ${offset}`,
+      params
+    );
+
+    return { rows, total: Number(countRows[0].total) };
+  }
+
+  // one message with its notes, or null
+  async findById(id) {
+    const [rows] = await pool.execute(
+      `select
+         id, first_name, last_name, gender, mobile, dob, email, language,
+         message, created_at, read_at, replied_at, archived_at
+       from contact_messages
+       where id = ?`,
+      [id]
+    );
+    if (rows.length === 0) return null;
+
+    const [notes] = await pool.execute(
+      `select n.id, n.note, n.created_at, u.full_name as author
+         from contact_message_notes n
+         left join users u on u.id = n.author_id
+        where n.message_id = ?
+        order by n.created_at, n.id`,
+      [id]
+    );
+
+    return { ...rows[0], notes };
+  }
+
+  // flags = any subset of { read, replied, archived } (true / false)
+  // setting a flag again keeps its first timestamp
+  // → false when there is no such message
+  async setFlags(id, flags) {
+    const sets = [];
+    Object.entries(MESSAGE_FLAGS).forEach(([flag, column]) => {
+      if (flags[flag] === true) sets.push(`${column} = coalesce(${column}, now())`);
+      if (flags[flag] === false) sets.push(`${column} = null`);
+    });
+
+    const [result] = await pool.execute(
+      `update contact_messages set ${sets.join(", ")} where id = ?`,
+      [id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // → new note id, or null when there is no such message
+  async addNote(messageId, authorId, note) {
+    const [rows] = await pool.execute(
+      "select id from contact_messages where id = ?",
+      [messageId]
+    );
+    if (rows.length === 0) return null;
+
+    const [result] = await pool.execute(
+      `insert into contact_message_notes (message_id, author_id, note)
+       values (?, ?, ?)`,
+      [messageId, authorId, note]
+    );
+    return result.insertId;
+  }
+}
+
+module.exports = MysqlContactRepository;
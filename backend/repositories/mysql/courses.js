@@ -0,0 +1,84 @@
+// mysql/courses.js
+// CoursesRepository on top of the mysql pool (courses + course_settings tables)
+
+const pool = require("../../db");
+
+// used for courses nobody has changed anything for yet
+const DEFAULT_SETTINGS = { block_duplicate_titles: false };
+
+// columns written from a course object (see courseFromBody in server.js)
+const COURSE_COLUMNS = [
+  "code",
+  "title",
+  "section",
+  "instructor_id",
+  "min_team_size",
+  "max_team_size",
+  "opens_at",
+  "closes_at",
+];
+
+const SELECT_COURSES = `
+  select c.id, c.code, c.title, c.section, c.instructor_id,
+         u.full_name as instructor_name, u.email as instructor_email,
+         c.min_team_size, c.max_team_size, c.opens_at, c.closes_at
+    from courses c
+    left join users u on u.id = c.instructor_id`;
+
+class MysqlCoursesRepository {
+  // every course, by code
+  async list() {
+    const [rows] = await pool.execute(`${SELECT_COURSES} order by c.code`);
+    return rows;
+  }
+
+  // case-insensitive (default collation), null when there is no such course
+  async findByCode(code) {
+    const [rows] = await pool.execute(`${SELECT_COURSES} where c.code = ?`, [code]);
+    return rows[0] || null;
+  }
+
+  // course = { code, title, section, instructor_id, … } → new id
+  async create(course) {
+    const [result] = await pool.execute(
+      `insert into courses (${COURSE_COLUMNS.join(", ")})
+       values (${COURSE_COLUMNS.map(() => "?").join(", ")})`,
+      COURSE_COLUMNS.map((c) => course[c] ?? null)
+    );
+    return result.insertId;
+  }
+
+  // everything but the code → true when the course exists
+  async update(code, course) {
+    const columns = COURSE_COLUMNS.filter((c) => c !== "code");
+    const [result] = await pool.execute(
+      `update courses set ${columns.map((c) => `${c} = ?`).join(", ")} where code = ?`,
+      [...columns.map((c) => course[c] ?? null), code]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // → { block_duplicate_titles }
+  async settings(courseCode) {
+    const [rows] = await pool.execute(
+      "select block_duplicate_titles from course_settings where course_code = ?",
+      [courseCode]
+    );
+    if (rows.length === 0) return { ...DEFAULT_SETTINGS };
+    return { block_duplicate_titles: Boolean(rows[0].block_duplicate_titles) };
+  }
+
+  // settings = { blockDuplicateTitles }
+  async saveSettings(courseCode, settings, userId) {
+    await pool.execute(
+      `insert into course_settings (course_code, block_duplicate_titles, updated_by)
+       values (?, ?, ?)
+       on duplicate key update
+         block_duplicate_titles = values(block_duplicate_titles),
+         updated_by = values(updated_by)`,
+      [courseCode, settings.blockDuplicateTitles ? 1 : 0, userId || null]
+    );
+  }
+}
+
+module.exports = MysqlCoursesRepository;
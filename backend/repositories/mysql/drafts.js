@@ -0,0 +1,32 @@
+// mysql/drafts.js
+// DraftsRepository on top of the mysql pool (project_drafts table)
+
+const pool = require("../../db");
+
+class MysqlDraftsRepository {
+  // → { draft, updated_at } or null
+  async find(repId) {
+    const [rows] = await pool.execute(
+      "select draft, updated_at from project_drafts where rep_id = ?",
+      [repId]
+    );
+    if (rows.length === 0) return null;
+    return { draft: JSON.parse(rows[0].draft), updated_at: rows[0].updated_at };
+  }
+
+  // one draft per rep: saving again replaces it
+  async save(repId, draft) {
+    await pool.execute(
+      `insert into project_drafts (rep_id, draft)
+       values (?, ?)
+       on duplicate key update draft = values(draft), updated_at = now()`,
+      [repId, JSON.stringify(draft)]
+    );
+  }
+
+  async remove(repId) {
+    await pool.execute("delete from project_drafts where rep_id = ?", [repId]);
+  }
+}
+
+module.exports = MysqlDraftsRepository;
@@ -0,0 +1,66 @@
+// mysql/emails.js
+// EmailsRepository on top of the mysql pool (email_outbox table)
+
+const pool = require("../../db");
+
+const SELECT_EMAILS = `
+  select id, template, to_address, subject, body_text, status, attempts,
+         next_attempt_at, last_error, created_at, sent_at
+    from email_outbox`;
+
+// keeps a long smtp answer inside the column
+function shortError(error) {
+  return String(error).slice(0, 500);
+}
+
+class MysqlEmailsRepository {
+  // email = { template, to, subject, text } → new id (pending, due now)
+  async create(email) {
+    const [result] = await pool.execute(
+      `insert into email_outbox (template, to_address, subject, body_text)
+       values (?, ?, ?, ?)`,
+      [email.template, email.to, email.subject, email.text]
+    );
+    return result.insertId;
+  }
+
+  async findById(id) {
+    const [rows] = await pool.execute(`${SELECT_EMAILS} where id = ?`, [id]);
+    return rows[0] || null;
+  }
+
+  // pending emails whose next attempt is due, oldest first
+  // (limit is an int from mailer.js, see projects repository)
+  async due(now, limit) {
+    const [rows] = await pool.execute(
+      `${SELECT_EMAILS}
+        where status = 'pending' and next_attempt_at <= ?
+        order by id
+        limit ${Number(limit)}`,
+      [now]
+    );
+    return rows;
+  }
+
+  async markSent(id) {
+    await pool.execute(
+      `update email_outbox
+          set status = 'sent', attempts = attempts + 1, sent_at = now(), last_error = null
+        where id = ?`,
+      [id]
+    );
+  }
+
+  // a failed attempt: try again at nextAttemptAt, or give up when it is null
+  async markAttemptFailed(id, error, nextAttemptAt) {
+    await pool.execute(
+      `update email_outbox
+          set attempts = attempts + 1, last_error = ?,
+              status = ?, next_attempt_at = coalesce(?, next_attempt_at)
+        where id = ?`,
+      [shortError(error), nextAttemptAt ? "pending" : "failed", nextAttemptAt, id]
+    );
+  }
+}
+
+module.exports = MysqlEmailsRepository;
@@ -0,0 +1,439 @@
+// mysql/projects.js
+// ProjectsRepository on top of the mysql pool
+// (projects + project_members + project_status_history tables)
+
+const pool = require("../../db");
+const { withTransaction } = require("./transaction");
+
+// columns written from a project object (see projectFromBody in server.js)
+const PROJECT_COLUMNS = [
+  "team_name",
+  "team_size",
+  "rep_name",
+  "rep_id",
+  "rep_email",
+  "course_code",
+  "category",
+  "project_type",
+  "project_name",
+  "description",
+  "tools",
+];
+
+// written once when the idea is saved first, never by an update (the emails
+// stay in the language the team submitted in)
+const INSERT_COLUMNS = [...PROJECT_COLUMNS, "language"];
+
+// students from this team that are already in another live team of the
+// same course → [{ student_id, team_name, project_id }]
+//
+// inside a transaction (lock = true) the course row is locked first, so two
+// teams of one course are checked and saved one after the other: without it
+// both could pass the check before either is saved. the member rows are read
+// "for update" too, which reads what was committed meanwhile instead of the
+// transaction's snapshot.
+async function findMemberConflicts(db, courseCode, studentIds, excludeProjectId, lock = true) {
+  if (studentIds.length === 0) return [];
+
+  if (lock) {
+    await db.execute("select code from courses where code = ? for update", [courseCode]);
+  }
+
+  const placeholders = studentIds.map(() => "?").join(", ");
+  const [rows] = await db.execute(
+    `select m.student_id, p.team_name, p.id as project_id
+       from project_members m
+       join projects p on p.id = m.project_id
+      where p.course_code = ?
+        and p.deleted_at is null
+        and p.id <> ?
+        and m.student_id in (${placeholders})
+        ${lock ? "for update" : ""}`,
+    [courseCode, excludeProjectId || 0, ...studentIds]
+  );
+  return rows;
+}
+
+// replace all member rows of a project with the given team
+async function replaceMembers(db, projectId, team) {
+  await db.execute("delete from project_members where project_id = ?", [
+    projectId,
+  ]);
+
+  for (let i = 0; i < team.length; i++) {
+    await db.execute(
+      `insert into project_members
+       (project_id, member_name, student_id, is_rep, position)
+       values (?, ?, ?, ?, ?)`,
+      [projectId, team[i].name, team[i].studentId, team[i].isRep ? 1 : 0, i]
+    );
+  }
+}
+
+// other (non-rep) members for a list of projects
+// → { [projectId]: [{ name, student_id }] }
+async function loadMembers(db, projectIds) {
+  const byProject = {};
+  projectIds.forEach((id) => (byProject[id] = []));
+  if (projectIds.length === 0) return byProject;
+
+  const placeholders = projectIds.map(() => "?").join(", ");
+  const [rows] = await db.execute(
+    `select project_id, member_name, student_id
+       from project_members
+      where is_rep = 0 and project_id in (${placeholders})
+      order by project_id, position`,
+    projectIds
+  );
+
+  rows.forEach((r) => {
+    byProject[r.project_id].push({
+      name: r.member_name,
+      student_id: r.student_id,
+    });
+  });
+  return byProject;
+}
+
+// save one review transition
+async function recordTransition(db, projectId, fromStatus, toStatus, feedback, changedBy) {
+  await db.execute(
+    "update projects set status = ?, status_feedback = ? where id = ?",
+    [toStatus, feedback || null, projectId]
+  );
+
+  await db.execute(
+    `insert into project_status_history
+     (project_id, from_status, to_status, feedback, changed_by)
+     values (?, ?, ?, ?, ?)`,
+    [projectId, fromStatus, toStatus, feedback || null, changedBy || null]
+  );
+}
+
+class MysqlProjectsRepository {
+  // filters: { course, category, type, status, q, withdrawn }, sort/dir
+  // already whitelisted by the route, page/limit validated ints
+  async list({ course, category, type, status, q, withdrawn, sort, dir, page, limit }) {
+    // live ideas, or only the withdrawn ones (for instructors to restore)
+    const where = [withdrawn ? "deleted_at is not null" : "deleted_at is null"];
+    const params = [];
+
+    if (course) {
+      where.push("course_code = ?");
+      params.push(course);
+    }
+
+    if (category) {
+      where.push("category = ?");
+      params.push(category);
+    }
+
+    if (type) {
+      where.push("project_type = ?");
+      params.push(type);
+    }
+
+    if (status) {
+      where.push("status = ?");
+      params.push(status);
+    }
+
+    if (q) {
+      where.push("(project_name like ? or description like ? or tools like ?)");
+      const like = `%${q}%`;
+      params.push(like, like, like);
+    }
+
+    const whereSql = `where ${where.join(" and ")}`;
+    const offset = (page - 1) * limit;
+
+    const [countRows] = await pool.execute(
+      `select count(*) as total from projects ${whereSql}`,
+      params
+    );
+
+    // sort + dir come from a whitelist and limit/offset are validated ints,
+    // so they are safe to put in the sql text (mysql2 execute does not
+    // like placeholders inside limit)
+    const [rows] = await pool.execute(
+      `select 
+         id,
+         team_name,
+         team_size,
+         course_code,
+         category,
+         project_type,
+         project_name,
+         rep_name,
+         rep_id,
+         rep_email,
+         description,
+         tools,
+         created_at,
+         status,
+         status_feedback,
+         deleted_at
+       from projects
+       ${whereSql}
+       order by ${sort} ${dir === "asc" ? "asc" : "desc"}, id desc
+       limit ${limit} offset ${offset}`,
+      params
+    );
+
+    // attach other members as an array to each row
+    const members = await loadMembers(pool, rows.map((r) => r.id));
+    rows.forEach((r) => (r.members = members[r.id]));
+
+    return { rows, total: Number(countRows[0].total) };
+  }
+
+  // full record (incl. edit_token_hash) or null
+  // withdrawn projects are only returned with { withDeleted: true }
+  async findById(id, { withDeleted = false } = {}) {
+    const [rows] = await pool.execute(
+      `select
+         id,
+         team_name,
+         team_size,
+         rep_name,
+         rep_id,
+         rep_email,
+         course_code,
+         category,
+         project_type,
+         project_name,
+         description,
+         tools,
+         language,
+         created_at,
+         status,
+         status_feedback,
+         edit_token_hash,
+         deleted_at
+       from projects
+       where id = ? ${withDeleted ? "" : "and deleted_at is null"}`,
+      [id]
+    );
+
+    if (rows.length === 0) return null;
+
+    const project = rows[0];
+    project.members = (await loadMembers(pool, [project.id]))[project.id];
+    return project;
+  }
+
+  // live ideas of one course, for the similar idea check (similarity.js)
+  async listForCourse(courseCode, excludeId) {
+    const [rows] = await pool.execute(
+      `select id, team_name, project_name, description, status
+         from projects
+        where course_code = ?
+          and deleted_at is null
+          and id <> ?
+        order by id`,
+      [courseCode, excludeId || 0]
+    );
+    return rows;
+  }
+
+  // insert project + team + first history row
+  // → { id } or { conflicts } when students are in another team of the course
+  async create(project, team, editTokenHash) {
+    return withTransaction(async (conn) => {
+      // one student = one team per course
+      const conflicts = await findMemberConflicts(
+        conn,
+        project.course_code,
+        team.map((m) => m.studentId)
+      );
+      if (conflicts.length > 0) return { conflicts };
+
+      const [result] = await conn.execute(
+        `insert into projects
+         (${INSERT_COLUMNS.join(", ")}, edit_token_hash)
+         values (${INSERT_COLUMNS.map(() => "?").join(", ")}, ?)`,
+        [...INSERT_COLUMNS.map((c) => project[c]), editTokenHash]
+      );
+
+      await replaceMembers(conn, result.insertId, team);
+      await recordTransition(conn, result.insertId, null, "submitted");
+      return { id: result.insertId };
+    });
+  }
+
+  // students already in a live team of the course → [{ student_id, team_name, project_id }]
+  async memberConflicts(courseCode, studentIds) {
+    // a read for the form, outside any transaction: nothing to lock
+    return findMemberConflicts(pool, courseCode, studentIds, null, false);
+  }
+
+  // several projects at once (csv import), all saved or none
+  // items = [{ project, team, editTokenHash }]
+  // → { ids } or { index, conflicts } for the first item that clashes
+  async createMany(items) {
+    const clash = {};
+    try {
+      return await withTransaction(async (conn) => {
+        const ids = [];
+        for (let i = 0; i < items.length; i++) {
+          const { project, team, editTokenHash } = items[i];
+          const conflicts = await findMemberConflicts(
+            conn,
+            project.course_code,
+            team.map((m) => m.studentId)
+          );
+          if (conflicts.length > 0) {
+            Object.assign(clash, { index: i, conflicts });
+            throw new Error("member conflict, import rolled back");
+          }
+
+          const [result] = await conn.execute(
+            `insert into projects
+             (${INSERT_COLUMNS.join(", ")}, edit_token_hash)
+             values (${INSERT_COLUMNS.map(() => "?").join(", ")}, ?)`,
+            [...INSERT_COLUMNS.map((c) => project[c]), editTokenHash]
+          );
+          await replaceMembers(conn, result.insertId, team);
+          await recordTransition(conn, result.insertId, null, "submitted");
+          ids.push(result.insertId);
+        }
+        return { ids };
+      });
+    } catch (err) {
+      if (clash.conflicts) return clash;
+      throw err;
+    }
+  }
+
+  // update project + team → conflicts ([] when saved)
+  // resubmit = { from, feedback } moves the idea back to "submitted" in the
+  // same step
+  async update(id, project, team, resubmit) {
+    return withTransaction(async (conn) => {
+      const conflicts = await findMemberConflicts(
+        conn,
+        project.course_code,
+        team.map((m) => m.studentId),
+        id
+      );
+      if (conflicts.length > 0) return conflicts;
+
+      await conn.execute(
+        `update projects set ${PROJECT_COLUMNS.map((c) => `${c} = ?`).join(", ")}
+         where id = ?`,
+        [...PROJECT_COLUMNS.map((c) => project[c]), id]
+      );
+
+      await replaceMembers(conn, id, team);
+
+      if (resubmit) {
+        await recordTransition(
+          conn,
+          id,
+          resubmit.from,
+          "submitted",
+          resubmit.feedback
+        );
+      }
+      return [];
+    });
+  }
+
+  // soft delete
+  async withdraw(id) {
+    await pool.execute(
+      "update projects set deleted_at = current_timestamp where id = ?",
+      [id]
+    );
+  }
+
+  // bring a withdrawn project back
+  // → null if there is no withdrawn project with this id,
+  //   otherwise conflicts ([] when restored)
+  async restore(id) {
+    // the clash check and the update in one transaction, like create/update,
+    // so no one can join a member to another team in between
+    return withTransaction(async (conn) => {
+      const [rows] = await conn.execute(
+        `select id, course_code from projects
+          where id = ? and deleted_at is not null
+            for update`,
+        [id]
+      );
+      if (rows.length === 0) return null;
+
+      // members may have joined another team after the withdrawal
+      const [memberRows] = await conn.execute(
+        "select student_id from project_members where project_id = ?",
+        [id]
+      );
+      const conflicts = await findMemberConflicts(
+        conn,
+        rows[0].course_code,
+        memberRows.map((m) => m.student_id),
+        id
+      );
+      if (conflicts.length > 0) return conflicts;
+
+      await conn.execute("update projects set deleted_at = null where id = ?", [id]);
+      return [];
+    });
+  }
+
+  async changeStatus(id, fromStatus, toStatus, feedback, changedBy) {
+    await withTransaction((conn) =>
+      recordTransition(conn, id, fromStatus, toStatus, feedback, changedBy)
+    );
+  }
+
+  // review history, oldest first
+  async history(id) {
+    const [rows] = await pool.execute(
+      `select h.from_status, h.to_status, h.feedback, h.created_at,
+              u.full_name as changed_by
+         from project_status_history h
+         left join users u on u.id = h.changed_by
+        where h.project_id = ?
+        order by h.created_at, h.id`,
+      [id]
+    );
+    return rows;
+  }
+
+  async isMember(projectId, studentId) {
+    const [rows] = await pool.execute(
+      "select 1 from project_members where project_id = ? and student_id = ?",
+      [projectId, studentId]
+    );
+    return rows.length > 0;
+  }
+
+  // live projects a student is in (as rep or member)
+  async findForStudent(studentId) {
+    const [rows] = await pool.execute(
+      `select p.id, p.project_name, p.team_name, p.course_code, p.status,
+              m.is_rep
+         from project_members m
+         join projects p on p.id = m.project_id
+        where m.student_id = ? and p.deleted_at is null
+        order by p.id desc`,
+      [studentId]
+    );
+    return rows.map((r) => ({ ...r, is_rep: Boolean(r.is_rep) }));
+  }
+
+  // the live ideas (of one course) with the columns the dashboard counts
+  // (backend/stats.js does the counting)
+  async forStats({ course } = {}) {
+    const [rows] = await pool.execute(
+      `select course_code, category, project_type, team_size, status, tools, created_at
+         from projects
+        where deleted_at is null and (? is null or course_code = ?)
+        order by id`,
+      [course || null, course || null]
+    );
+    return rows;
+  }
+}
+
+module.exports = MysqlProjectsRepository;
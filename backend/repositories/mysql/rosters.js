@@ -0,0 +1,68 @@
+// mysql/rosters.js
+// RostersRepository on top of the mysql pool (course_rosters table)
+
+const pool = require("../../db");
+const { withTransaction } = require("./transaction");
+
+class MysqlRostersRepository {
+  // the class list of one course → [{ student_id, full_name, email }]
+  async list(courseCode) {
+    const [rows] = await pool.execute(
+      `select student_id, full_name, email
+         from course_rosters
+        where course_code = ?
+        order by student_id`,
+      [courseCode]
+    );
+    return rows;
+  }
+
+  // roster entries (of one course, or all) in no live team of their course
+  // → [{ course_code, student_id, full_name, email }]
+  async withoutTeam({ course } = {}) {
+    const [rows] = await pool.execute(
+      `select r.course_code, r.student_id, r.full_name, r.email
+         from course_rosters r
+        where (? is null or r.course_code = ?)
+          and not exists (
+            select 1
+              from project_members m
+              join projects p on p.id = m.project_id
+             where m.student_id = r.student_id
+               and p.course_code = r.course_code
+               and p.deleted_at is null
+          )
+        order by r.course_code, r.student_id`,
+      [course || null, course || null]
+    );
+    return rows;
+  }
+
+  // students on the class list of one course, or of all courses
+  async count({ course } = {}) {
+    const [rows] = await pool.execute(
+      "select count(*) as n from course_rosters where (? is null or course_code = ?)",
+      [course || null, course || null]
+    );
+    return Number(rows[0].n);
+  }
+
+  // rosters = [{ courseCode, students: [{ studentId, fullName, email }] }]
+  // each course's list is replaced by the new one, all courses in one step
+  async replaceMany(rosters) {
+    await withTransaction(async (conn) => {
+      for (const { courseCode, students } of rosters) {
+        await conn.execute("delete from course_rosters where course_code = ?", [courseCode]);
+        for (const s of students) {
+          await conn.execute(
+            `insert into course_rosters (course_code, student_id, full_name, email)
+             values (?, ?, ?, ?)`,
+            [courseCode, s.studentId, s.fullName, s.email || null]
+          );
+        }
+      }
+    });
+  }
+}
+
+module.exports = MysqlRostersRepository;
@@ -0,0 +1,70 @@
+// mysql/tasks.js
+// TasksRepository on top of the mysql pool (tasks table)
+
+const pool = require("../../db");
+
+// task field → column (column names never come from the request)
+const TASK_COLUMNS = {
+  title: "title",
+  assignee: "assignee_id",
+  dueDate: "due_date",
+  status: "status",
+};
+
+class MysqlTasksRepository {
+  // task = { projectId, title, assignee, dueDate, status } → new id
+  async create(task) {
+    const [result] = await pool.execute(
+      `insert into tasks (project_id, title, assignee_id, due_date, status)
+       values (?, ?, ?, ?, ?)`,
+      [task.projectId, task.title, task.assignee, task.dueDate || null, task.status]
+    );
+    return result.insertId;
+  }
+
+  async findById(id) {
+    const [rows] = await pool.execute(
+      "select id, project_id, title, assignee_id, due_date, status from tasks where id = ?",
+      [id]
+    );
+    return rows[0] || null;
+  }
+
+  // changes = any subset of { title, assignee, dueDate, status }
+  async update(id, changes) {
+    const sets = [];
+    const params = [];
+    Object.entries(TASK_COLUMNS).forEach(([field, column]) => {
+      if (changes[field] !== undefined) {
+        sets.push(`${column} = ?`);
+        params.push(changes[field] || null);
+      }
+    });
+    if (sets.length === 0) return;
+
+    await pool.execute(`update tasks set ${sets.join(", ")} where id = ?`, [
+      ...params,
+      id,
+    ]);
+  }
+
+  // tasks assigned to the student that are not done yet,
+  // overdue ones first, then by due date (no date last)
+  async openForStudent(studentId) {
+    const [rows] = await pool.execute(
+      `select t.id, t.project_id, p.project_name, t.title, t.status,
+              t.due_date,
+              (t.due_date is not null and t.due_date < curdate()) as overdue
+         from tasks t
+         join projects p on p.id = t.project_id
+        where t.assignee_id = ?
+          and t.status <> 'done'
+          and p.deleted_at is null
+        order by overdue desc, t.due_date is null, t.due_date, t.id`,
+      [studentId]
+    );
+    return rows.map((t) => ({ ...t, overdue: Boolean(t.overdue) }));
+  }
+}
+
+module.exports = MysqlTasksRepository;
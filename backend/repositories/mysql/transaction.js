@@ -0,0 +1,23 @@
+// mysql/transaction.js
+// shared by the mysql repositories that write several rows in one step
+
+const pool = require("../../db");
+
+// run fn(conn) inside a transaction on its own pool connection
+// (rows that belong together are saved together or not at all)
+async function withTransaction(fn) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const result = await fn(conn);
+    await conn.commit();
+    return result;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+module.exports = { withTransaction };
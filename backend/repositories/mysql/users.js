@@ -0,0 +1,59 @@
+// mysql/users.js
+// UsersRepository on top of the mysql pool (users + sessions tables)
+
+const pool = require("../../db");
+
+class MysqlUsersRepository {
+  // includes password_hash, only for the login check
+  async findByEmail(email) {
+    const [rows] = await pool.execute(
+      "select id, full_name, email, student_id, role, password_hash from users where email = ?",
+      [email]
+    );
+    return rows[0] || null;
+  }
+
+  async existsByEmailOrStudentId(email, studentId) {
+    const [rows] = await pool.execute(
+      "select id from users where email = ? or student_id = ?",
+      [email, studentId]
+    );
+    return rows.length > 0;
+  }
+
+  // user = { fullName, email, studentId, role, passwordHash } → new id
+  async create(user) {
+    const [result] = await pool.execute(
+      `insert into users (full_name, email, student_id, role, password_hash)
+       values (?, ?, ?, ?, ?)`,
+      [user.fullName, user.email, user.studentId || null, user.role, user.passwordHash]
+    );
+    return result.insertId;
+  }
+
+  async createSession(tokenHash, userId, days) {
+    await pool.execute(
+      `insert into sessions (token_hash, user_id, expires_at)
+       values (?, ?, date_add(now(), interval ? day))`,
+      [tokenHash, userId, days]
+    );
+  }
+
+  // { id, full_name, email, student_id, role } of a live session, or null
+  async findBySession(tokenHash) {
+    const [rows] = await pool.execute(
+      `select u.id, u.full_name, u.email, u.student_id, u.role
+         from sessions s
+         join users u on u.id = s.user_id
+        where s.token_hash = ? and s.expires_at > now()`,
+      [tokenHash]
+    );
+    return rows[0] || null;
+  }
+
+  async deleteSession(tokenHash) {
+    await pool.execute("delete from sessions where token_hash = ?", [tokenHash]);
+  }
+}
+
+module.exports = MysqlUsersRepository;
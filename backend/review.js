@@ -0,0 +1,69 @@
+// review.js
+// review lifecycle of a project idea
+//
+//   submitted ──► under_review ──► approved
+//       │              │      ├──► needs_changes ──► (team edits) ──► submitted
+//       └──────────────┴──────┴──► rejected
+//
+// a team that changes the content of an approved idea sends it back to
+// submitted too (approved ──► (team edits) ──► submitted).
+//
+// instructors move ideas between states (POST /api/projects/:id/status);
+// needs_changes and rejected always need a feedback comment for the team.
+// every change is kept in project_status_history (see the projects repository).
+
+const STATUSES = [
+  "submitted",
+  "under_review",
+  "approved",
+  "needs_changes",
+  "rejected",
+];
+
+// which states an instructor may move a project to from each state
+const TRANSITIONS = {
+  submitted: ["under_review", "approved", "needs_changes", "rejected"],
+  under_review: ["approved", "needs_changes", "rejected"],
+  needs_changes: ["under_review", "approved", "rejected"],
+  approved: ["under_review"],
+  rejected: ["under_review"],
+};
+
+// these states explain themselves to the team through the feedback
+const FEEDBACK_REQUIRED = ["needs_changes", "rejected"];
+
+// what an instructor approves; a team that changes any of these after the
+// approval sends the idea back to "submitted" (names, emails and members
+// can still be fixed without that)
+const REVIEWED_FIELDS = [
+  "course_code",
+  "category",
+  "project_type",
+  "project_name",
+  "description",
+  "tools",
+];
+
+function canTransition(from, to) {
+  return Boolean(TRANSITIONS[from] && TRANSITIONS[from].includes(to));
+}
+
+function needsFeedback(status) {
+  return FEEDBACK_REQUIRED.includes(status);
+}
+
+// does saving `changes` (column names) over `project` touch what was reviewed?
+function changesReviewedContent(project, changes) {
+  return REVIEWED_FIELDS.some(
+    (field) => String(project[field] ?? "") !== String(changes[field] ?? "")
+  );
+}
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  REVIEWED_FIELDS,
+  canTransition,
+  needsFeedback,
+  changesReviewedContent,
+};
@@ -0,0 +1,198 @@
+// rosters.js
+// the class list of each course, imported from a csv file (see import.js
+// for the columns), so the dashboard can tell who has not joined a team.
+// mounted in server.js at /api/rosters behind auth.requireStaff
+//
+// like the project import, the file is posted as text/csv, first to
+// /import/preview (nothing is saved, every row comes back with its problems)
+// and then to /import. a file holds one or more courses; each of them gets
+// the valid rows of the file as its new list (importing the same course
+// again replaces it), all in one transaction.
+
+const express = require("express");
+const { check } = require("express-validator");
+const repos = require("./repositories");
+const { rosterFromCsv, csvBody, csvTextOrError, checkBody } = require("./import");
+
+const router = express.Router();
+
+const rosterRules = [
+  check("courseCode").notEmpty().withMessage("course is required."),
+
+  check("studentId").matches(/^\d{7}$/).withMessage("student id must be exactly 7 digits."),
+
+  check("fullName")
+    .isLength({ min: 2, max: 100 })
+    .withMessage("name must be 2–100 characters."),
+
+  check("email")
+    .optional({ values: "falsy" })
+    .isLength({ max: 120 })
+    .withMessage("email must be at most 120 characters.")
+    .bail()
+    .isEmail()
+    .withMessage("email must be in a valid format (name@example.com)."),
+];
+
+// csv text → { error } or { rows: [{ row, entry, errors }] }
+async function checkRoster(text) {
+  const parsed = rosterFromCsv(text);
+  if (parsed.error) return parsed;
+
+  const courses = new Map(); // code as written → course row or null
+  const seen = new Map(); // "course|student id" → row number
+  const rows = [];
+
+  for (const { row, entry } of parsed.rows) {
+    const errors = await checkBody(entry, rosterRules);
+    rows.push({ row, entry, errors });
+    if (errors.length > 0) continue;
+
+    const key = entry.courseCode.toLowerCase();
+    if (!courses.has(key)) courses.set(key, await repos.courses.findByCode(entry.courseCode));
+    const course = courses.get(key);
+    if (!course) {
+      errors.push({
+        path: "courseCode",
+        msg: `there is no course ${entry.courseCode}; add it on the courses page first.`,
+      });
+      continue;
+    }
+    entry.courseCode = course.code;
+
+    const other = seen.get(`${key}|${entry.studentId}`);
+    if (other) {
+      errors.push({
+        path: "studentId",
+        msg: `student ${entry.studentId} is already in row ${other} for ${course.code}`,
+      });
+      continue;
+    }
+    seen.set(`${key}|${entry.studentId}`, row);
+  }
+
+  return { rows };
+}
+
+// what the upload page shows for one row
+function rosterRowSummary(r) {
+  return { row: r.row, ...r.entry, errors: r.errors };
+}
+
+// valid rows → [{ courseCode, students }], one entry per course of the file
+function rostersByCourse(rows) {
+  const byCourse = new Map();
+  rows.forEach(({ entry }) => {
+    if (!byCourse.has(entry.courseCode)) byCourse.set(entry.courseCode, []);
+    byCourse.get(entry.courseCode).push(entry);
+  });
+  return Array.from(byCourse, ([courseCode, students]) => ({ courseCode, students }));
+}
+
+// ------------------------------------------------------
+// dry run
+// ------------------------------------------------------
+
+router.post("/import/preview", csvBody, async (req, res) => {
+  const text = csvTextOrError(req, res);
+  if (text === null) return;
+
+  try {
+    const checked = await checkRoster(text);
+    if (checked.error) {
+      return res.status(400).json({ status: "error", msg: checked.error });
+    }
+
+    const valid = checked.rows.filter((r) => r.errors.length === 0);
+    return res.json({
+      status: "ok",
+      total: checked.rows.length,
+      valid: valid.length,
+      invalid: checked.rows.length - valid.length,
+      courses: rostersByCourse(valid).map((r) => ({
+        code: r.courseCode,
+        students: r.students.length,
+      })),
+      rows: checked.rows.map(rosterRowSummary),
+    });
+  } catch (err) {
+    console.error("error checking roster import:", err);
+    return res.status(500).json({
+      status: "error",
+      msg: "database error while checking the import.",
+    });
+  }
+});
+
+// ------------------------------------------------------
+// import (replaces the list of every course in the file)
+// ------------------------------------------------------
+
+router.post("/import", csvBody, async (req, res) => {
+  const text = csvTextOrError(req, res);
+  if (text === null) return;
+
+  try {
+    const checked = await checkRoster(text);
+    if (checked.error) {
+      return res.status(400).json({ status: "error", msg: checked.error });
+    }
+
+    const valid = checked.rows.filter((r) => r.errors.length === 0);
+    const skipped = checked.rows.filter((r) => r.errors.length > 0).map(rosterRowSummary);
+    if (valid.length === 0) {
+      return res.status(400).json({
+        status: "error",
+        msg: "no row of this file can be imported, see the errors per row.",
+        skipped,
+      });
+    }
+
+    const rosters = rostersByCourse(valid);
+    await repos.rosters.replaceMany(rosters);
+
+    console.log(
+      `roster(s) of ${rosters.map((r) => r.courseCode).join(", ")} imported by user ${req.user.id}`
+    );
+
+    return res.json({
+      status: "ok",
+      msg: `${valid.length} student(s) imported into ${rosters.length} course roster(s) ✔`,
+      courses: rosters.map((r) => ({ code: r.courseCode, students: r.students.length })),
+      skipped,
+    });
+  } catch (err) {
+    console.error("error importing roster:", err);
+    return res.status(500).json({
+      status: "error",
+      msg: "database error while importing the roster, nothing was imported.",
+    });
+  }
+});
+
+// ------------------------------------------------------
+// the list of one course
+// ------------------------------------------------------
+
+router.get("/:code", async (req, res) => {
+  try {
+    const course = await repos.courses.findByCode(req.params.code);
+    if (!course) {
+      return res.status(404).json({ status: "error", msg: "course not found." });
+    }
+
+    return res.json({
+      status: "ok",
+      course: course.code,
+      students: await repos.rosters.list(course.code),
+    });
+  } catch (err) {
+    console.error("error loading roster:", err);
+    return res.status(500).json({
+      status: "error",
+      msg: "database error while loading the roster.",
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,64 @@
+// create-user.js
+// create an instructor / admin (or student) account from the command line
+// usage (from project root):
+//   node backend/scripts/create-user.js <email> "<full name>" [instructor|admin|student]
+// the password is asked for on the terminal (or read from CM_PASSWORD)
+
+const readline = require("readline");
+const pool = require("../db");
+const { createRepositories } = require("../repositories");
+const { ROLES, hashPassword } = require("../auth");
+
+function ask(question) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+  return new Promise((resolve) =>
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer);
+    })
+  );
+}
+
+async function main() {
+  const [email, fullName, role = "instructor"] = process.argv.slice(2);
+
+  if (!email || !fullName) {
+    console.error(
+      'usage: node backend/scripts/create-user.js <email> "<full name>" [role]'
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  if (!ROLES.includes(role)) {
+    console.error(`role must be one of: ${ROLES.join(", ")}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const password = process.env.CM_PASSWORD || (await ask("password: "));
+  if (password.length < 8) {
+    console.error("password must be at least 8 characters");
+    process.exitCode = 1;
+    return;
+  }
+
+  const id = await createRepositories("mysql").users.create({
+    fullName,
+    email: email.toLowerCase(),
+    role,
+    passwordHash: await hashPassword(password),
+  });
+
+  console.log(`created ${role} account #${id} for ${email}`);
+}
+
+main()
+  .catch((err) => {
+    console.error("could not create user:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
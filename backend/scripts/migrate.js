@@ -0,0 +1,133 @@
+// migrate.js
+// versioned schema migrations for classmate_db
+// usage (from project root):
+//   npm run migrate            → apply every migration that has not run yet
+//   npm run migrate:rollback   → undo the last batch (the last "migrate" run)
+//   npm run migrate:status     → list migrations and whether they ran
+//
+// migrations live in backend/migrations as NNN_name.js files exporting
+// async up(db) and down(db); they run in file name order. applied ones are
+// recorded in the schema_migrations table together with their batch number.
+
+const fs = require("fs");
+const path = require("path");
+const pool = require("../db");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+
+// every migration file, oldest first
+function listMigrations() {
+  return fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter((file) => /^\d{3}_.+\.js$/.test(file))
+    .sort()
+    .map((file) => ({
+      name: file.replace(/\.js$/, ""),
+      module: require(path.join(MIGRATIONS_DIR, file)),
+    }));
+}
+
+async function ensureTable(db) {
+  await db.query(`
+    create table if not exists schema_migrations (
+      name varchar(100) not null primary key,
+      batch int not null,
+      applied_at timestamp not null default current_timestamp
+    )
+  `);
+}
+
+// { name: batch } for every applied migration
+async function loadApplied(db) {
+  const [rows] = await db.query("select name, batch from schema_migrations");
+  const applied = {};
+  rows.forEach((r) => (applied[r.name] = r.batch));
+  return applied;
+}
+
+async function migrateUp(db) {
+  const applied = await loadApplied(db);
+  const pending = listMigrations().filter((m) => !(m.name in applied));
+
+  if (pending.length === 0) {
+    console.log("nothing to migrate, database is up to date.");
+    return;
+  }
+
+  const batch = Math.max(0, ...Object.values(applied)) + 1;
+
+  // mysql commits ddl right away, so each migration is recorded as soon as
+  // it succeeds; a failure stops here and the rest stay pending
+  for (const m of pending) {
+    console.log(`migrating: ${m.name}`);
+    await m.module.up(db);
+    await db.query("insert into schema_migrations (name, batch) values (?, ?)", [
+      m.name,
+      batch,
+    ]);
+  }
+
+  console.log(`applied ${pending.length} migration(s) in batch ${batch}.`);
+}
+
+async function migrateDown(db) {
+  const applied = await loadApplied(db);
+  const batch = Math.max(0, ...Object.values(applied));
+
+  if (batch === 0) {
+    console.log("nothing to roll back.");
+    return;
+  }
+
+  // newest first
+  const toUndo = listMigrations()
+    .filter((m) => applied[m.name] === batch)
+    .reverse();
+
+  for (const m of toUndo) {
+    console.log(`rolling back: ${m.name}`);
+    await m.module.down(db);
+    await db.query("delete from schema_migrations where name = ?", [m.name]);
+  }
+
+  console.log(`rolled back ${toUndo.length} migration(s) from batch ${batch}.`);
+}
+
+async function showStatus(db) {
+  const applied = await loadApplied(db);
+  listMigrations().forEach((m) => {
+    const state = m.name in applied ? `batch ${applied[m.name]}` : "pending";
+    console.log(`${state.padEnd(10)} ${m.name}`);
+  });
+}
+
+const COMMANDS = { up: migrateUp, down: migrateDown, status: showStatus };
+
+async function main() {
+  const command = process.argv[2] || "up";
+  if (!COMMANDS[command]) {
+    console.error(`unknown command "${command}" (use up, down or status)`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const db = await pool.getConnection();
+  try {
+    await ensureTable(db);
+    await COMMANDS[command](db);
+  } finally {
+    db.release();
+  }
+}
+
+// run from the command line; the mysql tests require the steps instead
+if (require.main === module) {
+  main()
+    .catch((err) => {
+      console.error("migration failed:", err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
+
+module.exports = { ensureTable, loadApplied, migrateUp, migrateDown };
@@ -0,0 +1,42 @@
+// seed.js
+// demo data so the projects page can be shown on a fresh machine
+// usage (from project root, after npm run migrate): npm run seed
+//
+// the data itself lives in ../demo-data.js (the memory store loads the same
+// set on start). refuses to run on a database that already has projects
+// unless "--force" is given, and never in production.
+
+const config = require("../config");
+const { createRepositories } = require("../repositories");
+const { DEMO_INSTRUCTOR, seedDemoData } = require("../demo-data");
+const pool = require("../db");
+
+async function main() {
+  if (config.isProduction) {
+    console.error("refusing to seed demo data in production.");
+    process.exitCode = 1;
+    return;
+  }
+
+  const [[{ total }]] = await pool.query("select count(*) as total from projects");
+  if (total > 0 && !process.argv.includes("--force")) {
+    console.error(
+      `projects already has ${total} row(s); use "npm run seed -- --force" to add demo data anyway.`
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  const counts = await seedDemoData(createRepositories("mysql"));
+  console.log(
+    `seeded ${counts.courses} courses, ${counts.projects} projects, ${counts.tasks} tasks, ${counts.messages} messages.`
+  );
+  console.log(`demo instructor: ${DEMO_INSTRUCTOR.email} / ${DEMO_INSTRUCTOR.password}`);
+}
+
+main()
+  .catch((err) => {
+    console.error("seeding failed:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
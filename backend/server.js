@@ -3,16 +3,57 @@
 
 const express = require("express");
 const path = require("path");
+const crypto = require("crypto");
 const { check, validationResult } = require("express-validator");
-const pool = require("./db");
+const config = require("./config");
+const repos = require("./repositories");
+const { memberRules, teamFromBody, conflictResponse } = require("./members");
+const { schemaRules } = require("./validation");
+const { securityHeaders } = require("./security");
+const { issueFormToken, protectFormPost } = require("./abuse");
+const { findSimilar, sameTitle } = require("./similarity");
+const { EXPORT_FORMATS, exportFile } = require("./export");
+const {
+  bodiesFromCsv,
+  checkBody,
+  markRepeatedStudents,
+  csvBody,
+  csvTextOrError,
+} = require("./import");
+const auth = require("./auth");
+const inboxRouter = require("./inbox");
+const draftsRouter = require("./drafts");
+const rostersRouter = require("./rosters");
+const coursesRouter = require("./courses");
+const { courseForBody, courseProblemResponse } = coursesRouter;
+const review = require("./review");
+const mailer = require("./mailer");
+const { localize } = require("./i18n");
+const { DEFAULT_LANGUAGE } = require("../js/i18n");
+const { apiErrors, notFound, errorHandler } = require("./errors");
+const { openApiSpec } = require("./openapi");
+const {
+  STATS_INTERVALS,
+  TOOLS_DEFAULT_LIMIT,
+  TOOLS_MAX_LIMIT,
+  projectStats,
+} = require("./stats");
+const { DEMO_INSTRUCTOR, seedDemoData } = require("./demo-data");
 
 const app = express();
-const PORT = 3000;
+const PORT = config.port;
+
+app.disable("x-powered-by");
+app.set("trust proxy", config.trustProxy);
 
 // ------------------------------------------------------
 // basic middleware
 // ------------------------------------------------------
 
+// csp + other security headers (see security.js), first so that static
+// files and error responses get them too
+app.use(securityHeaders);
+
 // parse json bodies (for fetch api)
 app.use(express.json());
 
@@ -64,52 +105,269 @@ app.get("/idea.html", (req, res) => {
   res.sendFile(path.join(frontendDir, "html", "idea.html"));
 });
 
+// single project detail page (reads ?id= on the client)
+app.get("/project.html", (req, res) => {
+  res.sendFile(path.join(frontendDir, "html", "project.html"));
+});
+
+// login page (students + instructors)
+app.get("/login.html", (req, res) => {
+  res.sendFile(path.join(frontendDir, "html", "login.html"));
+});
+
+// my work page (projects + tasks for one student id)
+app.get("/my-work.html", (req, res) => {
+  res.sendFile(path.join(frontendDir, "html", "my-work.html"));
+});
+
+// contact messages inbox (the page itself is public html, its data is
+// only served to instructors by /api/admin/messages)
+app.get("/admin-messages.html", (req, res) => {
+  res.sendFile(path.join(frontendDir, "html", "admin-messages.html"));
+});
+
+// csv import of projects (instructors only, through /api/projects/import)
+app.get("/import-projects.html", (req, res) => {
+  res.sendFile(path.join(frontendDir, "html", "import-projects.html"));
+});
+
+// instructor dashboard (charts drawn on the client from /api/stats)
+app.get("/dashboard.html", (req, res) => {
+  res.sendFile(path.join(frontendDir, "html", "dashboard.html"));
+});
+
+// api docs (reads /api/openapi.json on the client)
+app.get("/api-docs.html", (req, res) => {
+  res.sendFile(path.join(frontendDir, "html", "api-docs.html"));
+});
+
 // ------------------------------------------------------
-// contact api
+// api description
 // ------------------------------------------------------
-// receives data from contact-us form and saves it into db
+// OpenAPI 3 document of every route below, see openapi.js; before
+// localize() because it is the same in every language
+
+app.get("/api/openapi.json", (req, res) => {
+  res.json(openApiSpec);
+});
+
+// ------------------------------------------------------
+// language
+// ------------------------------------------------------
+// api answers in the language the page asks for (Accept-Language: en or
+// ar), see i18n.js; first, so every error answer below is translated too
+
+app.use("/api", localize);
+
+// ------------------------------------------------------
+// error answers
+// ------------------------------------------------------
+// every error answer of the api has the same shape (code, msg, errors,
+// fields), see errors.js; after localize() so defaults get translated too
+
+app.use("/api", apiErrors);
+
+// ------------------------------------------------------
+// current user
+// ------------------------------------------------------
+// every api request gets req.user (or null) from the session cookie,
+// see auth.js for roles and the requireRole / requireStaff guards
+
+app.use("/api", auth.loadUser);
 
+// ------------------------------------------------------
+// auth api
+// ------------------------------------------------------
+
+// students create their own account; instructor / admin accounts are made
+// by the server owner with backend/scripts/create-user.js
 app.post(
-  "/api/contact",
+  "/api/auth/register",
   [
-    // basic validation rules for contact fields
-    check("firstName")
+    check("fullName")
       .trim()
-      .isLength({ min: 2, max: 30 })
-      .withMessage("first name must be 2–30 characters"),
+      .isLength({ min: 3, max: 60 })
+      .withMessage("full name must be 3–60 characters"),
 
-    check("lastName")
+    check("email")
       .trim()
-      .isLength({ min: 2, max: 30 })
-      .withMessage("last name must be 2–30 characters"),
-
-    check("gender")
-      .notEmpty()
-      .withMessage("please select a gender"),
+      .isEmail()
+      .withMessage("enter a valid email")
+      .toLowerCase(),
 
-    check("mobile")
+    check("studentId")
       .trim()
-      .matches(/^(\+?9665\d{8}|05\d{8})$/)
-      .withMessage("use saudi format: +9665xxxxxxxx or 05xxxxxxxx"),
+      .matches(/^\d{7}$/)
+      .withMessage("student id must be exactly 7 digits"),
 
-    check("dob")
-      .trim()
-      .notEmpty()
-      .withMessage("dob is required"),
+    check("password")
+      .isLength({ min: 8, max: 100 })
+      .withMessage("password must be at least 8 characters"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    const { fullName, email, studentId, password } = req.body;
+
+    try {
+      if (await repos.users.existsByEmailOrStudentId(email, studentId)) {
+        return res.status(409).json({
+          status: "error",
+          msg: "an account with this email or student id already exists.",
+        });
+      }
+
+      const userId = await repos.users.create({
+        fullName,
+        email,
+        studentId,
+        role: "student",
+        passwordHash: await auth.hashPassword(password),
+      });
+
+      const token = await auth.createSession(userId);
+      auth.setSessionCookie(req, res, token);
+
+      return res.json({
+        status: "ok",
+        msg: "account created ✔",
+        user: { id: userId, full_name: fullName, role: "student" },
+      });
+    } catch (err) {
+      console.error("error registering user:", err);
+      return res.status(500).json({
+        status: "error",
+        msg: "database error while creating your account.",
+      });
+    }
+  }
+);
 
+app.post(
+  "/api/auth/login",
+  [
     check("email")
       .trim()
       .isEmail()
-      .withMessage("enter a valid email"),
+      .withMessage("enter a valid email")
+      .toLowerCase(),
 
-    check("language")
+    check("password")
       .notEmpty()
-      .withMessage("choose at least one language"),
+      .withMessage("password is required"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
 
-    check("message")
-      .trim()
-      .isLength({ min: 10, max: 1000 })
-      .withMessage("message must be between 10 and 1000 characters"),
+    try {
+      const user = await repos.users.findByEmail(req.body.email);
+
+      // always run one hash check so unknown emails are not faster
+      const ok = await auth.verifyPassword(
+        req.body.password,
+        user ? user.password_hash : auth.DUMMY_HASH
+      );
+
+      if (!user || !ok) {
+        return res.status(401).json({
+          status: "error",
+          msg: "wrong email or password.",
+        });
+      }
+
+      const token = await auth.createSession(user.id);
+      auth.setSessionCookie(req, res, token);
+
+      console.log(`user ${user.id} logged in`);
+
+      return res.json({
+        status: "ok",
+        msg: "logged in ✔",
+        user: { id: user.id, full_name: user.full_name, role: user.role },
+      });
+    } catch (err) {
+      console.error("error logging in:", err);
+      return res.status(500).json({
+        status: "error",
+        msg: "database error while logging in.",
+      });
+    }
+  }
+);
+
+app.post("/api/auth/logout", async (req, res) => {
+  try {
+    await auth.destroySession(auth.getSessionToken(req));
+  } catch (err) {
+    console.error("error logging out:", err);
+  }
+  auth.clearSessionCookie(res);
+  return res.json({ status: "ok", msg: "logged out." });
+});
+
+// who is logged in (user is null for visitors)
+app.get("/api/auth/me", (req, res) => {
+  return res.json({
+    status: "ok",
+    user: req.user,
+  });
+});
+
+// ------------------------------------------------------
+// form tokens
+// ------------------------------------------------------
+// the contact and idea pages ask for one when they open; their posts are
+// refused without it (csrf) or when sent too fast (bots), see abuse.js
+
+app.get("/api/form-token", issueFormToken);
+
+// ------------------------------------------------------
+// emails
+// ------------------------------------------------------
+// only queued here, mailer.js sends them in the background. the idea or
+// status is already saved when this runs, so a failure is logged and the
+// request still succeeds.
+
+async function queueEmail(template, to, data, lang) {
+  try {
+    await mailer.queue(template, to, data, lang);
+  } catch (err) {
+    console.error(`could not queue ${template} email to ${to}:`, err);
+  }
+}
+
+// same for the draft cleanup: a draft left behind is harmless
+async function removeDraft(repId) {
+  try {
+    await repos.drafts.remove(repId);
+  } catch (err) {
+    console.error(`could not remove the draft of ${repId}:`, err);
+  }
+}
+
+// ------------------------------------------------------
+// contact api
+// ------------------------------------------------------
+// receives data from contact-us form and saves it into db
+
+app.post(
+  "/api/contact",
+  protectFormPost("contact", "email"),
+  [
+    // same rules as the contact form in app.js (js/validation.js)
+    ...schemaRules("contact"),
   ],
   async (req, res) => {
     // check validation result
@@ -135,13 +393,17 @@ app.post(
     } = req.body;
 
     try {
-      // insert into contact_messages table
-      await pool.execute(
-        `insert into contact_messages 
-         (first_name, last_name, gender, mobile, dob, email, language, message) 
-         values (?, ?, ?, ?, ?, ?, ?, ?)`,
-        [firstName, lastName, gender, mobile, dob, email, language, message]
-      );
+      // save in contact_messages (see repositories/)
+      await repos.contact.create({
+        firstName,
+        lastName,
+        gender,
+        mobile,
+        dob,
+        email,
+        language,
+        message,
+      });
 
       console.log("new contact message saved");
 
@@ -163,61 +425,226 @@ app.post(
 // project api
 // ------------------------------------------------------
 // receives one team project idea and saves it into db
+// the same rules are reused when a team edits its idea later
 
-app.post(
-  "/api/project",
-  [
-    // basic validation for project form fields
-    check("teamName")
-      .trim()
-      .isLength({ min: 3, max: 50 })
-      .withMessage("team name must be 3–50 characters"),
+const projectRules = [
+  // same rules as the idea form in app.js (js/validation.js)
+  ...schemaRules("project"),
 
-    check("teamSize")
-      .isInt({ min: 1, max: 10 })
-      .withMessage("team size must be between 1 and 10"),
+  // other team members must match the team size, see members.js
+  ...memberRules,
+];
 
-    check("repName")
-      .trim()
-      .isLength({ min: 3, max: 50 })
-      .withMessage("representative name must be 3–50 characters"),
+// turn a validated request body into a project record (column names),
+// as the projects repository expects it. lang is the language of the team's
+// emails (only saved with a new idea; an import has none, so english)
+function projectFromBody(body, lang = DEFAULT_LANGUAGE) {
+  return {
+    team_name: body.teamName,
+    team_size: parseInt(body.teamSize, 10),
+    rep_name: body.repName,
+    rep_id: body.repId,
+    rep_email: body.repEmail,
+    course_code: body.courseCode,
+    category: body.category,
+    project_type: body.projectType,
+    project_name: body.projectName,
+    description: body.projectDesc,
+    tools: body.tools || "",
+    language: lang,
+  };
+}
 
-    check("repId")
-      .trim()
-      .matches(/^\d{7}$/)
-      .withMessage("representative id must be exactly 7 digits"),
+// ------------------------------------------------------
+// edit tokens
+// ------------------------------------------------------
+// when a team submits an idea we give back a random secret token.
+// only its sha-256 hash is stored, so a leaked db does not leak edit access.
+// the token must be sent (x-edit-token header) to edit or withdraw the idea.
 
-    check("repEmail")
-      .trim()
-      .isEmail()
-      .withMessage("representative email must be valid"),
+function createEditToken() {
+  return crypto.randomBytes(24).toString("hex");
+}
 
-    check("courseCode")
-      .trim()
-      .matches(/^[A-Za-z]{2,}\d{2,}$/)
-      .withMessage("course code must look like ccsw321"),
+function hashEditToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
 
-    check("category")
-      .notEmpty()
-      .withMessage("major / track is required"),
+// constant-time compare of a given token against the stored hash
+function editTokenMatches(token, storedHash) {
+  if (!token || !storedHash) return false;
+  const a = Buffer.from(hashEditToken(token), "hex");
+  const b = Buffer.from(storedHash, "hex");
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// read the edit token from header (fetch api) or body (plain forms)
+function getEditToken(req) {
+  return req.get("x-edit-token") || (req.body && req.body.editToken) || "";
+}
+
+// link the submitter can bookmark to come back and edit later
+function editUrlFor(id, token) {
+  return `/idea.html?edit=${id}&token=${token}`;
+}
+
+// ideas of the same course that look like this one (see similarity.js)
+// → { matches, blockDuplicateTitles }
+async function similarIdeas(project, excludeId) {
+  const [candidates, settings] = await Promise.all([
+    repos.projects.listForCourse(project.course_code, excludeId),
+    repos.courses.settings(project.course_code),
+  ]);
+  return {
+    matches: findSimilar(project, candidates),
+    blockDuplicateTitles: settings.block_duplicate_titles,
+  };
+}
+
+// the idea with the same title, when the course does not allow that
+function blockedDuplicate(similar) {
+  return similar.blockDuplicateTitles
+    ? similar.matches.find((m) => m.same_title) || null
+    : null;
+}
+
+// error body for a 409 when the title is already taken in a strict course
+function duplicateTitleResponse(match, courseCode) {
+  return {
+    status: "error",
+    msg: `an idea with this title already exists in ${courseCode}.`,
+    errors: [
+      {
+        path: "projectName",
+        msg: `team "${match.team_name}" already uses the title "${match.project_name}" in ${courseCode}, please choose another one`,
+      },
+    ],
+  };
+}
+
+// rate limits, form token + honeypot (abuse.js); only for new ideas, edits
+// already need the secret edit token
+const newProjectChecks = protectFormPost("project", "repEmail");
+
+app.post("/api/project", newProjectChecks, projectRules, async (req, res) => {
+  // validation result
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: "error",
+      errors: errors.array(),
+    });
+  }
+
+  console.log("new project submission received");
+
+  try {
+    // the course must exist, be open for submissions and allow this team size
+    const { course, problems } = await courseForBody(req.body);
+    if (problems.length > 0) {
+      return res.status(400).json(courseProblemResponse(problems));
+    }
+
+    const editToken = createEditToken();
+    const project = projectFromBody(req.body, req.lang);
+    const team = teamFromBody(req.body);
+
+    // similar ideas are only a warning, unless the course blocks same titles
+    const similar = await similarIdeas(project);
+    const duplicate = blockedDuplicate(similar);
+    if (duplicate) {
+      return res
+        .status(409)
+        .json(duplicateTitleResponse(duplicate, req.body.courseCode));
+    }
+
+    // one student = one team per course, so this can come back with conflicts
+    const saved = await repos.projects.create(
+      project,
+      team,
+      hashEditToken(editToken)
+    );
+
+    if (saved.conflicts) {
+      return res
+        .status(409)
+        .json(conflictResponse(saved.conflicts, req.body.courseCode));
+    }
+
+    // the idea is in, the rep's saved draft (drafts.js) is not needed anymore;
+    // only the rep can drop it, anyone may send an idea under any student id
+    if (req.user && req.user.student_id === project.rep_id) {
+      await removeDraft(project.rep_id);
+    }
+
+    // a receipt with the edit link for the team, a heads-up for the instructor
+    // (both in the language the team used the site in)
+    const editUrl = editUrlFor(saved.id, editToken);
+    await queueEmail(
+      "submissionReceipt",
+      project.rep_email,
+      { project, members: team, editUrl },
+      project.language
+    );
+    if (course.instructor_email) {
+      await queueEmail(
+        "newIdea",
+        course.instructor_email,
+        { project, members: team, id: saved.id, instructorName: course.instructor_name },
+        project.language
+      );
+    }
+
+    return res.json({
+      status: "ok",
+      msg: "team project idea saved successfully ✔",
+      id: saved.id,
+      editToken,
+      editUrl,
+      // closest ideas of the same course (warning only)
+      similar: similar.matches,
+    });
+  } catch (err) {
+    console.error("error inserting project:", err);
+    return res.status(500).json({
+      status: "error",
+      msg: "database error while saving project.",
+    });
+  }
+});
+
+// ------------------------------------------------------
+// similar ideas check
+// ------------------------------------------------------
+// idea.html asks before sending a new idea, so the team can look at the
+// closest ideas of its course first (same check as POST /api/project)
 
-    check("projectType")
+app.get(
+  "/api/projects/similar",
+  [
+    check("course")
+      .trim()
       .notEmpty()
-      .withMessage("project type is required"),
+      .withMessage("course is required")
+      .bail()
+      .isLength({ max: 20 })
+      .withMessage("course must be at most 20 characters"),
 
-    check("projectName")
+    check("title")
       .trim()
-      .isLength({ min: 3, max: 60 })
-      .withMessage("project title must be 3–60 characters"),
+      .notEmpty()
+      .withMessage("title is required")
+      .bail()
+      .isLength({ max: 60 })
+      .withMessage("title must be at most 60 characters"),
 
-    check("projectDesc")
+    check("description")
+      .optional()
       .trim()
-      .isLength({ min: 10, max: 400 })
-      .withMessage("description must be 10–400 characters"),
-    // tools + otherMembers are optional, so no validation here
+      .isLength({ max: 400 })
+      .withMessage("description must be at most 400 characters"),
   ],
   async (req, res) => {
-    // validation result
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -226,102 +653,1118 @@ app.post(
       });
     }
 
-    // extract data from body
-    const {
-      teamName,
-      teamSize,
-      repName,
-      repId,
-      repEmail,
-      otherMembers,
-      courseCode,
-      category,
-      projectType,
-      projectName,
-      projectDesc,
-      tools,
-    } = req.body;
-
-    console.log("new project submission received");
-
     try {
-      // insert into projects table
-      await pool.execute(
-        `insert into projects
-         (team_name, team_size, rep_name, rep_id, rep_email, other_members,
-          course_code, category, project_type, project_name, description, tools)
-         values (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          teamName,
-          teamSize,
-          repName,
-          repId,
-          repEmail,
-          otherMembers || "",
-          courseCode,
-          category,
-          projectType,
-          projectName,
-          projectDesc,
-          tools || "",
-        ]
-      );
+      const similar = await similarIdeas({
+        course_code: req.query.course,
+        project_name: req.query.title,
+        description: req.query.description || "",
+      });
 
       return res.json({
         status: "ok",
-        msg: "team project idea saved successfully ✔",
+        data: similar.matches,
+        blockDuplicateTitles: similar.blockDuplicateTitles,
       });
     } catch (err) {
-      console.error("error inserting project:", err);
+      console.error("error checking similar ideas:", err);
       return res.status(500).json({
         status: "error",
-        msg: "database error while saving project.",
+        msg: "database error while checking similar ideas.",
       });
     }
   }
 );
 
 // ------------------------------------------------------
-// list all projects for projects page
-// used by frontend js (initProjectsList) in projects.html
+// csv import (instructors only)
 // ------------------------------------------------------
+// a semester's teams in one go, see import.js for the columns.
+// the file is posted as text/csv, first to /preview (nothing is saved, every
+// row comes back with its problems), then to /import, which saves the rows
+// without problems in one transaction. each row gets the same checks as
+// POST /api/project.
 
-app.get("/api/projects", async (req, res) => {
-  try {
-    const [rows] = await pool.execute(
-      `select 
-         id,
-         team_name,
-         team_size,
-         other_members,
-         course_code,
-         category,
-         project_type,
-         project_name,
-         rep_name,
-         description,
-         tools
-       from projects
-       order by id desc`
+// csv text → { error } or { rows: [{ row, body, errors }] }
+async function checkImport(text) {
+  const parsed = bodiesFromCsv(text);
+  if (parsed.error) return parsed;
+
+  const rows = [];
+  for (const { row, body } of parsed.rows) {
+    rows.push({ row, body, errors: await checkBody(body, projectRules) });
+  }
+  markRepeatedStudents(rows);
+
+  // against the database: the course and its team sizes, students in a
+  // team already, titles taken in courses that block duplicates (earlier
+  // rows of the file count too)
+  const accepted = [];
+  for (const r of rows) {
+    if (r.errors.length > 0) continue;
+
+    // instructors may import after the submission window has closed
+    const { problems } = await courseForBody(r.body, { checkWindow: false });
+    if (problems.length > 0) {
+      r.errors.push(...problems);
+      continue;
+    }
+
+    const project = projectFromBody(r.body);
+    const team = teamFromBody(r.body);
+    const conflicts = await repos.projects.memberConflicts(
+      project.course_code,
+      team.map((m) => m.studentId)
     );
+    if (conflicts.length > 0) {
+      r.errors.push(...conflictResponse(conflicts, r.body.courseCode).errors);
+      continue;
+    }
 
-    return res.json({
-      status: "ok",
-      data: rows,
-    });
-  } catch (err) {
-    console.error("error fetching projects:", err);
-    return res.status(500).json({
-      status: "error",
-      msg: "database error while loading projects.",
-    });
+    const similar = await similarIdeas(project);
+    const duplicate =
+      blockedDuplicate(similar) ||
+      (similar.blockDuplicateTitles &&
+        accepted.find(
+          (a) =>
+            a.course_code.toLowerCase() === project.course_code.toLowerCase() &&
+            sameTitle(a.project_name, project.project_name)
+        ));
+    if (duplicate) {
+      r.errors.push(...duplicateTitleResponse(duplicate, r.body.courseCode).errors);
+      continue;
+    }
+    accepted.push(project);
   }
-});
+
+  return { rows };
+}
+
+// what the upload page shows for one row
+function importRowSummary(r) {
+  return {
+    row: r.row,
+    teamName: r.body.teamName,
+    courseCode: r.body.courseCode,
+    projectName: r.body.projectName,
+    teamSize: r.body.teamSize,
+    errors: r.errors,
+  };
+}
+
+app.post(
+  "/api/projects/import/preview",
+  auth.requireStaff,
+  csvBody,
+  async (req, res) => {
+    const text = csvTextOrError(req, res);
+    if (text === null) return;
+
+    try {
+      const checked = await checkImport(text);
+      if (checked.error) {
+        return res.status(400).json({ status: "error", msg: checked.error });
+      }
+
+      const valid = checked.rows.filter((r) => r.errors.length === 0).length;
+      return res.json({
+        status: "ok",
+        total: checked.rows.length,
+        valid,
+        invalid: checked.rows.length - valid,
+        rows: checked.rows.map(importRowSummary),
+      });
+    } catch (err) {
+      console.error("error checking project import:", err);
+      return res.status(500).json({
+        status: "error",
+        msg: "database error while checking the import.",
+      });
+    }
+  }
+);
+
+app.post(
+  "/api/projects/import",
+  auth.requireStaff,
+  csvBody,
+  async (req, res) => {
+    const text = csvTextOrError(req, res);
+    if (text === null) return;
+
+    try {
+      const checked = await checkImport(text);
+      if (checked.error) {
+        return res.status(400).json({ status: "error", msg: checked.error });
+      }
+
+      const valid = checked.rows.filter((r) => r.errors.length === 0);
+      const skipped = checked.rows.filter((r) => r.errors.length > 0).map(importRowSummary);
+      if (valid.length === 0) {
+        return res.status(400).json({
+          status: "error",
+          msg: "no row of this file can be imported, see the errors per row.",
+          skipped,
+        });
+      }
+
+      // every team gets its own edit link, like after submitting idea.html
+      const items = valid.map((r) => {
+        const editToken = createEditToken();
+        return {
+          project: projectFromBody(r.body),
+          team: teamFromBody(r.body),
+          editToken,
+          editTokenHash: hashEditToken(editToken),
+        };
+      });
+
+      const saved = await repos.projects.createMany(items);
+
+      // another team took one of these students since the checks above
+      if (saved.conflicts) {
+        const r = valid[saved.index];
+        return res.status(409).json({
+          status: "error",
+          msg: `row ${r.row} clashes with a team saved in the meantime, nothing was imported. please preview the file again.`,
+          errors: conflictResponse(saved.conflicts, r.body.courseCode).errors,
+        });
+      }
+
+      console.log(`${saved.ids.length} project(s) imported by user ${req.user.id}`);
+
+      return res.json({
+        status: "ok",
+        msg: `${saved.ids.length} project(s) imported ✔`,
+        imported: valid.map((r, i) => ({
+          row: r.row,
+          id: saved.ids[i],
+          teamName: r.body.teamName,
+          editUrl: editUrlFor(saved.ids[i], items[i].editToken),
+        })),
+        skipped,
+      });
+    } catch (err) {
+      console.error("error importing projects:", err);
+      return res.status(500).json({
+        status: "error",
+        msg: "database error while importing projects, nothing was imported.",
+      });
+    }
+  }
+);
 
 // ------------------------------------------------------
-// start server
+// edit / withdraw / restore a project
 // ------------------------------------------------------
 
-app.listen(PORT, () => {
-  console.log(`server running at http://localhost:${PORT}`);
-});
+const projectIdRule = check("id")
+  .isInt({ min: 1 })
+  .withMessage("project id must be a positive number");
+
+// load a live (not withdrawn) project and check the edit token
+// sends the error response itself and returns null when access is denied
+async function loadOwnedProject(req, res) {
+  const project = await repos.projects.findById(req.params.id);
+
+  if (!project) {
+    res.status(404).json({ status: "error", msg: "project not found." });
+    return null;
+  }
+
+  if (!editTokenMatches(getEditToken(req), project.edit_token_hash)) {
+    res.status(403).json({
+      status: "error",
+      msg: "this edit link is not valid for this project.",
+    });
+    return null;
+  }
+
+  return project;
+}
+
+app.put("/api/projects/:id", [projectIdRule, ...projectRules], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: "error",
+      errors: errors.array(),
+    });
+  }
+
+  try {
+    const project = await loadOwnedProject(req, res);
+    if (!project) return;
+
+    // edits may come after the deadline, moving to another course may not
+    const movesCourse =
+      req.body.courseCode.toLowerCase() !== project.course_code.toLowerCase();
+    const { problems } = await courseForBody(req.body, { checkWindow: movesCourse });
+    if (problems.length > 0) {
+      return res.status(400).json(courseProblemResponse(problems));
+    }
+
+    const changes = projectFromBody(req.body);
+    const team = teamFromBody(req.body);
+
+    // a strict course also keeps renamed ideas from taking another's title
+    const duplicate = blockedDuplicate(await similarIdeas(changes, project.id));
+    if (duplicate) {
+      return res
+        .status(409)
+        .json(duplicateTitleResponse(duplicate, req.body.courseCode));
+    }
+
+    // fixing an idea that needs changes sends it back to the instructor, and
+    // so does changing what an instructor already approved
+    let resubmit = null;
+    if (project.status === "needs_changes") {
+      resubmit = { from: project.status, feedback: "resubmitted by the team" };
+    } else if (
+      project.status === "approved" &&
+      review.changesReviewedContent(project, changes)
+    ) {
+      resubmit = { from: project.status, feedback: "changed by the team after approval" };
+    }
+
+    const conflicts = await repos.projects.update(
+      project.id,
+      changes,
+      team,
+      resubmit
+    );
+
+    if (conflicts.length > 0) {
+      return res
+        .status(409)
+        .json(conflictResponse(conflicts, req.body.courseCode));
+    }
+
+    return res.json({
+      status: "ok",
+      msg:
+        resubmit && resubmit.from === "approved"
+          ? "team project idea updated ✔ it had been approved, so it goes back to your instructor for review."
+          : "team project idea updated successfully ✔",
+    });
+  } catch (err) {
+    console.error("error updating project:", err);
+    return res.status(500).json({
+      status: "error",
+      msg: "database error while updating project.",
+    });
+  }
+});
+
+// withdraw = soft delete, the row stays so an instructor can restore it
+app.delete("/api/projects/:id", [projectIdRule], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: "error",
+      errors: errors.array(),
+    });
+  }
+
+  try {
+    const project = await loadOwnedProject(req, res);
+    if (!project) return;
+
+    await repos.projects.withdraw(project.id);
+
+    console.log(`project ${project.id} withdrawn`);
+
+    return res.json({
+      status: "ok",
+      msg: "team project idea withdrawn. ask your instructor if you need it back.",
+    });
+  } catch (err) {
+    console.error("error withdrawing project:", err);
+    return res.status(500).json({
+      status: "error",
+      msg: "database error while withdrawing project.",
+    });
+  }
+});
+
+// instructor-only: bring a withdrawn idea back
+app.post(
+  "/api/projects/:id/restore",
+  auth.requireStaff,
+  [projectIdRule],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    try {
+      const project = await repos.projects.findById(req.params.id, {
+        withDeleted: true,
+      });
+      // null = not found or not withdrawn
+      const conflicts = project && (await repos.projects.restore(project.id));
+
+      if (!conflicts) {
+        return res.status(404).json({
+          status: "error",
+          msg: "no withdrawn project with this id.",
+        });
+      }
+
+      // members may have joined another team after the withdrawal
+      if (conflicts.length > 0) {
+        return res
+          .status(409)
+          .json(conflictResponse(conflicts, project.course_code));
+      }
+
+      return res.json({
+        status: "ok",
+        msg: "project restored ✔",
+      });
+    } catch (err) {
+      console.error("error restoring project:", err);
+      return res.status(500).json({
+        status: "error",
+        msg: "database error while restoring project.",
+      });
+    }
+  }
+);
+
+// ------------------------------------------------------
+// admin inbox for contact messages (instructors only)
+// ------------------------------------------------------
+
+app.use("/api/admin/messages", auth.requireStaff, inboxRouter);
+
+// ------------------------------------------------------
+// idea form drafts kept in the rep's account, see drafts.js
+// ------------------------------------------------------
+
+app.use("/api/drafts", auth.requireLogin, draftsRouter);
+
+// ------------------------------------------------------
+// class lists of the courses (instructors only), see rosters.js
+// ------------------------------------------------------
+
+app.use("/api/rosters", auth.requireStaff, rostersRouter);
+
+// ------------------------------------------------------
+// review workflow (instructors only), see review.js
+// ------------------------------------------------------
+
+app.post(
+  "/api/projects/:id/status",
+  auth.requireStaff,
+  [
+    projectIdRule,
+    check("status")
+      .isIn(review.STATUSES)
+      .withMessage(`status must be one of: ${review.STATUSES.join(", ")}`),
+
+    check("feedback")
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage("feedback must be at most 1000 characters"),
+
+    check("feedback")
+      .if((value, { req }) => review.needsFeedback(req.body.status))
+      .trim()
+      .notEmpty()
+      .withMessage("please explain to the team why (feedback is required)"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    const { status, feedback } = req.body;
+
+    try {
+      const project = await repos.projects.findById(req.params.id);
+
+      if (!project) {
+        return res.status(404).json({
+          status: "error",
+          msg: "project not found.",
+        });
+      }
+
+      const current = project.status;
+      if (!review.canTransition(current, status)) {
+        return res.status(409).json({
+          status: "error",
+          msg: `a project that is ${current.replace("_", " ")} cannot be moved to ${status.replace("_", " ")}.`,
+        });
+      }
+
+      await repos.projects.changeStatus(
+        project.id,
+        current,
+        status,
+        feedback,
+        req.user.id
+      );
+
+      console.log(`project ${project.id}: ${current} → ${status}`);
+      // in the language the team submitted the idea in
+      await queueEmail(
+        "statusChanged",
+        project.rep_email,
+        { project, status, feedback },
+        project.language
+      );
+
+      return res.json({
+        status: "ok",
+        msg: "project status updated ✔",
+        data: { status, feedback: feedback || null },
+      });
+    } catch (err) {
+      console.error("error updating project status:", err);
+      return res.status(500).json({
+        status: "error",
+        msg: "database error while updating project status.",
+      });
+    }
+  }
+);
+
+// ------------------------------------------------------
+// courses and their settings, see courses.js
+// ------------------------------------------------------
+
+app.use("/api/courses", coursesRouter);
+
+// ------------------------------------------------------
+// what each viewer may see of a project
+// ------------------------------------------------------
+// students and visitors get the public fields only; instructors (and the
+// team itself through its edit token) also get rep email + student ids
+
+function publicProject(project, full) {
+  if (full) return project;
+
+  delete project.rep_email;
+  delete project.rep_id;
+  delete project.status_feedback;
+  project.members = (project.members || []).map((m) => ({ name: m.name }));
+  return project;
+}
+
+// ------------------------------------------------------
+// list projects for projects page
+// used by frontend js (initProjectsList) in projects.html
+// supports filters, free-text search, sorting and paging
+// through the query string, e.g.
+// /api/projects?course_code=ccsw321&category=cs&q=library&sort=team_name&dir=asc&page=2&limit=20
+// instructors add withdrawn=true to see the withdrawn ideas (projects.html
+// offers to restore them)
+// ("course" and "type" are older short names of course_code and project_type)
+// ------------------------------------------------------
+
+// columns the client is allowed to sort by (never put raw input in order by)
+const PROJECT_SORT_FIELDS = [
+  "id",
+  "status",
+  "team_name",
+  "team_size",
+  "course_code",
+  "category",
+  "project_type",
+  "project_name",
+  "rep_name",
+];
+
+const PROJECTS_DEFAULT_LIMIT = 20;
+const PROJECTS_MAX_LIMIT = 100;
+
+// filters shared by the list and the export, so an export holds exactly
+// the projects the instructor is looking at
+const projectFilterRules = [
+  check(["course_code", "course"])
+    .optional()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage("course filter is too long"),
+
+  check("category")
+    .optional()
+    .trim()
+    .isLength({ max: 30 })
+    .withMessage("category filter is too long"),
+
+  check(["project_type", "type"])
+    .optional()
+    .trim()
+    .isIn(["", "group", "solo"])
+    .withMessage("project type must be group or solo"),
+
+  check("status")
+    .optional()
+    .isIn(["", ...review.STATUSES])
+    .withMessage("unknown status"),
+
+  // instructors only: the withdrawn ideas instead of the live ones
+  check("withdrawn")
+    .optional()
+    .isIn(["", "true", "false"])
+    .withMessage("withdrawn must be true or false"),
+
+  check("q")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("search text must be at most 100 characters"),
+
+  check("sort")
+    .optional()
+    .isIn(PROJECT_SORT_FIELDS)
+    .withMessage("unknown sort field"),
+
+  check("dir")
+    .optional()
+    .isIn(["asc", "desc"])
+    .withMessage("dir must be asc or desc"),
+];
+
+// checked query string → filters + order for repos.projects.list
+function projectFilters(query) {
+  const { category, status, q } = query;
+  return {
+    course: query.course_code || query.course,
+    category,
+    type: query.project_type || query.type,
+    status,
+    q,
+    withdrawn: query.withdrawn === "true",
+    sort: query.sort || "id",
+    dir: query.dir === "asc" ? "asc" : "desc",
+  };
+}
+
+app.get(
+  "/api/projects",
+  [
+    ...projectFilterRules,
+
+    check("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("page must be a positive number"),
+
+    check("limit")
+      .optional()
+      .isInt({ min: 1, max: PROJECTS_MAX_LIMIT })
+      .withMessage(`limit must be between 1 and ${PROJECTS_MAX_LIMIT}`),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    const filters = projectFilters(req.query);
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || PROJECTS_DEFAULT_LIMIT;
+
+    // withdrawn ideas never show up in the public list, instructors ask
+    // for them to restore one
+    if (filters.withdrawn && !auth.isStaff(req.user)) {
+      return res.status(403).json({
+        status: "error",
+        msg: "only instructors can see withdrawn ideas.",
+      });
+    }
+
+    try {
+      const { rows, total } = await repos.projects.list({
+        ...filters,
+        page,
+        limit,
+      });
+
+      rows.forEach((r) => publicProject(r, auth.isStaff(req.user)));
+
+      return res.json({
+        status: "ok",
+        data: rows,
+        total,
+        page,
+        limit,
+        pages: Math.max(1, Math.ceil(total / limit)),
+      });
+    } catch (err) {
+      console.error("error fetching projects:", err);
+      return res.status(500).json({
+        status: "error",
+        msg: "database error while loading projects.",
+      });
+    }
+  }
+);
+
+// ------------------------------------------------------
+// export the list as a spreadsheet (instructors only)
+// used by the export buttons on projects.html
+// same filters and order as the list, but every matching project:
+// /api/projects/export?format=xlsx&course=ccsw321&status=approved
+// ------------------------------------------------------
+
+app.get(
+  "/api/projects/export",
+  auth.requireStaff,
+  [
+    ...projectFilterRules,
+
+    check("format")
+      .optional()
+      .isIn(EXPORT_FORMATS)
+      .withMessage(`format must be one of: ${EXPORT_FORMATS.join(", ")}`),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    const filters = projectFilters(req.query);
+
+    try {
+      // page through the list so the repositories keep one query shape
+      const projects = [];
+      for (let page = 1; ; page++) {
+        const { rows, total } = await repos.projects.list({
+          ...filters,
+          page,
+          limit: PROJECTS_MAX_LIMIT,
+        });
+        projects.push(...rows);
+        if (rows.length === 0 || projects.length >= total) break;
+      }
+
+      const file = exportFile(projects, req.query.format || "csv");
+
+      res.set({
+        "Content-Type": file.contentType,
+        "Content-Disposition": `attachment; filename="${file.filename}"`,
+        "Cache-Control": "no-store",
+      });
+      return res.send(file.body);
+    } catch (err) {
+      console.error("error exporting projects:", err);
+      return res.status(500).json({
+        status: "error",
+        msg: "database error while exporting projects.",
+      });
+    }
+  }
+);
+
+// ------------------------------------------------------
+// dashboard numbers (instructors only), counted in stats.js
+// used by frontend js (initDashboard) in dashboard.html
+// /api/stats?course=ccsw321&interval=week&tools=10
+// roster: the students on the class lists (rosters.js) and who of them is in
+// no team of their course yet, null while no list is imported (for the course)
+// ------------------------------------------------------
+
+app.get(
+  "/api/stats",
+  auth.requireStaff,
+  [
+    check("course")
+      .optional()
+      .trim()
+      .isLength({ max: 20 })
+      .withMessage("course filter is too long"),
+
+    check("interval")
+      .optional()
+      .isIn(STATS_INTERVALS)
+      .withMessage(`interval must be one of: ${STATS_INTERVALS.join(", ")}`),
+
+    check("tools")
+      .optional()
+      .isInt({ min: 1, max: TOOLS_MAX_LIMIT })
+      .withMessage(`tools must be between 1 and ${TOOLS_MAX_LIMIT}`)
+      .toInt(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    const course = req.query.course || null;
+
+    try {
+      const projects = await repos.projects.forStats({ course });
+      const students = await repos.rosters.count({ course });
+      const roster =
+        students === 0
+          ? null
+          : { students, withoutTeam: await repos.rosters.withoutTeam({ course }) };
+
+      return res.json({
+        status: "ok",
+        course,
+        ...projectStats(projects, {
+          interval: req.query.interval || "day",
+          toolsLimit: req.query.tools || TOOLS_DEFAULT_LIMIT,
+        }),
+        roster,
+      });
+    } catch (err) {
+      console.error("error counting projects:", err);
+      return res.status(500).json({
+        status: "error",
+        msg: "database error while loading the statistics.",
+      });
+    }
+  }
+);
+
+// ------------------------------------------------------
+// single project detail
+// used by frontend js (initProjectDetail) in project.html
+// ------------------------------------------------------
+
+app.get(
+  "/api/projects/:id",
+  [projectIdRule],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    try {
+      const project = await repos.projects.findById(req.params.id);
+
+      if (!project) {
+        return res.status(404).json({
+          status: "error",
+          msg: "project not found.",
+        });
+      }
+
+      // the team itself (valid edit token) gets the full record so
+      // idea.html can prefill the edit form
+      const isOwner = editTokenMatches(
+        getEditToken(req),
+        project.edit_token_hash
+      );
+      delete project.edit_token_hash;
+      delete project.deleted_at;
+
+      // the team and instructors also get the review history
+      const full = isOwner || auth.isStaff(req.user);
+      if (full) project.history = await repos.projects.history(project.id);
+      project.can_review = auth.isStaff(req.user);
+
+      publicProject(project, full);
+
+      return res.json({
+        status: "ok",
+        data: project,
+      });
+    } catch (err) {
+      console.error("error fetching project:", err);
+      return res.status(500).json({
+        status: "error",
+        msg: "database error while loading project.",
+      });
+    }
+  }
+);
+
+// ------------------------------------------------------
+// tasks
+// ------------------------------------------------------
+// small to-do items inside a project, each assigned to one team member
+// (by student id) with an optional due date.
+// a task can be managed by instructors, by the team through its edit token,
+// or by a logged-in student who is a member of the project.
+
+const TASK_STATUSES = ["todo", "in_progress", "done"];
+
+// true if this request may add / change tasks of the project
+async function canManageProject(req, projectId) {
+  if (auth.isStaff(req.user)) return true;
+
+  const project = await repos.projects.findById(projectId);
+  if (!project) return false;
+  if (editTokenMatches(getEditToken(req), project.edit_token_hash)) return true;
+
+  if (req.user && req.user.student_id) {
+    return repos.projects.isMember(projectId, req.user.student_id);
+  }
+  return false;
+}
+
+// partial = true for updates, where every field may be left out
+// (a function, because express-validator chains are changed in place)
+function taskRules(partial) {
+  const field = (name) => (partial ? check(name).optional() : check(name));
+
+  return [
+    field("title")
+      .trim()
+      .isLength({ min: 3, max: 100 })
+      .withMessage("task title must be 3–100 characters"),
+
+    field("assignee")
+      .trim()
+      .matches(/^\d{7}$/)
+      .withMessage("assignee must be a 7-digit student id"),
+
+    check("dueDate")
+      .optional({ checkFalsy: true })
+      .isISO8601({ strict: true })
+      .withMessage("due date must look like 2025-12-31"),
+
+    check("status")
+      .optional()
+      .isIn(TASK_STATUSES)
+      .withMessage(`task status must be one of: ${TASK_STATUSES.join(", ")}`),
+  ];
+}
+
+app.post(
+  "/api/projects/:id/tasks",
+  [projectIdRule, ...taskRules(false)],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    const { title, assignee, dueDate } = req.body;
+    const status = req.body.status || "todo";
+
+    try {
+      if (!(await canManageProject(req, req.params.id))) {
+        return res.status(403).json({
+          status: "error",
+          msg: "only the team or an instructor can add tasks to this project.",
+        });
+      }
+
+      if (!(await repos.projects.isMember(req.params.id, assignee))) {
+        return res.status(400).json({
+          status: "error",
+          errors: [{ path: "assignee", msg: "assignee is not in this team" }],
+        });
+      }
+
+      const id = await repos.tasks.create({
+        projectId: req.params.id,
+        title,
+        assignee,
+        dueDate,
+        status,
+      });
+
+      return res.json({
+        status: "ok",
+        msg: "task added ✔",
+        id,
+      });
+    } catch (err) {
+      console.error("error inserting task:", err);
+      return res.status(500).json({
+        status: "error",
+        msg: "database error while saving task.",
+      });
+    }
+  }
+);
+
+// partial update: send only the fields that change
+app.patch(
+  "/api/tasks/:id",
+  [
+    check("id")
+      .isInt({ min: 1 })
+      .withMessage("task id must be a positive number"),
+    ...taskRules(true),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    // only the known fields are passed on, never the whole body
+    const TASK_FIELDS = ["title", "assignee", "dueDate", "status"];
+    const changes = {};
+    TASK_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    });
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        status: "error",
+        msg: "nothing to update.",
+      });
+    }
+
+    try {
+      const task = await repos.tasks.findById(req.params.id);
+      if (!task) {
+        return res.status(404).json({
+          status: "error",
+          msg: "task not found.",
+        });
+      }
+
+      if (!(await canManageProject(req, task.project_id))) {
+        return res.status(403).json({
+          status: "error",
+          msg: "only the team or an instructor can change this task.",
+        });
+      }
+
+      if (
+        req.body.assignee &&
+        !(await repos.projects.isMember(task.project_id, req.body.assignee))
+      ) {
+        return res.status(400).json({
+          status: "error",
+          errors: [{ path: "assignee", msg: "assignee is not in this team" }],
+        });
+      }
+
+      await repos.tasks.update(task.id, changes);
+
+      return res.json({
+        status: "ok",
+        msg: "task updated ✔",
+      });
+    } catch (err) {
+      console.error("error updating task:", err);
+      return res.status(500).json({
+        status: "error",
+        msg: "database error while updating task.",
+      });
+    }
+  }
+);
+
+// ------------------------------------------------------
+// my work: projects + tasks of one student
+// used by frontend js (initMyWorkForm) in my-work.html
+// a student sees their own work only (logged in with that student id),
+// instructors can look up anyone
+// ------------------------------------------------------
+
+app.get(
+  "/api/students/:sid/work",
+  auth.requireLogin,
+  schemaRules("myWork"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: "error",
+        errors: errors.array(),
+      });
+    }
+
+    if (!auth.isStaff(req.user) && req.user.student_id !== req.params.sid) {
+      return res.status(403).json({
+        status: "error",
+        msg: "you can only see your own work; log in with this student id.",
+      });
+    }
+
+    try {
+      // live projects this student is in (as rep or member)
+      const projects = await repos.projects.findForStudent(req.params.sid);
+
+      // tasks assigned to the student that are not done yet,
+      // overdue ones first, then by due date (no date last)
+      const tasks = await repos.tasks.openForStudent(req.params.sid);
+
+      return res.json({
+        status: "ok",
+        data: { projects, tasks },
+      });
+    } catch (err) {
+      console.error("error fetching student work:", err);
+      return res.status(500).json({
+        status: "error",
+        msg: "database error while loading your work.",
+      });
+    }
+  }
+);
+
+// ------------------------------------------------------
+// unknown api urls + errors nobody caught
+// ------------------------------------------------------
+// after every route: json for the api (pages keep express's html answers)
+
+app.use("/api", notFound);
+app.use("/api", errorHandler);
+
+// ------------------------------------------------------
+// start server
+// ------------------------------------------------------
+
+async function start() {
+  // the memory store starts empty, fill it so there is something to show
+  if (config.storage.seedDemo) {
+    const counts = await seedDemoData(repos);
+    console.log(
+      `memory store: loaded ${counts.projects} demo projects (login ${DEMO_INSTRUCTOR.email} / ${DEMO_INSTRUCTOR.password})`
+    );
+  }
+
+  app.listen(PORT, () => {
+    console.log(
+      `server running at http://localhost:${PORT} (${config.env}, ${repos.driver} storage)`
+    );
+    mailer.start();
+    console.log(`emails: ${mailer.transport.name} transport`);
+  });
+}
+
+// "npm start" runs this file directly; tests require() it and get the app
+// without a listening port (see tests/helpers.js)
+if (require.main === module) {
+  start().catch((err) => {
+    console.error("could not start server:", err);
+    process.exit(1);
+  });
+}
+
+module.exports = app;
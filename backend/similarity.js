@@ -0,0 +1,106 @@
+// similarity.js
+// finds ideas in the same course that look like a new one
+// (three "library management system" projects in one section is too many)
+//
+// titles and descriptions are compared as sets of words with the dice
+// coefficient: 2 × shared words / (words in a + words in b), 0 → 1.
+// words that appear in almost every idea ("system", "app", "the", …) are
+// left out, otherwise every "… management system" would look the same.
+
+// a match needs at least this score to be reported
+const SIMILAR_THRESHOLD = 0.45;
+const MAX_MATCHES = 5;
+
+// the title says more about an idea than its description
+const TITLE_WEIGHT = 0.6;
+const DESCRIPTION_WEIGHT = 0.4;
+
+const STOP_WORDS = new Set([
+  // english
+  "a", "an", "and", "are", "as", "at", "be", "by", "for", "from", "in", "into",
+  "is", "it", "its", "of", "on", "or", "that", "the", "their", "this", "to",
+  "using", "with", "will", "our", "we", "can", "which", "who", "where",
+  // words nearly every student project uses
+  "app", "application", "based", "management", "online", "platform",
+  "project", "simple", "smart", "system", "tool", "web", "website",
+  // arabic (after normalizeArabic)
+  "في", "من", "علي", "الي", "عن", "مع", "هذا", "هذه", "التي", "الذي", "و",
+  "نظام", "تطبيق", "موقع", "منصه", "اداره",
+]);
+
+// one spelling for letters arabic writers use interchangeably
+function normalizeArabic(text) {
+  return text
+    .replace(/[\u064B-\u0652\u0640]/g, "") // harakat + tatweel
+    .replace(/[أإآ]/g, "ا")
+    .replace(/ة/g, "ه")
+    .replace(/ى/g, "ي");
+}
+
+// "Library Management System." → ["library", "management", "system"]
+function words(text) {
+  const normalized = normalizeArabic(String(text || "").toLowerCase());
+  return normalized.match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// rough stemming: "books" → "book", "المكتبه" → "مكتبه"
+function stem(word) {
+  if (/^ال\p{L}{3,}$/u.test(word)) return word.slice(2);
+  if (word.length > 3 && word.endsWith("s") && !word.endsWith("ss")) {
+    return word.slice(0, -1);
+  }
+  return word;
+}
+
+// the words that describe the idea
+function keywords(text) {
+  return new Set(words(text).filter((w) => !STOP_WORDS.has(w)).map(stem));
+}
+
+function dice(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach((w) => {
+    if (b.has(w)) shared += 1;
+  });
+  return (2 * shared) / (a.size + b.size);
+}
+
+// same title apart from case, spacing and punctuation
+function sameTitle(a, b) {
+  const left = words(a).join(" ");
+  return left !== "" && left === words(b).join(" ");
+}
+
+// idea = { project_name, description }
+// candidates = [{ id, team_name, project_name, description, … }]
+// → closest candidates first: [{ id, team_name, project_name, score, same_title }]
+function findSimilar(idea, candidates) {
+  const title = keywords(idea.project_name);
+  const description = keywords(idea.description);
+
+  return candidates
+    .map((c) => {
+      const same = sameTitle(idea.project_name, c.project_name);
+      const score = same
+        ? 1
+        : TITLE_WEIGHT * dice(title, keywords(c.project_name)) +
+          DESCRIPTION_WEIGHT * dice(description, keywords(c.description));
+      return {
+        id: c.id,
+        team_name: c.team_name,
+        project_name: c.project_name,
+        score: Math.round(score * 100) / 100,
+        same_title: same,
+      };
+    })
+    .filter((m) => m.score >= SIMILAR_THRESHOLD)
+    .sort((a, b) => b.score - a.score || a.id - b.id)
+    .slice(0, MAX_MATCHES);
+}
+
+module.exports = {
+  SIMILAR_THRESHOLD,
+  findSimilar,
+  sameTitle,
+};
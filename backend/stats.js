@@ -0,0 +1,144 @@
+// stats.js
+// the numbers behind the instructor dashboard (dashboard.html), served by
+// server.js at GET /api/stats
+//
+// the repositories hand over the live ideas (repos.projects.forStats) and
+// everything is counted here, so the memory and mysql drivers agree and
+// the free-text tools field can be split in js. a course has a few hundred
+// ideas at most, so counting them in node is cheap.
+
+const STATS_INTERVALS = ["day", "week", "month"];
+const TOOLS_DEFAULT_LIMIT = 10;
+const TOOLS_MAX_LIMIT = 50;
+
+// counts of one column → [{ key, count }], biggest first
+function countBy(projects, column) {
+  const counts = new Map();
+  projects.forEach((p) => counts.set(p[column], (counts.get(p[column]) || 0) + 1));
+  return Array.from(counts, ([key, count]) => ({ key, count })).sort(
+    (a, b) => b.count - a.count || String(a.key).localeCompare(String(b.key))
+  );
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// local dates, like mysql date() on the server: "2025-03-01"
+function ymd(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// first day of the period a moment falls in (weeks start on monday)
+function periodStart(moment, interval) {
+  const d = new Date(moment);
+  d.setHours(0, 0, 0, 0);
+  if (interval === "week") d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  if (interval === "month") d.setDate(1);
+  return d;
+}
+
+function nextPeriod(start, interval) {
+  const d = new Date(start);
+  if (interval === "day") d.setDate(d.getDate() + 1);
+  if (interval === "week") d.setDate(d.getDate() + 7);
+  if (interval === "month") d.setMonth(d.getMonth() + 1);
+  return d;
+}
+
+// label of a period: "2025-03-01" (day / week starting then) or "2025-03"
+function periodLabel(start, interval) {
+  return interval === "month" ? ymd(start).slice(0, 7) : ymd(start);
+}
+
+// submissions per period from the first to the last one, quiet periods
+// included (as 0) so a chart shows the gaps → [{ period, count }]
+function submissionsOverTime(projects, interval = "day") {
+  if (projects.length === 0) return [];
+
+  const counts = new Map();
+  let first = null;
+  let last = null;
+  projects.forEach((p) => {
+    const start = periodStart(p.created_at, interval);
+    const label = periodLabel(start, interval);
+    counts.set(label, (counts.get(label) || 0) + 1);
+    if (!first || start < first) first = start;
+    if (!last || start > last) last = start;
+  });
+
+  const points = [];
+  for (let d = first; d <= last; d = nextPeriod(d, interval)) {
+    const period = periodLabel(d, interval);
+    points.push({ period, count: counts.get(period) || 0 });
+  }
+  return points;
+}
+
+// "React, Node.js / MySQL and Figma…" → ["React", "Node.js", "MySQL", "Figma"]
+// (teams write the tools field however they like: commas, arabic commas,
+// slashes, "and", new lines)
+function parseTools(text) {
+  return String(text || "")
+    .split(/[,،;/|\n]+|\s+(?:and|&|و)\s+/i)
+    .map((tool) =>
+      tool
+        .replace(/^[\s\-–•*.]+|[\s.…!?:]+$/g, "")
+        .replace(/\s+/g, " ")
+    )
+    .filter((tool) => tool.length > 0 && tool.length <= 40);
+}
+
+// "Node.js", "nodejs" and "Node JS" are the same tool
+function toolKey(tool) {
+  return tool.toLowerCase().replace(/[\s.\-_]/g, "");
+}
+
+// most named tools → [{ tool, count }] where count = ideas naming it; the
+// label is the spelling most teams used
+function topTools(projects, limit = TOOLS_DEFAULT_LIMIT) {
+  const byKey = new Map();
+  projects.forEach((p) => {
+    const seen = new Set();
+    parseTools(p.tools).forEach((tool) => {
+      const key = toolKey(tool);
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      const entry = byKey.get(key) || { count: 0, spellings: new Map() };
+      entry.count += 1;
+      entry.spellings.set(tool, (entry.spellings.get(tool) || 0) + 1);
+      byKey.set(key, entry);
+    });
+  });
+
+  return Array.from(byKey.values())
+    .map(({ count, spellings }) => ({
+      tool: Array.from(spellings).sort((a, b) => b[1] - a[1])[0][0],
+      count,
+    }))
+    .sort((a, b) => b.count - a.count || a.tool.localeCompare(b.tool))
+    .slice(0, limit);
+}
+
+// everything the dashboard shows for a list of live ideas
+function projectStats(projects, { interval = "day", toolsLimit = TOOLS_DEFAULT_LIMIT } = {}) {
+  return {
+    total: projects.length,
+    byCourse: countBy(projects, "course_code"),
+    byCategory: countBy(projects, "category"),
+    byProjectType: countBy(projects, "project_type"),
+    byTeamSize: countBy(projects, "team_size").sort((a, b) => a.key - b.key),
+    byStatus: countBy(projects, "status"),
+    overTime: { interval, points: submissionsOverTime(projects, interval) },
+    tools: topTools(projects, toolsLimit),
+  };
+}
+
+module.exports = {
+  STATS_INTERVALS,
+  TOOLS_DEFAULT_LIMIT,
+  TOOLS_MAX_LIMIT,
+  parseTools,
+  topTools,
+  submissionsOverTime,
+  projectStats,
+};
@@ -0,0 +1,80 @@
+// validation.js
+// express-validator chains built from the shared form schemas in
+// js/validation.js (the same file app.js checks the forms with)
+//
+// usage: app.post("/api/contact", schemaRules("contact"), handler)
+
+const { check } = require("express-validator");
+const { FORM_SCHEMAS, checkField } = require("../js/validation");
+
+// chain for one field rule; every check bails out on the first problem so
+// each field reports one message, like in the browser
+function fieldChain(path, rule, start = check(path)) {
+  let chain = start.trim();
+
+  chain = rule.required
+    ? chain.notEmpty().withMessage(rule.required).bail()
+    : chain.optional({ values: "falsy" });
+
+  if (rule.type === "int") {
+    return chain.isInt({ min: rule.min, max: rule.max }).withMessage(rule.message);
+  }
+
+  if (rule.type === "date") {
+    // calendar + "not in the future" check, shared with the browser
+    return chain
+      .custom((value) => checkField(rule, value) === null)
+      .withMessage(rule.message);
+  }
+
+  // everything else is text: a list or an object in its place would pass the
+  // checks below element by element and break the route that reads it
+  chain = chain.isString().withMessage(rule.message).bail();
+
+  if (rule.min !== undefined || rule.max !== undefined) {
+    chain = chain
+      .isLength({ min: rule.min || 0, max: rule.max })
+      .withMessage(rule.message)
+      .bail();
+  }
+  if (rule.pattern) {
+    chain = chain.matches(new RegExp(rule.pattern, "u")).withMessage(rule.message).bail();
+  }
+  if (rule.oneOf) {
+    chain = chain.isIn(rule.oneOf).withMessage(rule.message);
+  }
+  return chain;
+}
+
+// chain for a list field (members) + one chain per item field
+function listChains(path, rule) {
+  return [
+    check(path)
+      .optional()
+      .isArray({ max: rule.max })
+      .withMessage(rule.message),
+    // entries are only checked in a real list; for a string or an object
+    // the message above is the one to show
+    ...Object.entries(rule.items).map(([field, itemRule]) =>
+      fieldChain(
+        `${path}.*.${field}`,
+        itemRule,
+        check(`${path}.*.${field}`).if((value, { req }) => Array.isArray(req.body[path]))
+      )
+    ),
+  ];
+}
+
+// all chains for one form of FORM_SCHEMAS
+// (a new array of new chains on every call, because express-validator
+// chains are changed in place)
+function schemaRules(formName) {
+  const schema = FORM_SCHEMAS[formName];
+  if (!schema) throw new Error(`unknown form schema "${formName}"`);
+
+  return Object.entries(schema).flatMap(([path, rule]) =>
+    rule.items ? listChains(path, rule) : [fieldChain(path, rule)]
+  );
+}
+
+module.exports = { schemaRules };
@@ -4,12 +4,124 @@
 // when the page finishes loading, we try to init each page separately
 // if a specific form or section does not exist on the page, its init function just returns
 document.addEventListener("DOMContentLoaded", () => {
+  initLanguage();      // every page: arabic / english + the switcher
   initContactForm();   // contact-us page
   initProjectForm();   // submit idea page
-  initMyWorkForm();    // my work section (simple demo)
+  initMyWorkForm();    // my work page (projects + tasks by student id)
   initProjectsList();  // projects list table
+  initProjectDetail(); // single project page
+  initLoginPage();     // login + student sign up
+  initInbox();         // instructor messages inbox
+  initImportPage();    // instructor csv import
+  initApiDocs();       // api docs page
+  initDashboard();     // instructor dashboard
 });
 
+/* ======================================================
+   language (js/i18n.js + js/i18n-ar.js, loaded before this file)
+   - the visitor's choice is kept in localStorage; without one we use the
+     browser's language when we have it, else english
+   - the static text of the page is translated once on load, messages
+     when they are shown (t), and api calls ask for answers in the same
+     language (apiFetch)
+   - switching reloads the page, so everything is drawn again
+   ====================================================== */
+
+const LANGUAGE_KEY = "classmate.lang";
+
+function chosenLanguage() {
+  let saved = null;
+  try {
+    saved = localStorage.getItem(LANGUAGE_KEY);
+  } catch (err) {
+    // storage blocked (private mode): fall back to the browser
+  }
+  if (LANGUAGES.includes(saved)) return saved;
+  return pickLanguage((navigator.languages || [navigator.language]).join(","));
+}
+
+const currentLanguage = chosenLanguage();
+
+// the contact form's language choices (contact_messages.language) → labels
+const LANGUAGE_LABELS = { en: "English", ar: "Arabic", both: "Both" };
+
+// english text → text in the page language ("{name}" filled from params)
+function t(text, params) {
+  return translate(currentLanguage, text, params);
+}
+
+// fetch for our api: field errors and messages come back in the page language
+function apiFetch(url, options = {}) {
+  return fetch(url, {
+    ...options,
+    headers: { ...options.headers, "Accept-Language": currentLanguage },
+  });
+}
+
+// attributes people read too (the rest are ids, urls, …)
+const TRANSLATED_ATTRIBUTES = ["placeholder", "aria-label", "title", "alt"];
+
+// one text as it is written in the html → its key (spaces collapsed)
+function textKey(text) {
+  return text.replace(/\s+/g, " ").trim();
+}
+
+// translate the static text of the page (text nodes + readable attributes);
+// elements marked data-no-i18n keep their text (names, codes, samples)
+function translatePage() {
+  const titleKey = textKey(document.title);
+  if (titleKey) document.title = t(titleKey);
+
+  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+  const nodes = [];
+  while (walker.nextNode()) nodes.push(walker.currentNode);
+  nodes.forEach((node) => {
+    const key = textKey(node.nodeValue);
+    if (!key || node.parentElement.closest("script, style, [data-no-i18n]")) return;
+    const text = t(key);
+    // keep the spaces around the text, they separate it from inline tags
+    if (text !== key) node.nodeValue = node.nodeValue.replace(/\S(?:[\s\S]*\S)?/, text);
+  });
+
+  TRANSLATED_ATTRIBUTES.forEach((name) => {
+    document.querySelectorAll(`[${name}]`).forEach((node) => {
+      if (node.closest("[data-no-i18n]")) return;
+      node.setAttribute(name, t(textKey(node.getAttribute(name))));
+    });
+  });
+}
+
+// one button per other language at the end of the nav ("العربية" / "English")
+function addLanguageSwitcher() {
+  const nav = document.querySelector("nav .nav");
+  if (!nav) return;
+
+  LANGUAGES.filter((lang) => lang !== currentLanguage).forEach((lang) => {
+    const item = el("li");
+    const btn = el("button", "lang-switch", LANGUAGE_NAMES[lang]);
+    btn.type = "button";
+    btn.lang = lang;
+    btn.dataset.lang = lang;
+    btn.addEventListener("click", () => {
+      try {
+        localStorage.setItem(LANGUAGE_KEY, lang);
+      } catch (err) {
+        return; // nowhere to keep the choice
+      }
+      window.location.reload();
+    });
+    item.appendChild(btn);
+    nav.appendChild(item);
+  });
+}
+
+function initLanguage() {
+  document.documentElement.lang = currentLanguage;
+  document.documentElement.dir = isRtl(currentLanguage) ? "rtl" : "ltr";
+  if (currentLanguage !== DEFAULT_LANGUAGE) translatePage();
+  addLanguageSwitcher();
+}
+
 /* ======================================================
    small shared helpers
    ====================================================== */
@@ -32,10 +144,13 @@ function clearFormErrors(form, errorBox) {
   }
 }
 
-// show a single field error under a specific input
+// show a single field error under a specific input (translated like
+// showErrorList)
 function showFieldError(input, message) {
   // find the closest wrapper for this field
+  // (radio groups show one message for the whole group)
   const row =
+    (input.type === "radio" && input.closest("fieldset")) ||
     input.closest(".form-row") ||
     input.closest(".field") ||
     input.parentElement;
@@ -52,7 +167,7 @@ function showFieldError(input, message) {
     msgEl.className = "error-message";
     row.appendChild(msgEl);
   }
-  msgEl.textContent = message;
+  msgEl.textContent = t(message);
 }
 
 // make sure each form has a main error box at the top
@@ -69,197 +184,195 @@ function ensureErrorBox(form, boxId) {
   return box;
 }
 
-// basic check for dates that look like yyyy-mm-dd
-// also verifies that the date actually exists on the calendar
-function isValidDateYMD(value) {
-  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
-  if (!m) return false;
+/* ======================================================
+   safe rendering
+   text from users or the api only ever goes into the page as text
+   (textContent / text nodes), never through innerHTML, so a stored
+   "<img onerror=…>" shows up as those characters instead of running
+   ====================================================== */
+
+// create an element with optional class + text
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+// fill an error box with an optional title + one <li> per message
+// (english texts are translated here, api messages already come translated)
+function showErrorList(box, title, messages) {
+  box.className = "error-box";
+  box.replaceChildren();
+  if (title) box.appendChild(el("h2", "", t(title)));
+
+  const list = el("ul");
+  messages.forEach((msg) => list.appendChild(el("li", "", t(msg))));
+  box.appendChild(list);
+  box.focus();
+}
 
-  const year = Number(m[1]);
-  const month = Number(m[2]); // 1–12
-  const day = Number(m[3]);   // 1–31
+// the input an api field error is about: a form field by name, or one of
+// the generated member rows of idea.html ("members[1].studentId")
+function inputForPath(form, path) {
+  const member = /^members\[(\d+)\]\.(name|studentId)$/.exec(path || "");
+  if (member) {
+    const inputs = form.querySelectorAll(
+      member[2] === "name" ? ".member-name-input" : ".member-id-input"
+    );
+    return inputs[Number(member[1])] || null;
+  }
+  return path ? schemaInput(form, path) : null;
+}
 
-  if (month < 1 || month > 12 || day < 1 || day > 31) return false;
+// an api error answer (see backend/errors.js) → each field error under its
+// input + all of them listed in the error box; answers without field errors
+// just show their msg (or the fallback when there is none)
+function showApiErrors(form, errorBox, result, fallback) {
+  const errors = result.errors || [];
+  errors.forEach((e) => {
+    const input = inputForPath(form, e.path);
+    if (input) showFieldError(input, e.msg);
+  });
 
-  const d = new Date(year, month - 1, day);
-  return (
-    d.getFullYear() === year &&
-    d.getMonth() === month - 1 &&
-    d.getDate() === day
-  );
+  if (errors.length > 0) {
+    showErrorList(errorBox, result.msg || fallback, errors.map((e) => e.msg));
+  } else {
+    errorBox.className = "error-box";
+    errorBox.textContent = result.msg || t(fallback);
+    errorBox.focus();
+  }
 }
 
 /* ======================================================
-   contact form (contact-us page)
+   shared form schemas (js/validation.js, loaded before this file)
+   the server checks the same rules, so limits and messages always match
    ====================================================== */
 
-function initContactForm() {
-  const form = document.getElementById("contactForm");
-  if (!form) return; // not on contact page
-
-  const errorBox = ensureErrorBox(form, "contactErrors");
+// the input behind a schema field (first radio for radio groups)
+function schemaInput(form, name) {
+  const field = form.elements.namedItem(name);
+  if (!field) return null;
+  return field.tagName ? field : field[0];
+}
 
-  form.addEventListener("submit", async (event) => {
-    event.preventDefault();
-    clearFormErrors(form, errorBox);
+// trimmed values of all plain schema fields (radio groups → checked value)
+function readFormValues(form, schema) {
+  const values = {};
+  Object.keys(schema).forEach((name) => {
+    const field = form.elements.namedItem(name);
+    if (field) values[name] = String(field.value || "").trim();
+  });
+  return values;
+}
 
-    const errors = [];
-
-    // grab all fields by name (same names used in backend)
-    const firstName = form.firstName;
-    const lastName = form.lastName;
-    const genderChecked = form.querySelector('input[name="gender"]:checked');
-    const mobile = form.mobile;
-    const dob = form.dob;
-    const email = form.email;
-    const language = form.language;
-    const message = form.message;
-
-    // basic pattern: english letters only for names
-    const namePattern = /^[A-Za-z]{2,30}$/;
-
-    // quick date format check using helper
-    const dobVal = dob.value.trim();
-    if (dobVal) {
-      if (!isValidDateYMD(dobVal)) {
-        errors.push("date of birth must be a valid date in yyyy-mm-dd format.");
-        showFieldError(dob, "use yyyy-mm-dd, e.g., 2003-05-17.");
-      } else {
-        const dobDate = new Date(dobVal);
-        const today = new Date();
-        if (dobDate > today) {
-          errors.push("date of birth cannot be in the future.");
-          showFieldError(dob, "date cannot be in the future.");
-        }
-      }
+// let the browser help too: length limits and the date picker range
+function applySchemaAttributes(form, schema) {
+  Object.entries(schema).forEach(([name, rule]) => {
+    const input = schemaInput(form, name);
+    if (!input) return;
+
+    if (rule.type === "date") {
+      input.max = todayYMD();
+    } else if (!rule.type && !rule.oneOf && input.tagName !== "SELECT") {
+      if (rule.min !== undefined) input.minLength = rule.min;
+      if (rule.max !== undefined) input.maxLength = rule.max;
     }
+  });
+}
 
-    // first name check
-    const firstVal = firstName.value.trim();
-    if (!namePattern.test(firstVal)) {
-      errors.push("first name must be 2–30 letters (a–z) only.");
-      showFieldError(firstName, "use letters only, 2–30 characters.");
-    }
+// check a form against its schema, mark every bad field
+// → list of messages for the error box (empty when the form is fine)
+function checkFormFields(form, schema, values) {
+  return validateForm(schema, values).map((e) => {
+    const input = schemaInput(form, e.path);
+    if (input) showFieldError(input, e.msg);
+    return e.msg;
+  });
+}
 
-    // last name check
-    const lastVal = lastName.value.trim();
-    if (!namePattern.test(lastVal)) {
-      errors.push("last name must be 2–30 letters (a–z) only.");
-      showFieldError(lastName, "use letters only, 2–30 characters.");
-    }
+/* ======================================================
+   public form posts (contact + new idea), see backend/abuse.js
+   - the page asks for a form token when it opens; the server refuses
+     posts without it, or sent faster than a person can fill the form
+   - the hidden "website" field is a spam trap people never fill in
+   - refusals (rate limits, expired form, bot checks) are error answers
+     without field errors; code "form_expired" means: get a new token
+   ====================================================== */
 
-    // gender is required radio
-    if (!genderChecked) {
-      errors.push("please select a gender option.");
-      const fieldset = form.querySelector("fieldset");
-      if (fieldset) {
-        fieldset.classList.add("field-error");
-        let msgEl = fieldset.querySelector(".error-message");
-        if (!msgEl) {
-          msgEl = document.createElement("small");
-          msgEl.className = "error-message";
-          fieldset.appendChild(msgEl);
-        }
-        msgEl.textContent = "please choose one option.";
-      }
-    }
+// fetches a token right away → { get() → promise of the token, refresh() }
+function formTokenLoader() {
+  let token;
 
-    // saudi mobile format
-    const mobileVal = mobile.value.trim();
-    const mobilePattern = /^(?:\+9665\d{8}|05\d{8})$/;
-    if (!mobilePattern.test(mobileVal)) {
-      errors.push(
-        "mobile must be a valid saudi number (+9665xxxxxxxx or 05xxxxxxxx)."
-      );
-      showFieldError(mobile, "use +9665xxxxxxxx or 05xxxxxxxx.");
-    }
+  function refresh() {
+    token = apiFetch("/api/form-token")
+      .then((res) => res.json())
+      .then((result) => result.token || "")
+      .catch(() => ""); // the post then explains what went wrong
+    return token;
+  }
 
-    // date of birth required and not in future (max = today or from attribute)
-    if (!dob.value) {
-      errors.push("date of birth is required.");
-      showFieldError(dob, "please enter your date of birth.");
-    } else {
-      const selected = new Date(dob.value);
-      // fallback max date if input has no max attribute
-      const maxAttr = dob.max || "2025-11-03";
-      const maxAllowed = new Date(maxAttr);
-      if (selected > maxAllowed) {
-        errors.push("date of birth cannot be in the future.");
-        showFieldError(dob, "date cannot be after " + maxAttr + ".");
-      }
-    }
+  refresh();
+  return { get: () => token, refresh };
+}
 
-    // email format
-    const emailVal = email.value.trim();
-    const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailVal) {
-      errors.push("email is required.");
-      showFieldError(email, "please enter your email address.");
-    } else if (!emailPattern.test(emailVal)) {
-      errors.push("email must be in a valid format (name@example.com).");
-      showFieldError(email, "use a valid email like name@example.com.");
-    }
+/* ======================================================
+   contact form (contact-us page)
+   ====================================================== */
 
-    // preferred language (dropdown)
-    if (!language.value) {
-      errors.push("please choose a preferred language.");
-      showFieldError(language, "please select a language.");
-    }
+function initContactForm() {
+  const form = document.getElementById("contactForm");
+  if (!form) return; // not on contact page
 
-    // message length check
-    const msgVal = message.value.trim();
-    if (msgVal.length < 10 || msgVal.length > 1000) {
-      errors.push("message must be between 10 and 1000 characters.");
-      showFieldError(message, "write at least 10 characters.");
-    }
+  const errorBox = ensureErrorBox(form, "contactErrors");
+  applySchemaAttributes(form, FORM_SCHEMAS.contact);
+  const formToken = formTokenLoader();
+
+  form.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    clearFormErrors(form, errorBox);
+
+    // every field is checked by the shared contact schema
+    const values = readFormValues(form, FORM_SCHEMAS.contact);
+    const errors = checkFormFields(form, FORM_SCHEMAS.contact, values);
 
     // if any errors → show them in a list at the top and stop here
     if (errors.length > 0) {
-      errorBox.className = "error-box";
-      errorBox.innerHTML = `
-        <h2>there are some problems with your form:</h2>
-        <ul>${errors.map((e) => `<li>${e}</li>`).join("")}</ul>
-      `;
-      errorBox.focus();
+      showErrorList(errorBox, "there are some problems with your form:", errors);
       return;
     }
 
     // no client-side errors → send data to backend api
     try {
-      const response = await fetch("/api/contact", {
+      const response = await apiFetch("/api/contact", {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          firstName: firstName.value.trim(),
-          lastName: lastName.value.trim(),
-          gender: genderChecked ? genderChecked.value : "",
-          mobile: mobile.value.trim(),
-          dob: dob.value.trim(),
-          email: email.value.trim(),
-          language: language.value,
-          message: message.value.trim(),
-        }),
+        headers: {
+          "Content-Type": "application/json",
+          "X-CSRF-Token": await formToken.get(),
+        },
+        body: JSON.stringify({ ...values, website: form.website.value }),
       });
 
       const result = await response.json();
 
-      // backend may still return validation errors
+      // field errors under their inputs, refusals (rate limit, expired
+      // form, spam check) as one message at the top
       if (result.status === "error") {
-        alert(
-          "please fix the following errors:\n" +
-            (result.errors || []).map((e) => "- " + e.msg).join("\n")
-        );
+        if (result.code === "form_expired") formToken.refresh();
+        showApiErrors(form, errorBox, result, "your form could not be sent, please try again.");
         return;
       }
 
       // success message at the top of the form
       errorBox.className = "success-msg";
       errorBox.textContent =
-        result.msg || "your form has been submitted successfully.";
+        result.msg || t("your form has been submitted successfully.");
       form.reset();
+      formToken.refresh(); // a fresh form → a fresh token
     } catch (err) {
       console.error("error submitting contact form:", err);
-      alert("there was a problem sending your message.");
+      errorBox.className = "error-box";
+      errorBox.textContent = t("there was a problem sending your message.");
     }
   });
 }
@@ -267,14 +380,22 @@ function initContactForm() {
 /* ======================================================
    project form (idea.html)
    - collects team info, course info, and project details
-   - also collects extra members (name + id) and sends them as one string
+   - also collects extra members (name + id) and sends them as a members array
+   - opened as idea.html?edit=<id>&token=<token> it becomes an edit form:
+     fields are prefilled from the api and the team can also withdraw
+   - a new idea is saved in localStorage as it is typed and offered back on
+     the next visit; the rep can also keep it in their account (/api/drafts)
+     to finish on another device
    ====================================================== */
 
+const IDEA_DRAFT_KEY = "classmate.ideaDraft";
+
 function initProjectForm() {
   const form = document.getElementById("projectForm");
   if (!form) return; // not on idea page
 
   const errorBox = ensureErrorBox(form, "projectErrors");
+  applySchemaAttributes(form, FORM_SCHEMAS.project);
 
   // cache main fields from the form
   const teamName = form.teamName;
@@ -289,24 +410,40 @@ function initProjectForm() {
   const tools = form.tools;
 
   const membersContainer = document.getElementById("membersContainer");
-  const otherMembersHidden = document.getElementById("otherMembers");
+  const withdrawBtn = document.getElementById("withdrawIdea");
+
+  // edit mode comes from the link returned after the first submission
+  const pageParams = new URLSearchParams(window.location.search);
+  const editId = pageParams.get("edit");
+  const editToken = pageParams.get("token");
+  const isEdit = Boolean(editId && editToken);
+  // edits are checked with the edit token instead (see backend/abuse.js)
+  const formToken = isEdit ? null : formTokenLoader();
 
-  // small helper to read currently selected project type radio
-  function getProjectTypeChecked() {
-    return form.querySelector('input[name="projectType"]:checked');
+  // what was typed for the other members ([{ name, studentId }]), kept when
+  // the rows are drawn again so changing the team size loses nothing
+  let memberValues = [];
+
+  function readMemberInputs() {
+    if (!membersContainer) return;
+    const nameInputs = membersContainer.querySelectorAll(".member-name-input");
+    const idInputs = membersContainer.querySelectorAll(".member-id-input");
+    nameInputs.forEach((input, i) => {
+      memberValues[i] = { name: input.value, studentId: idInputs[i].value };
+    });
   }
 
-  // render dynamic member name + id fields based on team size
+  // render dynamic member name + id fields based on team size, filled from
+  // memberValues
   // example: if team size = 4 → show 3 blocks for the other members
   function renderMemberInputs() {
     if (!membersContainer) return;
 
-    membersContainer.innerHTML = "";
+    membersContainer.replaceChildren();
 
     const size = parseInt(teamSize.value, 10);
     if (Number.isNaN(size) || size <= 1) {
       // solo or only representative → no extra member fields
-      if (otherMembersHidden) otherMembersHidden.value = "";
       return;
     }
 
@@ -314,8 +451,10 @@ function initProjectForm() {
 
     const hint = document.createElement("p");
     hint.className = "hint";
-    hint.textContent =
-      `enter full name + student id for each of the ${othersCount} other member(s).`;
+    hint.textContent = t(
+      "enter full name + student id for each of the {count} other member(s).",
+      { count: othersCount }
+    );
     membersContainer.appendChild(hint);
 
     for (let i = 1; i <= othersCount; i++) {
@@ -324,23 +463,26 @@ function initProjectForm() {
 
       // member name label + input
       const nameLabel = document.createElement("label");
-      nameLabel.textContent = `member ${i} name`;
+      nameLabel.textContent = t("member {n} name", { n: i });
 
       const nameInput = document.createElement("input");
       nameInput.type = "text";
       nameInput.name = `memberName${i}`;
       nameInput.className = "member-name-input";
-      nameInput.placeholder = "full name";
+      nameInput.placeholder = t("full name");
+      nameInput.maxLength = FORM_SCHEMAS.project.members.items.name.max;
+      nameInput.value = (memberValues[i - 1] && memberValues[i - 1].name) || "";
 
       // member id label + input
       const idLabel = document.createElement("label");
-      idLabel.textContent = `member ${i} id`;
+      idLabel.textContent = t("member {n} id", { n: i });
 
       const idInput = document.createElement("input");
       idInput.type = "text";
       idInput.name = `memberId${i}`;
       idInput.className = "member-id-input";
-      idInput.placeholder = "e.g., 2310xxx";
+      idInput.placeholder = t("e.g., 2310xxx");
+      idInput.value = (memberValues[i - 1] && memberValues[i - 1].studentId) || "";
 
       row.appendChild(nameLabel);
       row.appendChild(nameInput);
@@ -353,203 +495,603 @@ function initProjectForm() {
 
   // update dynamic member fields whenever team size changes
   if (teamSize) {
-    teamSize.addEventListener("change", renderMemberInputs);
+    teamSize.addEventListener("change", () => {
+      readMemberInputs();
+      renderMemberInputs();
+    });
   }
 
-  form.addEventListener("submit", async (event) => {
-    event.preventDefault();
-    clearFormErrors(form, errorBox);
+  // courses for the dropdown (GET /api/courses), by code
+  const courseInfo = document.getElementById("courseInfo");
+  const courses = {};
+
+  // "CCSW321 — Web Application Development (S1)" + why it can't be picked
+  function courseOption(c) {
+    let label = `${c.code} — ${c.title}` + (c.section ? ` (${c.section})` : "");
+    if (c.window === "closed") label += " · " + t("submissions closed");
+    if (c.window === "not_open_yet") {
+      label +=
+        " · " + t("opens {date}", { date: new Date(c.opensAt).toLocaleDateString() });
+    }
+    const option = el("option", "", label);
+    option.value = c.code;
+    option.disabled = c.window !== "open";
+    return option;
+  }
+
+  // "teams of 2–4 students", same wording as the server
+  function courseSizes(c) {
+    return c.minTeamSize === c.maxTeamSize
+      ? t("teams of exactly {size} student(s)", { size: c.minTeamSize })
+      : t("teams of {min}–{max} students", { min: c.minTeamSize, max: c.maxTeamSize });
+  }
+
+  // team size limits + deadline of the chosen course; sizes the course
+  // does not take can't be picked
+  function showCourseInfo() {
+    const c = courses[courseCode.value];
+    Array.from(teamSize.options).forEach((option) => {
+      const size = parseInt(option.value, 10);
+      option.disabled =
+        !option.value || Boolean(c && (size < c.minTeamSize || size > c.maxTeamSize));
+    });
+    if (!courseInfo) return;
+    courseInfo.textContent = c
+      ? courseSizes(c) +
+        (c.closesAt
+          ? " · " +
+            t("submissions close {date}", { date: new Date(c.closesAt).toLocaleString() })
+          : "")
+      : "";
+  }
 
-    const errors = [];
+  const coursesLoaded = apiFetch("/api/courses")
+    .then((res) => res.json())
+    .then((result) => {
+      (result.data || []).forEach((c) => {
+        courses[c.code] = c;
+        courseCode.appendChild(courseOption(c));
+      });
+    })
+    .catch((err) => {
+      console.error("error loading courses:", err);
+      errorBox.className = "error-box";
+      errorBox.textContent = t("could not load the course list, please reload the page.");
+    });
 
-    // team name basic length check
-    if (!teamName.value.trim() || teamName.value.trim().length < 3) {
-      errors.push("team name must be at least 3 characters.");
-      showFieldError(teamName, "enter a valid team name.");
+  courseCode.addEventListener("change", showCourseInfo);
+
+  // fill the form from an existing project (edit mode)
+  function prefillForm(p) {
+    // let the team see where its idea stands before editing
+    const reviewNote = document.getElementById("reviewNote");
+    if (reviewNote && p.status) {
+      reviewNote.textContent =
+        t("current status: {status}.", { status: formatStatusLabel(p.status) }) +
+        (p.status_feedback
+          ? " " + t("instructor feedback: {feedback}", { feedback: p.status_feedback })
+          : "") +
+        (p.status === "needs_changes"
+          ? " " + t("saving your changes sends the idea back for review.")
+          : "") +
+        (p.status === "approved"
+          ? " " +
+            t(
+              "changing the course, major, type, title, description or tools sends the approved idea back for review."
+            )
+          : "");
+      reviewNote.hidden = false;
     }
 
-    // team size (1–5 max for this project)
-    const teamSizeVal = parseInt(teamSize.value, 10);
-    if (Number.isNaN(teamSizeVal) || teamSizeVal < 1 || teamSizeVal > 5) {
-      errors.push("team size must be between 1 and 5.");
-      showFieldError(teamSize, "choose a team size between 1 and 5 members.");
+    teamName.value = p.team_name || "";
+    teamSize.value = String(p.team_size || "");
+    repName.value = p.rep_name || "";
+    repId.value = p.rep_id || "";
+    repEmail.value = p.rep_email || "";
+    // an idea stays in its course after the deadline, so keep it selectable
+    let ownCourse = Array.from(courseCode.options).find((o) => o.value === p.course_code);
+    if (!ownCourse && p.course_code) {
+      ownCourse = el("option", "", p.course_code);
+      ownCourse.value = p.course_code;
+      courseCode.appendChild(ownCourse);
     }
+    if (ownCourse) ownCourse.disabled = false;
+    courseCode.value = p.course_code || "";
+    showCourseInfo();
+    category.value = p.category || "";
+    projectName.value = p.project_name || "";
+    projectDesc.value = p.description || "";
+    if (tools) tools.value = p.tools || "";
+
+    const typeRadio = form.querySelector(
+      `input[name="projectType"][value="${p.project_type}"]`
+    );
+    if (typeRadio) typeRadio.checked = true;
+
+    // generate the member rows for this team size, filled with the team
+    memberValues = (p.members || []).map((m) => ({ name: m.name, studentId: m.student_id }));
+    renderMemberInputs();
+  }
 
-    // validate extra member names + ids and build otherMembers string
-    let otherMembersStr = "";
-    if (!Number.isNaN(teamSizeVal) && teamSizeVal > 1 && membersContainer) {
-      const nameInputs =
-        membersContainer.querySelectorAll(".member-name-input");
-      const idInputs = membersContainer.querySelectorAll(".member-id-input");
-      const expected = teamSizeVal - 1;
+  if (isEdit) {
+    const title = document.getElementById("projectFormTitle");
+    if (title) title.textContent = t("Edit Your Team Project Idea");
 
-      if (nameInputs.length !== expected || idInputs.length !== expected) {
-        errors.push(
-          "please reselect the team size so member fields are generated correctly."
-        );
-      } else {
-        const lines = [];
+    const submitBtn = form.querySelector('button[type="submit"]');
+    if (submitBtn) submitBtn.textContent = t("Save Changes");
+    if (withdrawBtn) withdrawBtn.hidden = false;
 
-        for (let i = 0; i < expected; i++) {
-          const nameVal = nameInputs[i].value.trim();
-          const idVal = idInputs[i].value.trim();
+    apiFetch("/api/projects/" + encodeURIComponent(editId), {
+      headers: { "X-Edit-Token": editToken },
+    })
+      .then((res) => res.json())
+      .then(async (result) => {
+        if (result.status !== "ok") {
+          errorBox.className = "error-box";
+          errorBox.textContent = result.msg || t("could not load this project.");
+          return;
+        }
+        await coursesLoaded; // the course dropdown must be filled first
+        prefillForm(result.data);
+      })
+      .catch((err) => {
+        console.error("error loading project for edit:", err);
+        errorBox.className = "error-box";
+        errorBox.textContent = t("server error while loading your project.");
+      });
 
-          if (!nameVal) {
-            errors.push(`member ${i + 1} name is required.`);
-            showFieldError(nameInputs[i], "please enter this member name.");
-          }
+    if (withdrawBtn) {
+      withdrawBtn.addEventListener("click", async () => {
+        if (!confirm(t("withdraw this idea? it will disappear from the projects list."))) {
+          return;
+        }
 
-          if (!idVal) {
-            errors.push(`member ${i + 1} id is required.`);
-            showFieldError(idInputs[i], "please enter this member id.");
+        clearFormErrors(form, errorBox);
+
+        try {
+          const response = await apiFetch(
+            "/api/projects/" + encodeURIComponent(editId),
+            {
+              method: "DELETE",
+              headers: { "X-Edit-Token": editToken },
+            }
+          );
+          const result = await response.json();
+
+          if (result.status === "error") {
+            errorBox.className = "error-box";
+            errorBox.textContent =
+              result.msg || t("there was a problem withdrawing your project.");
+            return;
           }
 
-          // build line only if both are filled
-          if (nameVal && idVal) {
-            // example → "member 1: sara — 2310xxx"
-            lines.push(`member ${i + 1}: ${nameVal} — ${idVal}`);
-          }
+          errorBox.className = "success-msg";
+          errorBox.textContent = result.msg || t("your idea was withdrawn.");
+          form.querySelectorAll("input, select, textarea, button").forEach(
+            (field) => (field.disabled = true)
+          );
+        } catch (err) {
+          console.error("error withdrawing project:", err);
+          errorBox.className = "error-box";
+          errorBox.textContent = t("server error while withdrawing your project.");
         }
+      });
+    }
+  }
+
+  // similar ideas of the same course, shown before a new idea is sent
+  // (the server compares title + description, see backend/similarity.js)
+  const similarBox = document.getElementById("similarIdeas");
+  const similarNote = document.getElementById("similarIdeasNote");
+  const similarList = document.getElementById("similarIdeasList");
+  const similarConfirm = document.getElementById("similarConfirm");
+  const similarBack = document.getElementById("similarBack");
+
+  // the idea the team chose to send anyway (changing it asks again)
+  let confirmedIdea = null;
+  let shownIdea = null;
+
+  function ideaKey(values) {
+    return [values.courseCode, values.projectName, values.projectDesc]
+      .join("\n")
+      .toLowerCase();
+  }
+
+  function renderSimilarIdeas(matches, blockDuplicateTitles, course) {
+    similarList.replaceChildren(
+      ...matches.map((m) => {
+        const item = el("li");
+        const link = el("a", "", m.project_name);
+        link.href = "project.html?id=" + encodeURIComponent(m.id);
+        link.target = "_blank";
+        link.rel = "noopener";
+        item.append(
+          link,
+          " — " +
+            t("team {team} ({match})", {
+              team: m.team_name,
+              match: m.same_title
+                ? t("same title")
+                : t("{percent}% similar", { percent: Math.round(m.score * 100) }),
+            })
+        );
+        return item;
+      })
+    );
+
+    // strict courses refuse a second idea with the same title
+    const blocked = blockDuplicateTitles && matches.some((m) => m.same_title);
+    similarNote.textContent = blocked
+      ? t(
+          "{course} does not allow two ideas with the same title, please choose another title.",
+          { course }
+        )
+      : t(
+          "other teams in {course} already submitted ideas like yours. " +
+            "have a look, then submit anyway or change your idea.",
+          { course }
+        );
+    similarConfirm.hidden = blocked;
+
+    similarBox.hidden = false;
+    similarBox.focus();
+  }
+
+  // → true when the idea can be sent now, false while similar ideas are shown
+  async function checkSimilarIdeas(values) {
+    if (!similarBox || confirmedIdea === ideaKey(values)) return true;
+
+    let result;
+    try {
+      const params = new URLSearchParams({
+        course: values.courseCode,
+        title: values.projectName,
+        description: values.projectDesc,
+      });
+      const response = await apiFetch("/api/projects/similar?" + params.toString());
+      result = await response.json();
+    } catch (err) {
+      // only a help for the team, never a reason to block the idea
+      console.error("error checking similar ideas:", err);
+      return true;
+    }
+
+    if (result.status !== "ok" || !result.data || result.data.length === 0) {
+      return true;
+    }
+
+    shownIdea = ideaKey(values);
+    renderSimilarIdeas(result.data, result.blockDuplicateTitles, values.courseCode);
+    return false;
+  }
+
+  if (similarBox && !isEdit) {
+    similarConfirm.addEventListener("click", () => {
+      confirmedIdea = shownIdea;
+      similarBox.hidden = true;
+      form.requestSubmit();
+    });
+
+    similarBack.addEventListener("click", () => {
+      similarBox.hidden = true;
+      projectName.focus();
+    });
+  }
 
-        otherMembersStr = lines.join("\n");
+  // drafts of a new idea: this browser keeps one as it is typed and offers
+  // it back on the next visit; the rep can also keep it in their account
+  const draftBox = document.getElementById("draftBox");
+  const draftNote = document.getElementById("draftNote");
+  const serverDraft = document.getElementById("serverDraft");
+  const serverDraftStatus = document.getElementById("serverDraftStatus");
+
+  // everything typed so far, like the form would send it
+  function draftValues() {
+    readMemberInputs();
+    return {
+      ...readFormValues(form, FORM_SCHEMAS.project),
+      members: memberValues.map((m) => ({ ...m })),
+    };
+  }
+
+  function blankDraft(values) {
+    return Object.entries(values).every(([name, value]) =>
+      name === "members" ? value.every((m) => !m.name && !m.studentId) : !value
+    );
+  }
+
+  // back into the form, member rows included (the course list must be loaded)
+  function fillFromDraft(values) {
+    Object.keys(FORM_SCHEMAS.project).forEach((name) => {
+      const field = form.elements.namedItem(name);
+      if (field && typeof values[name] === "string") field.value = values[name];
+    });
+    memberValues = (values.members || []).map((m) => ({ ...m }));
+    renderMemberInputs();
+    showCourseInfo();
+  }
+
+  // → { savedAt, values } or null
+  function readLocalDraft() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(IDEA_DRAFT_KEY));
+      return saved && saved.values ? saved : null;
+    } catch (err) {
+      return null; // storage blocked or a broken entry: no draft
+    }
+  }
+
+  function saveLocalDraft() {
+    const values = draftValues();
+    try {
+      if (blankDraft(values)) {
+        localStorage.removeItem(IDEA_DRAFT_KEY);
+      } else {
+        localStorage.setItem(
+          IDEA_DRAFT_KEY,
+          JSON.stringify({ savedAt: new Date().toISOString(), values })
+        );
       }
+    } catch (err) {
+      // storage blocked or full: the form works the same, only without a draft
     }
+  }
 
-    // representative name
-    if (repName.value.trim().length < 3) {
-      errors.push("representative name must be at least 3 characters.");
-      showFieldError(repName, "enter a valid name.");
+  function clearLocalDraft() {
+    try {
+      localStorage.removeItem(IDEA_DRAFT_KEY);
+    } catch (err) {
+      // nothing was kept then
     }
+  }
 
-    // representative id (7 digits)
-    const repIdVal = repId.value.trim();
-    if (!/^\d{7}$/.test(repIdVal)) {
-      errors.push("representative id must be exactly 7 digits.");
-      showFieldError(repId, "use exactly 7 digits.");
+  // the rep id names the account draft → null (and a hint) until it is valid
+  function draftRepId() {
+    const id = repId.value.trim();
+    if (checkField(FORM_SCHEMAS.project.repId, id)) {
+      serverDraftStatus.textContent = t(
+        "enter the representative's student id first, the draft is kept under it."
+      );
+      repId.focus();
+      return null;
     }
+    return id;
+  }
 
-    // representative email
-    const repEmailVal = repEmail.value.trim();
-    const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailPattern.test(repEmailVal)) {
-      errors.push("representative email must be valid.");
-      showFieldError(repEmail, "use a valid email like name@uj.edu.sa.");
+  async function saveServerDraft() {
+    const id = draftRepId();
+    if (!id) return;
+
+    try {
+      const response = await apiFetch("/api/drafts/" + encodeURIComponent(id), {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(draftValues()),
+      });
+      const result = await response.json();
+      serverDraftStatus.textContent =
+        result.msg ||
+        (result.status === "ok"
+          ? t("draft saved to your account ✔")
+          : t("could not save the draft."));
+    } catch (err) {
+      console.error("error saving draft:", err);
+      serverDraftStatus.textContent = t("server error while saving the draft.");
     }
+  }
+
+  async function loadServerDraft() {
+    const id = draftRepId();
+    if (!id) return;
+
+    try {
+      const response = await apiFetch("/api/drafts/" + encodeURIComponent(id));
+      const result = await response.json();
+      if (result.status !== "ok") {
+        serverDraftStatus.textContent = result.msg || t("could not load the draft.");
+        return;
+      }
 
-    // course code like ccsw321 (letters + digits)
-    const coursePattern = /^[A-Za-z]{2,}\d{2,}$/;
-    const courseVal = courseCode.value.trim();
-    if (!coursePattern.test(courseVal)) {
-      errors.push("course code must follow a pattern like ccsw321.");
-      showFieldError(courseCode, "example: ccsw321 (letters + digits).");
+      await coursesLoaded;
+      fillFromDraft(result.data);
+      saveLocalDraft();
+      if (draftBox) draftBox.hidden = true;
+      serverDraftStatus.textContent = t("draft from {date} restored.", {
+        date: new Date(result.savedAt).toLocaleString(),
+      });
+    } catch (err) {
+      console.error("error loading draft:", err);
+      serverDraftStatus.textContent = t("server error while loading the draft.");
     }
+  }
+
+  if (isEdit) {
+    // the idea is saved already, edits go straight to it
+    if (serverDraft) serverDraft.hidden = true;
+  } else {
+    const saved = readLocalDraft();
+    if (saved && draftBox) {
+      draftNote.textContent = t(
+        "you started an idea here on {date} and did not send it yet.",
+        { date: new Date(saved.savedAt).toLocaleString() }
+      );
+      draftBox.hidden = false;
 
-    // project title length
-    if (projectName.value.trim().length < 3) {
-      errors.push("project title must be at least 3 characters.");
-      showFieldError(projectName, "enter a longer title.");
+      document.getElementById("draftRestore").addEventListener("click", async () => {
+        draftBox.hidden = true;
+        await coursesLoaded;
+        fillFromDraft(saved.values);
+      });
+      document.getElementById("draftDiscard").addEventListener("click", () => {
+        draftBox.hidden = true;
+        clearLocalDraft();
+      });
     }
 
-    // major / category (dropdown)
-    if (!category.value) {
-      errors.push("please select a major / track.");
-      showFieldError(category, "select a major.");
+    // typing starts a new draft (so the old one is not offered anymore)
+    ["input", "change"].forEach((type) =>
+      form.addEventListener(type, () => {
+        if (draftBox) draftBox.hidden = true;
+        saveLocalDraft();
+      })
+    );
+
+    if (serverDraft) {
+      document.getElementById("draftSaveServer").addEventListener("click", saveServerDraft);
+      document.getElementById("draftLoadServer").addEventListener("click", loadServerDraft);
     }
+  }
+
+  // a reset form starts over: no member rows, no draft
+  form.addEventListener("reset", () => {
+    memberValues = [];
+    if (membersContainer) membersContainer.replaceChildren();
+    if (!isEdit) clearLocalDraft();
+  });
+
+  form.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    clearFormErrors(form, errorBox);
+    if (similarBox) similarBox.hidden = true;
+
+    // plain fields are checked by the shared project schema
+    const schema = FORM_SCHEMAS.project;
+    const values = readFormValues(form, schema);
+    const errors = checkFormFields(form, schema, values);
+
+    // validate extra member names + ids and build the members array
+    // (only when the team size itself is fine)
+    const members = [];
+    const teamSizeVal = parseInt(values.teamSize, 10);
+    const teamSizeOk = !checkField(schema.teamSize, values.teamSize);
+    if (teamSizeOk && teamSizeVal > 1 && membersContainer) {
+      const nameInputs =
+        membersContainer.querySelectorAll(".member-name-input");
+      const idInputs = membersContainer.querySelectorAll(".member-id-input");
+      const expected = teamSizeVal - 1;
+
+      if (nameInputs.length !== expected || idInputs.length !== expected) {
+        errors.push(
+          "please reselect the team size so member fields are generated correctly."
+        );
+      } else {
+        // rep id counts too: nobody can be listed twice in one team
+        const seenIds = new Set([values.repId]);
+
+        for (let i = 0; i < expected; i++) {
+          const nameVal = nameInputs[i].value.trim();
+          const idVal = idInputs[i].value.trim();
 
-    // project type (radio) must be selected
-    const projectTypeChecked = getProjectTypeChecked();
-    if (!projectTypeChecked) {
-      errors.push("please select a project type.");
-      const anyProjectType = form.querySelector('input[name="projectType"]');
-      if (anyProjectType) {
-        const row =
-          anyProjectType.closest(".form-row") || anyProjectType.parentElement;
-        if (row) {
-          row.classList.add("field-error");
-          let msgEl = row.querySelector(".error-message");
-          if (!msgEl) {
-            msgEl = document.createElement("small");
-            msgEl.className = "error-message";
-            row.appendChild(msgEl);
+          const nameMsg = checkField(schema.members.items.name, nameVal);
+          if (nameMsg) {
+            errors.push(t("member {n}: {problem}", { n: i + 1, problem: t(nameMsg) }));
+            showFieldError(nameInputs[i], nameMsg);
           }
-          msgEl.textContent = "select group or solo.";
+
+          const idMsg = checkField(schema.members.items.studentId, idVal);
+          if (idMsg) {
+            errors.push(t("member {n}: {problem}", { n: i + 1, problem: t(idMsg) }));
+            showFieldError(idInputs[i], idMsg);
+          } else if (seenIds.has(idVal)) {
+            errors.push(t("member {n} id is already used in this team.", { n: i + 1 }));
+            showFieldError(idInputs[i], "each student can only be listed once.");
+          }
+          seenIds.add(idVal);
+
+          // example → { name: "sara", studentId: "2310123" }
+          members.push({ name: nameVal, studentId: idVal });
         }
       }
     }
 
-    // description length
-    const descVal = projectDesc.value.trim();
-    if (descVal.length < 10) {
-      errors.push("project description must be at least 10 characters.");
-      showFieldError(projectDesc, "write a longer description.");
+    // the chosen course may take fewer sizes than the schema allows
+    const course = courses[values.courseCode];
+    if (
+      course &&
+      teamSizeOk &&
+      (teamSizeVal < course.minTeamSize || teamSizeVal > course.maxTeamSize)
+    ) {
+      const msg = t("{code} needs {sizes}.", { code: course.code, sizes: courseSizes(course) });
+      errors.push(msg);
+      showFieldError(teamSize, msg);
     }
 
-    // tools is optional, so no strict validation here
-
     // show top-level errors if any
     if (errors.length > 0) {
-      errorBox.className = "error-box";
-      errorBox.innerHTML = `
-        <h2>please review the highlighted fields:</h2>
-        <ul>${errors.map((e) => `<li>${e}</li>`).join("")}</ul>
-      `;
-      errorBox.focus();
+      showErrorList(errorBox, "please review the highlighted fields:", errors);
       return;
     }
 
-    // push final string into hidden input so backend receives it too
-    if (otherMembersHidden) {
-      otherMembersHidden.value = otherMembersStr;
-    }
+    // new ideas: let the team see similar ideas of its course first
+    if (!isEdit && !(await checkSimilarIdeas(values))) return;
 
     // send project data to backend api
+    // (new idea → POST /api/project, edit link → PUT /api/projects/:id)
+    const url = isEdit
+      ? "/api/projects/" + encodeURIComponent(editId)
+      : "/api/project";
+    const headers = { "Content-Type": "application/json" };
+    const body = { ...values, members };
+    if (isEdit) {
+      headers["X-Edit-Token"] = editToken;
+    } else {
+      headers["X-CSRF-Token"] = await formToken.get();
+      body.website = form.website.value;
+    }
+
     try {
-      const response = await fetch("/api/project", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          teamName: teamName.value.trim(),
-          teamSize: teamSize.value,
-          repName: repName.value.trim(),
-          repId: repId.value.trim(),
-          repEmail: repEmail.value.trim(),
-          otherMembers: otherMembersStr,
-          courseCode: courseCode.value.trim(),
-          category: category.value,
-          projectType: projectTypeChecked ? projectTypeChecked.value : "",
-          projectName: projectName.value.trim(),
-          projectDesc: projectDesc.value.trim(),
-          tools: tools ? tools.value.trim() : "",
-        }),
+      const response = await apiFetch(url, {
+        method: isEdit ? "PUT" : "POST",
+        headers,
+        body: JSON.stringify(body),
       });
 
       const result = await response.json();
 
+      // field errors (also e.g. students already taken by another team in
+      // this course) under their inputs + listed, refusals as one message
       if (result.status === "error") {
-        errorBox.className = "error-box";
-        errorBox.textContent =
-          result.msg || "there was a problem saving your project.";
+        if (formToken && result.code === "form_expired") formToken.refresh();
+        showApiErrors(form, errorBox, result, "there was a problem saving your project.");
         return;
       }
 
       // success case
       errorBox.className = "success-msg";
       errorBox.textContent =
-        result.msg || "team project idea has been saved successfully.";
-      form.reset();
-      if (membersContainer) {
-        membersContainer.innerHTML = "";
+        result.msg || t("team project idea has been saved successfully.");
+
+      // edits keep the form filled so the team can keep fixing things
+      if (isEdit) return;
+
+      // new idea → give the team its private edit link
+      if (result.editUrl) {
+        const linkNote = document.createElement("p");
+        linkNote.textContent =
+          t("save this private link to edit or withdraw your idea later:") + " ";
+        const link = document.createElement("a");
+        link.href = result.editUrl;
+        link.textContent = window.location.origin + result.editUrl;
+        linkNote.appendChild(link);
+        errorBox.appendChild(linkNote);
       }
+
+      // (also drops the member rows and the browser's draft, see "reset")
+      form.reset();
+      showCourseInfo();
+      formToken.refresh();
     } catch (err) {
       console.error("error submitting project form:", err);
       errorBox.className = "error-box";
-      errorBox.textContent = "server error while saving your project.";
+      errorBox.textContent = t("server error while saving your project.");
     }
   });
 }
 
 /* ======================================================
-   my work form (simple student id demo)
+   my work form (my-work.html)
+   - looks up a 7-digit student id
+   - shows the student's projects and open / overdue tasks
    ====================================================== */
 
 function initMyWorkForm() {
@@ -557,134 +1099,1811 @@ function initMyWorkForm() {
   if (!form) return; // not on this page
 
   const errorBox = ensureErrorBox(form, "myWorkErrors");
-
-  form.addEventListener("submit", (event) => {
-    event.preventDefault();
-    clearFormErrors(form, errorBox);
-
-    const sidInput = form.sid;
-    const sidVal = sidInput.value.trim();
-    const errors = [];
-
-    // simple demo: 7 digits only
-    if (!sidVal) {
-      errors.push("student id is required.");
-      showFieldError(sidInput, "please enter your student id.");
-    } else if (!/^\d+$/.test(sidVal)) {
-      errors.push("student id must contain digits only (0–9).");
-      showFieldError(sidInput, "use numbers only (0–9).");
-    } else if (sidVal.length !== 7) {
-      errors.push("student id must be exactly 7 digits.");
-      showFieldError(sidInput, "enter exactly 7 digits.");
+  applySchemaAttributes(form, FORM_SCHEMAS.myWork);
+  const results = document.getElementById("myWorkResults");
+  const projectsList = document.getElementById("myProjects");
+  const tasksList = document.getElementById("myTasks");
+
+  // one <li> per project, linking to its detail page
+  function renderProjects(projects) {
+    projectsList.replaceChildren();
+    if (projects.length === 0) {
+      const empty = document.createElement("li");
+      empty.className = "hint";
+      empty.textContent = t("you are not in any team yet.");
+      projectsList.appendChild(empty);
+      return;
     }
 
-    if (errors.length > 0) {
-      errorBox.className = "error-box";
-      errorBox.innerHTML = `<ul>${errors
-        .map((e) => `<li>${e}</li>`)
-        .join("")}</ul>`;
-      errorBox.focus();
+    projects.forEach((p) => {
+      const item = document.createElement("li");
+      const link = document.createElement("a");
+      link.href = "project.html?id=" + p.id;
+      link.textContent = p.project_name;
+      item.appendChild(link);
+      item.appendChild(
+        document.createTextNode(
+          ` — ${p.team_name}, ${p.course_code}` +
+            (p.is_rep ? ` (${t("representative")}) ` : " ")
+        )
+      );
+      item.append(formatStatus(p.status));
+      projectsList.appendChild(item);
+    });
+  }
+
+  // open tasks, overdue ones highlighted
+  function renderTasks(tasks) {
+    tasksList.replaceChildren();
+    if (tasks.length === 0) {
+      const empty = document.createElement("li");
+      empty.className = "hint";
+      empty.textContent = t("no open tasks. nice work!");
+      tasksList.appendChild(empty);
       return;
     }
 
-    // in a real system this would call an api to load tasks by sid
-    // here we just show a success message
-    errorBox.className = "success-msg";
-    errorBox.textContent = "tasks loaded successfully for id: " + sidVal + ".";
-  });
-}
-
-/* ======================================================
+    tasks.forEach((task) => {
+      const item = document.createElement("li");
+      if (task.overdue) item.className = "overdue";
+
+      const title = document.createElement("strong");
+      title.textContent = task.title;
+      item.appendChild(title);
+
+      const due = task.due_date
+        ? t("due {date}", { date: new Date(task.due_date).toLocaleDateString() })
+        : t("no due date");
+      item.appendChild(
+        document.createTextNode(
+          ` — ${task.project_name} · ${t(task.status.replace("_", " "))} · ${due}` +
+            (task.overdue ? ` (${t("overdue")})` : "")
+        )
+      );
+      tasksList.appendChild(item);
+    });
+  }
+
+  // students only see their own work: start from the id they logged in
+  // with (instructors type any id)
+  apiFetch("/api/auth/me")
+    .then((res) => res.json())
+    .then((result) => {
+      if (result.user && result.user.student_id && !form.sid.value) {
+        form.sid.value = result.user.student_id;
+      }
+    })
+    .catch((err) => console.error("error loading session:", err));
+
+  form.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    clearFormErrors(form, errorBox);
+
+    const values = readFormValues(form, FORM_SCHEMAS.myWork);
+    const errors = checkFormFields(form, FORM_SCHEMAS.myWork, values);
+    const sidVal = values.sid;
+
+    if (errors.length > 0) {
+      showErrorList(errorBox, "", errors);
+      return;
+    }
+
+    // load projects + tasks for this id from the api
+    try {
+      const response = await apiFetch(
+        "/api/students/" + encodeURIComponent(sidVal) + "/work"
+      );
+      const result = await response.json();
+
+      if (result.status !== "ok") {
+        showApiErrors(form, errorBox, result, "could not load your work.");
+        return;
+      }
+
+      renderProjects(result.data.projects);
+      renderTasks(result.data.tasks);
+      if (results) results.hidden = false;
+    } catch (err) {
+      console.error("error loading student work:", err);
+      errorBox.className = "error-box";
+      errorBox.textContent = t("server error while loading your work.");
+    }
+  });
+}
+
+/* ======================================================
    projects list page (projects.html)
-   - loads all projects from backend
+   - loads projects from backend using filters / sort / page
+   - keeps that state in the url so a view can be bookmarked
    - fills the table body with rows
    - formats other members as small badges
    ====================================================== */
 
+// query keys the projects page understands (same names as the api)
+const PROJECTS_QUERY_KEYS = [
+  "q",
+  "course_code",
+  "category",
+  "project_type",
+  "status",
+  "withdrawn",
+  "sort",
+  "dir",
+  "page",
+];
+
+// the filters among them (inputs of the same name in #projectsFilters)
+const PROJECTS_FILTER_KEYS = [
+  "q",
+  "course_code",
+  "category",
+  "project_type",
+  "status",
+  "withdrawn",
+];
+
+// older links used the short names; still read them
+const PROJECTS_QUERY_ALIASES = { course: "course_code", type: "project_type" };
+
 function initProjectsList() {
   const tbody = document.getElementById("projectsBody");
   const statusBox = document.getElementById("projectsStatus");
   if (!tbody || !statusBox) return; // not on projects page
 
-  statusBox.textContent = "loading projects…";
+  const filtersForm = document.getElementById("projectsFilters");
+  const pager = document.getElementById("projectsPager");
+  const pageLabel = document.getElementById("projectsPageLabel");
+  const sortHeaders = document.querySelectorAll("th[data-sort]");
+  const exportBox = document.getElementById("projectsExport");
+  const withdrawnFilter = document.getElementById("withdrawnFilter");
+
+  // read current state from the address bar
+  function readState() {
+    const params = new URLSearchParams(window.location.search);
+    const state = {};
+    Object.entries(PROJECTS_QUERY_ALIASES).forEach(([alias, key]) => {
+      const val = params.get(alias);
+      if (val) state[key] = val;
+    });
+    PROJECTS_QUERY_KEYS.forEach((key) => {
+      const val = params.get(key);
+      if (val) state[key] = val;
+    });
+    return state;
+  }
+
+  // write state back to the address bar (empty values are dropped)
+  function writeState(state) {
+    const params = new URLSearchParams();
+    PROJECTS_QUERY_KEYS.forEach((key) => {
+      if (state[key]) params.set(key, state[key]);
+    });
+    const qs = params.toString();
+    history.pushState(null, "", qs ? `?${qs}` : window.location.pathname);
+  }
+
+  // put the state into the filter inputs + header arrows
+  function syncControls(state) {
+    if (filtersForm) {
+      PROJECTS_FILTER_KEYS.forEach((key) => {
+        if (filtersForm[key]) filtersForm[key].value = state[key] || "";
+      });
+    }
 
-  fetch("/api/projects")
+    sortHeaders.forEach((th) => {
+      if (th.dataset.sort === (state.sort || "id")) {
+        const dir = state.dir || (state.sort ? "asc" : "desc");
+        th.setAttribute("aria-sort", dir === "asc" ? "ascending" : "descending");
+      } else {
+        th.removeAttribute("aria-sort");
+      }
+    });
+  }
+
+  function updatePager(result) {
+    if (!pager) return;
+    const prev = pager.querySelector('[data-page="prev"]');
+    const next = pager.querySelector('[data-page="next"]');
+    prev.disabled = result.page <= 1;
+    next.disabled = result.page >= result.pages;
+    if (pageLabel) {
+      pageLabel.textContent = t("page {page} of {pages}", {
+        page: result.page,
+        pages: result.pages,
+      });
+    }
+  }
+
+  // link to the detail page of a project
+  function projectLink(p, text) {
+    const link = el("a", "", text);
+    link.href = "project.html?id=" + encodeURIComponent(p.id);
+    return link;
+  }
+
+  // instructors bring a withdrawn idea back from its row
+  function restoreButton(p, row) {
+    const btn = el("button", "secondary", t("Restore"));
+    btn.type = "button";
+    btn.addEventListener("click", () => {
+      btn.disabled = true;
+      apiFetch("/api/projects/" + encodeURIComponent(p.id) + "/restore", { method: "POST" })
+        .then((res) => res.json())
+        .then((result) => {
+          // a clash (members in another team by now) leaves the row as it is
+          statusBox.textContent =
+            result.msg || (result.status === "ok" ? "" : t("could not restore the idea."));
+          if (result.status === "ok") row.remove();
+          else btn.disabled = false;
+        })
+        .catch((err) => {
+          console.error("error restoring project:", err);
+          statusBox.textContent = t("could not restore the idea.");
+          btn.disabled = false;
+        });
+    });
+    return btn;
+  }
+
+  // status cell: the review status, or "withdrawn" + a restore button
+  function statusCell(p, row) {
+    if (!p.deleted_at) return formatStatus(p.status);
+    const cell = document.createDocumentFragment();
+    cell.append(formatStatus("withdrawn"), " ", restoreButton(p, row));
+    return cell;
+  }
+
+  // table row built from dom nodes (cells get text, never html)
+  function projectRow(p) {
+    const row = el("tr");
+    [
+      projectLink(p, String(p.id)),
+      p.team_name,
+      p.rep_name,
+      formatMembers(p.members),
+      p.course_code,
+      formatMajor(p.category),
+      p.project_type,
+      projectLink(p, p.project_name),
+      p.description,
+      statusCell(p, row),
+    ].forEach((content) => {
+      const cell = el("td");
+      cell.append(content ?? "");
+      row.appendChild(cell);
+    });
+    return row;
+  }
+
+  // export links follow the filters + sort of the table (every page)
+  function updateExportLinks(state) {
+    if (!exportBox) return;
+    exportBox.querySelectorAll("a[id^='export']").forEach((link) => {
+      const params = new URLSearchParams(state);
+      params.delete("page");
+      if (state.sort && !state.dir) params.set("dir", "asc");
+      params.set("format", link.id === "exportXlsx" ? "xlsx" : "csv");
+      link.href = "/api/projects/export?" + params.toString();
+    });
+  }
+
+  function loadProjects() {
+    const state = readState();
+    syncControls(state);
+    updateExportLinks(state);
+
+    statusBox.textContent = t("loading projects…");
+
+    const params = new URLSearchParams(state);
+    if (state.sort && !state.dir) params.set("dir", "asc");
+
+    apiFetch("/api/projects?" + params.toString())
+      .then((res) => res.json())
+      .then((result) => {
+        if (result.status !== "ok") {
+          statusBox.textContent =
+            result.msg ||
+            (result.errors && result.errors.length
+              ? result.errors[0].msg
+              : t("could not load projects."));
+          tbody.replaceChildren();
+          return;
+        }
+
+        updatePager(result);
+
+        const projects = result.data;
+        if (!projects || projects.length === 0) {
+          statusBox.textContent = t("no projects found.");
+          tbody.replaceChildren();
+          return;
+        }
+
+        statusBox.textContent = t("showing {count} of {total} project(s).", {
+          count: projects.length,
+          total: result.total,
+        });
+
+        // one <tr> for each project returned from the api
+        tbody.replaceChildren(...projects.map(projectRow));
+      })
+      .catch((err) => {
+        console.error("error loading projects:", err);
+        statusBox.textContent = t("error loading projects.");
+      });
+  }
+
+  // apply filters → always go back to page 1
+  if (filtersForm) {
+    filtersForm.addEventListener("submit", (event) => {
+      event.preventDefault();
+      const state = readState();
+      PROJECTS_FILTER_KEYS.forEach((key) => {
+        state[key] = filtersForm[key] ? filtersForm[key].value.trim() : "";
+      });
+      delete state.page;
+      writeState(state);
+      loadProjects();
+    });
+
+    // clear keeps the sort but drops every filter
+    filtersForm.addEventListener("reset", () => {
+      const state = readState();
+      writeState({ sort: state.sort, dir: state.dir });
+      loadProjects();
+    });
+  }
+
+  // clicking a header sorts by it, clicking again flips the direction
+  sortHeaders.forEach((th) => {
+    th.addEventListener("click", () => {
+      const state = readState();
+      const field = th.dataset.sort;
+      if ((state.sort || "id") === field) {
+        const current = state.dir || (state.sort ? "asc" : "desc");
+        state.dir = current === "asc" ? "desc" : "asc";
+      } else {
+        state.dir = "asc";
+      }
+      state.sort = field;
+      delete state.page;
+      writeState(state);
+      loadProjects();
+    });
+  });
+
+  if (pager) {
+    pager.addEventListener("click", (event) => {
+      const btn = event.target.closest("button[data-page]");
+      if (!btn || btn.disabled) return;
+      const state = readState();
+      const page = parseInt(state.page, 10) || 1;
+      state.page = String(btn.dataset.page === "next" ? page + 1 : page - 1);
+      if (state.page === "1") delete state.page;
+      writeState(state);
+      loadProjects();
+    });
+  }
+
+  // back / forward buttons restore older views
+  window.addEventListener("popstate", loadProjects);
+
+  // only instructors can export or list withdrawn ideas (the api checks
+  // this too)
+  if (exportBox || withdrawnFilter) {
+    apiFetch("/api/auth/me")
+      .then((res) => res.json())
+      .then((result) => {
+        const staff = Boolean(result.user) && result.user.role !== "student";
+        if (exportBox) exportBox.hidden = !staff;
+        if (withdrawnFilter) withdrawnFilter.hidden = !staff;
+      })
+      .catch((err) => console.error("error loading session:", err));
+  }
+
+  loadProjects();
+}
+
+/* ======================================================
+   single project page (project.html?id=…)
+   - loads one project from backend
+   - shows a clear message when the id is missing or unknown
+   ====================================================== */
+
+function initProjectDetail() {
+  const detail = document.getElementById("projectDetail");
+  const statusBox = document.getElementById("projectStatus");
+  if (!detail || !statusBox) return; // not on project page
+
+  const id = new URLSearchParams(window.location.search).get("id");
+  if (!id || !/^\d+$/.test(id)) {
+    statusBox.className = "error-box";
+    statusBox.textContent = t("no project id given. open a project from the projects list.");
+    return;
+  }
+
+  statusBox.textContent = t("loading project…");
+
+  apiFetch("/api/projects/" + id)
     .then((res) => res.json())
     .then((result) => {
       if (result.status !== "ok") {
-        statusBox.textContent = result.msg || "could not load projects.";
+        statusBox.className = "error-box";
+        statusBox.textContent = result.msg || "could not load this project.";
         return;
       }
 
-      const projects = result.data;
-      if (!projects || projects.length === 0) {
-        statusBox.textContent = "no projects found yet.";
-        return;
+      const p = result.data;
+
+      // fill each field (textContent keeps long text as plain text)
+      document.getElementById("detailTitle").textContent = p.project_name;
+      document.getElementById("detailMeta").textContent =
+        t("project #{id}", { id: p.id }) +
+        (p.created_at
+          ? " · " +
+            t("submitted {date}", { date: new Date(p.created_at).toLocaleString() })
+          : "");
+      document.getElementById("detailDesc").textContent = p.description;
+      document.getElementById("detailTeam").textContent = p.team_name;
+      document.getElementById("detailSize").textContent = p.team_size;
+      document.getElementById("detailRep").textContent = p.rep_name;
+      document.getElementById("detailEmail").textContent = p.rep_email || "-";
+      document.getElementById("detailMembers").replaceChildren(
+        formatMembers(p.members)
+      );
+      document.getElementById("detailCourse").textContent = p.course_code;
+      document.getElementById("detailCategory").textContent =
+        formatMajor(p.category);
+      document.getElementById("detailType").textContent = t(p.project_type);
+      document.getElementById("detailTools").textContent = p.tools || "-";
+      document.getElementById("detailStatus").replaceChildren(formatStatus(p.status));
+
+      const feedbackEl = document.getElementById("detailFeedback");
+      if (p.status_feedback) {
+        feedbackEl.textContent = t("instructor feedback: {feedback}", {
+          feedback: p.status_feedback,
+        });
+        feedbackEl.hidden = false;
       }
 
-      statusBox.textContent = `loaded ${projects.length} project(s).`;
-
-      let rows = "";
-
-      // build one <tr> for each project returned from the api
-      projects.forEach((p) => {
-        rows += `
-          <tr>
-            <td>${p.id}</td>
-            <td>${p.team_name}</td>
-            <td>${p.rep_name}</td>
-            <td>${formatMembers(p.other_members)}</td>
-            <td>${p.course_code}</td>
-            <td>${formatMajor(p.category)}</td>
-            <td>${p.project_type}</td>
-            <td>${p.project_name}</td>
-            <td>${p.description}</td>
-          </tr>
-        `;
-      });
+      renderHistory(p.history);
+      if (p.can_review) initReviewForm(p.id);
 
-      tbody.innerHTML = rows;
+      document.title = `ClassMate • ${p.project_name} — Idea Hub`;
+      statusBox.textContent = "";
+      detail.hidden = false;
     })
     .catch((err) => {
-      console.error("error loading projects:", err);
-      statusBox.textContent = "error loading projects.";
+      console.error("error loading project:", err);
+      statusBox.className = "error-box";
+      statusBox.textContent = t("error loading project.");
     });
 }
 
-// format "other_members" string from db into small badges
-function formatMembers(other) {
-  if (!other) return "-";
+// list of status changes on the detail page (team + instructors only)
+function renderHistory(history) {
+  const section = document.getElementById("historySection");
+  const list = document.getElementById("detailHistory");
+  if (!section || !list || !history) return;
+
+  list.replaceChildren();
+  history.forEach((h) => {
+    const item = document.createElement("li");
+    item.textContent =
+      `${new Date(h.created_at).toLocaleString()} — ` +
+      `${formatStatusLabel(h.to_status)}` +
+      (h.changed_by ? " " + t("by {name}", { name: h.changed_by }) : "") +
+      (h.feedback ? `: "${h.feedback}"` : "");
+    list.appendChild(item);
+  });
+  section.hidden = history.length === 0;
+}
+
+// instructor review form on the detail page
+function initReviewForm(projectId) {
+  const section = document.getElementById("reviewSection");
+  const form = document.getElementById("reviewForm");
+  if (!section || !form) return;
+
+  section.hidden = false;
+  const errorBox = ensureErrorBox(form, "reviewErrors");
+
+  form.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    clearFormErrors(form, errorBox);
+
+    const status = form.status.value;
+    const feedback = form.feedback.value.trim();
+
+    // same rule as the server: explain changes / rejections to the team
+    if ((status === "needs_changes" || status === "rejected") && !feedback) {
+      showFieldError(form.feedback, "feedback is required for this status.");
+      return;
+    }
+
+    try {
+      const response = await apiFetch(`/api/projects/${projectId}/status`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ status, feedback }),
+      });
+      const result = await response.json();
+
+      if (result.status === "error") {
+        showApiErrors(form, errorBox, result, "could not update the status.");
+        return;
+      }
+
+      // reload to show the new status + history
+      window.location.reload();
+    } catch (err) {
+      console.error("error updating status:", err);
+      errorBox.className = "error-box";
+      errorBox.textContent = t("server error while updating the status.");
+    }
+  });
+}
+
+/* ======================================================
+   login page (login.html)
+   - log in with email + password, or create a student account
+   - if already logged in, show who it is + a log out button
+   ====================================================== */
 
-  // split by newline: each line looks like "member 1: sara — 2310xxx"
-  const lines = other.split("\n").filter(Boolean);
-  if (!lines.length) return "-";
+function initLoginPage() {
+  const loginForm = document.getElementById("loginForm");
+  const registerForm = document.getElementById("registerForm");
+  const registerSection = document.getElementById("registerSection");
+  const sessionBox = document.getElementById("sessionBox");
+  if (!loginForm || !registerForm || !sessionBox) return; // not on login page
+
+  const sessionInfo = document.getElementById("sessionInfo");
+  const staffLinks = document.getElementById("staffLinks");
+  const logoutButton = document.getElementById("logoutButton");
+  const loginErrors = ensureErrorBox(loginForm, "loginErrors");
+  const registerErrors = ensureErrorBox(registerForm, "registerErrors");
+
+  // toggle between the forms and the "logged in as" box
+  function showUser(user) {
+    const loggedIn = Boolean(user);
+    sessionBox.hidden = !loggedIn;
+    loginForm.hidden = loggedIn;
+    if (registerSection) registerSection.hidden = loggedIn;
+    if (loggedIn) {
+      sessionInfo.textContent = t("you are logged in as {name} ({role}).", {
+        name: user.full_name,
+        role: t(user.role),
+      });
+    }
+    if (staffLinks) {
+      staffLinks.hidden = !loggedIn || user.role === "student";
+    }
+  }
+
+  // shared submit logic: post json, show server errors, then show the user
+  async function postForm(url, body, form, errorBox) {
+    try {
+      const response = await apiFetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      const result = await response.json();
+
+      if (result.status === "error") {
+        showApiErrors(form, errorBox, result, "please check the highlighted fields.");
+        return;
+      }
+
+      form.reset();
+      showUser(result.user);
+    } catch (err) {
+      console.error("error sending " + url + ":", err);
+      errorBox.className = "error-box";
+      errorBox.textContent = t("server error, please try again.");
+    }
+  }
+
+  loginForm.addEventListener("submit", (event) => {
+    event.preventDefault();
+    clearFormErrors(loginForm, loginErrors);
+
+    const email = loginForm.email.value.trim();
+    const password = loginForm.password.value;
+
+    if (!email || !password) {
+      loginErrors.className = "error-box";
+      loginErrors.textContent = t("enter your email and password.");
+      return;
+    }
 
-  return lines
-    .map((line) => {
-      // remove "member 1:" prefix to keep it clean
-      const cleaned = line.replace(/^member\s*\d+:\s*/i, "");
-      // turn into one badge: "sara — 2310xxx"
-      return `<span class="member-badge">${cleaned}</span>`;
+    postForm("/api/auth/login", { email, password }, loginForm, loginErrors);
+  });
+
+  registerForm.addEventListener("submit", (event) => {
+    event.preventDefault();
+    clearFormErrors(registerForm, registerErrors);
+
+    const fullName = registerForm.fullName;
+    const email = registerForm.email;
+    const studentId = registerForm.studentId;
+    const password = registerForm.password;
+    let ok = true;
+
+    if (fullName.value.trim().length < 3) {
+      showFieldError(fullName, "enter your full name.");
+      ok = false;
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.value.trim())) {
+      showFieldError(email, "use a valid email like name@uj.edu.sa.");
+      ok = false;
+    }
+    if (!/^\d{7}$/.test(studentId.value.trim())) {
+      showFieldError(studentId, "use exactly 7 digits.");
+      ok = false;
+    }
+    if (password.value.length < 8) {
+      showFieldError(password, "use at least 8 characters.");
+      ok = false;
+    }
+    if (!ok) return;
+
+    postForm(
+      "/api/auth/register",
+      {
+        fullName: fullName.value.trim(),
+        email: email.value.trim(),
+        studentId: studentId.value.trim(),
+        password: password.value,
+      },
+      registerForm,
+      registerErrors
+    );
+  });
+
+  logoutButton.addEventListener("click", async () => {
+    try {
+      await apiFetch("/api/auth/logout", { method: "POST" });
+    } catch (err) {
+      console.error("error logging out:", err);
+    }
+    showUser(null);
+  });
+
+  // check for an existing session when the page opens
+  apiFetch("/api/auth/me")
+    .then((res) => res.json())
+    .then((result) => showUser(result.user))
+    .catch((err) => console.error("error loading session:", err));
+}
+
+/* ======================================================
+   messages inbox (admin-messages.html, instructors only)
+   - list + filters + pager on the left, one message on the right
+   - mark read / replied / archived, reply by email and add internal notes
+   ====================================================== */
+
+function initInbox() {
+  const list = document.getElementById("inboxList");
+  const detail = document.getElementById("inboxDetail");
+  const statusBox = document.getElementById("inboxStatus");
+  if (!list || !detail || !statusBox) return; // not on inbox page
+
+  const filtersForm = document.getElementById("inboxFilters");
+  const badge = document.getElementById("inboxBadge");
+  const pager = document.getElementById("inboxPager");
+  const pageLabel = document.getElementById("inboxPageLabel");
+
+  let page = 1;
+  let selectedId = null;
+
+  // fetch json and turn 401 / 403 into a friendly message
+  async function getJson(url, options) {
+    const response = await apiFetch(url, options);
+    const result = await response.json();
+    if (response.status === 401 || response.status === 403) {
+      statusBox.className = "error-box";
+      statusBox.textContent =
+        response.status === 401
+          ? t("please log in as an instructor to read messages.")
+          : result.msg || t("you do not have access to this page.");
+      throw new Error("not allowed");
+    }
+    return result;
+  }
+
+  function refreshBadge() {
+    getJson("/api/admin/messages/count")
+      .then((result) => {
+        if (!badge || result.status !== "ok") return;
+        badge.textContent = result.unread;
+        badge.hidden = result.unread === 0;
+      })
+      .catch(() => {});
+  }
+
+  function loadList() {
+    const params = new URLSearchParams();
+    if (filtersForm) {
+      ["state", "language", "from", "to"].forEach((key) => {
+        if (filtersForm[key].value) params.set(key, filtersForm[key].value);
+      });
+    }
+    params.set("page", page);
+
+    statusBox.className = "hint";
+    statusBox.textContent = t("loading messages…");
+
+    getJson("/api/admin/messages?" + params.toString())
+      .then((result) => {
+        list.replaceChildren();
+
+        if (result.status !== "ok") {
+          statusBox.textContent =
+            result.msg ||
+            (result.errors && result.errors.length
+              ? result.errors[0].msg
+              : t("could not load messages."));
+          return;
+        }
+
+        statusBox.textContent = result.total
+          ? t("{count} message(s).", { count: result.total })
+          : t("no messages here.");
+
+        result.data.forEach((m) => {
+          const item = el("li", m.read_at ? "" : "unread");
+          const btn = el("button");
+          btn.type = "button";
+          btn.dataset.id = m.id;
+          if (m.id === selectedId) btn.setAttribute("aria-current", "true");
+          btn.appendChild(el("strong", "", `${m.first_name} ${m.last_name}`));
+          btn.appendChild(
+            el("small", "hint", new Date(m.created_at).toLocaleString())
+          );
+          btn.appendChild(el("span", "", m.preview));
+          item.appendChild(btn);
+          list.appendChild(item);
+        });
+
+        if (pager) {
+          pager.querySelector('[data-page="prev"]').disabled = result.page <= 1;
+          pager.querySelector('[data-page="next"]').disabled =
+            result.page >= result.pages;
+          pageLabel.textContent = t("page {page} of {pages}", {
+            page: result.page,
+            pages: result.pages,
+          });
+        }
+      })
+      .catch((err) => {
+        if (err.message === "not allowed") return;
+        console.error("error loading messages:", err);
+        statusBox.textContent = t("error loading messages.");
+      });
+  }
+
+  // send a flag change, then reload the pane + list + badge
+  function setFlags(id, flags) {
+    getJson("/api/admin/messages/" + id, {
+      method: "PATCH",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(flags),
     })
-    .join(" ");
+      .then(() => {
+        showMessage(id, false);
+        loadList();
+        refreshBadge();
+      })
+      .catch((err) => console.error("error updating message:", err));
+  }
+
+  function renderMessage(m) {
+    detail.replaceChildren();
+
+    detail.appendChild(el("h2", "", `${m.first_name} ${m.last_name}`));
+
+    const meta = el("dl", "detail-list");
+    [
+      ["Email", m.email],
+      ["Mobile", m.mobile],
+      ["Language", LANGUAGE_LABELS[m.language] ? t(LANGUAGE_LABELS[m.language]) : m.language],
+      ["Received", new Date(m.created_at).toLocaleString()],
+      ["Replied", m.replied_at ? new Date(m.replied_at).toLocaleString() : t("no")],
+    ].forEach(([label, value]) => {
+      meta.appendChild(el("dt", "", t(label)));
+      meta.appendChild(el("dd", "", value || "-"));
+    });
+    detail.appendChild(meta);
+
+    detail.appendChild(el("p", "message-body", m.message));
+
+    // action buttons flip the current state
+    const actions = el("div", "form-actions");
+    [
+      [m.read_at ? "Mark Unread" : "Mark Read", { read: !m.read_at }],
+      [m.replied_at ? "Not Replied" : "Mark Replied", { replied: !m.replied_at }],
+      [m.archived_at ? "Unarchive" : "Archive", { archived: !m.archived_at }],
+    ].forEach(([label, flags]) => {
+      const btn = el("button", "", t(label));
+      btn.type = "button";
+      btn.addEventListener("click", () => setFlags(m.id, flags));
+      actions.appendChild(btn);
+    });
+    detail.appendChild(actions);
+
+    // reply: emailed to the sender, then kept as a note
+    detail.appendChild(el("h3", "", t("Reply by Email")));
+    const replyForm = el("form");
+    replyForm.noValidate = true;
+    const replyRow = el("div", "form-row");
+    const replyLabel = el("label", "", t("Reply to {email}", { email: m.email }));
+    replyLabel.htmlFor = "inboxReply";
+    const replyText = el("textarea");
+    replyText.id = "inboxReply";
+    replyText.name = "reply";
+    replyText.rows = 5;
+    replyText.maxLength = 5000;
+    replyRow.appendChild(replyLabel);
+    replyRow.appendChild(replyText);
+    replyForm.appendChild(replyRow);
+    const sendBtn = el("button", "", t("Send Reply"));
+    sendBtn.type = "submit";
+    replyForm.appendChild(sendBtn);
+
+    replyForm.addEventListener("submit", (event) => {
+      event.preventDefault();
+      clearFormErrors(replyForm);
+      const reply = replyText.value.trim();
+      if (!reply) {
+        showFieldError(replyText, "write your reply first.");
+        return;
+      }
+      sendBtn.disabled = true;
+      getJson(`/api/admin/messages/${m.id}/reply`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ reply }),
+      })
+        .then((result) => {
+          sendBtn.disabled = false;
+          if (result.status !== "ok") {
+            showFieldError(
+              replyText,
+              result.msg ||
+                (result.errors && result.errors.length
+                  ? result.errors[0].msg
+                  : t("could not send the reply."))
+            );
+            return;
+          }
+          statusBox.className = "success-msg";
+          statusBox.textContent = result.msg;
+          showMessage(m.id, false);
+          loadList();
+          refreshBadge();
+        })
+        .catch((err) => {
+          sendBtn.disabled = false;
+          console.error("error sending reply:", err);
+        });
+    });
+    detail.appendChild(replyForm);
+
+    // internal notes
+    detail.appendChild(el("h3", "", t("Internal Notes")));
+    const notes = el("ul", "inbox-notes");
+    if (m.notes.length === 0) notes.appendChild(el("li", "hint", t("no notes yet.")));
+    m.notes.forEach((n) => {
+      const item = el("li", "", n.note);
+      item.appendChild(
+        el(
+          "small",
+          "",
+          `${n.author || t("staff")} · ${new Date(n.created_at).toLocaleString()}`
+        )
+      );
+      notes.appendChild(item);
+    });
+    detail.appendChild(notes);
+
+    const noteForm = el("form");
+    noteForm.noValidate = true;
+    const row = el("div", "form-row");
+    const label = el("label", "", t("Add a note"));
+    label.htmlFor = "inboxNote";
+    const textarea = el("textarea");
+    textarea.id = "inboxNote";
+    textarea.name = "note";
+    textarea.rows = 3;
+    textarea.maxLength = 1000;
+    row.appendChild(label);
+    row.appendChild(textarea);
+    noteForm.appendChild(row);
+    const saveBtn = el("button", "", t("Save Note"));
+    saveBtn.type = "submit";
+    noteForm.appendChild(saveBtn);
+
+    noteForm.addEventListener("submit", (event) => {
+      event.preventDefault();
+      clearFormErrors(noteForm);
+      const note = textarea.value.trim();
+      if (!note) {
+        showFieldError(textarea, "write something first.");
+        return;
+      }
+      getJson(`/api/admin/messages/${m.id}/notes`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ note }),
+      })
+        .then((result) => {
+          if (result.status !== "ok") {
+            showFieldError(textarea, result.msg || "could not save note.");
+            return;
+          }
+          showMessage(m.id, false);
+        })
+        .catch((err) => console.error("error saving note:", err));
+    });
+    detail.appendChild(noteForm);
+  }
+
+  // load one message; opening an unread one marks it read
+  function showMessage(id, markRead) {
+    selectedId = id;
+    list.querySelectorAll("button[data-id]").forEach((btn) => {
+      if (Number(btn.dataset.id) === id) btn.setAttribute("aria-current", "true");
+      else btn.removeAttribute("aria-current");
+    });
+
+    getJson("/api/admin/messages/" + id)
+      .then((result) => {
+        if (result.status !== "ok") {
+          detail.textContent = result.msg || t("could not load this message.");
+          return;
+        }
+        renderMessage(result.data);
+        if (markRead && !result.data.read_at) setFlags(id, { read: true });
+      })
+      .catch((err) => {
+        if (err.message === "not allowed") return;
+        console.error("error loading message:", err);
+        detail.textContent = t("error loading message.");
+      });
+  }
+
+  list.addEventListener("click", (event) => {
+    const btn = event.target.closest("button[data-id]");
+    if (btn) showMessage(Number(btn.dataset.id), true);
+  });
+
+  if (filtersForm) {
+    filtersForm.addEventListener("submit", (event) => {
+      event.preventDefault();
+      page = 1;
+      loadList();
+    });
+  }
+
+  if (pager) {
+    pager.addEventListener("click", (event) => {
+      const btn = event.target.closest("button[data-page]");
+      if (!btn || btn.disabled) return;
+      page += btn.dataset.page === "next" ? 1 : -1;
+      loadList();
+    });
+  }
+
+  loadList();
+  refreshBadge();
+}
+
+// format members array from the api into small badges
+// → nodes for append() / replaceChildren(), or "-" when there are none
+function formatMembers(members) {
+  if (!members || members.length === 0) return "-";
+
+  // one badge per member: "sara — 2310xxx" (ids are only sent to instructors)
+  const badges = document.createDocumentFragment();
+  members.forEach((m, i) => {
+    if (i > 0) badges.append(" ");
+    const label = m.student_id ? `${m.name} — ${m.student_id}` : m.name;
+    badges.appendChild(el("span", "member-badge", label));
+  });
+  return badges;
+}
+
+// review status codes → readable labels ("needs_changes" → "needs changes")
+function formatStatusLabel(code) {
+  return code ? t(code.replace(/_/g, " ")) : "";
+}
+
+// status as a small colored pill (class per status in styles.css)
+// → a <span> for append() / replaceChildren(), or "-" without a status
+function formatStatus(code) {
+  if (!code) return "-";
+  return el("span", `status-badge status-${code}`, formatStatusLabel(code));
 }
 
 // map internal major codes to readable labels in the table
 function formatMajor(code) {
-  switch (code) {
-    case "cybersecurity":
-      return "cybersecurity";
-    case "cs":
-      return "computer science";
-    case "se":
-      return "software engineering";
-    case "is":
-      return "information systems";
-    case "ai":
-      return "artificial intelligence";
-    case "data":
-      return "data science";
-    default:
-      return code || "";
+  return MAJOR_LABELS[code] ? t(MAJOR_LABELS[code]) : code || "";
+}
+
+/* ======================================================
+   csv import (import-projects.html, instructors only)
+   - two forms: the teams of a semester, and the class list of courses
+   - "preview" sends the file for a dry run and lists every row with
+     its problems, nothing is saved
+   - "import" sends the same file again to save the good rows, then shows
+     what was saved (the edit link of each new team, the size of each
+     class list)
+   ====================================================== */
+
+function initImportPage() {
+  initCsvImport("import", {
+    previewUrl: "/api/projects/import/preview",
+    importUrl: "/api/projects/import",
+    loginText: "please log in as an instructor to import projects.",
+    failedText: "error importing projects, nothing was saved.",
+    rowCells: (r) => [r.teamName, r.courseCode, r.projectName, r.teamSize],
+    // the edit link of every new team
+    resultItems: (result) =>
+      result.imported.map((p) => {
+        const label = t("row {row} · {team}:", { row: p.row, team: p.teamName });
+        const item = el("li", "", label + " ");
+        const link = el("a", "", window.location.origin + p.editUrl);
+        link.href = p.editUrl;
+        item.appendChild(link);
+        return item;
+      }),
+  });
+
+  initCsvImport("rosterImport", {
+    previewUrl: "/api/rosters/import/preview",
+    importUrl: "/api/rosters/import",
+    loginText: "please log in as an instructor to import class lists.",
+    failedText: "error importing the class lists, nothing was saved.",
+    rowCells: (r) => [r.courseCode, r.studentId, r.fullName, r.email],
+    resultItems: (result) =>
+      result.courses.map((c) =>
+        el("li", "", t("{course}: {count} student(s)", { course: c.code, count: c.students }))
+      ),
+  });
+}
+
+// one preview → import form; its elements are found by prefix
+// ("import" → #importForm, #importStatus, #importPreview, …)
+function initCsvImport(prefix, options) {
+  const byId = (name) => document.getElementById(prefix + name);
+  const form = byId("Form");
+  const statusBox = byId("Status");
+  if (!form || !statusBox) return; // not on import page
+
+  const preview = byId("Preview");
+  const summary = byId("Summary");
+  const rowsBody = byId("Rows");
+  const commitButton = byId("Commit");
+  const resultBox = byId("Result");
+  const resultList = byId("ResultList");
+
+  // the file text that was previewed (the import sends exactly this)
+  let previewedCsv = null;
+
+  function showStatus(text, className = "hint") {
+    statusBox.className = className;
+    statusBox.textContent = t(text);
+  }
+
+  // post the csv, turn 401 / 403 / errors into the status box
+  async function postCsv(url, csv) {
+    const response = await apiFetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "text/csv" },
+      body: csv,
+    });
+    const result = await response.json();
+    if (response.status === 401) {
+      showStatus(options.loginText, "error-box");
+    } else if (result.status !== "ok") {
+      const messages = (result.errors || []).map((e) => e.msg);
+      if (messages.length > 0) {
+        showErrorList(statusBox, result.msg || "the import failed.", messages);
+      } else {
+        showStatus(result.msg || "the import failed.", "error-box");
+      }
+    }
+    return result;
   }
+
+  // one <tr> per csv row: ok, or the list of its problems
+  function previewRow(r) {
+    const row = el("tr", r.errors.length > 0 ? "import-invalid" : "");
+    const problems = el("td");
+    if (r.errors.length === 0) {
+      problems.textContent = t("ok");
+    } else {
+      const list = el("ul");
+      r.errors.forEach((e) => list.appendChild(el("li", "", e.msg)));
+      problems.appendChild(list);
+    }
+
+    [String(r.row), ...options.rowCells(r)].forEach((text) =>
+      row.appendChild(el("td", "", text || "-"))
+    );
+    row.appendChild(problems);
+    return row;
+  }
+
+  function showPreview(result) {
+    rowsBody.replaceChildren(...result.rows.map(previewRow));
+    summary.textContent = t(
+      "{total} row(s): {valid} ready to import, {invalid} with problems (these will be skipped).",
+      { total: result.total, valid: result.valid, invalid: result.invalid }
+    );
+    commitButton.disabled = result.valid === 0;
+    preview.hidden = false;
+  }
+
+  form.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const file = form.elements.file.files[0];
+    preview.hidden = true;
+    resultBox.hidden = true;
+    previewedCsv = null;
+
+    if (!file) {
+      showStatus("please choose a csv file first.", "error-box");
+      return;
+    }
+
+    showStatus("checking the file…");
+    try {
+      const csv = await file.text();
+      const result = await postCsv(options.previewUrl, csv);
+      if (result.status !== "ok") return;
+
+      previewedCsv = csv;
+      showStatus("nothing has been saved yet, check the rows below.");
+      showPreview(result);
+    } catch (err) {
+      console.error("error previewing import:", err);
+      showStatus("could not check the file, please try again.", "error-box");
+    }
+  });
+
+  commitButton.addEventListener("click", async () => {
+    if (previewedCsv === null) return;
+    commitButton.disabled = true;
+    showStatus("importing…");
+
+    try {
+      const result = await postCsv(options.importUrl, previewedCsv);
+      if (result.status !== "ok") {
+        commitButton.disabled = false;
+        return;
+      }
+
+      previewedCsv = null;
+      preview.hidden = true;
+      showStatus(result.msg, "success-msg");
+      resultList.replaceChildren(...options.resultItems(result));
+      resultBox.hidden = false;
+    } catch (err) {
+      console.error("error importing:", err);
+      showStatus(options.failedText, "error-box");
+      commitButton.disabled = false;
+    }
+  });
+}
+
+/* ======================================================
+   api docs (api-docs.html)
+   - draws every route of /api/openapi.json (backend/openapi.js), one
+     <details> per route grouped by tag: who may call it, its parameters,
+     body fields and answers
+   - "send" tries the route from the page, as the visitor (their session
+     cookie goes along); routes behind a form token fetch one as soon as
+     they are opened, so the post is not refused as too quick
+   ====================================================== */
+
+const API_METHODS = ["get", "post", "put", "patch", "delete"];
+
+function initApiDocs() {
+  const container = document.getElementById("apiDocs");
+  const statusBox = document.getElementById("apiDocsStatus");
+  if (!container || !statusBox) return; // not on api docs page
+
+  let spec = null;
+  let nextId = 0;
+
+  // follow "#/components/schemas/Project" to the schema itself
+  function resolve(schema) {
+    let out = schema || {};
+    while (out.$ref) {
+      out = out.$ref
+        .split("/")
+        .slice(1)
+        .reduce((node, key) => node[key], spec);
+    }
+    return out;
+  }
+
+  // { properties, required } of an object schema, allOf parts merged
+  function objectFields(schema) {
+    const resolved = resolve(schema);
+    if (resolved.allOf) {
+      return resolved.allOf.map(objectFields).reduce((a, b) => ({
+        properties: { ...a.properties, ...b.properties },
+        required: [...a.required, ...b.required],
+      }));
+    }
+    return { properties: resolved.properties || {}, required: resolved.required || [] };
+  }
+
+  // "string", "string (date)", "Project" (by the name it is referenced by)
+  function typeName(schema) {
+    if (schema.$ref) return schema.$ref.split("/").pop();
+    if (schema.allOf) return schema.allOf.length === 1 ? typeName(schema.allOf[0]) : "object";
+    return schema.format ? `${schema.type} (${schema.format})` : schema.type;
+  }
+
+  // the rules of one field as a line: "string, 3–50 characters, required"
+  function describeSchema(schema, required) {
+    const s = resolve(schema);
+    const parts = [
+      s.type === "array" ? t("list of {type}", { type: typeName(s.items) }) : typeName(schema),
+    ];
+
+    if (s.minLength !== undefined && s.maxLength !== undefined) {
+      parts.push(t("{min}–{max} characters", { min: s.minLength, max: s.maxLength }));
+    } else if (s.maxLength !== undefined) {
+      parts.push(t("at most {max} characters", { max: s.maxLength }));
+    }
+    if (s.minimum !== undefined && s.maximum !== undefined) {
+      parts.push(`${s.minimum}–${s.maximum}`);
+    } else if (s.minimum !== undefined) {
+      parts.push(t("at least {min}", { min: s.minimum }));
+    }
+    if (s.maxItems !== undefined) parts.push(t("at most {max}", { max: s.maxItems }));
+    if (s.pattern) parts.push(t("pattern {pattern}", { pattern: s.pattern }));
+    if (s.enum) parts.push(t("one of: {values}", { values: s.enum.join(", ") }));
+    if (s.default !== undefined) parts.push(t("default {value}", { value: s.default }));
+    if (s.nullable) parts.push(t("or null"));
+    if (required) parts.push(t("required"));
+    return parts.join(", ");
+  }
+
+  // who may call an operation, from its security + x-roles
+  function whoMayCall(op) {
+    const schemes = (op.security || []).map((s) => Object.keys(s)[0]);
+    if (op["x-roles"]) {
+      return t("instructors only ({roles})", { roles: op["x-roles"].join(", ") });
+    }
+    if (schemes.includes("formToken")) {
+      return t("anyone, with a form token from GET /api/form-token");
+    }
+    if (schemes.includes(undefined)) {
+      return t("anyone (the team and instructors see more)");
+    }
+    if (schemes.includes("editToken") && schemes.includes("session")) {
+      return t("instructors, the team (edit token) or a logged-in member of the team");
+    }
+    if (schemes.includes("editToken")) return t("the team (edit token)");
+    return t("anyone");
+  }
+
+  // a small table: one row per [name, rules, description]
+  function fieldTable(headings, rows) {
+    const wrapper = el("div", "projects-table-wrapper");
+    const table = el("table", "projects-table");
+    const headRow = el("tr");
+    headings.forEach((h) => headRow.appendChild(el("th", "", t(h))));
+    table.appendChild(el("thead")).appendChild(headRow);
+
+    const tbody = el("tbody");
+    rows.forEach((cells) => {
+      const row = el("tr");
+      cells.forEach((text, i) => row.appendChild(el("td", i === 0 ? "api-name" : "", text || "")));
+      tbody.appendChild(row);
+    });
+    table.appendChild(tbody);
+    wrapper.appendChild(table);
+    return wrapper;
+  }
+
+  // a body to start from: every field of the schema, empty
+  function exampleBody(schema) {
+    const { properties } = objectFields(schema);
+    const out = {};
+    Object.entries(properties).forEach(([name, field]) => {
+      const s = resolve(field);
+      if (s.type === "array") out[name] = [];
+      else if (s.type === "boolean") out[name] = false;
+      else if (s.type === "integer") out[name] = s.minimum !== undefined ? s.minimum : 1;
+      else out[name] = s.example || "";
+    });
+    return out;
+  }
+
+  function labelled(text, input) {
+    nextId += 1;
+    input.id = `apiTry${nextId}`;
+    const row = el("div", "form-row");
+    const label = el("label", "", text);
+    label.htmlFor = input.id;
+    row.append(label, input);
+    return row;
+  }
+
+  // "send": inputs for the parameters, tokens and the body + the answer
+  function tryItForm(path, method, op, details) {
+    const form = el("form", "api-try");
+    form.noValidate = true;
+    const params = op.parameters || [];
+    const schemes = (op.security || []).map((s) => Object.keys(s)[0]);
+    let formToken = "";
+
+    params.forEach((p) => {
+      const input = el("input");
+      input.name = p.name;
+      form.appendChild(labelled(`${p.name} (${p.in})`, input));
+    });
+
+    const editTokenInput = el("input");
+    if (schemes.includes("editToken")) {
+      form.appendChild(labelled(t("edit token"), editTokenInput));
+    }
+
+    const media = op.requestBody ? Object.keys(op.requestBody.content)[0] : null;
+    const bodyInput = el("textarea", "api-body");
+    if (media) {
+      bodyInput.rows = 8;
+      if (media === "application/json") {
+        bodyInput.value = JSON.stringify(
+          exampleBody(op.requestBody.content[media].schema),
+          null,
+          2
+        );
+      }
+      form.appendChild(labelled(t("body ({type})", { type: media }), bodyInput));
+    }
+
+    // a form token belongs to the moment the form was opened
+    if (schemes.includes("formToken")) {
+      details.addEventListener("toggle", async () => {
+        if (!details.open || formToken) return;
+        try {
+          const response = await apiFetch("/api/form-token");
+          formToken = (await response.json()).token || "";
+        } catch (err) {
+          console.error("error loading form token:", err);
+        }
+      });
+    }
+
+    const actions = el("div", "form-actions");
+    const sendButton = el("button", "", t("Send"));
+    sendButton.type = "submit";
+    actions.appendChild(sendButton);
+    form.appendChild(actions);
+
+    const output = el("pre", "api-output");
+    output.hidden = true;
+    form.appendChild(output);
+
+    form.addEventListener("submit", async (event) => {
+      event.preventDefault();
+
+      let url = path;
+      const search = new URLSearchParams();
+      params.forEach((p) => {
+        const value = form.elements[p.name].value.trim();
+        if (p.in === "path") url = url.replace(`{${p.name}}`, encodeURIComponent(value));
+        else if (value !== "") search.set(p.name, value);
+      });
+      if (search.toString()) url += `?${search}`;
+
+      const headers = {};
+      if (formToken) headers["x-csrf-token"] = formToken;
+      if (editTokenInput.value.trim()) headers["x-edit-token"] = editTokenInput.value.trim();
+      const options = { method: method.toUpperCase(), headers };
+      if (media) {
+        headers["Content-Type"] = media;
+        options.body = bodyInput.value;
+      }
+
+      output.hidden = false;
+      output.textContent = t("sending…");
+      try {
+        const response = await apiFetch(url, options);
+        let text = await response.text();
+        try {
+          text = JSON.stringify(JSON.parse(text), null, 2);
+        } catch (err) {
+          // csv / xlsx downloads are shown as they are
+        }
+        output.textContent = `HTTP ${response.status}\n\n${text}`;
+      } catch (err) {
+        console.error("error trying the api:", err);
+        output.textContent = t("could not reach the server, please try again.");
+      }
+    });
+    return form;
+  }
+
+  // one <details> per route + method
+  function operationBlock(path, method, op) {
+    const details = el("details", "api-op");
+    const summary = el("summary");
+    summary.append(
+      el("span", `api-method api-${method}`, method.toUpperCase()),
+      " ",
+      el("code", "", path),
+      " ",
+      el("span", "hint", op.summary)
+    );
+    details.appendChild(summary);
+
+    if (op.description) details.appendChild(el("p", "", op.description));
+    details.appendChild(el("p", "hint", t("who: {who}", { who: whoMayCall(op) })));
+
+    if (op.parameters && op.parameters.length > 0) {
+      details.appendChild(el("h4", "", t("Parameters")));
+      details.appendChild(
+        fieldTable(
+          ["Name", "Rules", "Description"],
+          op.parameters.map((p) => [
+            `${p.name} (${p.in})`,
+            describeSchema(p.schema, p.required),
+            p.description,
+          ])
+        )
+      );
+    }
+
+    if (op.requestBody) {
+      const [media, { schema }] = Object.entries(op.requestBody.content)[0];
+      details.appendChild(el("h4", "", t("Body ({type})", { type: media })));
+      if (op.requestBody.description) {
+        details.appendChild(el("p", "hint", op.requestBody.description));
+      }
+      const { properties, required } = objectFields(schema);
+      const description = resolve(schema).description;
+      if (description) details.appendChild(el("p", "hint", description));
+      if (Object.keys(properties).length > 0) {
+        details.appendChild(
+          fieldTable(
+            ["Field", "Rules", "Description"],
+            Object.entries(properties).map(([name, field]) => [
+              name,
+              describeSchema(field, required.includes(name)),
+              resolve(field).description,
+            ])
+          )
+        );
+      }
+    }
+
+    details.appendChild(el("h4", "", t("Answers")));
+    const answers = el("ul");
+    Object.entries(op.responses).forEach(([status, response]) => {
+      const resolved = resolve(response);
+      const content = resolved.content || {};
+      const media = Object.keys(content)[0];
+      const type = media && content[media].schema ? ` → ${typeName(content[media].schema)}` : "";
+      answers.appendChild(el("li", "", `${status}: ${resolved.description}${type}`));
+    });
+    details.appendChild(answers);
+
+    details.appendChild(el("h4", "", t("Try it")));
+    details.appendChild(tryItForm(path, method, op, details));
+    return details;
+  }
+
+  function render() {
+    const sections = spec.tags.map((tag) => {
+      const section = el("section", "card api-tag");
+      section.appendChild(el("h2", "", tag.name));
+      if (tag.description) section.appendChild(el("p", "hint", tag.description));
+      Object.entries(spec.paths).forEach(([path, item]) => {
+        API_METHODS.forEach((method) => {
+          const op = item[method];
+          if (op && op.tags.includes(tag.name)) {
+            section.appendChild(operationBlock(path, method, op));
+          }
+        });
+      });
+      return section;
+    });
+    container.replaceChildren(...sections);
+  }
+
+  async function load() {
+    statusBox.className = "hint";
+    statusBox.textContent = t("loading the api description…");
+    try {
+      const response = await apiFetch("/api/openapi.json");
+      spec = await response.json();
+      if (!spec.paths) throw new Error("not an openapi document");
+
+      statusBox.textContent = t("{title} {version} · OpenAPI {openapi}", {
+        title: spec.info.title,
+        version: spec.info.version,
+        openapi: spec.openapi,
+      });
+      render();
+    } catch (err) {
+      console.error("error loading api description:", err);
+      statusBox.className = "error-box";
+      statusBox.textContent = t("could not load the api description, please try again.");
+    }
+  }
+
+  load();
+}
+
+/* ======================================================
+   instructor dashboard (dashboard.html)
+   - counts from /api/stats for all courses or one, drawn as svg charts
+     right here (no chart library or cdn: lab machines are often offline)
+   - the roster part lists the students of the imported class lists that
+     are in no team of their course yet
+   ====================================================== */
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+function initDashboard() {
+  const form = document.getElementById("statsFilters");
+  const statusBox = document.getElementById("statsStatus");
+  const charts = document.getElementById("statsCharts");
+  if (!form || !statusBox || !charts) return; // not on dashboard page
+
+  const rosterSummary = document.getElementById("rosterSummary");
+  const rosterTable = document.getElementById("rosterTable");
+  const rosterRows = document.getElementById("rosterRows");
+
+  const CHART_WIDTH = 600;
+  const ROW_HEIGHT = 28;
+  const LABEL_WIDTH = 170;
+  const VALUE_ROOM = 40;
+  const COLUMNS_HEIGHT = 200;
+  const AXIS_ROOM = 24;
+
+  // an svg element with its attributes (and text)
+  function svg(tag, attrs = {}, text) {
+    const node = document.createElementNS(SVG_NS, tag);
+    Object.entries(attrs).forEach(([name, value]) => node.setAttribute(name, value));
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  // long tool / course names would run into the bars
+  function shorten(text, max = 22) {
+    return text.length > max ? text.slice(0, max - 1) + "…" : text;
+  }
+
+  function emptyChart() {
+    return el("p", "hint", t("no ideas yet."));
+  }
+
+  // one horizontal bar per item ([{ label, count }]), the longest is the most
+  function barChart(items, caption) {
+    if (items.length === 0) return emptyChart();
+
+    const height = items.length * ROW_HEIGHT;
+    const max = Math.max(...items.map((item) => item.count));
+    const room = CHART_WIDTH - LABEL_WIDTH - VALUE_ROOM;
+    const chart = svg("svg", {
+      viewBox: `0 0 ${CHART_WIDTH} ${height}`,
+      role: "img",
+      "aria-label": caption,
+    });
+
+    items.forEach((item, i) => {
+      const middle = i * ROW_HEIGHT + ROW_HEIGHT / 2;
+      const width = max > 0 ? (room * item.count) / max : 0;
+      const bar = svg("rect", {
+        class: "chart-bar",
+        x: LABEL_WIDTH,
+        y: i * ROW_HEIGHT + 4,
+        width,
+        height: ROW_HEIGHT - 8,
+        rx: 3,
+      });
+      bar.appendChild(svg("title", {}, `${item.label}: ${item.count}`));
+
+      chart.append(
+        svg(
+          "text",
+          { class: "chart-label", x: LABEL_WIDTH - 8, y: middle, "text-anchor": "end", dy: "0.35em" },
+          shorten(item.label)
+        ),
+        bar,
+        svg(
+          "text",
+          { class: "chart-value", x: LABEL_WIDTH + width + 6, y: middle, dy: "0.35em" },
+          String(item.count)
+        )
+      );
+    });
+    return chart;
+  }
+
+  // "2025-03-03" of a week → "week of 2025-03-03", days and months as they are
+  function periodLabel(period, interval) {
+    return interval === "week" ? t("week of {date}", { date: period }) : period;
+  }
+
+  // one column per period, first and last period under the axis
+  function columnChart({ interval, points }, caption) {
+    if (points.length === 0) return emptyChart();
+
+    const max = Math.max(...points.map((p) => p.count));
+    const base = COLUMNS_HEIGHT - AXIS_ROOM;
+    const step = CHART_WIDTH / points.length;
+    const chart = svg("svg", {
+      viewBox: `0 0 ${CHART_WIDTH} ${COLUMNS_HEIGHT}`,
+      role: "img",
+      "aria-label": caption,
+    });
+
+    points.forEach((p, i) => {
+      const height = max > 0 ? ((base - 16) * p.count) / max : 0;
+      const column = svg("rect", {
+        class: "chart-bar",
+        x: i * step + step * 0.15,
+        y: base - height,
+        width: step * 0.7,
+        height,
+      });
+      column.appendChild(svg("title", {}, `${periodLabel(p.period, interval)}: ${p.count}`));
+      chart.appendChild(column);
+    });
+
+    const first = points[0].period;
+    const last = points[points.length - 1].period;
+    chart.append(
+      svg("line", { class: "chart-axis", x1: 0, y1: base, x2: CHART_WIDTH, y2: base }),
+      svg("text", { class: "chart-value", x: 0, y: 10 }, t("most: {count}", { count: max })),
+      svg("text", { class: "chart-label", x: 0, y: COLUMNS_HEIGHT - 6 }, first)
+    );
+    if (last !== first) {
+      chart.appendChild(
+        svg(
+          "text",
+          { class: "chart-label", x: CHART_WIDTH, y: COLUMNS_HEIGHT - 6, "text-anchor": "end" },
+          last
+        )
+      );
+    }
+    return chart;
+  }
+
+  function draw(id, chart) {
+    document.getElementById(id).replaceChildren(chart);
+  }
+
+  function renderRoster(roster) {
+    rosterRows.replaceChildren();
+    rosterTable.hidden = true;
+
+    if (!roster) {
+      rosterSummary.textContent = t(
+        "no class list is imported yet, so there is no roster to compare with."
+      );
+      return;
+    }
+
+    rosterSummary.textContent = t(
+      "{count} of {students} student(s) on the class lists are not in a team yet.",
+      { count: roster.withoutTeam.length, students: roster.students }
+    );
+    roster.withoutTeam.forEach((s) => {
+      const row = el("tr");
+      [s.course_code, s.student_id, s.full_name, s.email || ""].forEach((text) =>
+        row.appendChild(el("td", "", text))
+      );
+      rosterRows.appendChild(row);
+    });
+    rosterTable.hidden = roster.withoutTeam.length === 0;
+  }
+
+  function render(result) {
+    statusBox.className = "hint";
+    statusBox.textContent =
+      t("{count} idea(s) submitted", { count: result.total }) +
+      (result.course ? " · " + result.course : "");
+
+    draw(
+      "chartCourses",
+      barChart(
+        result.byCourse.map((c) => ({ label: c.key, count: c.count })),
+        t("Ideas per Course")
+      )
+    );
+    draw(
+      "chartCategories",
+      barChart(
+        result.byCategory.map((c) => ({ label: formatMajor(c.key), count: c.count })),
+        t("Majors / Tracks")
+      )
+    );
+    draw(
+      "chartTypes",
+      barChart(
+        result.byProjectType.map((c) => ({ label: t(c.key), count: c.count })),
+        t("Group or Solo")
+      )
+    );
+    draw(
+      "chartTeamSizes",
+      barChart(
+        result.byTeamSize.map((c) => ({
+          label: t("{size} student(s)", { size: c.key }),
+          count: c.count,
+        })),
+        t("Team Sizes")
+      )
+    );
+    draw("chartOverTime", columnChart(result.overTime, t("Submissions over Time")));
+    draw(
+      "chartTools",
+      barChart(
+        result.tools.map((c) => ({ label: c.tool, count: c.count })),
+        t("Most Requested Tools")
+      )
+    );
+    renderRoster(result.roster);
+    charts.hidden = false;
+  }
+
+  async function load() {
+    const params = new URLSearchParams();
+    if (form.course.value) params.set("course", form.course.value);
+    params.set("interval", form.interval.value);
+
+    statusBox.className = "hint";
+    statusBox.textContent = t("loading the statistics…");
+
+    try {
+      const response = await apiFetch("/api/stats?" + params.toString());
+      const result = await response.json();
+
+      if (result.status !== "ok") {
+        charts.hidden = true;
+        statusBox.className = "error-box";
+        statusBox.textContent =
+          response.status === 401
+            ? t("please log in as an instructor to see the dashboard.")
+            : result.msg || t("could not load the statistics.");
+        return;
+      }
+      render(result);
+    } catch (err) {
+      console.error("error loading statistics:", err);
+      statusBox.className = "error-box";
+      statusBox.textContent = t("server error while loading the statistics.");
+    }
+  }
+
+  // the course choices (the numbers themselves come from /api/stats)
+  apiFetch("/api/courses")
+    .then((res) => res.json())
+    .then((result) => {
+      (result.data || []).forEach((c) => {
+        const option = el("option", "", `${c.code} — ${c.title}`);
+        option.value = c.code;
+        form.course.appendChild(option);
+      });
+    })
+    .catch((err) => console.error("error loading courses:", err));
+
+  form.addEventListener("submit", (event) => {
+    event.preventDefault();
+    load();
+  });
+
+  load();
 }
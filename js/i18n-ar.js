@@ -0,0 +1,789 @@
+// i18n-ar.js
+// arabic catalog: english text (as written in the html, app.js, the form
+// schemas, the api and the emails) → arabic text; see js/i18n.js for how
+// keys and "{name}" placeholders work. a text missing here stays english.
+//
+// grouped by where the text comes from; keep the placeholders of a key in
+// its translation.
+
+const I18N_AR = {
+  /* ---------- pages: titles, nav, footer ---------- */
+  "ClassMate • About — Idea Hub": "ClassMate • من نحن — منصة الأفكار",
+  "ClassMate • API Docs — Idea Hub": "ClassMate • توثيق الواجهة البرمجية — منصة الأفكار",
+  "ClassMate • Messages Inbox — Idea Hub": "ClassMate • صندوق الرسائل — منصة الأفكار",
+  "ClassMate • Contact": "ClassMate • تواصل معنا",
+  "ClassMate • Dashboard — Idea Hub": "ClassMate • لوحة المتابعة — منصة الأفكار",
+  "ClassMate • Submit Team Project Idea": "ClassMate • تقديم فكرة مشروع الفريق",
+  "ClassMate • Import Projects — Idea Hub": "ClassMate • استيراد المشاريع — منصة الأفكار",
+  "ClassMate • Idea Hub — Home": "ClassMate • منصة الأفكار — الرئيسية",
+  "ClassMate • Login — Idea Hub": "ClassMate • تسجيل الدخول — منصة الأفكار",
+  "ClassMate • My Work — Idea Hub": "ClassMate • أعمالي — منصة الأفكار",
+  "ClassMate • Project Details — Idea Hub": "ClassMate • تفاصيل المشروع — منصة الأفكار",
+  "ClassMate • Projects — Idea Hub": "ClassMate • المشاريع — منصة الأفكار",
+  Home: "الرئيسية",
+  About: "من نحن",
+  "Submit Idea": "قدّم فكرة",
+  Projects: "المشاريع",
+  "My Work": "أعمالي",
+  Contact: "تواصل معنا",
+  Login: "الدخول",
+  Primary: "القائمة الرئيسية",
+  "Cute Ribbon Header": "شريط زخرفي",
+  "ClassMate Idea Hub": "منصة أفكار ClassMate",
+  "© 2025 ClassMate Idea Hub — Team CM3, College of Computing, University of Jeddah":
+    "© 2025 منصة أفكار ClassMate — فريق CM3، كلية الحاسبات، جامعة جدة",
+
+  /* ---------- index.html ---------- */
+  "A practical space for College of Computer Science and Engi students at the University of Jeddah to register their":
+    "مساحة عملية لطلاب كلية علوم وهندسة الحاسب في جامعة جدة لتسجيل",
+  "team project ideas": "أفكار مشاريع فرقهم",
+  "by course and major.": "حسب المقرر والتخصص.",
+  "One place where teams submit proposals, and instructors quickly see who is working on what.":
+    "مكان واحد تقدّم فيه الفرق مقترحاتها، ويرى فيه المحاضرون بسرعة من يعمل على ماذا.",
+  "Submit Your Team Idea": "قدّم فكرة فريقك",
+  "Browse All Projects": "تصفّح كل المشاريع",
+  "Project ideas at a glance — without the chaos.": "أفكار المشاريع في لمحة — بلا فوضى.",
+  "For Students": "للطلاب",
+  "Register your group, link your project to a specific course, and clearly describe your idea, goals, and tools.":
+    "سجّل مجموعتك، واربط مشروعك بمقرر محدد، وصِف فكرتك وأهدافك وأدواتك بوضوح.",
+  "For Instructors": "للمحاضرين",
+  "View all submitted ideas in one page, filter by course or major, and understand the scope of each team project.":
+    "اعرض كل الأفكار المقدمة في صفحة واحدة، وصفّها حسب المقرر أو التخصص، وافهم نطاق مشروع كل فريق.",
+  "For Teams": "للفرق",
+  "Keep a clean record of who is in your group, who is the representative, and what the project is about.":
+    "احتفظ بسجل واضح لأعضاء مجموعتك وممثلها وموضوع المشروع.",
+  "Why ClassMate Idea Hub?": "لماذا منصة أفكار ClassMate؟",
+  "Structure, clarity, and shared ownership from kickoff to submission.":
+    "تنظيم ووضوح ومسؤولية مشتركة من البداية حتى التسليم.",
+  "Students collaborating on a project board": "طلاب يتعاونون على لوحة مشروع",
+  "Quick benefits": "فوائد سريعة",
+
+  /* ---------- about-us.html ---------- */
+  "About ClassMate Idea Hub": "عن منصة أفكار ClassMate",
+  "ClassMate Idea Hub is a web platform developed as part of the":
+    "منصة أفكار ClassMate منصة ويب طُوّرت ضمن مقرر",
+  "CCSW321 – Web Development": "CCSW321 – تطوير الويب",
+  "course at the College of Computing, University of Jeddah.": "في كلية الحاسبات بجامعة جدة.",
+  "The goal is to give students a simple, practical way to register their":
+    "الهدف أن نوفر للطلاب طريقة بسيطة وعملية لتسجيل",
+  ", connect them to a specific course and major, and make it easier for instructors to review and compare proposals.":
+    "، وربطها بمقرر وتخصص محددين، وتسهيل مراجعة المقترحات ومقارنتها على المحاضرين.",
+  "What You Can Do": "ماذا يمكنك أن تفعل",
+  "Submit a team project idea with basic information about the group.":
+    "تقديم فكرة مشروع فريق مع معلومات أساسية عن المجموعة.",
+  "Specify the course code (e.g., CCSW321) and the major/track.":
+    "تحديد رمز المقرر (مثل CCSW321) والتخصص/المسار.",
+  "Describe the main idea, goals, and planned technologies.":
+    "وصف الفكرة الرئيسية والأهداف والتقنيات المخطط لها.",
+  "Browse all submitted projects directly from the MySQL database.":
+    "تصفّح كل المشاريع المقدمة مباشرة من قاعدة بيانات MySQL.",
+  "Technology Stack": "التقنيات المستخدمة",
+  "The platform uses clean HTML5 and CSS for the frontend, JavaScript for client-side validation, a Node.js + Express backend for the API, and MySQL for persistent project storage.":
+    "تستخدم المنصة HTML5 وCSS للواجهة، وJavaScript للتحقق في المتصفح، وNode.js + Express للواجهة البرمجية، وMySQL لحفظ المشاريع.",
+  "Team CM3": "فريق CM3",
+  "Team CM3 designed the forms, validation, and database integration to focus on both usability and code quality, matching the course rubric while keeping the platform realistic and useful for real students.":
+    "صمّم فريق CM3 النماذج والتحقق وربط قاعدة البيانات مع التركيز على سهولة الاستخدام وجودة الشيفرة، بما يوافق معايير المقرر ويبقي المنصة واقعية ومفيدة للطلاب.",
+
+  /* ---------- contact-us.html ---------- */
+  "Contact ClassMate Team": "تواصل مع فريق ClassMate",
+  "Use this form to contact the ClassMate Idea Hub team about technical issues, ideas for improvement, or questions related to project submissions.":
+    "استخدم هذا النموذج للتواصل مع فريق منصة أفكار ClassMate بخصوص المشكلات التقنية أو أفكار التحسين أو الأسئلة المتعلقة بتقديم المشاريع.",
+  "Your Information": "معلوماتك",
+  "First Name": "الاسم الأول",
+  "Last Name": "اسم العائلة",
+  Gender: "الجنس",
+  Female: "أنثى",
+  Male: "ذكر",
+  "Prefer not to say": "أفضّل عدم الذكر",
+  "Mobile (Saudi format)": "الجوال (بالصيغة السعودية)",
+  "Date of Birth": "تاريخ الميلاد",
+  Email: "البريد الإلكتروني",
+  "Preferred Language": "اللغة المفضلة",
+  "Select a language": "اختر لغة",
+  English: "الإنجليزية",
+  Arabic: "العربية",
+  Both: "كلتاهما",
+  "Your Message": "رسالتك",
+  Message: "الرسالة",
+  Website: "الموقع",
+  "Send Message": "إرسال الرسالة",
+  Clear: "مسح",
+  "+9665XXXXXXXX": "+9665XXXXXXXX",
+  "Write your question or feedback here...": "اكتب سؤالك أو ملاحظتك هنا...",
+
+  /* ---------- idea.html ---------- */
+  "Submit Your Team Project Idea": "قدّم فكرة مشروع فريقك",
+  "This form is for project groups in the College of Computer and Engineering at the University of Jeddah. The representative fills in the team and project details.":
+    "هذا النموذج لمجموعات المشاريع في كلية الحاسبات والهندسة بجامعة جدة. يملأ ممثل الفريق بيانات الفريق والمشروع.",
+  "Team & Representative": "الفريق والممثل",
+  "Team Name": "اسم الفريق",
+  "Team Size": "عدد أعضاء الفريق",
+  "Select team size": "اختر عدد الأعضاء",
+  "1 (solo)": "1 (فردي)",
+  "2 members": "عضوان",
+  "3 members": "3 أعضاء",
+  "4 members": "4 أعضاء",
+  "5 members": "5 أعضاء",
+  "Team size includes the representative.": "العدد يشمل الممثل.",
+  "Representative Name": "اسم الممثل",
+  "Representative ID": "الرقم الجامعي للممثل",
+  "Representative Email": "بريد الممثل",
+  "Based on the team size, fields for other members' IDs will appear here.":
+    "ستظهر هنا حقول بقية الأعضاء حسب عدد أعضاء الفريق.",
+  Course: "المقرر",
+  "Select your course": "اختر مقررك",
+  "Project Title": "عنوان المشروع",
+  "Major / Track": "التخصص / المسار",
+  "Select a major": "اختر تخصصًا",
+  Cybersecurity: "الأمن السيبراني",
+  "Computer Science": "علوم الحاسب",
+  "Software Engineering": "هندسة البرمجيات",
+  "Information Systems": "نظم المعلومات",
+  "Artificial Intelligence": "الذكاء الاصطناعي",
+  "Data Science": "علم البيانات",
+  "Project Type": "نوع المشروع",
+  Group: "جماعي",
+  "Solo (one student)": "فردي (طالب واحد)",
+  "Short Description": "وصف مختصر",
+  "Preferred Technologies / Tools (optional)": "التقنيات / الأدوات المفضلة (اختياري)",
+  "Submit Team Idea": "تقديم فكرة الفريق",
+  "Withdraw Idea": "سحب الفكرة",
+  "Similar Ideas in This Course": "أفكار مشابهة في هذا المقرر",
+  "Submit Anyway": "قدّمها على أي حال",
+  "Change My Idea": "تعديل فكرتي",
+  "Restore Draft": "استعادة المسودة",
+  Discard: "تجاهل",
+  "Your answers are saved in this browser as you type. To finish on another device, log in as the representative and keep the draft in your account.":
+    "تُحفظ إجاباتك في هذا المتصفح أثناء الكتابة. لإكمالها من جهاز آخر، سجّل الدخول بحساب الممثل واحفظ المسودة في حسابك.",
+  "Save Draft to My Account": "حفظ المسودة في حسابي",
+  "Load Draft from My Account": "تحميل المسودة من حسابي",
+  "e.g., ClassMate CM3": "مثال: ClassMate CM3",
+  "Full name": "الاسم الكامل",
+  "e.g., 2310026": "مثال: 2310026",
+  "uj-email@uj.edu.sa": "uj-email@uj.edu.sa",
+  "Short project title": "عنوان مختصر للمشروع",
+  "Describe the main idea, goals, and expected outcome.":
+    "صِف الفكرة الرئيسية والأهداف والنتيجة المتوقعة.",
+  "e.g., React, Node.js, MySQL, Figma…": "مثال: React، Node.js، MySQL، Figma…",
+
+  /* ---------- projects.html / project.html ---------- */
+  "Submitted Team Project Ideas": "أفكار مشاريع الفرق المقدمة",
+  "These projects are loaded directly from the MySQL database.":
+    "تُحمّل هذه المشاريع مباشرة من قاعدة بيانات MySQL.",
+  Search: "بحث",
+  "title, description or tools": "العنوان أو الوصف أو الأدوات",
+  "e.g., CCSW321": "مثال: CCSW321",
+  "All majors": "كل التخصصات",
+  "All types": "كل الأنواع",
+  Solo: "فردي",
+  Status: "الحالة",
+  "Any status": "أي حالة",
+  Submitted: "مُقدَّم",
+  "Under review": "قيد المراجعة",
+  Approved: "مقبول",
+  "Needs changes": "يحتاج تعديلات",
+  Rejected: "مرفوض",
+  Ideas: "الأفكار",
+  "Live ideas": "الأفكار القائمة",
+  "Withdrawn ideas": "الأفكار المسحوبة",
+  Apply: "تطبيق",
+  "Download this list:": "تنزيل هذه القائمة:",
+  CSV: "CSV",
+  Excel: "Excel",
+  "Team Project Ideas": "أفكار مشاريع الفرق",
+  ID: "الرقم",
+  "Team Members": "أعضاء الفريق",
+  "Project Name": "اسم المشروع",
+  Category: "التخصص",
+  Type: "النوع",
+  Representative: "الممثل",
+  Description: "الوصف",
+  Previous: "السابق",
+  Next: "التالي",
+  "Projects pages": "صفحات المشاريع",
+  "← Back to all projects": "→ العودة إلى كل المشاريع",
+  "Status:": "الحالة:",
+  Team: "الفريق",
+  "Other Members": "بقية الأعضاء",
+  "Course & Tools": "المقرر والأدوات",
+  "Technologies / Tools": "التقنيات / الأدوات",
+  "Review History": "سجل المراجعة",
+  Review: "المراجعة",
+  "New Status": "الحالة الجديدة",
+  "Feedback for the team": "ملاحظات للفريق",
+  "Update Status": "تحديث الحالة",
+  "Required when asking for changes or rejecting.": "مطلوبة عند طلب تعديلات أو الرفض.",
+
+  /* ---------- my-work.html / login.html ---------- */
+  "Log in, then enter your student ID to see your team projects and the tasks assigned to you. Instructors can look up any student.":
+    "سجّل الدخول ثم أدخل رقمك الجامعي لعرض مشاريع فرقك والمهام المسندة إليك. ويمكن للمحاضرين عرض أي طالب.",
+  "Student ID": "الرقم الجامعي",
+  "Show My Work": "اعرض أعمالي",
+  "My Projects": "مشاريعي",
+  "Open Tasks": "المهام المفتوحة",
+  "Messages inbox": "صندوق الرسائل",
+  "Import projects (CSV)": "استيراد المشاريع (CSV)",
+  "API docs": "توثيق الواجهة البرمجية",
+  "Log Out": "تسجيل الخروج",
+  "Your Account": "حسابك",
+  Password: "كلمة المرور",
+  "Log In": "تسجيل الدخول",
+  "New Student?": "طالب جديد؟",
+  "Instructor accounts are created by the platform admin.": "ينشئ مدير المنصة حسابات المحاضرين.",
+  "Create a Student Account": "إنشاء حساب طالب",
+  "Full Name": "الاسم الكامل",
+  "Create Account": "إنشاء الحساب",
+
+  /* ---------- admin-messages.html / import-projects.html ---------- */
+  "Messages Inbox": "صندوق الرسائل",
+  Show: "عرض",
+  Inbox: "الوارد",
+  Unread: "غير مقروءة",
+  Read: "مقروءة",
+  Replied: "تم الرد",
+  Archived: "مؤرشفة",
+  All: "الكل",
+  Language: "اللغة",
+  Any: "أي لغة",
+  From: "من",
+  To: "إلى",
+  "Select a message to read it.": "اختر رسالة لقراءتها.",
+  "unread messages": "رسائل غير مقروءة",
+  Messages: "الرسائل",
+  "Message pages": "صفحات الرسائل",
+  "Import Projects": "استيراد المشاريع",
+  Teams: "الفرق",
+  "One row per team. Required columns: Team Name, Representative, Rep Student ID, Rep Email, Course, Major, Project Name and Description. Team Size, Type and Tools are optional. Add one column per other member (Member 1, Member 2, …) written as":
+    "صف لكل فريق. الأعمدة المطلوبة: Team Name وRepresentative وRep Student ID وRep Email وCourse وMajor وProject Name وDescription. الأعمدة Team Size وType وTools اختيارية. أضف عمودًا لكل عضو آخر (Member 1، Member 2، …) بالصيغة",
+  "name (student id)": "الاسم (الرقم الجامعي)",
+  ". A file from the export on the projects page can be imported as it is.":
+    ". ويمكن استيراد الملف المصدَّر من صفحة المشاريع كما هو.",
+  "CSV file (UTF-8)": "ملف CSV (UTF-8)",
+  Preview: "معاينة",
+  Row: "الصف",
+  Size: "العدد",
+  Problems: "المشكلات",
+  "Import valid rows": "استيراد الصفوف السليمة",
+  "Imported teams": "الفرق المستوردة",
+  "Send each team its edit link; it is only shown once.":
+    "أرسل لكل فريق رابط التعديل الخاص به؛ فهو يظهر مرة واحدة فقط.",
+  "Class lists": "قوائم الطلاب",
+  "One row per enrolled student. Required columns: Course, Student ID and Name; Email is optional. A file can hold several courses: each of them gets the rows of the file as its new class list, so import a course again to add or drop students. The dashboard compares these lists with the teams.":
+    "صف لكل طالب مسجّل. الأعمدة المطلوبة: Course وStudent ID وName؛ والعمود Email اختياري. يمكن أن يضم الملف عدة مقررات: تصبح صفوف الملف قائمة الطلاب الجديدة لكل منها، لذا استورد المقرر مرة أخرى لإضافة طلاب أو حذفهم. تقارن لوحة المتابعة هذه القوائم بالفرق.",
+  "Import class lists": "استيراد قوائم الطلاب",
+  "Imported class lists": "قوائم الطلاب المستوردة",
+
+  /* ---------- dashboard.html ---------- */
+  Dashboard: "لوحة المتابعة",
+  "An overview of the ideas submitted so far. The charts are drawn in this page, so it also works without an internet connection.":
+    "نظرة عامة على الأفكار المقدَّمة حتى الآن. تُرسم المخططات داخل هذه الصفحة، فتعمل دون اتصال بالإنترنت أيضًا.",
+  "All courses": "كل المقررات",
+  "Submissions per": "التقديمات لكل",
+  Day: "يوم",
+  Week: "أسبوع",
+  Month: "شهر",
+  "Ideas per Course": "الأفكار لكل مقرر",
+  "Majors / Tracks": "التخصصات / المسارات",
+  "Group or Solo": "جماعي أو فردي",
+  "Team Sizes": "أحجام الفرق",
+  "Submissions over Time": "التقديمات عبر الزمن",
+  "Most Requested Tools": "الأدوات الأكثر طلبًا",
+  "Students without a Team": "طلاب بلا فريق",
+
+  /* ---------- api-docs.html ---------- */
+  "API Docs": "توثيق الواجهة البرمجية",
+  "Every route of the API. Open one to see who may call it, its parameters and answers, and to send it from this page (you are logged in as yourself).":
+    "كل مسارات الواجهة البرمجية. افتح أيًّا منها لترى من يحق له استدعاؤه ومعاملاته وإجاباته، ولترسله من هذه الصفحة (بحسابك أنت).",
+  "The OpenAPI 3 document behind this page:": "مستند OpenAPI 3 الذي تُبنى عليه هذه الصفحة:",
+
+  /* ---------- labels used in app.js and the emails ---------- */
+  group: "جماعي",
+  solo: "فردي",
+  submitted: "مُقدَّم",
+  "under review": "قيد المراجعة",
+  approved: "مقبول",
+  "needs changes": "يحتاج تعديلات",
+  rejected: "مرفوض",
+  withdrawn: "مسحوب",
+  todo: "للتنفيذ",
+  "in progress": "قيد التنفيذ",
+  done: "منجزة",
+  student: "طالب",
+  instructor: "محاضر",
+  admin: "مدير",
+  representative: "الممثل",
+  overdue: "متأخرة",
+  staff: "الطاقم",
+  ok: "سليم",
+  no: "لا",
+  Mobile: "الجوال",
+  Received: "تاريخ الاستلام",
+  "Mark Read": "تعليم كمقروءة",
+  "Mark Unread": "تعليم كغير مقروءة",
+  "Mark Replied": "تعليم بتم الرد",
+  "Not Replied": "لم يُرد عليها",
+  Archive: "أرشفة",
+  Unarchive: "إلغاء الأرشفة",
+  "Reply by Email": "الرد بالبريد الإلكتروني",
+  "Reply to {email}": "الرد على {email}",
+  "Send Reply": "إرسال الرد",
+  "Internal Notes": "ملاحظات داخلية",
+  "Add a note": "أضف ملاحظة",
+  "Save Note": "حفظ الملاحظة",
+  "Edit Your Team Project Idea": "عدّل فكرة مشروع فريقك",
+  "Save Changes": "حفظ التعديلات",
+
+  /* ---------- app.js messages ---------- */
+  "your form could not be sent, please try again.": "تعذّر إرسال النموذج، حاول مرة أخرى.",
+  "there are some problems with your form:": "توجد بعض المشكلات في النموذج:",
+  "your form has been submitted successfully.": "تم إرسال النموذج بنجاح.",
+  "there was a problem sending your message.": "حدثت مشكلة أثناء إرسال رسالتك.",
+  "enter full name + student id for each of the {count} other member(s).":
+    "أدخل الاسم الكامل والرقم الجامعي لكل عضو من الأعضاء الآخرين ({count}).",
+  "member {n} name": "اسم العضو {n}",
+  "member {n} id": "الرقم الجامعي للعضو {n}",
+  "full name": "الاسم الكامل",
+  "e.g., 2310xxx": "مثال: 2310xxx",
+  "submissions closed": "التقديم مغلق",
+  "opens {date}": "يفتح في {date}",
+  "teams of exactly {size} student(s)": "فرق من {size} طالب/طلاب بالضبط",
+  "teams of {min}–{max} students": "فرق من {min} إلى {max} طلاب",
+  "submissions close {date}": "يُغلق التقديم في {date}",
+  "could not load the course list, please reload the page.":
+    "تعذّر تحميل قائمة المقررات، أعد تحميل الصفحة.",
+  "current status: {status}.": "الحالة الحالية: {status}.",
+  "instructor feedback: {feedback}": "ملاحظات المحاضر: {feedback}",
+  "saving your changes sends the idea back for review.": "حفظ التعديلات يعيد الفكرة إلى المراجعة.",
+  "changing the course, major, type, title, description or tools sends the approved idea back for review.":
+    "تغيير المقرر أو التخصص أو النوع أو العنوان أو الوصف أو الأدوات يعيد الفكرة المقبولة إلى المراجعة.",
+  "could not load this project.": "تعذّر تحميل هذا المشروع.",
+  "server error while loading your project.": "خطأ في الخادم أثناء تحميل مشروعك.",
+  "withdraw this idea? it will disappear from the projects list.":
+    "هل تريد سحب هذه الفكرة؟ ستختفي من قائمة المشاريع.",
+  "there was a problem withdrawing your project.": "حدثت مشكلة أثناء سحب مشروعك.",
+  "your idea was withdrawn.": "تم سحب فكرتك.",
+  "server error while withdrawing your project.": "خطأ في الخادم أثناء سحب مشروعك.",
+  "team {team} ({match})": "فريق {team} ({match})",
+  "same title": "العنوان نفسه",
+  "{percent}% similar": "تشابه {percent}%",
+  "{course} does not allow two ideas with the same title, please choose another title.":
+    "لا يسمح المقرر {course} بفكرتين بالعنوان نفسه، اختر عنوانًا آخر.",
+  "other teams in {course} already submitted ideas like yours. have a look, then submit anyway or change your idea.":
+    "قدّمت فرق أخرى في {course} أفكارًا تشبه فكرتك. اطّلع عليها، ثم قدّم فكرتك على أي حال أو عدّلها.",
+  "please reselect the team size so member fields are generated correctly.":
+    "أعد اختيار عدد أعضاء الفريق لتظهر حقول الأعضاء بشكل صحيح.",
+  "member {n}: {problem}": "العضو {n}: {problem}",
+  "member {n} id is already used in this team.": "الرقم الجامعي للعضو {n} مستخدم مسبقًا في هذا الفريق.",
+  "each student can only be listed once.": "لا يُذكر الطالب إلا مرة واحدة.",
+  "{code} needs {sizes}.": "المقرر {code} يتطلب {sizes}.",
+  "you started an idea here on {date} and did not send it yet.":
+    "بدأت فكرة هنا في {date} ولم ترسلها بعد.",
+  "enter the representative's student id first, the draft is kept under it.":
+    "أدخل الرقم الجامعي للممثل أولًا، فالمسودة تُحفظ باسمه.",
+  "could not save the draft.": "تعذّر حفظ المسودة.",
+  "could not load the draft.": "تعذّر تحميل المسودة.",
+  "server error while saving the draft.": "خطأ في الخادم أثناء حفظ المسودة.",
+  "server error while loading the draft.": "خطأ في الخادم أثناء تحميل المسودة.",
+  "draft from {date} restored.": "تمت استعادة المسودة المحفوظة في {date}.",
+  "please review the highlighted fields:": "راجع الحقول المظللة:",
+  "there was a problem saving your project.": "حدثت مشكلة أثناء حفظ مشروعك.",
+  "team project idea has been saved successfully.": "تم حفظ فكرة مشروع الفريق بنجاح.",
+  "save this private link to edit or withdraw your idea later:":
+    "احفظ هذا الرابط الخاص لتعديل فكرتك أو سحبها لاحقًا:",
+  "server error while saving your project.": "خطأ في الخادم أثناء حفظ مشروعك.",
+  "you are not in any team yet.": "لست في أي فريق بعد.",
+  "no open tasks. nice work!": "لا مهام مفتوحة. عمل رائع!",
+  "due {date}": "موعد التسليم {date}",
+  "no due date": "بلا موعد تسليم",
+  "could not load your work.": "تعذّر تحميل أعمالك.",
+  "server error while loading your work.": "خطأ في الخادم أثناء تحميل أعمالك.",
+  "page {page} of {pages}": "صفحة {page} من {pages}",
+  "loading projects…": "جارٍ تحميل المشاريع…",
+  "could not load projects.": "تعذّر تحميل المشاريع.",
+  Restore: "استعادة",
+  "could not restore the idea.": "تعذّرت استعادة الفكرة.",
+  "no projects found.": "لا توجد مشاريع.",
+  "showing {count} of {total} project(s).": "عرض {count} من {total} مشروع/مشاريع.",
+  "error loading projects.": "خطأ أثناء تحميل المشاريع.",
+  "no project id given. open a project from the projects list.":
+    "لم يُحدَّد رقم مشروع. افتح مشروعًا من قائمة المشاريع.",
+  "loading project…": "جارٍ تحميل المشروع…",
+  "project #{id}": "مشروع رقم {id}",
+  "submitted {date}": "قُدّم في {date}",
+  "error loading project.": "خطأ أثناء تحميل المشروع.",
+  "by {name}": "بواسطة {name}",
+  "feedback is required for this status.": "الملاحظات مطلوبة لهذه الحالة.",
+  "could not update the status.": "تعذّر تحديث الحالة.",
+  "server error while updating the status.": "خطأ في الخادم أثناء تحديث الحالة.",
+  "you are logged in as {name} ({role}).": "أنت مسجّل الدخول باسم {name} ({role}).",
+  "please check the highlighted fields.": "راجع الحقول المظللة.",
+  "server error, please try again.": "خطأ في الخادم، حاول مرة أخرى.",
+  "enter your email and password.": "أدخل بريدك الإلكتروني وكلمة المرور.",
+  "enter your full name.": "أدخل اسمك الكامل.",
+  "use a valid email like name@uj.edu.sa.": "استخدم بريدًا صحيحًا مثل name@uj.edu.sa.",
+  "use exactly 7 digits.": "استخدم 7 أرقام بالضبط.",
+  "use at least 8 characters.": "استخدم 8 أحرف على الأقل.",
+  "please log in as an instructor to read messages.": "سجّل الدخول كمحاضر لقراءة الرسائل.",
+  "loading messages…": "جارٍ تحميل الرسائل…",
+  "could not load messages.": "تعذّر تحميل الرسائل.",
+  "{count} message(s).": "{count} رسالة/رسائل.",
+  "no messages here.": "لا رسائل هنا.",
+  "error loading messages.": "خطأ أثناء تحميل الرسائل.",
+  "write your reply first.": "اكتب ردّك أولًا.",
+  "could not send the reply.": "تعذّر إرسال الرد.",
+  "no notes yet.": "لا ملاحظات بعد.",
+  "write something first.": "اكتب شيئًا أولًا.",
+  "could not save note.": "تعذّر حفظ الملاحظة.",
+  "could not load this message.": "تعذّر تحميل هذه الرسالة.",
+  "error loading message.": "خطأ أثناء تحميل الرسالة.",
+  "please log in as an instructor to import projects.": "سجّل الدخول كمحاضر لاستيراد المشاريع.",
+  "the import failed.": "فشل الاستيراد.",
+  "{total} row(s): {valid} ready to import, {invalid} with problems (these will be skipped).":
+    "{total} صف/صفوف: {valid} جاهزة للاستيراد، و{invalid} فيها مشكلات (ستُتجاوز).",
+  "row {row} · {team}:": "الصف {row} · {team}:",
+  "please choose a csv file first.": "اختر ملف CSV أولًا.",
+  "checking the file…": "جارٍ فحص الملف…",
+  "nothing has been saved yet, check the rows below.": "لم يُحفظ شيء بعد، راجع الصفوف أدناه.",
+  "could not check the file, please try again.": "تعذّر فحص الملف، حاول مرة أخرى.",
+  "importing…": "جارٍ الاستيراد…",
+  "error importing projects, nothing was saved.": "خطأ أثناء استيراد المشاريع، لم يُحفظ شيء.",
+  "please log in as an instructor to import class lists.": "سجّل الدخول كمحاضر لاستيراد قوائم الطلاب.",
+  "error importing the class lists, nothing was saved.": "خطأ أثناء استيراد قوائم الطلاب، لم يُحفظ شيء.",
+  "{course}: {count} student(s)": "{course}: {count} طالب/طلاب",
+  "loading the api description…": "جارٍ تحميل وصف الواجهة البرمجية…",
+  "could not load the api description, please try again.":
+    "تعذّر تحميل وصف الواجهة البرمجية، حاول مرة أخرى.",
+  "{title} {version} · OpenAPI {openapi}": "{title} {version} · OpenAPI {openapi}",
+  "who: {who}": "من يستدعيه: {who}",
+  anyone: "أي أحد",
+  "anyone, with a form token from GET /api/form-token": "أي أحد، برمز نموذج من GET /api/form-token",
+  "anyone (the team and instructors see more)": "أي أحد (ويرى الفريق والمحاضرون تفاصيل أكثر)",
+  "instructors only ({roles})": "المحاضرون فقط ({roles})",
+  "instructors, the team (edit token) or a logged-in member of the team":
+    "المحاضرون، أو الفريق (برمز التعديل)، أو عضو في الفريق مسجّل الدخول",
+  "the team (edit token)": "الفريق (برمز التعديل)",
+  Parameters: "المعاملات",
+  "Body ({type})": "المحتوى ({type})",
+  "body ({type})": "المحتوى ({type})",
+  Answers: "الإجابات",
+  "Try it": "جرّبه",
+  Name: "الاسم",
+  Field: "الحقل",
+  Rules: "القواعد",
+  "list of {type}": "قائمة من {type}",
+  "{min}–{max} characters": "{min}–{max} حرفًا",
+  "at most {max} characters": "{max} حرفًا على الأكثر",
+  "at least {min}": "{min} على الأقل",
+  "at most {max}": "{max} على الأكثر",
+  "pattern {pattern}": "النمط {pattern}",
+  "one of: {values}": "إحدى القيم: {values}",
+  "default {value}": "الافتراضي {value}",
+  "or null": "أو null",
+  required: "مطلوب",
+  "edit token": "رمز التعديل",
+  Send: "إرسال",
+  "sending…": "جارٍ الإرسال…",
+  "could not reach the server, please try again.": "تعذّر الوصول إلى الخادم، حاول مرة أخرى.",
+  "no ideas yet.": "لا توجد أفكار بعد.",
+  "week of {date}": "أسبوع {date}",
+  "most: {count}": "الأعلى: {count}",
+  "no class list is imported yet, so there is no roster to compare with.":
+    "لم تُستورد أي قائمة طلاب بعد، فلا توجد قائمة للمقارنة.",
+  "{count} of {students} student(s) on the class lists are not in a team yet.":
+    "{count} من {students} طالب/طلاب في قوائم الطلاب ليسوا في فريق بعد.",
+  "{count} idea(s) submitted": "{count} فكرة/أفكار مقدَّمة",
+  "{size} student(s)": "{size} طالب/طلاب",
+  "loading the statistics…": "جارٍ تحميل الإحصاءات…",
+  "please log in as an instructor to see the dashboard.": "سجّل الدخول بحساب محاضر لعرض لوحة المتابعة.",
+  "could not load the statistics.": "تعذّر تحميل الإحصاءات.",
+  "server error while loading the statistics.": "خطأ في الخادم أثناء تحميل الإحصاءات.",
+
+  /* ---------- form schemas (js/validation.js) ---------- */
+  "first name is required.": "الاسم الأول مطلوب.",
+  "first name must be 2–30 letters (any alphabet; spaces, ' and - allowed).":
+    "يجب أن يكون الاسم الأول من 2 إلى 30 حرفًا (بأي أبجدية؛ يُسمح بالمسافات و' و-).",
+  "last name is required.": "اسم العائلة مطلوب.",
+  "last name must be 2–30 letters (any alphabet; spaces, ' and - allowed).":
+    "يجب أن يكون اسم العائلة من 2 إلى 30 حرفًا (بأي أبجدية؛ يُسمح بالمسافات و' و-).",
+  "please select a gender option.": "اختر الجنس.",
+  "mobile number is required.": "رقم الجوال مطلوب.",
+  "mobile must be a valid saudi number (+9665xxxxxxxx or 05xxxxxxxx).":
+    "يجب أن يكون الجوال رقمًا سعوديًا صحيحًا (+9665xxxxxxxx أو 05xxxxxxxx).",
+  "date of birth is required.": "تاريخ الميلاد مطلوب.",
+  "date of birth must be a real date (yyyy-mm-dd), not in the future.":
+    "يجب أن يكون تاريخ الميلاد تاريخًا صحيحًا (yyyy-mm-dd) وليس في المستقبل.",
+  "email is required.": "البريد الإلكتروني مطلوب.",
+  "email must be in a valid format (name@example.com).":
+    "يجب أن يكون البريد الإلكتروني بصيغة صحيحة (name@example.com).",
+  "please choose a preferred language.": "اختر اللغة المفضلة.",
+  "message is required.": "الرسالة مطلوبة.",
+  "message must be between 10 and 1000 characters.": "يجب أن تكون الرسالة بين 10 و1000 حرف.",
+  "team name is required.": "اسم الفريق مطلوب.",
+  "team name must be 3–50 characters.": "يجب أن يكون اسم الفريق من 3 إلى 50 حرفًا.",
+  "please choose a team size.": "اختر عدد أعضاء الفريق.",
+  "team size must be between 1 and 5.": "يجب أن يكون عدد أعضاء الفريق بين 1 و5.",
+  "representative name is required.": "اسم الممثل مطلوب.",
+  "representative name must be 3–50 characters.": "يجب أن يكون اسم الممثل من 3 إلى 50 حرفًا.",
+  "representative id is required.": "الرقم الجامعي للممثل مطلوب.",
+  "representative id must be exactly 7 digits.": "يجب أن يكون الرقم الجامعي للممثل 7 أرقام بالضبط.",
+  "representative email is required.": "بريد الممثل مطلوب.",
+  "representative email must be valid (e.g. name@uj.edu.sa).":
+    "يجب أن يكون بريد الممثل صحيحًا (مثل name@uj.edu.sa).",
+  "course code is required.": "رمز المقرر مطلوب.",
+  "course code must look like ccsw321 (letters + digits).":
+    "يجب أن يكون رمز المقرر مثل ccsw321 (حروف ثم أرقام).",
+  "please select a major / track.": "اختر التخصص / المسار.",
+  "please select a major / track from the list.": "اختر التخصص / المسار من القائمة.",
+  "please select a project type.": "اختر نوع المشروع.",
+  "project type must be group or solo.": "يجب أن يكون نوع المشروع جماعيًا أو فرديًا.",
+  "project title is required.": "عنوان المشروع مطلوب.",
+  "project title must be 3–60 characters.": "يجب أن يكون عنوان المشروع من 3 إلى 60 حرفًا.",
+  "project description is required.": "وصف المشروع مطلوب.",
+  "project description must be 10–400 characters.": "يجب أن يكون وصف المشروع من 10 إلى 400 حرف.",
+  "tools must be at most 300 characters.": "يجب ألا تتجاوز الأدوات 300 حرف.",
+  "members must be a list of at most 4 students.": "يجب أن يكون الأعضاء قائمة من 4 طلاب على الأكثر.",
+  "member name is required.": "اسم العضو مطلوب.",
+  "member name must be 2–50 characters.": "يجب أن يكون اسم العضو من 2 إلى 50 حرفًا.",
+  "member student id is required.": "الرقم الجامعي للعضو مطلوب.",
+  "member student id must be exactly 7 digits.": "يجب أن يكون الرقم الجامعي للعضو 7 أرقام بالضبط.",
+  "student id is required.": "الرقم الجامعي مطلوب.",
+  "student id must be exactly 7 digits.": "يجب أن يكون الرقم الجامعي 7 أرقام بالضبط.",
+
+  /* ---------- api messages (backend/) ---------- */
+  // defaults of backend/errors.js (the others are above or below)
+  "the request could not be understood.": "تعذّر فهم الطلب.",
+  "not found.": "غير موجود.",
+  "this clashes with data that is already saved.": "هذا يتعارض مع بيانات محفوظة مسبقًا.",
+  "the request is too large.": "الطلب كبير جدًا.",
+  "this type of content is not accepted here.": "هذا النوع من المحتوى غير مقبول هنا.",
+  "too many requests, please try again later.": "طلبات كثيرة، حاول مرة أخرى لاحقًا.",
+  "the request body is not valid json.": "محتوى الطلب ليس JSON صحيحًا.",
+  "there is no api route {method} {path}.": "لا يوجد مسار في الواجهة البرمجية {method} {path}.",
+  "please log in first.": "سجّل الدخول أولًا.",
+  "you do not have access to this page.": "لا تملك صلاحية الوصول إلى هذه الصفحة.",
+  "this form has expired, please reload the page and try again.":
+    "انتهت صلاحية هذا النموذج، أعد تحميل الصفحة وحاول مرة أخرى.",
+  "your submission could not be accepted.": "تعذّر قبول طلبك.",
+  "that was quick! please check your form once more, then send it again.":
+    "كان ذلك سريعًا! راجع النموذج مرة أخرى ثم أرسله.",
+  "too many submissions, please try again in {minutes} minute(s).":
+    "محاولات إرسال كثيرة، حاول مرة أخرى بعد {minutes} دقيقة/دقائق.",
+  "account created ✔": "تم إنشاء الحساب ✔",
+  "an account with this email or student id already exists.":
+    "يوجد حساب بهذا البريد أو الرقم الجامعي مسبقًا.",
+  "logged in ✔": "تم تسجيل الدخول ✔",
+  "logged out.": "تم تسجيل الخروج.",
+  "wrong email or password.": "البريد الإلكتروني أو كلمة المرور غير صحيحة.",
+  "enter a valid email": "أدخل بريدًا إلكترونيًا صحيحًا",
+  "password is required": "كلمة المرور مطلوبة",
+  "password must be at least 8 characters": "يجب أن تكون كلمة المرور 8 أحرف على الأقل",
+  "full name must be 3–60 characters": "يجب أن يكون الاسم الكامل من 3 إلى 60 حرفًا",
+  "student id must be exactly 7 digits": "يجب أن يكون الرقم الجامعي 7 أرقام بالضبط",
+  "your message was received successfully ✔": "تم استلام رسالتك بنجاح ✔",
+  "team project idea saved successfully ✔": "تم حفظ فكرة مشروع الفريق بنجاح ✔",
+  "team project idea updated successfully ✔": "تم تحديث فكرة مشروع الفريق بنجاح ✔",
+  "team project idea updated ✔ it had been approved, so it goes back to your instructor for review.":
+    "تم تحديث فكرة مشروع الفريق ✔ وبما أنها كانت مقبولة فستعود إلى المحاضر للمراجعة.",
+  "team project idea withdrawn. ask your instructor if you need it back.":
+    "تم سحب فكرة مشروع الفريق. اطلب من محاضرك إعادتها إن احتجت إليها.",
+  "project restored ✔": "تمت استعادة المشروع ✔",
+  "only instructors can see withdrawn ideas.": "الأفكار المسحوبة للمحاضرين فقط.",
+  "withdrawn must be true or false": "يجب أن تكون قيمة withdrawn هي true أو false",
+  "project status updated ✔": "تم تحديث حالة المشروع ✔",
+  "project not found.": "المشروع غير موجود.",
+  "no withdrawn project with this id.": "لا يوجد مشروع مسحوب بهذا الرقم.",
+  "project id must be a positive number": "يجب أن يكون رقم المشروع عددًا موجبًا",
+  "this edit link is not valid for this project.": "رابط التعديل هذا غير صالح لهذا المشروع.",
+  "some students are already in another team for this course.":
+    "بعض الطلاب مسجلون مسبقًا في فريق آخر في هذا المقرر.",
+  'student {id} is already in team "{team}" for {course}':
+    'الطالب {id} مسجل مسبقًا في فريق "{team}" في المقرر {course}',
+  "team size {size} needs exactly {count} other member(s)":
+    "عدد الأعضاء {size} يتطلب {count} عضوًا/أعضاء آخرين بالضبط",
+  "student {id} is listed more than once in this team": "الطالب {id} مذكور أكثر من مرة في هذا الفريق",
+  "this idea does not fit its course.": "هذه الفكرة لا تناسب مقررها.",
+  "there is no course {code}, please choose your course from the list":
+    "لا يوجد مقرر {code}، اختر مقررك من القائمة",
+  "submissions for {code} open on {date}": "يفتح التقديم في المقرر {code} في {date}",
+  "submissions for {code} closed on {date}": "أُغلق التقديم في المقرر {code} في {date}",
+  "{code} needs teams of exactly {size} student(s)": "المقرر {code} يتطلب فرقًا من {size} طالب/طلاب بالضبط",
+  "{code} needs teams of {min}–{max} students": "المقرر {code} يتطلب فرقًا من {min} إلى {max} طلاب",
+  "an idea with this title already exists in {course}.": "توجد فكرة بهذا العنوان مسبقًا في {course}.",
+  'team "{team}" already uses the title "{title}" in {course}, please choose another one':
+    'الفريق "{team}" يستخدم العنوان "{title}" في {course}، اختر عنوانًا آخر',
+  "a project that is {from} cannot be moved to {to}.": "لا يمكن نقل مشروع حالته {from} إلى {to}.",
+  "please explain to the team why (feedback is required)": "وضّح السبب للفريق (الملاحظات مطلوبة)",
+  "status must be one of: {list}": "يجب أن تكون الحالة إحدى القيم: {list}",
+  "unknown status": "حالة غير معروفة",
+  "feedback must be at most 1000 characters": "يجب ألا تتجاوز الملاحظات 1000 حرف",
+  "page must be a positive number": "يجب أن يكون رقم الصفحة عددًا موجبًا",
+  "limit must be between 1 and {max}": "يجب أن يكون الحد بين 1 و{max}",
+  "unknown sort field": "حقل ترتيب غير معروف",
+  "dir must be asc or desc": "يجب أن يكون الاتجاه asc أو desc",
+  "search text must be at most 100 characters": "يجب ألا يتجاوز نص البحث 100 حرف",
+  "course filter is too long": "مرشّح المقرر طويل جدًا",
+  "category filter is too long": "مرشّح التخصص طويل جدًا",
+  "project type must be group or solo": "يجب أن يكون نوع المشروع group أو solo",
+  "format must be one of: {list}": "يجب أن تكون الصيغة إحدى القيم: {list}",
+  "database error while checking similar ideas.": "خطأ في قاعدة البيانات أثناء البحث عن أفكار مشابهة.",
+  "database error while checking the import.": "خطأ في قاعدة البيانات أثناء فحص الاستيراد.",
+  "database error while counting messages.": "خطأ في قاعدة البيانات أثناء عدّ الرسائل.",
+  "database error while creating your account.": "خطأ في قاعدة البيانات أثناء إنشاء حسابك.",
+  "database error while exporting projects.": "خطأ في قاعدة البيانات أثناء تصدير المشاريع.",
+  "database error while importing projects, nothing was imported.":
+    "خطأ في قاعدة البيانات أثناء استيراد المشاريع، لم يُستورد شيء.",
+  "database error while loading course settings.": "خطأ في قاعدة البيانات أثناء تحميل إعدادات المقرر.",
+  "database error while loading courses.": "خطأ في قاعدة البيانات أثناء تحميل المقررات.",
+  "database error while loading message.": "خطأ في قاعدة البيانات أثناء تحميل الرسالة.",
+  "database error while loading messages.": "خطأ في قاعدة البيانات أثناء تحميل الرسائل.",
+  "database error while loading project.": "خطأ في قاعدة البيانات أثناء تحميل المشروع.",
+  "database error while loading projects.": "خطأ في قاعدة البيانات أثناء تحميل المشاريع.",
+  "database error while loading your work.": "خطأ في قاعدة البيانات أثناء تحميل أعمالك.",
+  "you can only see your own work; log in with this student id.":
+    "يمكنك عرض أعمالك فقط؛ سجّل الدخول بهذا الرقم الجامعي.",
+  "database error while logging in.": "خطأ في قاعدة البيانات أثناء تسجيل الدخول.",
+  "database error while restoring project.": "خطأ في قاعدة البيانات أثناء استعادة المشروع.",
+  "database error while saving course settings.": "خطأ في قاعدة البيانات أثناء حفظ إعدادات المقرر.",
+  "database error while saving note.": "خطأ في قاعدة البيانات أثناء حفظ الملاحظة.",
+  "database error while saving project.": "خطأ في قاعدة البيانات أثناء حفظ المشروع.",
+  "database error while saving task.": "خطأ في قاعدة البيانات أثناء حفظ المهمة.",
+  "database error while saving the course.": "خطأ في قاعدة البيانات أثناء حفظ المقرر.",
+  "database error while saving your message.": "خطأ في قاعدة البيانات أثناء حفظ رسالتك.",
+  "database error while sending the reply.": "خطأ في قاعدة البيانات أثناء إرسال الرد.",
+  "database error while updating message.": "خطأ في قاعدة البيانات أثناء تحديث الرسالة.",
+  "database error while updating project status.": "خطأ في قاعدة البيانات أثناء تحديث حالة المشروع.",
+  "database error while updating project.": "خطأ في قاعدة البيانات أثناء تحديث المشروع.",
+  "database error while updating task.": "خطأ في قاعدة البيانات أثناء تحديث المهمة.",
+  "database error while withdrawing project.": "خطأ في قاعدة البيانات أثناء سحب المشروع.",
+
+  // courses
+  "course not found.": "المقرر غير موجود.",
+  "course saved ✔": "تم حفظ المقرر ✔",
+  "course settings saved ✔": "تم حفظ إعدادات المقرر ✔",
+  "course {code} already exists": "المقرر {code} موجود مسبقًا",
+  "course is required": "المقرر مطلوب",
+  "course must be at most 20 characters": "يجب ألا يتجاوز المقرر 20 حرفًا",
+  "course code must look like ccsw321 (letters + digits)":
+    "يجب أن يكون رمز المقرر مثل ccsw321 (حروف ثم أرقام)",
+  "course title is required": "عنوان المقرر مطلوب",
+  "course title must be at most 100 characters": "يجب ألا يتجاوز عنوان المقرر 100 حرف",
+  "section must be at most 10 characters": "يجب ألا تتجاوز الشعبة 10 أحرف",
+  "instructor email must be a valid email": "يجب أن يكون بريد المحاضر صحيحًا",
+  "no instructor account has this email": "لا يوجد حساب محاضر بهذا البريد",
+  "minimum team size must be between {min} and {max}": "يجب أن يكون أقل عدد للفريق بين {min} و{max}",
+  "maximum team size must be between {min} and {max}": "يجب أن يكون أكبر عدد للفريق بين {min} و{max}",
+  "maximum team size can't be smaller than the minimum": "لا يمكن أن يكون أكبر عدد للفريق أقل من أصغره",
+  "opensAt must be a date, e.g. 2025-09-01T08:00": "يجب أن يكون موعد الفتح تاريخًا، مثل 2025-09-01T08:00",
+  "closesAt must be a date, e.g. 2025-10-01T23:59": "يجب أن يكون موعد الإغلاق تاريخًا، مثل 2025-10-01T23:59",
+  "the submission window must close after it opens": "يجب أن يُغلق التقديم بعد فتحه",
+  "blockDuplicateTitles must be true or false": "يجب أن تكون قيمة blockDuplicateTitles هي true أو false",
+
+  // tasks
+  "task added ✔": "تمت إضافة المهمة ✔",
+  "task updated ✔": "تم تحديث المهمة ✔",
+  "task not found.": "المهمة غير موجودة.",
+  "task id must be a positive number": "يجب أن يكون رقم المهمة عددًا موجبًا",
+  "task title must be 3–100 characters": "يجب أن يكون عنوان المهمة من 3 إلى 100 حرف",
+  "task status must be one of: {list}": "يجب أن تكون حالة المهمة إحدى القيم: {list}",
+  "assignee must be a 7-digit student id": "يجب أن يكون المكلَّف رقمًا جامعيًا من 7 أرقام",
+  "assignee is not in this team": "المكلَّف ليس في هذا الفريق",
+  "due date must look like 2025-12-31": "يجب أن يكون موعد التسليم مثل 2025-12-31",
+  "only the team or an instructor can add tasks to this project.":
+    "لا يضيف المهام إلى هذا المشروع إلا الفريق أو المحاضر.",
+  "only the team or an instructor can change this task.": "لا يعدّل هذه المهمة إلا الفريق أو المحاضر.",
+  "title is required": "العنوان مطلوب",
+  "title must be at most 60 characters": "يجب ألا يتجاوز العنوان 60 حرفًا",
+  "description must be at most 400 characters": "يجب ألا يتجاوز الوصف 400 حرف",
+
+  // inbox
+  "message not found.": "الرسالة غير موجودة.",
+  "message updated ✔": "تم تحديث الرسالة ✔",
+  "note added ✔": "تمت إضافة الملاحظة ✔",
+  "reply to {email} is on its way ✔": "الرد إلى {email} في الطريق ✔",
+  "message id must be a positive number": "يجب أن يكون رقم الرسالة عددًا موجبًا",
+  "note must be 1–1000 characters": "يجب أن تكون الملاحظة من 1 إلى 1000 حرف",
+  "reply must be 1–{max} characters": "يجب أن يكون الرد من 1 إلى {max} حرف",
+  "nothing to update (send read, replied or archived).":
+    "لا شيء للتحديث (أرسل read أو replied أو archived).",
+  "nothing to update.": "لا شيء للتحديث.",
+  "{flag} must be true or false": "يجب أن تكون قيمة {flag} هي true أو false",
+  "state must be one of: {list}": "يجب أن تكون الحالة إحدى القيم: {list}",
+  "language must be en, ar or both": "يجب أن تكون اللغة en أو ar أو both",
+  "from must be a date like 2025-01-31": "يجب أن يكون تاريخ البداية مثل 2025-01-31",
+  "to must be a date like 2025-01-31": "يجب أن يكون تاريخ النهاية مثل 2025-01-31",
+
+  // dashboard
+  "database error while loading the statistics.": "خطأ في قاعدة البيانات أثناء تحميل الإحصاءات.",
+  "interval must be one of: {list}": "يجب أن تكون الفترة إحدى القيم: {list}",
+  "tools must be between 1 and {max}": "يجب أن يكون عدد الأدوات بين 1 و{max}",
+
+  // idea drafts
+  "drafts are kept under the representative's student id; log in as the representative.":
+    "تُحفظ المسودات برقم الممثل الجامعي؛ سجّل الدخول بحساب الممثل.",
+  "no draft saved for this student id.": "لا توجد مسودة محفوظة لهذا الرقم الجامعي.",
+  "draft saved to your account ✔": "تم حفظ المسودة في حسابك ✔",
+  "draft deleted.": "تم حذف المسودة.",
+  "database error while loading draft.": "خطأ في قاعدة البيانات أثناء تحميل المسودة.",
+  "database error while saving draft.": "خطأ في قاعدة البيانات أثناء حفظ المسودة.",
+  "database error while deleting draft.": "خطأ في قاعدة البيانات أثناء حذف المسودة.",
+  "{field} must be text": "يجب أن يكون {field} نصًا",
+  "{field} must be at most {max} characters": "يجب ألا يتجاوز {field} {max} حرفًا",
+
+  // csv import
+  "please upload a csv file (content-type text/csv).": "ارفع ملف CSV (content-type text/csv).",
+  "no row of this file can be imported, see the errors per row.":
+    "لا يمكن استيراد أي صف من هذا الملف، راجع أخطاء كل صف.",
+  "{count} project(s) imported ✔": "تم استيراد {count} مشروع/مشاريع ✔",
+  "row {row} clashes with a team saved in the meantime, nothing was imported. please preview the file again.":
+    "الصف {row} يتعارض مع فريق حُفظ في الأثناء، لم يُستورد شيء. عاين الملف مرة أخرى.",
+  "student {id} is already in row {other} for {course}": "الطالب {id} موجود مسبقًا في الصف {other} للمقرر {course}",
+  "the file is empty.": "الملف فارغ.",
+  "the file is missing the column(s): {columns}.": "ينقص الملف العمود/الأعمدة: {columns}.",
+  "the file has no rows after the header.": "لا توجد صفوف في الملف بعد العناوين.",
+  "the file has {count} rows, import at most {max} at a time.":
+    "في الملف {count} صفًا، استورد {max} صفًا على الأكثر في كل مرة.",
+
+  // class rosters
+  "course is required.": "المقرر مطلوب.",
+  "name must be 2–100 characters.": "يجب أن يكون الاسم من 2 إلى 100 حرف.",
+  "email must be at most 120 characters.": "يجب ألا يتجاوز البريد الإلكتروني 120 حرفًا.",
+  "there is no course {code}; add it on the courses page first.":
+    "لا يوجد مقرر {code}؛ أضفه في صفحة المقررات أولًا.",
+  "{count} student(s) imported into {courses} course roster(s) ✔":
+    "تم استيراد {count} طالب/طلاب إلى {courses} قائمة/قوائم مقررات ✔",
+  "database error while importing the roster, nothing was imported.":
+    "خطأ في قاعدة البيانات أثناء استيراد قائمة الطلاب، لم يُستورد شيء.",
+  "database error while loading the roster.": "خطأ في قاعدة البيانات أثناء تحميل قائمة الطلاب.",
+
+  /* ---------- emails (backend/mail-templates.js) ---------- */
+  "College of Computing, University of Jeddah": "كلية الحاسبات، جامعة جدة",
+  "Team: {team} ({size} student(s))": "الفريق: {team} ({size} طالب/طلاب)",
+  "Course: {course}": "المقرر: {course}",
+  "Project: {title}": "المشروع: {title}",
+  "Major: {major}, {type} project": "التخصص: {major}، مشروع {type}",
+  "Representative: {name} ({id})": "الممثل: {name} ({id})",
+  "Member {n}: {name} ({id})": "العضو {n}: {name} ({id})",
+  "Tools: {tools}": "الأدوات: {tools}",
+  "Idea received: {title} ({course})": "تم استلام الفكرة: {title} ({course})",
+  "Hello {name},": "مرحبًا {name}،",
+  "your team's project idea for {course} was received. This is what we saved:":
+    "استلمنا فكرة مشروع فريقك للمقرر {course}. هذا ما حفظناه:",
+  "You can change or withdraw the idea with this private link (keep it to your team, anyone with it can edit the idea):":
+    "يمكنك تعديل الفكرة أو سحبها بهذا الرابط الخاص (احتفظ به لفريقك، فكل من يملكه يستطيع تعديل الفكرة):",
+  "New idea in {course}: {title}": "فكرة جديدة في {course}: {title}",
+  'team "{team}" submitted a new idea in {course}:': 'قدّم فريق "{team}" فكرة جديدة في {course}:',
+  "Review it here:": "راجعها هنا:",
+  'your idea "{title}" ({course}) is now {status}.': 'أصبحت حالة فكرتك "{title}" ({course}): {status}.',
+  "Feedback from your instructor:": "ملاحظات محاضرك:",
+  "Open your private edit link to change the idea and send it again.":
+    "افتح رابط التعديل الخاص بك لتعديل الفكرة وإرسالها مرة أخرى.",
+  "Details:": "التفاصيل:",
+  "Your idea is {status}: {title}": "فكرتك {status}: {title}",
+  "Re: your message to ClassMate Idea Hub": "رد: رسالتك إلى منصة أفكار ClassMate",
+  "On {date} you wrote:": "كتبت في {date}:",
+};
+
+// node (server + tests) gets the catalog through require()
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = I18N_AR;
+}
@@ -0,0 +1,109 @@
+// i18n.js
+// english / arabic texts, shared by the browser and the server:
+//   - pages load i18n-ar.js and this file before app.js, which translates the
+//     static html once on load and every message it shows
+//   - backend/i18n.js translates the messages of api answers
+//
+// english is the source language: a text is written in english in the code
+// and that text is its key in the catalogs (i18n-ar.js). "{name}" in a key
+// marks a value that is filled in, e.g. "there is no course {code}, …".
+// a finished english text ("there is no course CCSW999, …") is matched back
+// to its key, so messages built anywhere can be translated at the edge.
+// a text with no entry stays english.
+
+const LANGUAGES = ["en", "ar"];
+const DEFAULT_LANGUAGE = "en";
+const RTL_LANGUAGES = ["ar"];
+
+// shown in the language switcher, each in its own language
+const LANGUAGE_NAMES = { en: "English", ar: "العربية" };
+
+const CATALOGS = {
+  en: {},
+  ar: typeof module !== "undefined" && module.exports ? require("./i18n-ar") : I18N_AR,
+};
+
+// keys with "{name}" placeholders as regexes, per language (built on first use)
+const templateCache = {};
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^$()|[\]\\]/g, "\\$&");
+}
+
+function templatesOf(lang) {
+  if (!templateCache[lang]) {
+    templateCache[lang] = Object.keys(CATALOGS[lang] || {})
+      .filter((key) => /\{\w+\}/.test(key))
+      .map((key) => {
+        const names = [];
+        const source = escapeRegExp(key).replace(/\\?\{(\w+)\\?\}/g, (m, name) => {
+          names.push(name);
+          return "([\\s\\S]+?)";
+        });
+        return { key, names, regex: new RegExp(`^${source}$`) };
+      });
+  }
+  return templateCache[lang];
+}
+
+// "{count} project(s)" + { count: 3 } → "3 project(s)"
+function formatText(text, params = {}) {
+  return text.replace(/\{(\w+)\}/g, (m, name) =>
+    params[name] === undefined ? m : String(params[name])
+  );
+}
+
+// english text (a key, or a finished message) → the same text in lang
+function translate(lang, text, params) {
+  if (typeof text !== "string") return text;
+  const catalog = CATALOGS[lang] || {};
+
+  if (Object.prototype.hasOwnProperty.call(catalog, text)) {
+    return formatText(catalog[text], params);
+  }
+  for (const { key, names, regex } of templatesOf(lang)) {
+    const m = regex.exec(text);
+    if (m) {
+      const values = {};
+      names.forEach((name, i) => (values[name] = m[i + 1]));
+      return formatText(catalog[key], values);
+    }
+  }
+  return formatText(text, params);
+}
+
+// "ar-SA,ar;q=0.9,en;q=0.8" → "ar" (the best language we have, else english)
+function pickLanguage(header) {
+  const wanted = String(header || "")
+    .split(",")
+    .map((part, i) => {
+      const [tag, ...options] = part.trim().split(";");
+      const q = options.map((o) => /^\s*q=([\d.]+)\s*$/.exec(o)).find(Boolean);
+      return {
+        lang: tag.trim().toLowerCase().split("-")[0],
+        q: q ? Number(q[1]) : 1,
+        i,
+      };
+    })
+    .filter((w) => w.q > 0 && LANGUAGES.includes(w.lang))
+    .sort((a, b) => b.q - a.q || a.i - b.i);
+  return wanted.length ? wanted[0].lang : DEFAULT_LANGUAGE;
+}
+
+function isRtl(lang) {
+  return RTL_LANGUAGES.includes(lang);
+}
+
+// node (server + tests) gets the same functions through require()
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+    LANGUAGE_NAMES,
+    CATALOGS,
+    translate,
+    formatText,
+    pickLanguage,
+    isRtl,
+  };
+}
@@ -0,0 +1,247 @@
+// validation.js
+// one validation schema per form, shared by the browser and the server:
+//   - pages load this file before app.js, which checks forms with it
+//   - backend/validation.js turns the same rules into express-validator chains
+// so a limit, pattern or message only ever changes here.
+//
+// keys of a field rule:
+//   required  message when the field is empty (leave out → field is optional)
+//   message   message for every other problem with the value
+//   type      "text" (default) | "int" | "date" (yyyy-mm-dd, not in the future)
+//   min, max  length for text, value for int, number of entries for lists
+//   pattern   regex source the trimmed text must match (unicode mode, the
+//             "u" flag: \p{L} is a letter of any alphabet)
+//   oneOf     list of allowed values
+//   items     rules for each entry of a list field (project members)
+
+// majors / tracks offered in idea.html, with their english labels (shown
+// through t() in app.js and in emails)
+const MAJORS = ["cybersecurity", "cs", "se", "is", "ai", "data"];
+const MAJOR_LABELS = {
+  cybersecurity: "Cybersecurity",
+  cs: "Computer Science",
+  se: "Software Engineering",
+  is: "Information Systems",
+  ai: "Artificial Intelligence",
+  data: "Data Science",
+};
+
+const EMAIL_PATTERN = "^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$";
+const STUDENT_ID_PATTERN = "^\\d{7}$";
+
+const FORM_SCHEMAS = {
+  // contact-us.html → POST /api/contact
+  contact: {
+    firstName: {
+      required: "first name is required.",
+      pattern: "^\\p{L}[\\p{L} '-]{1,29}$",
+      message: "first name must be 2–30 letters (any alphabet; spaces, ' and - allowed).",
+    },
+    lastName: {
+      required: "last name is required.",
+      pattern: "^\\p{L}[\\p{L} '-]{1,29}$",
+      message: "last name must be 2–30 letters (any alphabet; spaces, ' and - allowed).",
+    },
+    gender: {
+      required: "please select a gender option.",
+      oneOf: ["female", "male", "other"],
+      message: "please select a gender option.",
+    },
+    mobile: {
+      required: "mobile number is required.",
+      pattern: "^(?:\\+9665\\d{8}|05\\d{8})$",
+      message: "mobile must be a valid saudi number (+9665xxxxxxxx or 05xxxxxxxx).",
+    },
+    dob: {
+      required: "date of birth is required.",
+      type: "date",
+      message: "date of birth must be a real date (yyyy-mm-dd), not in the future.",
+    },
+    email: {
+      required: "email is required.",
+      max: 120,
+      pattern: EMAIL_PATTERN,
+      message: "email must be in a valid format (name@example.com).",
+    },
+    language: {
+      required: "please choose a preferred language.",
+      oneOf: ["en", "ar", "both"],
+      message: "please choose a preferred language.",
+    },
+    message: {
+      required: "message is required.",
+      min: 10,
+      max: 1000,
+      message: "message must be between 10 and 1000 characters.",
+    },
+  },
+
+  // idea.html → POST /api/project, PUT /api/projects/:id
+  project: {
+    teamName: {
+      required: "team name is required.",
+      min: 3,
+      max: 50,
+      message: "team name must be 3–50 characters.",
+    },
+    teamSize: {
+      required: "please choose a team size.",
+      type: "int",
+      min: 1,
+      max: 5,
+      message: "team size must be between 1 and 5.",
+    },
+    repName: {
+      required: "representative name is required.",
+      min: 3,
+      max: 50,
+      message: "representative name must be 3–50 characters.",
+    },
+    repId: {
+      required: "representative id is required.",
+      pattern: STUDENT_ID_PATTERN,
+      message: "representative id must be exactly 7 digits.",
+    },
+    repEmail: {
+      required: "representative email is required.",
+      max: 120,
+      pattern: EMAIL_PATTERN,
+      message: "representative email must be valid (e.g. name@uj.edu.sa).",
+    },
+    courseCode: {
+      required: "course code is required.",
+      max: 20,
+      pattern: "^[A-Za-z]{2,}\\d{2,}$",
+      message: "course code must look like ccsw321 (letters + digits).",
+    },
+    category: {
+      required: "please select a major / track.",
+      oneOf: MAJORS,
+      message: "please select a major / track from the list.",
+    },
+    projectType: {
+      required: "please select a project type.",
+      oneOf: ["group", "solo"],
+      message: "project type must be group or solo.",
+    },
+    projectName: {
+      required: "project title is required.",
+      min: 3,
+      max: 60,
+      message: "project title must be 3–60 characters.",
+    },
+    projectDesc: {
+      required: "project description is required.",
+      min: 10,
+      max: 400,
+      message: "project description must be 10–400 characters.",
+    },
+    tools: {
+      max: 300,
+      message: "tools must be at most 300 characters.",
+    },
+    // the other members (the representative is not in this list),
+    // so at most teamSize.max - 1 entries
+    members: {
+      max: 4,
+      message: "members must be a list of at most 4 students.",
+      items: {
+        name: {
+          required: "member name is required.",
+          min: 2,
+          max: 50,
+          message: "member name must be 2–50 characters.",
+        },
+        studentId: {
+          required: "member student id is required.",
+          pattern: STUDENT_ID_PATTERN,
+          message: "member student id must be exactly 7 digits.",
+        },
+      },
+    },
+  },
+
+  // my-work.html → GET /api/students/:sid/work
+  myWork: {
+    sid: {
+      required: "student id is required.",
+      pattern: STUDENT_ID_PATTERN,
+      message: "student id must be exactly 7 digits.",
+    },
+  },
+};
+
+// basic check for dates that look like yyyy-mm-dd
+// also verifies that the date actually exists on the calendar
+function isValidDateYMD(value) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!m) return false;
+
+  const year = Number(m[1]);
+  const month = Number(m[2]); // 1–12
+  const day = Number(m[3]);   // 1–31
+
+  if (month < 1 || month > 12 || day < 1 || day > 31) return false;
+
+  const d = new Date(year, month - 1, day);
+  return (
+    d.getFullYear() === year &&
+    d.getMonth() === month - 1 &&
+    d.getDate() === day
+  );
+}
+
+// today as yyyy-mm-dd in local time (dates compare fine as text)
+function todayYMD() {
+  const d = new Date();
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// check one value against one rule → error message, or null when fine
+function checkField(rule, value) {
+  const text = value === undefined || value === null ? "" : String(value).trim();
+  if (text === "") return rule.required || null;
+
+  if (rule.type === "int") {
+    const n = Number(text);
+    const ok = /^\d+$/.test(text) && n >= rule.min && n <= rule.max;
+    return ok ? null : rule.message;
+  }
+
+  if (rule.type === "date") {
+    return isValidDateYMD(text) && text <= todayYMD() ? null : rule.message;
+  }
+
+  // count characters, not utf-16 units (same as the server's isLength)
+  const length = Array.from(text).length;
+  if (rule.min !== undefined && length < rule.min) return rule.message;
+  if (rule.max !== undefined && length > rule.max) return rule.message;
+  if (rule.pattern && !new RegExp(rule.pattern, "u").test(text)) return rule.message;
+  if (rule.oneOf && !rule.oneOf.includes(text)) return rule.message;
+  return null;
+}
+
+// check the plain fields of a form → [{ path, msg }] (list fields are left
+// to the caller, they need the team size to be checked properly)
+function validateForm(schema, values) {
+  const errors = [];
+  Object.entries(schema).forEach(([path, rule]) => {
+    if (rule.items) return;
+    const msg = checkField(rule, values[path]);
+    if (msg) errors.push({ path, msg });
+  });
+  return errors;
+}
+
+// node (server + tests) gets the same objects through require()
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    MAJORS,
+    MAJOR_LABELS,
+    FORM_SCHEMAS,
+    isValidDateYMD,
+    checkField,
+    validateForm,
+  };
+}
@@ -0,0 +1,249 @@
+// abuse.test.js
+// rate limits, form tokens (csrf + time-to-submit) and the honeypot on the
+// public form posts (backend/abuse.js)
+
+// small limits for this file only (helpers.js keeps them out of the way)
+process.env.RATE_LIMIT_WINDOW_MINUTES = "15";
+process.env.RATE_LIMIT_PER_IP = "5";
+process.env.RATE_LIMIT_PER_EMAIL = "2";
+process.env.FORM_MIN_SECONDS = "3";
+process.env.FORM_MAX_AGE_HOURS = "12";
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  repos,
+  startServer,
+  stopServer,
+  request,
+  formTokenHeaders,
+  validContact,
+  validProject,
+} = require("./helpers");
+
+// every test gets its own day, so the rate limit windows start empty
+const realNow = Date.now;
+let day = 0;
+function useClock(t) {
+  day += 1;
+  let now = realNow() + day * 24 * 60 * 60 * 1000;
+  t.mock.method(Date, "now", () => now);
+  return {
+    advance(seconds) {
+      now += seconds * 1000;
+    },
+  };
+}
+
+// silence + record the warnings the checks log
+function warnings(t) {
+  return t.mock.method(console, "warn", () => {});
+}
+
+// open the form, wait like a person would, then post it
+async function post(clock, url, body, { wait = 10 } = {}) {
+  const headers = await formTokenHeaders();
+  clock.advance(wait);
+  return request("POST", url, { body, headers, formToken: false });
+}
+
+describe("form tokens", () => {
+  before(startServer);
+  after(stopServer);
+
+  it("come with an http-only, same-site cookie", async () => {
+    const res = await request("GET", "/api/form-token");
+    assert.equal(res.status, 200);
+    assert.match(res.body.token, /^\d+\.[\w-]{22}\.[\w-]+$/);
+
+    const cookie = res.headers.get("set-cookie");
+    assert.match(cookie, /^cm_form=[\w-]{22};/);
+    assert.match(cookie, /HttpOnly/i);
+    assert.match(cookie, /SameSite=Strict/i);
+    assert.equal(res.headers.get("cache-control"), "no-store");
+  });
+
+  it("keep the cookie the browser already has", async () => {
+    const first = await formTokenHeaders();
+    const second = await formTokenHeaders(first.cookie);
+    assert.equal(second.cookie.split("; ")[1], first.cookie);
+  });
+
+  it("are required for contact and project posts", async (t) => {
+    useClock(t);
+    const warn = warnings(t);
+
+    for (const [url, body] of [
+      ["/api/contact", validContact()],
+      ["/api/project", validProject()],
+    ]) {
+      const res = await request("POST", url, { body, formToken: false });
+      assert.equal(res.status, 403, url);
+      assert.match(res.body.msg, /expired, please reload/);
+    }
+    assert.match(
+      warn.mock.calls[0].arguments[0],
+      /^blocked contact post from .+: missing or bad form token$/
+    );
+
+    const { total } = await repos.contact.counts();
+    assert.equal(total, 0);
+  });
+
+  it("only work with their own cookie", async (t) => {
+    const clock = useClock(t);
+    warnings(t);
+    const mine = await formTokenHeaders();
+    const other = await formTokenHeaders();
+    clock.advance(10);
+
+    const res = await request("POST", "/api/contact", {
+      body: validContact(),
+      headers: { ...mine, cookie: other.cookie },
+      formToken: false,
+    });
+    assert.equal(res.status, 403);
+  });
+
+  it("can't be changed", async (t) => {
+    const clock = useClock(t);
+    warnings(t);
+    const headers = await formTokenHeaders();
+    clock.advance(10);
+
+    // pretend the form was opened a minute earlier
+    const [issuedAt, nonce, signature] = headers["x-csrf-token"].split(".");
+    headers["x-csrf-token"] = [Number(issuedAt) - 60000, nonce, signature].join(".");
+
+    const res = await request("POST", "/api/contact", {
+      body: validContact(),
+      headers,
+      formToken: false,
+    });
+    assert.equal(res.status, 403);
+  });
+
+  it("refuse posts sent faster than a person can fill the form", async (t) => {
+    const clock = useClock(t);
+    const warn = warnings(t);
+
+    const res = await post(clock, "/api/contact", validContact(), { wait: 1 });
+    assert.equal(res.status, 400);
+    assert.match(res.body.msg, /that was quick/);
+    assert.match(warn.mock.calls[0].arguments[0], /sent 1000 ms after opening the form/);
+
+    const ok = await post(clock, "/api/contact", validContact(), { wait: 3 });
+    assert.equal(ok.status, 200);
+  });
+
+  it("expire after FORM_MAX_AGE_HOURS", async (t) => {
+    const clock = useClock(t);
+    warnings(t);
+
+    const res = await post(clock, "/api/contact", validContact(), { wait: 13 * 60 * 60 });
+    assert.equal(res.status, 403);
+  });
+});
+
+describe("honeypot field", () => {
+  before(startServer);
+  after(stopServer);
+
+  it("refuses posts that fill in the hidden website field", async (t) => {
+    const clock = useClock(t);
+    const warn = warnings(t);
+    const before = (await repos.contact.counts()).total;
+
+    const res = await post(clock, "/api/contact", validContact({ website: "http://spam.example" }));
+    assert.equal(res.status, 400);
+    assert.equal(res.body.msg, "your submission could not be accepted.");
+    assert.match(warn.mock.calls[0].arguments[0], /honeypot field filled in/);
+    assert.equal((await repos.contact.counts()).total, before);
+  });
+
+  it("lets an empty one through", async (t) => {
+    const clock = useClock(t);
+    const res = await post(clock, "/api/contact", validContact({ website: "" }));
+    assert.equal(res.status, 200);
+  });
+});
+
+describe("rate limits", () => {
+  before(startServer);
+  after(stopServer);
+
+  it("allow RATE_LIMIT_PER_EMAIL posts per email address", async (t) => {
+    const clock = useClock(t);
+    const warn = warnings(t);
+    const email = "Flood@Example.com";
+
+    for (let i = 0; i < 2; i++) {
+      const res = await post(clock, "/api/contact", validContact({ email }));
+      assert.equal(res.status, 200);
+    }
+
+    // same address in other letter case still counts
+    const res = await post(clock, "/api/contact", validContact({ email: "flood@example.com" }));
+    assert.equal(res.status, 429);
+    assert.match(res.body.msg, /^too many submissions, please try again in \d+ minute\(s\)\.$/);
+    assert.ok(res.body.retryAfter > 0 && res.body.retryAfter <= 15 * 60);
+    assert.equal(res.headers.get("retry-after"), String(res.body.retryAfter));
+    assert.match(
+      warn.mock.calls[0].arguments[0],
+      /^throttled contact post: email f\*\*\*@example\.com \(3 in 15 min\)$/
+    );
+
+    // other people are not affected
+    const other = await post(clock, "/api/contact", validContact({ email: "other@example.com" }));
+    assert.equal(other.status, 200);
+  });
+
+  it("allow RATE_LIMIT_PER_IP posts per ip, valid or not", async (t) => {
+    const clock = useClock(t);
+    const warn = warnings(t);
+
+    for (let i = 0; i < 5; i++) {
+      const body = validContact({ email: `p${i}@example.com`, message: "" });
+      const res = await post(clock, "/api/contact", body);
+      assert.equal(res.status, 400);
+    }
+    const res = await post(clock, "/api/contact", validContact({ email: "p9@example.com" }));
+    assert.equal(res.status, 429);
+    assert.match(
+      warn.mock.calls[0].arguments[0],
+      /^throttled contact post: ip \S+ \(6 in 15 min\)$/
+    );
+  });
+
+  it("start over after the window", async (t) => {
+    const clock = useClock(t);
+    warnings(t);
+    const email = "again@example.com";
+
+    for (let i = 0; i < 3; i++) {
+      await post(clock, "/api/contact", validContact({ email }));
+    }
+    clock.advance(15 * 60);
+
+    const res = await post(clock, "/api/contact", validContact({ email }));
+    assert.equal(res.status, 200);
+  });
+
+  it("count each form separately and cover new ideas too", async (t) => {
+    const clock = useClock(t);
+    warnings(t);
+    const repEmail = "team@uj.edu.sa";
+
+    // the contact form has used up this address, the idea form has not
+    for (let i = 0; i < 3; i++) {
+      await post(clock, "/api/contact", validContact({ email: repEmail }));
+    }
+
+    for (let i = 0; i < 2; i++) {
+      const res = await post(clock, "/api/project", validProject({ repEmail }));
+      assert.equal(res.status, 200);
+    }
+    const res = await post(clock, "/api/project", validProject({ repEmail }));
+    assert.equal(res.status, 429);
+  });
+});
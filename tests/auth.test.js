@@ -0,0 +1,157 @@
+// auth.test.js
+// register / login / logout / me
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  repos,
+  startServer,
+  stopServer,
+  request,
+  errorPaths,
+  nextStudentId,
+  failRepo,
+} = require("./helpers");
+
+function validAccount(overrides = {}) {
+  return {
+    fullName: "Sara Ahmed",
+    email: `sara${nextStudentId()}@uj.edu.sa`,
+    studentId: nextStudentId(),
+    password: "long-enough",
+    ...overrides,
+  };
+}
+
+// "cm_session=…" from a set-cookie header
+function sessionCookie(res) {
+  return (res.headers.get("set-cookie") || "").split(";")[0];
+}
+
+before(startServer);
+after(stopServer);
+
+describe("POST /api/auth/register", () => {
+  it("creates a student account and logs it in", async () => {
+    const account = validAccount({ email: "New.Student@UJ.edu.sa" });
+    const res = await request("POST", "/api/auth/register", { body: account });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.user.role, "student");
+    assert.match(res.headers.get("set-cookie"), /cm_session=.+HttpOnly/i);
+
+    // emails are stored lower case
+    const saved = await repos.users.findByEmail("new.student@uj.edu.sa");
+    assert.equal(saved.student_id, account.studentId);
+    assert.notEqual(saved.password_hash, account.password);
+
+    const me = await request("GET", "/api/auth/me", {
+      headers: { cookie: sessionCookie(res) },
+    });
+    assert.equal(me.body.user.full_name, "Sara Ahmed");
+  });
+
+  it("answers 409 for a taken email or student id", async () => {
+    const account = validAccount();
+    await request("POST", "/api/auth/register", { body: account });
+
+    let res = await request("POST", "/api/auth/register", {
+      body: validAccount({ email: account.email }),
+    });
+    assert.equal(res.status, 409);
+
+    res = await request("POST", "/api/auth/register", {
+      body: validAccount({ studentId: account.studentId }),
+    });
+    assert.equal(res.status, 409);
+  });
+
+  const invalid = [
+    ["fullName", "ab"],
+    ["email", "sara@"],
+    ["studentId", "123456"],
+    ["password", "short"],
+  ];
+
+  invalid.forEach(([field, value]) => {
+    it(`rejects ${field} = ${JSON.stringify(value)}`, async () => {
+      const res = await request("POST", "/api/auth/register", {
+        body: validAccount({ [field]: value }),
+      });
+      assert.equal(res.status, 400);
+      assert.deepEqual(errorPaths(res), [field]);
+    });
+  });
+
+  it("answers 500 when the account cannot be saved", async (t) => {
+    failRepo(t, repos.users, "create");
+    const res = await request("POST", "/api/auth/register", { body: validAccount() });
+    assert.equal(res.status, 500);
+  });
+});
+
+describe("POST /api/auth/login + logout", () => {
+  const account = validAccount();
+
+  before(async () => {
+    await request("POST", "/api/auth/register", { body: account });
+  });
+
+  it("logs in, then logs out and ends the session", async () => {
+    const res = await request("POST", "/api/auth/login", {
+      body: { email: account.email.toUpperCase(), password: account.password },
+    });
+    assert.equal(res.status, 200);
+    const cookie = sessionCookie(res);
+
+    const out = await request("POST", "/api/auth/logout", { headers: { cookie } });
+    assert.equal(out.status, 200);
+
+    const me = await request("GET", "/api/auth/me", { headers: { cookie } });
+    assert.equal(me.body.user, null);
+  });
+
+  it("answers 401 for a wrong password or unknown email", async () => {
+    for (const body of [
+      { email: account.email, password: "wrong-password" },
+      { email: "nobody@uj.edu.sa", password: account.password },
+    ]) {
+      const res = await request("POST", "/api/auth/login", { body });
+      assert.equal(res.status, 401);
+      assert.equal(res.body.msg, "wrong email or password.");
+    }
+  });
+
+  it("validates email and password", async () => {
+    const res = await request("POST", "/api/auth/login", {
+      body: { email: "nope", password: "" },
+    });
+    assert.equal(res.status, 400);
+    assert.deepEqual(errorPaths(res), ["email", "password"]);
+  });
+
+  it("ignores unknown session tokens", async () => {
+    const me = await request("GET", "/api/auth/me", {
+      headers: { authorization: "Bearer not-a-session" },
+    });
+    assert.equal(me.body.user, null);
+  });
+
+  it("treats a cookie that is not valid percent-encoding as no session", async () => {
+    const headers = { cookie: "cm_session=%E0%A4%A" };
+    const me = await request("GET", "/api/auth/me", { headers });
+    assert.equal(me.status, 200);
+    assert.equal(me.body.user, null);
+
+    const list = await request("GET", "/api/projects", { headers });
+    assert.equal(list.status, 200);
+  });
+
+  it("answers 500 when the user cannot be loaded", async (t) => {
+    failRepo(t, repos.users, "findByEmail");
+    const res = await request("POST", "/api/auth/login", {
+      body: { email: account.email, password: account.password },
+    });
+    assert.equal(res.status, 500);
+  });
+});
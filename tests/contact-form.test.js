@@ -0,0 +1,174 @@
+// contact-form.test.js
+// initContactForm() on contact-us.html, in jsdom
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage, fill, submit, fieldErrors } = require("./dom-helpers");
+const { validContact } = require("./helpers");
+
+const VALID = validContact();
+
+async function setup(options) {
+  const page = await loadPage("contact-us.html", options);
+  page.window.initContactForm();
+  page.form = page.document.getElementById("contactForm");
+  return page;
+}
+
+describe("initContactForm", () => {
+  it("sends a valid form to /api/contact and shows the success message", async () => {
+    const { window, document, form, calls } = await setup({
+      respond: () => ({ status: "ok", msg: "your message was received successfully ✔" }),
+    });
+    fill(form, VALID);
+
+    await submit(window, form);
+
+    assert.equal(calls.fetch.length, 1);
+    assert.equal(calls.fetch[0].url, "/api/contact");
+    assert.equal(calls.fetch[0].method, "POST");
+    assert.deepEqual(calls.fetch[0].body, { ...VALID, website: "" });
+    assert.equal(calls.fetch[0].headers["X-CSRF-Token"], "test-token");
+
+    const box = document.getElementById("contactErrors");
+    assert.equal(box.className, "success-msg");
+    assert.equal(box.textContent, "your message was received successfully ✔");
+    assert.equal(form.firstName.value, "", "form is reset");
+    assert.equal(calls.formTokens, 2, "a new token for the next message");
+  });
+
+  it("shows a rate limit answer at the top of the form", async () => {
+    const { window, document, form, calls } = await setup({
+      respond: () => ({
+        status: "error",
+        msg: "too many submissions, please try again in 15 minute(s).",
+        retryAfter: 900,
+      }),
+    });
+    fill(form, VALID);
+
+    await submit(window, form);
+
+    const box = document.getElementById("contactErrors");
+    assert.equal(box.className, "error-box");
+    assert.equal(box.textContent, "too many submissions, please try again in 15 minute(s).");
+    assert.equal(calls.alert.length, 0);
+    assert.equal(form.firstName.value, VALID.firstName, "form is kept");
+  });
+
+  it("blocks the request and marks every bad field", async () => {
+    const { window, document, form, calls } = await setup();
+    fill(form, {
+      ...VALID,
+      firstName: "S4ra",
+      mobile: "12345",
+      email: "sara@",
+      message: "short",
+    });
+
+    await submit(window, form);
+
+    assert.equal(calls.fetch.length, 0);
+    assert.deepEqual(Object.keys(fieldErrors(form)).sort(), [
+      "email",
+      "firstName",
+      "message",
+      "mobile",
+    ]);
+    const box = document.getElementById("contactErrors");
+    assert.equal(box.className, "error-box");
+    assert.equal(box.querySelectorAll("li").length, 4);
+  });
+
+  it("asks for a gender", async () => {
+    const { window, form, calls } = await setup();
+    fill(form, { ...VALID, gender: "" });
+
+    await submit(window, form);
+
+    assert.equal(calls.fetch.length, 0);
+    const group = form.querySelector('input[name="gender"]').closest("fieldset");
+    assert.ok(group.classList.contains("field-error"));
+    assert.equal(group.querySelector(".error-message").textContent, "please select a gender option.");
+  });
+
+  it("rejects a date of birth in the future", async () => {
+    const { window, form, calls } = await setup();
+    fill(form, { ...VALID, dob: "2999-01-01" });
+
+    await submit(window, form);
+
+    assert.equal(calls.fetch.length, 0);
+    assert.ok(fieldErrors(form).dob);
+  });
+
+  it("clears old errors on the next submit", async () => {
+    const { window, form } = await setup();
+    fill(form, { ...VALID, email: "nope" });
+    await submit(window, form);
+    assert.ok(fieldErrors(form).email);
+
+    fill(form, VALID);
+    await submit(window, form);
+    assert.deepEqual(fieldErrors(form), {});
+  });
+
+  it("puts server-side field errors under their inputs, without alerts", async () => {
+    const { window, document, form, calls } = await setup({
+      respond: () => ({
+        status: "error",
+        code: "validation_failed",
+        msg: "please check the highlighted fields.",
+        errors: [{ path: "email", msg: "enter a valid email" }],
+        fields: { email: "enter a valid email" },
+      }),
+    });
+    fill(form, VALID);
+
+    await submit(window, form);
+
+    assert.equal(calls.alert.length, 0);
+    assert.deepEqual(fieldErrors(form), { email: "enter a valid email" });
+    const box = document.getElementById("contactErrors");
+    assert.equal(box.querySelector("h2").textContent, "please check the highlighted fields.");
+    assert.deepEqual(
+      Array.from(box.querySelectorAll("li"), (li) => li.textContent),
+      ["enter a valid email"]
+    );
+    assert.equal(form.firstName.value, "Sara", "form is kept");
+  });
+
+  it("shows the message of a server error", async () => {
+    const { window, document, form } = await setup({
+      respond: () => ({
+        status: "error",
+        code: "server_error",
+        msg: "database error while saving your message.",
+        errors: [],
+        fields: {},
+      }),
+    });
+    fill(form, VALID);
+
+    await submit(window, form);
+
+    const box = document.getElementById("contactErrors");
+    assert.equal(box.className, "error-box");
+    assert.equal(box.textContent, "database error while saving your message.");
+  });
+
+  it("gets a new form token when the form expired", async () => {
+    const { window, form, calls } = await setup({
+      respond: () => ({
+        status: "error",
+        code: "form_expired",
+        msg: "this form has expired, please reload the page and try again.",
+      }),
+    });
+    fill(form, VALID);
+
+    await submit(window, form);
+
+    assert.equal(calls.formTokens, 2);
+  });
+});
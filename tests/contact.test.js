@@ -0,0 +1,109 @@
+// contact.test.js
+// POST /api/contact (contact-us.html)
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  repos,
+  startServer,
+  stopServer,
+  request,
+  errorPaths,
+  failRepo,
+  validContact,
+} = require("./helpers");
+
+describe("POST /api/contact", () => {
+  before(startServer);
+  after(stopServer);
+
+  it("saves a valid message", async () => {
+    const res = await request("POST", "/api/contact", { body: validContact() });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, "ok");
+
+    const { total } = await repos.contact.counts();
+    assert.equal(total, 1);
+  });
+
+  it("accepts both saudi mobile formats", async () => {
+    for (const mobile of ["0551234567", "+966551234567"]) {
+      const res = await request("POST", "/api/contact", {
+        body: validContact({ mobile }),
+      });
+      assert.equal(res.status, 200, mobile);
+    }
+  });
+
+  it("accepts names in any alphabet, with spaces, ' and -", async () => {
+    for (const [firstName, lastName] of [
+      ["سارة", "الحربي"],
+      ["Zoë", "O'Brien"],
+      ["Sara Noor", "Al-Harbi"],
+    ]) {
+      const res = await request("POST", "/api/contact", {
+        body: validContact({ firstName, lastName }),
+      });
+      assert.equal(res.status, 200, `${firstName} ${lastName}`);
+    }
+  });
+
+  // [field, bad value]
+  const invalid = [
+    ["firstName", ""],
+    ["firstName", "S"],
+    ["firstName", "S".repeat(31)],
+    ["firstName", "Sara1"],
+    ["firstName", "-Sara"],
+    ["lastName", ""],
+    ["lastName", "A".repeat(31)],
+    ["gender", ""],
+    ["gender", "robot"],
+    ["mobile", ""],
+    ["mobile", "12345"],
+    ["mobile", "0651234567"],
+    ["mobile", "05512345678"],
+    ["mobile", "966551234567"],
+    ["dob", ""],
+    ["dob", "17-05-2003"],
+    ["dob", "2003-02-30"],
+    ["dob", "2999-01-01"],
+    ["email", "not-an-email"],
+    ["language", ""],
+    ["language", "fr"],
+    ["message", "too short"],
+    ["message", "x".repeat(1001)],
+  ];
+
+  invalid.forEach(([field, value]) => {
+    it(`rejects ${field} = ${JSON.stringify(value.slice(0, 20))}`, async () => {
+      const res = await request("POST", "/api/contact", {
+        body: validContact({ [field]: value }),
+      });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.status, "error");
+      assert.deepEqual(errorPaths(res), [field]);
+    });
+  });
+
+  it("reports every missing field at once", async () => {
+    const res = await request("POST", "/api/contact", { body: {} });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(
+      [...new Set(errorPaths(res))].sort(),
+      ["dob", "email", "firstName", "gender", "language", "lastName", "message", "mobile"]
+    );
+  });
+
+  it("answers 500 when the message cannot be saved", async (t) => {
+    failRepo(t, repos.contact, "create");
+
+    const res = await request("POST", "/api/contact", { body: validContact() });
+
+    assert.equal(res.status, 500);
+    assert.equal(res.body.msg, "database error while saving your message.");
+  });
+});
@@ -0,0 +1,233 @@
+// courses.test.js
+// courses with team size limits and a submission window: GET/POST/PUT
+// /api/courses and the course checks of POST /api/project, PUT
+// /api/projects/:id and the csv import
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  repos,
+  startServer,
+  stopServer,
+  request,
+  errorPaths,
+  nextCourse,
+  validProject,
+  createCourse,
+  createProject,
+  createUser,
+  failRepo,
+} = require("./helpers");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function courseBody(overrides = {}) {
+  return {
+    code: nextCourse(),
+    title: "Web Application Development",
+    section: "S1",
+    minTeamSize: 2,
+    maxTeamSize: 4,
+    opensAt: null,
+    closesAt: null,
+    ...overrides,
+  };
+}
+
+describe("GET /api/courses", () => {
+  before(startServer);
+  after(stopServer);
+
+  it("lists the courses with their window for everyone", async () => {
+    const closed = nextCourse();
+    const later = nextCourse();
+    await createCourse(closed, { closes_at: new Date(Date.now() - DAY) });
+    await createCourse(later, { opens_at: new Date(Date.now() + DAY) });
+
+    const res = await request("GET", "/api/courses");
+
+    assert.equal(res.status, 200);
+    const byCode = Object.fromEntries(res.body.data.map((c) => [c.code, c]));
+    assert.equal(byCode.CCSW321.window, "open");
+    assert.equal(byCode.CCSW321.minTeamSize, 1);
+    assert.equal(byCode[closed].window, "closed");
+    assert.equal(byCode[later].window, "not_open_yet");
+  });
+
+  it("answers 500 when the database fails", async (t) => {
+    failRepo(t, repos.courses, "list");
+    const res = await request("GET", "/api/courses");
+    assert.equal(res.status, 500);
+  });
+});
+
+describe("POST /api/courses and PUT /api/courses/:code", () => {
+  let staff;
+
+  before(async () => {
+    await startServer();
+    staff = await createUser("instructor", { email: "prof@uj.edu.sa" });
+  });
+  after(stopServer);
+
+  it("is for instructors only", async () => {
+    const body = courseBody();
+    assert.equal((await request("POST", "/api/courses", { body })).status, 401);
+
+    const student = await createUser("student");
+    const res = await request("POST", "/api/courses", { body, headers: student.headers });
+    assert.equal(res.status, 403);
+  });
+
+  it("creates a course with the code in upper case", async () => {
+    const body = courseBody({ code: "ccsw999" });
+    const res = await request("POST", "/api/courses", { body, headers: staff.headers });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.code, "CCSW999");
+    assert.equal(res.body.data.maxTeamSize, 4);
+    assert.equal(res.body.data.instructor, "Test instructor");
+
+    const again = await request("POST", "/api/courses", { body, headers: staff.headers });
+    assert.equal(again.status, 409);
+    assert.deepEqual(errorPaths(again), ["code"]);
+  });
+
+  it("checks the sizes, the window and the instructor", async () => {
+    const res = await request("POST", "/api/courses", {
+      body: courseBody({
+        code: "321",
+        minTeamSize: 4,
+        maxTeamSize: 2,
+        opensAt: "2025-10-01T08:00",
+        closesAt: "2025-09-01T08:00",
+      }),
+      headers: staff.headers,
+    });
+    assert.equal(res.status, 400);
+    assert.deepEqual(errorPaths(res).sort(), ["closesAt", "code", "maxTeamSize"]);
+
+    await createUser("student", { email: "not-staff@uj.edu.sa" });
+    const unknown = await request("POST", "/api/courses", {
+      body: courseBody({ instructorEmail: "not-staff@uj.edu.sa" }),
+      headers: staff.headers,
+    });
+    assert.equal(unknown.status, 400);
+    assert.deepEqual(errorPaths(unknown), ["instructorEmail"]);
+  });
+
+  it("changes a course but not its code", async () => {
+    const body = courseBody();
+    await request("POST", "/api/courses", { body, headers: staff.headers });
+
+    const res = await request("PUT", `/api/courses/${body.code.toLowerCase()}`, {
+      body: { ...body, code: "OTHER1", title: "Renamed", closesAt: "2030-01-01T23:59" },
+      headers: staff.headers,
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.code, body.code);
+    assert.equal(res.body.data.title, "Renamed");
+    assert.ok(res.body.data.closesAt);
+    assert.equal(await repos.courses.findByCode("OTHER1"), null);
+
+    const missing = await request("PUT", "/api/courses/NOPE123", {
+      body,
+      headers: staff.headers,
+    });
+    assert.equal(missing.status, 404);
+  });
+});
+
+describe("the course of a new idea", () => {
+  before(startServer);
+  after(stopServer);
+
+  it("must be a known course", async () => {
+    const res = await request("POST", "/api/project", {
+      body: validProject({ courseCode: "ZZZZ999" }),
+    });
+    assert.equal(res.status, 400);
+    assert.deepEqual(errorPaths(res), ["courseCode"]);
+    assert.match(res.body.errors[0].msg, /there is no course ZZZZ999/);
+  });
+
+  it("is saved the way the course writes its code", async () => {
+    const { id } = await createProject({ courseCode: "ccsw321" });
+    const saved = await repos.projects.findById(id);
+    assert.equal(saved.course_code, "CCSW321");
+  });
+
+  it("must be open for submissions", async () => {
+    const closed = nextCourse();
+    const later = nextCourse();
+    await createCourse(closed, { closes_at: new Date(Date.now() - DAY) });
+    await createCourse(later, { opens_at: new Date(Date.now() + DAY) });
+
+    const late = await request("POST", "/api/project", {
+      body: validProject({ courseCode: closed }),
+    });
+    assert.equal(late.status, 400);
+    assert.match(late.body.errors[0].msg, /closed on/);
+
+    const early = await request("POST", "/api/project", {
+      body: validProject({ courseCode: later }),
+    });
+    assert.equal(early.status, 400);
+    assert.match(early.body.errors[0].msg, /open on/);
+  });
+
+  it("must have a team size the course allows", async () => {
+    const code = nextCourse();
+    await createCourse(code, { min_team_size: 3, max_team_size: 4 });
+
+    const res = await request("POST", "/api/project", {
+      body: validProject({ courseCode: code, teamSize: 2 }),
+    });
+    assert.equal(res.status, 400);
+    assert.deepEqual(errorPaths(res), ["teamSize"]);
+    assert.match(res.body.errors[0].msg, /needs teams of 3–4 students/);
+  });
+
+  it("can still be edited after the deadline, but not moved to a closed course", async () => {
+    const code = nextCourse();
+    await createCourse(code);
+    const { id, editToken, body } = await createProject({ courseCode: code });
+    await repos.courses.update(code, {
+      ...(await repos.courses.findByCode(code)),
+      closes_at: new Date(Date.now() - DAY),
+    });
+    const headers = { "x-edit-token": editToken };
+
+    const edit = await request("PUT", `/api/projects/${id}`, {
+      body: { ...body, projectName: "After The Deadline" },
+      headers,
+    });
+    assert.equal(edit.status, 200);
+
+    const closed = nextCourse();
+    await createCourse(closed, { closes_at: new Date(Date.now() - DAY) });
+    const move = await request("PUT", `/api/projects/${id}`, {
+      body: { ...body, courseCode: closed },
+      headers,
+    });
+    assert.equal(move.status, 400);
+    assert.deepEqual(errorPaths(move), ["courseCode"]);
+  });
+
+  it("is checked on csv import rows too", async () => {
+    const staff = await createUser("instructor");
+    const file =
+      "Team Name,Representative,Rep Student ID,Rep Email,Course,Major,Project Name,Description\r\n" +
+      "Ghost Team,Rep Person,2410001,rep@uj.edu.sa,GHOST101,se,Ghost Idea,an idea for a course that does not exist\r\n";
+
+    const res = await request("POST", "/api/projects/import/preview", {
+      body: file,
+      headers: { "content-type": "text/csv", ...staff.headers },
+      formToken: false,
+    });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.rows[0].errors.map((e) => e.path), ["courseCode"]);
+  });
+});
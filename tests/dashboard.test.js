@@ -0,0 +1,150 @@
+// dashboard.test.js
+// initDashboard() on dashboard.html in jsdom: svg charts from /api/stats,
+// the course filter and the students without a team
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage, submit, settle } = require("./dom-helpers");
+
+const STATS = {
+  status: "ok",
+  course: null,
+  total: 3,
+  byCourse: [
+    { key: "CCSW321", count: 2 },
+    { key: "CCAI321", count: 1 },
+  ],
+  byCategory: [
+    { key: "se", count: 2 },
+    { key: "ai", count: 1 },
+  ],
+  byProjectType: [{ key: "group", count: 3 }],
+  byTeamSize: [
+    { key: 2, count: 1 },
+    { key: 3, count: 2 },
+  ],
+  byStatus: [{ key: "submitted", count: 3 }],
+  overTime: {
+    interval: "day",
+    points: [
+      { period: "2025-03-03", count: 2 },
+      { period: "2025-03-04", count: 0 },
+      { period: "2025-03-05", count: 1 },
+    ],
+  },
+  tools: [
+    { tool: "React", count: 2 },
+    { tool: "<b>Node.js</b>", count: 1 },
+  ],
+  roster: {
+    students: 5,
+    withoutTeam: [
+      {
+        course_code: "CCSW321",
+        student_id: "2310009",
+        full_name: "Sara Ali",
+        email: "sara@uj.edu.sa",
+      },
+      { course_code: "CCAI321", student_id: "2310010", full_name: "Omar Adel", email: null },
+    ],
+  },
+};
+
+async function dashboard(respond = () => STATS, options = {}) {
+  const page = await loadPage("dashboard.html", { respond, ...options });
+  page.window.initDashboard();
+  await settle();
+  return page;
+}
+
+// bar titles of one chart box: ["CCSW321: 2", …]
+function barTitles(document, id) {
+  return Array.from(document.querySelectorAll(`#${id} rect title`), (t) => t.textContent);
+}
+
+describe("initDashboard", () => {
+  it("draws a chart per count without any chart library", async () => {
+    const { document, calls } = await dashboard();
+
+    assert.equal(calls.fetch[0].url, "/api/stats?interval=day");
+    assert.equal(document.getElementById("statsCharts").hidden, false);
+    assert.match(document.getElementById("statsStatus").textContent, /3 idea\(s\) submitted/);
+
+    assert.deepEqual(barTitles(document, "chartCourses"), ["CCSW321: 2", "CCAI321: 1"]);
+    assert.deepEqual(barTitles(document, "chartCategories"), [
+      "Software Engineering: 2",
+      "Artificial Intelligence: 1",
+    ]);
+    assert.deepEqual(barTitles(document, "chartTeamSizes"), ["2 student(s): 1", "3 student(s): 2"]);
+    assert.equal(document.querySelectorAll("#chartOverTime rect").length, 3);
+
+    // the longest bar is the biggest count
+    const widths = Array.from(document.querySelectorAll("#chartCourses rect"), (r) =>
+      Number(r.getAttribute("width"))
+    );
+    assert.equal(widths[0], widths[1] * 2);
+
+    // names are text, never markup
+    assert.equal(document.querySelector("#chartTools b"), null);
+    assert.match(document.getElementById("chartTools").textContent, /<b>Node\.js<\/b>/);
+  });
+
+  it("lists the students without a team", async () => {
+    const { document } = await dashboard();
+    assert.equal(
+      document.getElementById("rosterSummary").textContent,
+      "2 of 5 student(s) on the class lists are not in a team yet."
+    );
+    const rows = Array.from(document.querySelectorAll("#rosterRows tr"), (tr) =>
+      Array.from(tr.cells, (td) => td.textContent)
+    );
+    assert.deepEqual(rows, [
+      ["CCSW321", "2310009", "Sara Ali", "sara@uj.edu.sa"],
+      ["CCAI321", "2310010", "Omar Adel", ""],
+    ]);
+  });
+
+  it("says when there is no roster or no idea yet", async () => {
+    const { document } = await dashboard(() => ({
+      ...STATS,
+      total: 0,
+      byCourse: [],
+      overTime: { interval: "day", points: [] },
+      roster: null,
+    }));
+    assert.equal(document.getElementById("chartCourses").textContent, "no ideas yet.");
+    assert.equal(document.getElementById("chartOverTime").textContent, "no ideas yet.");
+    assert.match(document.getElementById("rosterSummary").textContent, /no roster/);
+    assert.equal(document.getElementById("rosterTable").hidden, true);
+  });
+
+  it("asks again for one course and another interval", async () => {
+    const { window, document, calls } = await dashboard();
+    const form = document.getElementById("statsFilters");
+    const courses = Array.from(form.course.options, (o) => o.value);
+    assert.deepEqual(courses.slice(0, 2), ["", "CCSW321"]);
+
+    form.course.value = "CCSW321";
+    form.interval.value = "week";
+    await submit(window, form);
+
+    assert.equal(calls.fetch[1].url, "/api/stats?course=CCSW321&interval=week");
+  });
+
+  it("asks instructors to log in", async () => {
+    const { document } = await dashboard(() => ({ status: "error", msg: "please log in first." }));
+    const status = document.getElementById("statsStatus");
+    assert.equal(status.className, "error-box");
+    assert.equal(status.textContent, "please log in first.");
+    assert.equal(document.getElementById("statsCharts").hidden, true);
+  });
+
+  it("in arabic", async () => {
+    const { document } = await dashboard(undefined, { language: "ar" });
+    assert.deepEqual(barTitles(document, "chartTypes"), ["جماعي: 3"]);
+    assert.equal(
+      document.getElementById("rosterSummary").textContent,
+      "2 من 5 طالب/طلاب في قوائم الطلاب ليسوا في فريق بعد."
+    );
+  });
+});
@@ -0,0 +1,147 @@
+// dom-helpers.js
+// loads a real page from html/ plus its scripts (js/i18n-ar.js, js/i18n.js,
+// js/validation.js, js/app.js)
+// into jsdom, with fetch, alert and confirm replaced by recorders, for the
+// form tests
+
+const fs = require("fs");
+const path = require("path");
+const { JSDOM } = require("jsdom");
+
+const ROOT = path.join(__dirname, "..");
+// same order as the <script> tags in the pages; evaluated as one piece of
+// code because top-level consts of an eval stay inside that eval
+const SCRIPTS = ["i18n-ar.js", "i18n.js", "validation.js", "app.js"]
+  .map((file) => fs.readFileSync(path.join(ROOT, "js", file), "utf8"))
+  .join("\n;\n");
+
+// json bodies are parsed, anything else (csv uploads) is kept as text
+function readBody(options) {
+  if (!options.body) return undefined;
+  const type = (options.headers || {})["Content-Type"] || "application/json";
+  return type === "application/json" ? JSON.parse(options.body) : options.body;
+}
+
+// the course list idea.html loads into its dropdown (GET /api/courses)
+const COURSES = [
+  {
+    code: "CCSW321",
+    title: "Web Application Development",
+    section: "",
+    instructor: null,
+    minTeamSize: 1,
+    maxTeamSize: 5,
+    opensAt: null,
+    closesAt: null,
+    window: "open",
+  },
+];
+
+// page = "contact-us.html", search = "?edit=1&token=abc"
+// respond(url, options) → json body the fake fetch answers with
+// courses → what GET /api/courses answers (default COURSES)
+// language → the choice saved by the language switcher ("ar"), none by default
+// the scripts are loaded after DOMContentLoaded, so app.js's start-up listener never
+// runs and each test calls the init function it is about
+async function loadPage(
+  page,
+  { search = "", respond = () => ({ status: "ok" }), courses = COURSES, language } = {}
+) {
+  const html = fs.readFileSync(path.join(ROOT, "html", page), "utf8");
+  const dom = new JSDOM(html, {
+    url: `http://localhost/${page}${search}`,
+    runScripts: "outside-only",
+  });
+  const { window } = dom;
+
+  if (window.document.readyState === "loading") {
+    await new Promise((resolve) =>
+      window.document.addEventListener("DOMContentLoaded", resolve)
+    );
+  }
+
+  const calls = { fetch: [], alert: [], formTokens: 0 };
+
+  window.fetch = async (url, options = {}) => {
+    // the form token pages ask for on load (counted, not in calls.fetch)
+    if (url === "/api/form-token") {
+      calls.formTokens += 1;
+      return { ok: true, status: 200, json: async () => ({ status: "ok", token: "test-token" }) };
+    }
+    // the course dropdown (not in calls.fetch either)
+    if (url === "/api/courses") {
+      return { ok: true, status: 200, json: async () => ({ status: "ok", data: courses }) };
+    }
+
+    calls.fetch.push({
+      url,
+      method: options.method || "GET",
+      headers: options.headers || {},
+      body: readBody(options),
+    });
+    const body = await respond(url, options);
+    return {
+      ok: body.status === "ok",
+      status: body.status === "ok" ? 200 : 400,
+      json: async () => body,
+      text: async () => JSON.stringify(body),
+    };
+  };
+  window.alert = (msg) => calls.alert.push(msg);
+  window.confirm = () => true;
+  window.console.error = () => {};
+  if (language) window.localStorage.setItem("classmate.lang", language);
+
+  // browsers let app.js write form.teamName for a named field, jsdom does not
+  window.document.querySelectorAll("form").forEach((form) => {
+    Array.from(form.elements).forEach((el) => {
+      if (el.name && !(el.name in form)) {
+        Object.defineProperty(form, el.name, {
+          get: () => form.elements.namedItem(el.name),
+        });
+      }
+    });
+  });
+
+  // plain scripts: their functions end up on window
+  window.eval(SCRIPTS);
+
+  return { window, document: window.document, calls };
+}
+
+// set form fields by name (radios: the value to check)
+function fill(form, values) {
+  Object.entries(values).forEach(([name, value]) => {
+    const field = form.elements[name];
+    if (field instanceof form.ownerDocument.defaultView.RadioNodeList) {
+      field.forEach((radio) => (radio.checked = radio.value === value));
+    } else {
+      field.value = value;
+    }
+  });
+}
+
+function submit(window, form) {
+  form.dispatchEvent(new window.Event("submit", { bubbles: true, cancelable: true }));
+  return settle();
+}
+
+// let pending fetch / json promises finish
+async function settle() {
+  for (let i = 0; i < 5; i++) {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+}
+
+// texts of the inline messages under fields, by field name
+function fieldErrors(form) {
+  const out = {};
+  form.querySelectorAll(".field-error").forEach((row) => {
+    const input = row.querySelector("input, select, textarea");
+    const msg = row.querySelector(".error-message");
+    if (input && msg) out[input.name] = msg.textContent;
+  });
+  return out;
+}
+
+module.exports = { COURSES, loadPage, fill, submit, settle, fieldErrors };
@@ -0,0 +1,147 @@
+// drafts.test.js
+// /api/drafts/:repId (the idea form kept in the representative's account)
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  repos,
+  startServer,
+  stopServer,
+  request,
+  errorPaths,
+  createUser,
+  createCourse,
+  failRepo,
+  nextCourse,
+  validProject,
+} = require("./helpers");
+
+describe("/api/drafts", () => {
+  let rep;
+
+  before(async () => {
+    await startServer();
+    rep = await createUser("student");
+  });
+  after(stopServer);
+
+  const url = () => `/api/drafts/${rep.studentId}`;
+
+  it("keeps a half-filled form for the rep and gives it back", async () => {
+    const saved = await request("PUT", url(), {
+      headers: rep.headers,
+      body: {
+        teamName: "Half Done",
+        teamSize: "3",
+        projectType: "group",
+        projectDesc: "",
+        members: [{ name: "Sara", studentId: "" }, { name: "", studentId: "2310999" }],
+        secret: "not a form field",
+      },
+    });
+    assert.equal(saved.status, 200);
+    assert.equal(saved.body.msg, "draft saved to your account ✔");
+    assert.ok(saved.body.savedAt);
+
+    const res = await request("GET", url(), { headers: rep.headers });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data, {
+      teamName: "Half Done",
+      teamSize: "3",
+      repId: rep.studentId,
+      projectType: "group",
+      projectDesc: "",
+      members: [
+        { name: "Sara", studentId: "" },
+        { name: "", studentId: "2310999" },
+      ],
+    });
+  });
+
+  it("saving again replaces the draft", async () => {
+    await request("PUT", url(), { headers: rep.headers, body: { teamName: "Second Try" } });
+    const res = await request("GET", url(), { headers: rep.headers });
+    assert.equal(res.body.data.teamName, "Second Try");
+    assert.deepEqual(res.body.data.members, []);
+  });
+
+  it("only for the logged-in representative", async () => {
+    const anonymous = await request("GET", url());
+    assert.equal(anonymous.status, 401);
+
+    const other = await createUser("student");
+    const forbidden = await request("PUT", url(), {
+      headers: other.headers,
+      body: { teamName: "Not Mine" },
+    });
+    assert.equal(forbidden.status, 403);
+    assert.equal(
+      forbidden.body.msg,
+      "drafts are kept under the representative's student id; log in as the representative."
+    );
+
+    const staff = await createUser("instructor");
+    assert.equal((await request("GET", url(), { headers: staff.headers })).status, 403);
+  });
+
+  it("keeps drafts to the sizes of the form", async () => {
+    const res = await request("PUT", url(), {
+      headers: rep.headers,
+      body: {
+        projectName: "x".repeat(61),
+        teamSize: 3,
+        members: Array.from({ length: 5 }, () => ({ name: "A", studentId: "" })),
+      },
+    });
+    assert.equal(res.status, 400);
+    assert.deepEqual(errorPaths(res).sort(), ["members", "projectName", "teamSize"]);
+
+    const badId = await request("GET", "/api/drafts/12", { headers: rep.headers });
+    assert.equal(badId.status, 400);
+    assert.deepEqual(errorPaths(badId), ["repId"]);
+  });
+
+  it("404 without a draft, delete removes it", async () => {
+    const other = await createUser("student");
+    const otherUrl = `/api/drafts/${other.studentId}`;
+    const missing = await request("GET", otherUrl, { headers: other.headers });
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.msg, "no draft saved for this student id.");
+
+    await request("PUT", otherUrl, { headers: other.headers, body: { teamName: "Gone Soon" } });
+    const deleted = await request("DELETE", otherUrl, { headers: other.headers });
+    assert.equal(deleted.status, 200);
+    assert.equal((await request("GET", otherUrl, { headers: other.headers })).status, 404);
+  });
+
+  it("is kept when someone else sends an idea under the rep's id", async () => {
+    await request("PUT", url(), { headers: rep.headers, body: { teamName: "Almost There" } });
+
+    const res = await request("POST", "/api/project", {
+      body: validProject({ repId: rep.studentId }),
+    });
+    assert.equal(res.status, 200);
+    assert.equal((await repos.drafts.find(rep.studentId)).draft.teamName, "Almost There");
+  });
+
+  it("is dropped once the rep submits the idea", async () => {
+    await request("PUT", url(), { headers: rep.headers, body: { teamName: "Almost There" } });
+
+    // (another course: the rep is already in a team of the first one)
+    const course = nextCourse();
+    await createCourse(course);
+    const res = await request("POST", "/api/project", {
+      body: validProject({ repId: rep.studentId, courseCode: course }),
+      headers: rep.headers,
+    });
+    assert.equal(res.status, 200);
+    assert.equal(await repos.drafts.find(rep.studentId), null);
+  });
+
+  it("database errors", async (t) => {
+    failRepo(t, repos.drafts, "save");
+    const res = await request("PUT", url(), { headers: rep.headers, body: {} });
+    assert.equal(res.status, 500);
+    assert.equal(res.body.msg, "database error while saving draft.");
+  });
+});
@@ -0,0 +1,152 @@
+// errors.test.js
+// the error envelope every api error answer shares (backend/errors.js):
+// code, msg, errors, fields; plus the json 404 and the central handler
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  repos,
+  startServer,
+  stopServer,
+  request,
+  createUser,
+  failRepo,
+  validProject,
+} = require("./helpers");
+const { errorBody } = require("../backend/errors");
+
+// the keys every error answer has
+function assertEnvelope(body, code) {
+  assert.equal(body.status, "error");
+  assert.equal(body.code, code);
+  assert.equal(typeof body.msg, "string");
+  assert.ok(body.msg.length > 0);
+  assert.ok(Array.isArray(body.errors));
+  assert.equal(typeof body.fields, "object");
+}
+
+describe("errorBody", () => {
+  it("fills in the code, a msg and the fields map", () => {
+    const body = errorBody(400, {
+      errors: [
+        { type: "field", value: "x", path: "email", msg: "enter a valid email", location: "body" },
+        { path: "email", msg: "email is required." },
+        { path: "teamName", msg: "team name is required." },
+      ],
+    });
+    assert.deepEqual(body, {
+      status: "error",
+      code: "validation_failed",
+      msg: "please check the highlighted fields.",
+      errors: [
+        { path: "email", msg: "enter a valid email" },
+        { path: "email", msg: "email is required." },
+        { path: "teamName", msg: "team name is required." },
+      ],
+      fields: { email: "enter a valid email", teamName: "team name is required." },
+    });
+  });
+
+  it("keeps the route's own code, msg and extra keys", () => {
+    const body = errorBody(429, { code: "rate_limited", msg: "slow down", retryAfter: 60 });
+    assert.equal(body.msg, "slow down");
+    assert.equal(body.retryAfter, 60);
+    assert.deepEqual(errorBody(403, { code: "form_expired" }).code, "form_expired");
+  });
+
+  it("gives every status a code", () => {
+    assert.equal(errorBody(404).code, "not_found");
+    assert.equal(errorBody(409).code, "conflict");
+    assert.equal(errorBody(400).code, "bad_request");
+    assert.equal(errorBody(503).code, "server_error");
+  });
+});
+
+describe("api error answers", () => {
+  before(startServer);
+  after(stopServer);
+
+  it("validation errors", async () => {
+    const res = await request("POST", "/api/contact", { body: { firstName: "S" } });
+    assert.equal(res.status, 400);
+    assertEnvelope(res.body, "validation_failed");
+    assert.equal(
+      res.body.fields.firstName,
+      "first name must be 2–30 letters (any alphabet; spaces, ' and - allowed)."
+    );
+    assert.equal(res.body.fields.email, "email is required.");
+    res.body.errors.forEach((e) => assert.deepEqual(Object.keys(e), ["path", "msg"]));
+  });
+
+  it("not logged in, not allowed, not found, conflict", async () => {
+    const anonymous = await request("GET", "/api/admin/messages");
+    assert.equal(anonymous.status, 401);
+    assertEnvelope(anonymous.body, "unauthorized");
+
+    const student = await createUser("student");
+    const forbidden = await request("GET", "/api/admin/messages", { headers: student.headers });
+    assert.equal(forbidden.status, 403);
+    assertEnvelope(forbidden.body, "forbidden");
+
+    const missing = await request("GET", "/api/projects/999999");
+    assert.equal(missing.status, 404);
+    assertEnvelope(missing.body, "not_found");
+
+    const body = validProject();
+    assert.equal((await request("POST", "/api/project", { body })).status, 200);
+    const taken = await request("POST", "/api/project", {
+      body: { ...body, teamName: "Another Team", projectName: "Another Project" },
+    });
+    assert.equal(taken.status, 409);
+    assertEnvelope(taken.body, "conflict");
+    assert.ok(taken.body.fields.members);
+  });
+
+  it("refused form posts say why in their code", async () => {
+    const res = await request("POST", "/api/contact", { body: {}, formToken: false });
+    assert.equal(res.status, 403);
+    assertEnvelope(res.body, "form_expired");
+  });
+
+  it("database errors", async (t) => {
+    failRepo(t, repos.projects, "list");
+    const res = await request("GET", "/api/projects");
+    assert.equal(res.status, 500);
+    assertEnvelope(res.body, "server_error");
+    assert.equal(res.body.msg, "database error while loading projects.");
+  });
+
+  it("a json 404 for unknown api routes, pages stay html", async () => {
+    const res = await request("POST", "/api/nothing/here", { body: {}, formToken: false });
+    assert.equal(res.status, 404);
+    assertEnvelope(res.body, "not_found");
+    assert.equal(res.body.msg, "there is no api route POST /api/nothing/here.");
+
+    const page = await request("GET", "/nothing-here.html");
+    assert.equal(page.status, 404);
+    assert.equal(page.body, null);
+  });
+
+  it("bodies that are not json", async () => {
+    const res = await request("POST", "/api/auth/login", {
+      body: "{not json",
+      headers: { "content-type": "application/json" },
+    });
+    assert.equal(res.status, 400);
+    assertEnvelope(res.body, "invalid_json");
+    assert.equal(res.body.msg, "the request body is not valid json.");
+  });
+
+  it("in the language of the request", async () => {
+    const res = await request("GET", "/api/no-such-route", {
+      headers: { "accept-language": "ar" },
+    });
+    assert.equal(res.body.msg, "لا يوجد مسار في الواجهة البرمجية GET /api/no-such-route.");
+
+    const invalid = await request("POST", "/api/contact", {
+      body: {},
+      headers: { "accept-language": "ar" },
+    });
+    assert.equal(invalid.body.fields.email, "البريد الإلكتروني مطلوب.");
+  });
+});
@@ -0,0 +1,207 @@
+// export.test.js
+// GET /api/projects/export: csv / xlsx download of the projects list for
+// instructors (backend/export.js + backend/xlsx.js)
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("zlib");
+const { toCsv } = require("../backend/export");
+const { crc32 } = require("../backend/xlsx");
+const {
+  repos,
+  startServer,
+  stopServer,
+  request,
+  errorPaths,
+  createProject,
+  createUser,
+  failRepo,
+  nextStudentId,
+} = require("./helpers");
+
+const COURSE = "EXP101";
+
+// enough of rfc 4180 for these files: quoted cells, "" inside quotes, crlf
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\r" && text[i + 1] === "\n") {
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+      i++;
+    } else {
+      cell += ch;
+    }
+  }
+  return rows;
+}
+
+// zip → { "xl/workbook.xml": "<?xml …", … } (reads the local file headers)
+function unzip(buffer) {
+  const files = {};
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const size = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const extraLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString("utf8", offset + 30, offset + 30 + nameLength);
+    const start = offset + 30 + nameLength + extraLength;
+    const data = zlib.inflateRawSync(buffer.subarray(start, start + size));
+    assert.equal(crc32(data), buffer.readUInt32LE(offset + 14), `crc of ${name}`);
+    files[name] = data.toString("utf8");
+    offset = start + size;
+  }
+  return files;
+}
+
+function download(query, headers) {
+  return request("GET", "/api/projects/export?" + new URLSearchParams(query).toString(), {
+    headers,
+  });
+}
+
+describe("GET /api/projects/export", () => {
+  let staff;
+
+  before(async () => {
+    await startServer();
+    staff = await createUser("instructor");
+
+    await createProject({
+      courseCode: COURSE,
+      teamName: "فريق المكتبة",
+      teamSize: 3,
+      repName: "سارة أحمد",
+      projectName: "نظام إدارة المكتبة",
+      projectDesc: 'books, "loans" and\nreturns',
+      members: [
+        { name: "نورة علي", studentId: nextStudentId() },
+        { name: "Reem Saleh", studentId: nextStudentId() },
+      ],
+    });
+    await createProject({
+      courseCode: COURSE,
+      teamName: "=HYPERLINK(1)",
+      teamSize: 1,
+      projectType: "solo",
+      members: [],
+    });
+    await createProject({ courseCode: "OTHER202", teamName: "Other Course" });
+  });
+  after(stopServer);
+
+  it("is for instructors only", async () => {
+    assert.equal((await download({ course: COURSE })).status, 401);
+
+    const student = await createUser("student");
+    assert.equal((await download({ course: COURSE }, student.headers)).status, 403);
+  });
+
+  it("sends the filtered list as utf-8 csv with one column per member", async () => {
+    const res = await download({ course: COURSE }, staff.headers);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("content-type"), "text/csv; charset=utf-8");
+    assert.match(
+      res.headers.get("content-disposition"),
+      /^attachment; filename="projects-\d{4}-\d{2}-\d{2}\.csv"$/
+    );
+    assert.deepEqual([...res.buffer.subarray(0, 3)], [0xef, 0xbb, 0xbf], "byte order mark");
+
+    const [header, ...rows] = parseCsv(res.text.slice(1));
+    assert.deepEqual(header.slice(-3), ["Submitted", "Member 1", "Member 2"]);
+    assert.equal(rows.length, 2, "only the filtered course");
+
+    const col = (name) => header.indexOf(name);
+    const [solo, library] = rows; // newest first, like the list
+    assert.equal(library[col("Team Name")], "فريق المكتبة");
+    assert.equal(library[col("Representative")], "سارة أحمد");
+    assert.equal(library[col("Description")], 'books, "loans" and\nreturns');
+    assert.match(library[col("Member 1")], /^نورة علي \(\d{7}\)$/);
+    assert.match(library[col("Member 2")], /^Reem Saleh \(\d{7}\)$/);
+    assert.match(library[col("Submitted")], /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}$/);
+    assert.equal(library[col("Rep Email")], "rep@uj.edu.sa");
+
+    // formulas stay text, missing members stay empty
+    assert.equal(solo[col("Team Name")], "'=HYPERLINK(1)");
+    assert.equal(solo[col("Member 1")], "");
+  });
+
+  it("sends an xlsx workbook on format=xlsx", async () => {
+    const res = await download({ course: COURSE, format: "xlsx" }, staff.headers);
+
+    assert.equal(res.status, 200);
+    assert.equal(
+      res.headers.get("content-type"),
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    );
+    assert.match(res.headers.get("content-disposition"), /filename="projects-[\d-]+\.xlsx"/);
+
+    const files = unzip(res.buffer);
+    assert.deepEqual(Object.keys(files).sort(), [
+      "[Content_Types].xml",
+      "_rels/.rels",
+      "xl/_rels/workbook.xml.rels",
+      "xl/styles.xml",
+      "xl/workbook.xml",
+      "xl/worksheets/sheet1.xml",
+    ]);
+
+    const sheet = files["xl/worksheets/sheet1.xml"];
+    assert.equal((sheet.match(/<row /g) || []).length, 3);
+    assert.match(sheet, /<t xml:space="preserve">فريق المكتبة<\/t>/);
+    assert.match(sheet, /books, &quot;loans&quot; and\nreturns/);
+    assert.match(sheet, /<c r="P1" t="inlineStr" s="1"><is><t xml:space="preserve">Member 2</);
+    assert.doesNotMatch(sheet, /Other Course/);
+  });
+
+  it("checks the format and the filters like the list does", async () => {
+    const res = await download({ format: "pdf", sort: "rep_email" }, staff.headers);
+    assert.equal(res.status, 400);
+    assert.deepEqual(errorPaths(res).sort(), ["format", "sort"]);
+  });
+
+  it("answers 500 when the database fails", async (t) => {
+    failRepo(t, repos.projects, "list");
+    const res = await download({}, staff.headers);
+    assert.equal(res.status, 500);
+  });
+});
+
+describe("toCsv", () => {
+  it("quotes only where needed and neutralises formulas", () => {
+    const csv = toCsv(["a", "b"], [[1, "+966 55"], ["x,y", "@sum"], ["-", "plain"]]);
+    assert.equal(
+      csv.toString("utf8"),
+      "\uFEFFa,b\r\n1,'+966 55\r\n\"x,y\",'@sum\r\n'-,plain\r\n"
+    );
+  });
+});
+
+describe("crc32", () => {
+  it("matches the crc-32 zip files use", () => {
+    assert.equal(crc32(Buffer.from("123456789")), 0xcbf43926);
+    assert.equal(crc32(Buffer.alloc(0)), 0);
+    assert.equal(crc32(Buffer.from("The quick brown fox jumps over the lazy dog")), 0x414fa339);
+  });
+});
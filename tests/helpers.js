@@ -0,0 +1,211 @@
+// helpers.js
+// shared setup for the api tests
+//
+// the express app from backend/server.js runs in-process on a random port,
+// on the in-memory storage (STORAGE=memory), so no mysql server is needed.
+// every test file runs in its own process → its own empty store.
+
+process.env.NODE_ENV = "test";
+process.env.STORAGE = "memory";
+process.env.SEED_DEMO_DATA = "false";
+// the rate limits and the time-to-submit check (abuse.js) have their own
+// tests, which set their values before requiring this file
+process.env.FORM_MIN_SECONDS ??= "0";
+process.env.RATE_LIMIT_PER_IP ??= "100000";
+process.env.RATE_LIMIT_PER_EMAIL ??= "100000";
+
+const { once } = require("events");
+const app = require("../backend/server");
+const repos = require("../backend/repositories");
+const auth = require("../backend/auth");
+
+// the routes log every save; keep the test output readable
+console.log = () => {};
+
+let server = null;
+let baseUrl = "";
+
+// the course validProject() submits to
+const DEFAULT_COURSE = "CCSW321";
+
+async function startServer() {
+  server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  await createCourse(DEFAULT_COURSE);
+}
+
+async function stopServer() {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+}
+
+// a fresh form token + its cookie, as the contact and idea pages get them
+// → headers for a post
+async function formTokenHeaders(cookie = "") {
+  const res = await fetch(baseUrl + "/api/form-token", { headers: { cookie } });
+  const { token } = await res.json();
+  const formCookie = res.headers.get("set-cookie").split(";")[0];
+  return {
+    cookie: cookie ? `${cookie}; ${formCookie}` : formCookie,
+    "x-csrf-token": token,
+  };
+}
+
+// → { status, body (parsed json or null), text, buffer (raw bytes), headers }
+// posts carry a form token unless formToken is false
+async function request(
+  method,
+  url,
+  { body, headers = {}, formToken = method === "POST" } = {}
+) {
+  if (formToken) {
+    headers = { ...headers, ...(await formTokenHeaders(headers.cookie)) };
+  }
+
+  // strings are sent as they are (csv uploads), anything else as json
+  const raw = typeof body === "string";
+  const res = await fetch(baseUrl + url, {
+    method,
+    headers:
+      body === undefined || raw
+        ? headers
+        : { "content-type": "application/json", ...headers },
+    body: body === undefined || raw ? body : JSON.stringify(body),
+  });
+
+  const buffer = Buffer.from(await res.arrayBuffer());
+  const text = buffer.toString("utf8");
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch (err) {
+    // html pages, empty bodies
+  }
+  return { status: res.status, body: json, text, buffer, headers: res.headers };
+}
+
+// field names of a 400 response, e.g. ["repId", "members"]
+function errorPaths(res) {
+  return (res.body.errors || []).map((e) => e.path);
+}
+
+// fresh 7-digit student ids, so tests never clash on "one team per course"
+let lastStudentId = 2400000;
+function nextStudentId() {
+  lastStudentId += 1;
+  return String(lastStudentId);
+}
+
+// fresh course codes, so teams of one test never clash with another's
+let lastCourse = 300;
+function nextCourse() {
+  lastCourse += 1;
+  return `CRS${lastCourse}`;
+}
+
+// a body that passes every rule of POST /api/contact (and the contact form)
+function validContact(overrides = {}) {
+  return {
+    firstName: "Sara",
+    lastName: "Ahmed",
+    gender: "female",
+    mobile: "0551234567",
+    dob: "2003-05-17",
+    email: "sara@example.com",
+    language: "en",
+    message: "Hello, I have a question about the course projects.",
+    ...overrides,
+  };
+}
+
+// a body that passes every rule of POST /api/project
+function validProject(overrides = {}) {
+  return {
+    teamName: "Test Team",
+    teamSize: 2,
+    repName: "Rep Person",
+    repId: nextStudentId(),
+    repEmail: "rep@uj.edu.sa",
+    courseCode: DEFAULT_COURSE,
+    category: "se",
+    projectType: "group",
+    projectName: "Test Project",
+    projectDesc: "a description that is long enough",
+    tools: "Node.js",
+    members: [{ name: "Member One", studentId: nextStudentId() }],
+    ...overrides,
+  };
+}
+
+// a course open for submissions, teams of 1–5 (no-op when it exists)
+// overrides use column names: { min_team_size: 2, closes_at: new Date(…) }
+async function createCourse(code, overrides = {}) {
+  if (await repos.courses.findByCode(code)) return;
+  await repos.courses.create({
+    code,
+    title: `Course ${code}`,
+    section: "",
+    instructor_id: null,
+    min_team_size: 1,
+    max_team_size: 5,
+    opens_at: null,
+    closes_at: null,
+    ...overrides,
+  });
+}
+
+// submit a project through the api → { id, editToken, body }
+// (its course is added first when the test has not made it)
+async function createProject(overrides) {
+  const body = validProject(overrides);
+  await createCourse(body.courseCode.toUpperCase());
+  const res = await request("POST", "/api/project", { body });
+  if (res.status !== 200) {
+    throw new Error(`could not create project: ${res.text}`);
+  }
+  return { id: res.body.id, editToken: res.body.editToken, body };
+}
+
+// a user with a live session → { id, studentId, headers } (bearer token)
+let lastUser = 0;
+async function createUser(role = "student", overrides = {}) {
+  lastUser += 1;
+  const studentId = role === "student" ? nextStudentId() : null;
+  const id = await repos.users.create({
+    fullName: `Test ${role}`,
+    email: `${role}${lastUser}@test.local`,
+    studentId,
+    role,
+    passwordHash: await auth.hashPassword("test-password"),
+    ...overrides,
+  });
+  const token = await auth.createSession(id);
+  return { id, studentId, headers: { authorization: `Bearer ${token}` } };
+}
+
+// make one repository method fail like a lost db connection
+// (and keep the route's console.error out of the output)
+function failRepo(t, repo, method) {
+  t.mock.method(console, "error", () => {});
+  t.mock.method(repo, method, async () => {
+    throw new Error("connect ECONNREFUSED (test)");
+  });
+}
+
+module.exports = {
+  repos,
+  startServer,
+  stopServer,
+  request,
+  formTokenHeaders,
+  errorPaths,
+  nextStudentId,
+  nextCourse,
+  validContact,
+  validProject,
+  createCourse,
+  createProject,
+  createUser,
+  failRepo,
+};
@@ -0,0 +1,249 @@
+// i18n.test.js
+// english / arabic: the shared catalogs (js/i18n.js), localized api
+// messages, emails in the sender's language and the pages in arabic
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { JSDOM } = require("jsdom");
+const { repos, startServer, stopServer, request, createUser } = require("./helpers");
+const { loadPage, fill, submit, fieldErrors } = require("./dom-helpers");
+const { CATALOGS, translate, pickLanguage } = require("../js/i18n");
+const { FORM_SCHEMAS, MAJOR_LABELS } = require("../js/validation");
+const { renderEmail } = require("../backend/mail-templates");
+
+const AR = CATALOGS.ar;
+
+// every readable text of the html pages, as translatePage() looks them up
+function pageTexts() {
+  const texts = new Set();
+  const add = (text) => {
+    const key = text.replace(/\s+/g, " ").trim();
+    if (/[A-Za-z]/.test(key)) texts.add(key);
+  };
+  const dir = path.join(__dirname, "..", "html");
+  fs.readdirSync(dir).forEach((file) => {
+    const { document, NodeFilter } = new JSDOM(fs.readFileSync(path.join(dir, file), "utf8"))
+      .window;
+    add(document.title);
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      if (!node.parentElement.closest("script, style, [data-no-i18n]")) add(node.nodeValue);
+    }
+    ["placeholder", "aria-label", "title", "alt"].forEach((name) =>
+      document.querySelectorAll(`[${name}]`).forEach((e) => add(e.getAttribute(name)))
+    );
+  });
+  return [...texts];
+}
+
+// every message of the shared form schemas
+function schemaMessages(schema, out = []) {
+  Object.values(schema).forEach((rule) => {
+    if (rule.required) out.push(rule.required);
+    if (rule.message) out.push(rule.message);
+    if (rule.items) schemaMessages(rule.items, out);
+  });
+  return out;
+}
+
+describe("translate / pickLanguage", () => {
+  it("looks texts up and fills placeholders", () => {
+    assert.equal(translate("ar", "Projects"), "المشاريع");
+    assert.equal(translate("ar", "page {page} of {pages}", { page: 2, pages: 5 }), "صفحة 2 من 5");
+    assert.equal(translate("en", "page {page} of {pages}", { page: 2, pages: 5 }), "page 2 of 5");
+  });
+
+  it("matches a finished english message back to its key", () => {
+    assert.equal(
+      translate("ar", "there is no course CCSW999, please choose your course from the list"),
+      "لا يوجد مقرر CCSW999، اختر مقررك من القائمة"
+    );
+  });
+
+  it("keeps texts it has no entry for", () => {
+    assert.equal(translate("ar", "Mail Tracker"), "Mail Tracker");
+    assert.equal(translate("fr", "Projects"), "Projects");
+  });
+
+  it("picks the best language of an Accept-Language header", () => {
+    assert.equal(pickLanguage("ar-SA,ar;q=0.9,en;q=0.8"), "ar");
+    assert.equal(pickLanguage("fr-FR,en;q=0.5,ar;q=0.7"), "ar");
+    assert.equal(pickLanguage("fr-FR, de"), "en");
+    assert.equal(pickLanguage("ar;q=0"), "en");
+    assert.equal(pickLanguage(undefined), "en");
+  });
+});
+
+describe("arabic catalog", () => {
+  it("has every text of the html pages", () => {
+    assert.deepEqual(pageTexts().filter((text) => !(text in AR)), []);
+  });
+
+  it("has every form schema message and major", () => {
+    const messages = Object.values(FORM_SCHEMAS).flatMap((schema) => schemaMessages(schema));
+    assert.deepEqual(messages.filter((msg) => !(msg in AR)), []);
+    assert.deepEqual(Object.values(MAJOR_LABELS).filter((label) => !(label in AR)), []);
+  });
+
+  it("keeps the placeholders of every key", () => {
+    const names = (text) => (text.match(/\{\w+\}/g) || []).sort();
+    Object.entries(AR).forEach(([key, text]) => assert.deepEqual(names(text), names(key), key));
+  });
+});
+
+describe("localized api messages", () => {
+  before(startServer);
+  after(stopServer);
+
+  it("answers field errors in arabic for Accept-Language: ar", async () => {
+    const res = await request("POST", "/api/contact", {
+      body: { firstName: "S" },
+      headers: { "accept-language": "ar-SA,ar;q=0.9" },
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.headers.get("content-language"), "ar");
+    assert.match(res.headers.get("vary"), /Accept-Language/);
+
+    const byPath = Object.fromEntries(res.body.errors.map((e) => [e.path, e.msg]));
+    assert.equal(
+      byPath.firstName,
+      AR["first name must be 2–30 letters (any alphabet; spaces, ' and - allowed)."]
+    );
+    assert.equal(byPath.email, AR["email is required."]);
+  });
+
+  it("fills values into translated messages", async () => {
+    const res = await request("GET", "/api/projects?limit=1000", {
+      headers: { "accept-language": "ar" },
+    });
+    assert.equal(res.status, 400);
+    assert.match(res.body.errors[0].msg, /^يجب أن يكون الحد بين 1 و\d+$/);
+  });
+
+  it("stays english without an arabic Accept-Language", async () => {
+    const res = await request("POST", "/api/contact", { body: { firstName: "S" } });
+    assert.equal(res.headers.get("content-language"), "en");
+    assert.ok(res.body.errors.some((e) => e.msg === "email is required."));
+  });
+
+  it("never translates the data, only messages", async () => {
+    const staff = await createUser("instructor");
+    const res = await request("GET", "/api/projects", {
+      headers: { ...staff.headers, "accept-language": "ar" },
+    });
+    assert.equal(res.status, 200);
+    res.body.data.forEach((p) => assert.ok(["group", "solo"].includes(p.project_type)));
+  });
+
+  it("replies in the language chosen on the contact form", async () => {
+    const staff = await createUser("instructor");
+    const id = await repos.contact.create({
+      firstName: "Nora",
+      lastName: "Saleh",
+      gender: "female",
+      mobile: "0551234567",
+      dob: "2002-01-10",
+      email: "nora.ar@example.com",
+      language: "ar",
+      message: "متى موعد التسليم؟",
+    });
+
+    const res = await request("POST", `/api/admin/messages/${id}/reply`, {
+      body: { reply: "الأحد القادم" },
+      headers: staff.headers,
+      formToken: false,
+    });
+    assert.equal(res.status, 200);
+
+    const pending = await repos.emails.due(new Date(Date.now() + 1000), 1000);
+    const email = pending.find((e) => e.to_address === "nora.ar@example.com");
+    assert.equal(email.subject, AR["Re: your message to ClassMate Idea Hub"]);
+    assert.match(email.body_text, /الأحد القادم/);
+  });
+});
+
+describe("emails in the sender's language", () => {
+  const MESSAGE = {
+    first_name: "Sara",
+    message: "when is the deadline?",
+    created_at: "2025-03-01T10:00:00Z",
+  };
+
+  it("writes the frame in arabic, the reply as typed", () => {
+    const { subject, text } = renderEmail(
+      "contactReply",
+      { message: MESSAGE, reply: "next sunday" },
+      "ar"
+    );
+    assert.equal(subject, AR["Re: your message to ClassMate Idea Hub"]);
+    assert.match(text, /^مرحبًا Sara،/);
+    assert.match(text, /next sunday/);
+  });
+
+  it("writes both languages for language = both", () => {
+    const { subject } = renderEmail("contactReply", { message: MESSAGE, reply: "hi" }, "both");
+    assert.equal(
+      subject,
+      `${AR["Re: your message to ClassMate Idea Hub"]} / Re: your message to ClassMate Idea Hub`
+    );
+  });
+});
+
+describe("pages in arabic", () => {
+  it("translates the page, turns it right to left and offers english", async () => {
+    const { window, document } = await loadPage("index.html", { language: "ar" });
+    window.initLanguage();
+
+    assert.equal(document.documentElement.lang, "ar");
+    assert.equal(document.documentElement.dir, "rtl");
+    assert.equal(document.title, AR["ClassMate • Idea Hub — Home"]);
+    assert.equal(document.querySelector('.nav a[href="projects.html"]').textContent, "المشاريع");
+
+    const switcher = document.querySelector(".nav .lang-switch");
+    assert.equal(switcher.textContent, "English");
+    switcher.click();
+    assert.equal(window.localStorage.getItem("classmate.lang"), "en");
+  });
+
+  it("stays english and left to right by default, offering arabic", async () => {
+    const { window, document } = await loadPage("index.html");
+    window.initLanguage();
+
+    assert.equal(document.documentElement.dir, "ltr");
+    assert.equal(document.querySelector('.nav a[href="projects.html"]').textContent, "Projects");
+    assert.equal(document.querySelector(".nav .lang-switch").textContent, "العربية");
+  });
+
+  it("shows form errors in arabic and asks the api for arabic", async () => {
+    const { window, document, calls } = await loadPage("contact-us.html", {
+      language: "ar",
+      respond: () => ({ status: "ok", msg: "تم استلام رسالتك بنجاح ✔" }),
+    });
+    window.initLanguage();
+    window.initContactForm();
+    const form = document.getElementById("contactForm");
+
+    await submit(window, form);
+    assert.equal(fieldErrors(form).firstName, AR["first name is required."]);
+    assert.equal(
+      document.querySelector("#contactErrors h2").textContent,
+      AR["there are some problems with your form:"]
+    );
+
+    fill(form, {
+      firstName: "Sara",
+      lastName: "Ahmed",
+      gender: "female",
+      mobile: "0551234567",
+      dob: "2003-05-17",
+      email: "sara@example.com",
+      language: "ar",
+      message: "Hello, I have a question about the course projects.",
+    });
+    await submit(window, form);
+    assert.equal(calls.fetch[0].headers["Accept-Language"], "ar");
+  });
+});
@@ -0,0 +1,155 @@
+// import-page.test.js
+// initImportPage() on import-projects.html in jsdom: preview first, then
+// import the same file, edit links shown as text; the same for class lists
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage, submit, settle } = require("./dom-helpers");
+
+const CSV = "Team Name,Course\r\nTeam A,CCSW321\r\n";
+
+const PREVIEW = {
+  status: "ok",
+  total: 2,
+  valid: 1,
+  invalid: 1,
+  rows: [
+    {
+      row: 2,
+      teamName: "Team A",
+      courseCode: "CCSW321",
+      projectName: "Idea",
+      teamSize: "2",
+      errors: [],
+    },
+    {
+      row: 3,
+      teamName: "<b>Team B</b>",
+      courseCode: "CCSW321",
+      projectName: "x",
+      teamSize: "2",
+      errors: [{ path: "projectName", msg: "project title must be 3–60 characters." }],
+    },
+  ],
+};
+
+const IMPORTED = {
+  status: "ok",
+  msg: "1 project(s) imported ✔",
+  imported: [{ row: 2, id: 7, teamName: "Team A", editUrl: "/idea.html?edit=7&token=abc" }],
+  skipped: [PREVIEW.rows[1]],
+};
+
+async function importPage(respond, inputId = "importFile") {
+  const page = await loadPage("import-projects.html", { respond });
+  const input = page.document.getElementById(inputId);
+  Object.defineProperty(input, "files", {
+    value: [{ name: "teams.csv", text: async () => CSV }],
+  });
+  page.window.initImportPage();
+  return page;
+}
+
+describe("initImportPage", () => {
+  it("previews the file, then imports exactly that file", async () => {
+    const { window, document, calls } = await importPage((url) =>
+      url.endsWith("/preview") ? PREVIEW : IMPORTED
+    );
+
+    await submit(window, document.getElementById("importForm"));
+    const [preview] = calls.fetch;
+    assert.equal(preview.url, "/api/projects/import/preview");
+    assert.equal(preview.method, "POST");
+    assert.equal(preview.headers["Content-Type"], "text/csv");
+    assert.equal(preview.body, CSV);
+
+    assert.equal(document.getElementById("importPreview").hidden, false);
+    assert.match(
+      document.getElementById("importSummary").textContent,
+      /1 ready to import, 1 with problems/
+    );
+    const rows = document.querySelectorAll("#importRows tr");
+    assert.equal(rows.length, 2);
+    assert.equal(rows[1].className, "import-invalid");
+    assert.equal(rows[1].cells[1].textContent, "<b>Team B</b>");
+    assert.equal(
+      rows[1].querySelector("li").textContent,
+      "project title must be 3–60 characters."
+    );
+
+    document.getElementById("importCommit").click();
+    await settle();
+
+    assert.equal(calls.fetch[1].url, "/api/projects/import");
+    assert.equal(calls.fetch[1].body, CSV);
+    assert.equal(document.getElementById("importStatus").className, "success-msg");
+    assert.equal(document.getElementById("importPreview").hidden, true);
+    const link = document.querySelector("#importResultList a");
+    assert.equal(link.getAttribute("href"), "/idea.html?edit=7&token=abc");
+  });
+
+  it("shows why a file was refused and does not offer the import", async () => {
+    const { window, document } = await importPage(() => ({
+      status: "error",
+      msg: "the file is missing the column(s): repName.",
+    }));
+
+    await submit(window, document.getElementById("importForm"));
+
+    const status = document.getElementById("importStatus");
+    assert.equal(status.className, "error-box");
+    assert.equal(status.textContent, "the file is missing the column(s): repName.");
+    assert.equal(document.getElementById("importPreview").hidden, true);
+  });
+
+  it("imports class lists with the second form", async () => {
+    const { window, document, calls } = await importPage(
+      (url) =>
+        url.endsWith("/preview")
+          ? {
+              status: "ok",
+              total: 1,
+              valid: 1,
+              invalid: 0,
+              courses: [{ code: "CCSW321", students: 1 }],
+              rows: [
+                {
+                  row: 2,
+                  courseCode: "CCSW321",
+                  studentId: "2310001",
+                  fullName: "Sara Ahmed",
+                  email: "",
+                  errors: [],
+                },
+              ],
+            }
+          : {
+              status: "ok",
+              msg: "1 student(s) imported into 1 course roster(s) ✔",
+              courses: [{ code: "CCSW321", students: 1 }],
+              skipped: [],
+            },
+      "rosterImportFile"
+    );
+
+    await submit(window, document.getElementById("rosterImportForm"));
+    assert.equal(calls.fetch[0].url, "/api/rosters/import/preview");
+    const cells = Array.from(
+      document.querySelectorAll("#rosterImportRows td"),
+      (td) => td.textContent
+    );
+    assert.deepEqual(cells, ["2", "CCSW321", "2310001", "Sara Ahmed", "-", "ok"]);
+    assert.equal(document.getElementById("importPreview").hidden, true, "teams form untouched");
+
+    document.getElementById("rosterImportCommit").click();
+    await settle();
+
+    assert.equal(calls.fetch[1].url, "/api/rosters/import");
+    assert.equal(calls.fetch[1].body, CSV);
+    assert.equal(document.getElementById("rosterImportResult").hidden, false);
+    assert.equal(
+      document.getElementById("rosterImportResultList").textContent,
+      "CCSW321: 1 student(s)"
+    );
+  });
+});
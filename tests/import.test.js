@@ -0,0 +1,260 @@
+// import.test.js
+// csv import of projects for instructors (backend/import.js):
+// POST /api/projects/import/preview (dry run) and POST /api/projects/import
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseCsv } = require("../backend/import");
+const {
+  repos,
+  startServer,
+  stopServer,
+  request,
+  createCourse,
+  createProject,
+  createUser,
+  failRepo,
+  nextCourse,
+  nextStudentId,
+} = require("./helpers");
+
+const HEADER =
+  "Team Name,Representative,Rep Student ID,Rep Email,Course,Major,Project Name,Description,Member 1,Member 2";
+
+// one csv line for a valid team of three
+function teamLine(course, overrides = {}) {
+  const team = {
+    team: "Import Team",
+    rep: "Rep Person",
+    repId: nextStudentId(),
+    email: "rep@uj.edu.sa",
+    course,
+    major: "se",
+    title: "Imported Idea",
+    description: "an idea that came in from a csv file",
+    member1: `Member One (${nextStudentId()})`,
+    member2: `Member Two (${nextStudentId()})`,
+    ...overrides,
+  };
+  return Object.values(team)
+    .map((v) => (/[",\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v))
+    .join(",");
+}
+
+function csv(...lines) {
+  return [HEADER, ...lines].join("\r\n") + "\r\n";
+}
+
+function upload(path, text, headers) {
+  return request("POST", path, {
+    body: text,
+    headers: { "content-type": "text/csv", ...headers },
+    formToken: false,
+  });
+}
+
+describe("parseCsv", () => {
+  it("reads quotes, line breaks in cells, lf endings and a byte order mark", () => {
+    assert.deepEqual(parseCsv('\uFEFFa,b\n"x, ""y""","two\nlines"\n\n,\nlast,row'), [
+      ["a", "b"],
+      ['x, "y"', "two\nlines"],
+      ["last", "row"],
+    ]);
+  });
+});
+
+describe("POST /api/projects/import/preview", () => {
+  const course = nextCourse();
+  let staff;
+
+  before(async () => {
+    await startServer();
+    await createCourse(course);
+    staff = await createUser("instructor");
+  });
+  after(stopServer);
+
+  it("is for instructors only", async () => {
+    const file = csv(teamLine(course));
+    assert.equal((await upload("/api/projects/import/preview", file)).status, 401);
+
+    const student = await createUser("student");
+    const res = await upload("/api/projects/import/preview", file, student.headers);
+    assert.equal(res.status, 403);
+  });
+
+  it("checks every row like the idea form and saves nothing", async () => {
+    const taken = await createProject({ courseCode: course, teamName: "Old Team" });
+    const repeated = nextStudentId();
+
+    const file = csv(
+      teamLine(course, { team: "فريق التطبيق", rep: "سارة أحمد" }),
+      teamLine(course, { email: "not-an-email", major: "history" }),
+      teamLine(course, { member1: `Ali (${taken.body.repId})` }),
+      teamLine(course, { member2: `Twice (${repeated})` }),
+      teamLine(course, { member2: `Again (${repeated})` })
+    );
+    const res = await upload("/api/projects/import/preview", file, staff.headers);
+
+    assert.equal(res.status, 200);
+    assert.deepEqual([res.body.total, res.body.valid, res.body.invalid], [5, 2, 3]);
+
+    const [arabic, invalid, inTeam, first, second] = res.body.rows;
+    assert.equal(arabic.row, 2);
+    assert.equal(arabic.teamName, "فريق التطبيق");
+    assert.equal(arabic.teamSize, "3", "size follows the members");
+    assert.deepEqual(arabic.errors, []);
+
+    assert.deepEqual(invalid.errors.map((e) => e.path).sort(), ["category", "repEmail"]);
+    assert.match(inTeam.errors[0].msg, /already in team "Old Team"/);
+    assert.deepEqual(first.errors, []);
+    assert.match(second.errors[0].msg, new RegExp(`student ${repeated} is already in row 5`));
+
+    const { total } = await repos.projects.list({ course, page: 1, limit: 10, sort: "id" });
+    assert.equal(total, 1, "only the project made by the test");
+  });
+
+  it("refuses files it cannot read", async () => {
+    const missing = await upload(
+      "/api/projects/import/preview",
+      "Team Name,Course\r\nA,CCSW321\r\n",
+      staff.headers
+    );
+    assert.equal(missing.status, 400);
+    assert.match(missing.body.msg, /missing the column\(s\): repName, repId, repEmail/);
+
+    const empty = await upload("/api/projects/import/preview", HEADER + "\r\n", staff.headers);
+    assert.equal(empty.status, 400);
+    assert.match(empty.body.msg, /no rows after the header/);
+
+    const json = await request("POST", "/api/projects/import/preview", {
+      body: { csv: "x" },
+      headers: staff.headers,
+    });
+    assert.equal(json.status, 400);
+    assert.match(json.body.msg, /upload a csv file/);
+  });
+});
+
+describe("POST /api/projects/import", () => {
+  const course = nextCourse();
+  let staff;
+
+  before(async () => {
+    await startServer();
+    await createCourse(course);
+    staff = await createUser("instructor");
+  });
+  after(stopServer);
+
+  it("saves the valid rows with members and gives each team an edit link", async () => {
+    const file = csv(
+      teamLine(course, { team: "First Import" }),
+      teamLine(course, { title: "x" }),
+      teamLine(course, { team: "Second Import", member2: "" })
+    );
+    const res = await upload("/api/projects/import", file, staff.headers);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.msg, "2 project(s) imported ✔");
+    assert.deepEqual(res.body.imported.map((p) => [p.row, p.teamName]), [
+      [2, "First Import"],
+      [4, "Second Import"],
+    ]);
+    assert.deepEqual(res.body.skipped.map((r) => r.row), [3]);
+
+    const first = await repos.projects.findById(res.body.imported[0].id);
+    assert.equal(first.status, "submitted");
+    assert.deepEqual(first.members.map((m) => m.name), ["Member One", "Member Two"]);
+    const second = await repos.projects.findById(res.body.imported[1].id);
+    assert.equal(second.team_size, 2);
+
+    // the edit link works like the one from idea.html
+    const { editUrl, id } = res.body.imported[0];
+    const token = new URL(editUrl, "http://x").searchParams.get("token");
+    const own = await request("GET", `/api/projects/${id}`, {
+      headers: { "x-edit-token": token },
+    });
+    assert.equal(own.body.data.rep_email, "rep@uj.edu.sa");
+  });
+
+  it("reads back a csv from the export", async () => {
+    const exportCourse = nextCourse();
+    await createProject({ courseCode: exportCourse, teamName: "Exported Team" });
+    const exported = await request("GET", `/api/projects/export?course=${exportCourse}`, {
+      headers: staff.headers,
+    });
+
+    // same teams in a new course, with new student ids
+    const [header, ...rows] = parseCsv(exported.text);
+    const col = (name) => header.indexOf(name);
+    const newCourse = nextCourse();
+    await createCourse(newCourse);
+    rows.forEach((r) => {
+      r[col("Course")] = newCourse;
+      r[col("Rep Student ID")] = nextStudentId();
+      r[col("Member 1")] = `Member One (${nextStudentId()})`;
+    });
+    const text = [header, ...rows].map((r) => r.map((c) => `"${c}"`).join(",")).join("\n");
+
+    const res = await upload("/api/projects/import", text, staff.headers);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.imported[0].teamName, "Exported Team");
+  });
+
+  it("saves nothing when no row is valid", async () => {
+    const res = await upload(
+      "/api/projects/import",
+      csv(teamLine(course, { repId: "12" })),
+      staff.headers
+    );
+    assert.equal(res.status, 400);
+    assert.equal(res.body.skipped[0].errors[0].path, "repId");
+  });
+
+  it("rolls everything back when a student was taken after the checks", async (t) => {
+    const before = (await repos.projects.list({ course, page: 1, limit: 100, sort: "id" })).total;
+    const clash = { student_id: "2399999", team_name: "Fast Team", project_id: 1 };
+    t.mock.method(repos.projects, "createMany", async () => ({ index: 1, conflicts: [clash] }));
+
+    const res = await upload(
+      "/api/projects/import",
+      csv(teamLine(course, { team: "Ok One" }), teamLine(course, { team: "Late One" })),
+      staff.headers
+    );
+
+    assert.equal(res.status, 409);
+    assert.match(res.body.msg, /row 3 clashes .* nothing was imported/);
+    assert.match(res.body.errors[0].msg, /already in team "Fast Team"/);
+    const after = (await repos.projects.list({ course, page: 1, limit: 100, sort: "id" })).total;
+    assert.equal(after, before);
+  });
+
+  it("answers 500 when the database fails", async (t) => {
+    failRepo(t, repos.projects, "createMany");
+    const res = await upload("/api/projects/import", csv(teamLine(course)), staff.headers);
+    assert.equal(res.status, 500);
+    assert.match(res.body.msg, /nothing was imported/);
+  });
+});
+
+describe("memory createMany", () => {
+  it("keeps the store unchanged when two items share a student", async () => {
+    const { createRepositories } = require("../backend/repositories");
+    const { projects } = createRepositories("memory");
+    const shared = { name: "Shared", studentId: "2300001", isRep: false };
+    const item = (team_name, repId) => ({
+      project: { team_name, course_code: "MEM101", team_size: 2 },
+      team: [{ name: "Rep", studentId: repId, isRep: true }, shared],
+      editTokenHash: "x",
+    });
+
+    const result = await projects.createMany([item("A", "2300002"), item("B", "2300003")]);
+    assert.equal(result.index, 1);
+    assert.equal(result.conflicts[0].student_id, "2300001");
+    assert.equal(
+      (await projects.list({ page: 1, limit: 10, sort: "id" })).total,
+      0
+    );
+  });
+});
@@ -0,0 +1,182 @@
+// inbox.test.js
+// /api/admin/messages (instructor inbox for contact messages)
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  repos,
+  startServer,
+  stopServer,
+  request,
+  errorPaths,
+  createUser,
+  failRepo,
+} = require("./helpers");
+
+describe("/api/admin/messages", () => {
+  let staff;
+  const ids = [];
+
+  before(async () => {
+    await startServer();
+    staff = await createUser("instructor");
+
+    const languages = ["en", "ar", "both"];
+    for (let i = 0; i < 3; i++) {
+      ids.push(
+        await repos.contact.create({
+          firstName: "Sender",
+          lastName: `Number${i}`,
+          gender: "male",
+          mobile: "0551234567",
+          dob: "2002-02-02",
+          email: `sender${i}@example.com`,
+          language: languages[i],
+          message: `question number ${i} `.repeat(10),
+        })
+      );
+    }
+  });
+  after(stopServer);
+
+  const get = (url) => request("GET", url, { headers: staff.headers });
+
+  it("is for staff only", async () => {
+    const student = await createUser("student");
+    assert.equal((await request("GET", "/api/admin/messages")).status, 401);
+    assert.equal(
+      (await request("GET", "/api/admin/messages", { headers: student.headers })).status,
+      403
+    );
+  });
+
+  it("lists messages newest first with short previews", async () => {
+    const res = await get("/api/admin/messages");
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.total, 3);
+    assert.deepEqual(res.body.data.map((m) => m.id), [...ids].reverse());
+    assert.equal(res.body.data[0].preview.length, 120);
+    assert.equal(res.body.data[0].message, undefined);
+  });
+
+  it("filters by language and date", async () => {
+    let res = await get("/api/admin/messages?language=ar");
+    assert.deepEqual(res.body.data.map((m) => m.id), [ids[1]]);
+
+    res = await get("/api/admin/messages?to=2000-01-01");
+    assert.equal(res.body.total, 0);
+
+    const today = new Date();
+    const pad = (n) => String(n).padStart(2, "0");
+    const ymd = `${today.getFullYear()}-${pad(today.getMonth() + 1)}-${pad(today.getDate())}`;
+    res = await get(`/api/admin/messages?from=${ymd}&to=${ymd}`);
+    assert.equal(res.body.total, 3);
+  });
+
+  it("marks messages and counts unread ones", async () => {
+    let res = await request("PATCH", `/api/admin/messages/${ids[0]}`, {
+      headers: staff.headers,
+      body: { replied: true },
+    });
+    assert.equal(res.status, 200);
+
+    res = await request("PATCH", `/api/admin/messages/${ids[1]}`, {
+      headers: staff.headers,
+      body: { archived: true },
+    });
+    assert.equal(res.status, 200);
+
+    // replied implies read
+    const message = (await get(`/api/admin/messages/${ids[0]}`)).body.data;
+    assert.ok(message.read_at);
+    assert.ok(message.replied_at);
+
+    res = await get("/api/admin/messages/count");
+    assert.deepEqual(
+      { total: res.body.total, unread: res.body.unread },
+      { total: 3, unread: 1 }
+    );
+
+    res = await get("/api/admin/messages?state=archived");
+    assert.deepEqual(res.body.data.map((m) => m.id), [ids[1]]);
+    res = await get("/api/admin/messages");
+    assert.equal(res.body.total, 2);
+  });
+
+  it("keeps internal notes with their author", async () => {
+    const res = await request("POST", `/api/admin/messages/${ids[2]}/notes`, {
+      headers: staff.headers,
+      body: { note: "answered in class" },
+    });
+    assert.equal(res.status, 200);
+
+    const message = (await get(`/api/admin/messages/${ids[2]}`)).body.data;
+    assert.deepEqual(
+      message.notes.map((n) => [n.note, n.author]),
+      [["answered in class", "Test instructor"]]
+    );
+  });
+
+  it("answers 404 for unknown messages", async () => {
+    assert.equal((await get("/api/admin/messages/9999")).status, 404);
+    assert.equal(
+      (await request("PATCH", "/api/admin/messages/9999", {
+        headers: staff.headers,
+        body: { read: true },
+      })).status,
+      404
+    );
+    assert.equal(
+      (await request("POST", "/api/admin/messages/9999/notes", {
+        headers: staff.headers,
+        body: { note: "hello" },
+      })).status,
+      404
+    );
+  });
+
+  it("validates filters, flags and notes", async () => {
+    for (const query of ["state=new", "language=fr", "from=yesterday", "limit=500", "page=0"]) {
+      const res = await get(`/api/admin/messages?${query}`);
+      assert.equal(res.status, 400, query);
+      assert.deepEqual(errorPaths(res), [query.split("=")[0]]);
+    }
+
+    let res = await request("PATCH", `/api/admin/messages/${ids[0]}`, {
+      headers: staff.headers,
+      body: { read: "yes" },
+    });
+    assert.equal(res.status, 400);
+
+    res = await request("PATCH", `/api/admin/messages/${ids[0]}`, {
+      headers: staff.headers,
+      body: {},
+    });
+    assert.equal(res.status, 400);
+
+    res = await request("POST", `/api/admin/messages/${ids[0]}/notes`, {
+      headers: staff.headers,
+      body: { note: " " },
+    });
+    assert.equal(res.status, 400);
+    assert.deepEqual(errorPaths(res), ["note"]);
+  });
+
+  // [method, url, repository method]
+  const failing = [
+    ["GET", "/api/admin/messages/count", "counts"],
+    ["GET", "/api/admin/messages", "list"],
+    ["GET", "/api/admin/messages/1", "findById"],
+    ["PATCH", "/api/admin/messages/1", "setFlags", { read: true }],
+    ["POST", "/api/admin/messages/1/notes", "addNote", { note: "hi" }],
+  ];
+
+  failing.forEach(([method, url, repoMethod, body]) => {
+    it(`answers 500 for ${method} ${url} when the db fails`, async (t) => {
+      failRepo(t, repos.contact, repoMethod);
+      const res = await request(method, url, { headers: staff.headers, body });
+      assert.equal(res.status, 500);
+    });
+  });
+});
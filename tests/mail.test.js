@@ -0,0 +1,358 @@
+// mail.test.js
+// outgoing emails: message format, the smtp / file transports, the outbox
+// queue with retries (mailer.js) and the emails queued by the routes
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const net = require("net");
+const { once } = require("events");
+const {
+  repos,
+  startServer,
+  stopServer,
+  request,
+  errorPaths,
+  validProject,
+  createCourse,
+  createProject,
+  createUser,
+  failRepo,
+} = require("./helpers");
+const { formatMessage, SmtpTransport, FileTransport } = require("../backend/mail-transports");
+const { Mailer } = require("../backend/mailer");
+const { createRepositories } = require("../backend/repositories");
+
+const EMAIL = {
+  from: "ClassMate Idea Hub <no-reply@classmate.test>",
+  to: "سارة <sara@example.com>",
+  subject: "Idea received: نظام إدارة المكتبة الجامعية",
+  text: "Hello Sara,\n.a line starting with a dot\nbye",
+};
+
+// the text/plain body of a formatted message, decoded
+function bodyOf(raw) {
+  const [, body] = raw.split("\r\n\r\n");
+  return Buffer.from(body.replace(/\r\n/g, ""), "base64").toString("utf8");
+}
+
+// every email in the outbox that is still waiting, for one address
+async function queuedFor(address) {
+  const pending = await repos.emails.due(new Date(Date.now() + 1000), 1000);
+  return pending.filter((e) => e.to_address === address);
+}
+
+describe("formatMessage", () => {
+  it("encodes arabic headers and keeps the body as utf-8", () => {
+    const raw = formatMessage(EMAIL);
+
+    const subject = /^Subject: (.*(?:\r\n .*)*)/m.exec(raw)[1];
+    const decoded = subject
+      .split("\r\n ")
+      .map((word) => Buffer.from(/^=\?UTF-8\?B\?(.*)\?=$/.exec(word)[1], "base64"))
+      .join("");
+    assert.equal(decoded, EMAIL.subject);
+    assert.match(raw, /^To: =\?UTF-8\?B\?[^?]+\?= <sara@example.com>$/m);
+    assert.equal(bodyOf(raw), EMAIL.text.replace(/\n/g, "\r\n"));
+  });
+
+  it("never lets a subject add headers", () => {
+    const raw = formatMessage({ ...EMAIL, subject: "hi\r\nBcc: all@example.com" });
+    assert.doesNotMatch(raw, /^Bcc:/m);
+    assert.match(raw, /^Subject: hi Bcc: all@example.com$/m);
+  });
+});
+
+describe("SmtpTransport", () => {
+  // a tiny smtp server: answers every command with `answers[verb]` or 250,
+  // records the commands and the message data
+  async function fakeSmtp(answers = {}) {
+    const seen = { commands: [], data: "" };
+    const server = net.createServer((socket) => {
+      let buffer = "";
+      let inData = false;
+      socket.write("220 fake.smtp ready\r\n");
+      socket.on("data", (chunk) => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf("\r\n")) !== -1) {
+          const line = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          if (inData) {
+            if (line === ".") {
+              inData = false;
+              socket.write("250 queued\r\n");
+            } else {
+              seen.data += line + "\r\n";
+            }
+            continue;
+          }
+          seen.commands.push(line);
+          const verb = line.split(/[ :]/)[0].toUpperCase();
+          if (verb === "EHLO") socket.write("250-fake.smtp\r\n250 8BITMIME\r\n");
+          else if (verb === "DATA") {
+            inData = true;
+            socket.write("354 go on\r\n");
+          } else if (verb === "QUIT") socket.end("221 bye\r\n");
+          // like a server without tls
+          else if (verb === "STARTTLS") socket.write("502 not implemented\r\n");
+          else socket.write(`${answers[verb] || "250 ok"}\r\n`);
+        }
+      });
+    });
+    server.listen(0, "127.0.0.1");
+    await once(server, "listening");
+    const options = { host: "127.0.0.1", port: server.address().port, secure: false };
+    return { server, seen, options };
+  }
+
+  it("hands the message to the server", async () => {
+    const { server, seen, options } = await fakeSmtp();
+    await new SmtpTransport({ ...options, user: "" }).send(EMAIL);
+    server.close();
+
+    assert.deepEqual(seen.commands.slice(1, 4), [
+      "MAIL FROM:<no-reply@classmate.test>",
+      "RCPT TO:<sara@example.com>",
+      "DATA",
+    ]);
+    assert.match(seen.commands[0], /^EHLO /);
+    assert.equal(bodyOf(seen.data), EMAIL.text.replace(/\n/g, "\r\n"));
+  });
+
+  it("marks a refused address as permanent", async () => {
+    const { server, options } = await fakeSmtp({ RCPT: "550 no such user" });
+    await assert.rejects(new SmtpTransport({ ...options, user: "" }).send(EMAIL), (err) => {
+      assert.match(err.message, /550 no such user/);
+      assert.equal(err.permanent, true);
+      return true;
+    });
+    server.close();
+  });
+
+  it("does not send a password without tls", async () => {
+    const { server, seen, options } = await fakeSmtp();
+    const transport = new SmtpTransport({ ...options, user: "u", password: "secret" });
+    await assert.rejects(transport.send(EMAIL), /STARTTLS/);
+    server.close();
+    assert.equal(seen.commands.some((c) => c.includes("AUTH")), false);
+  });
+
+  it("gives up on a server that never answers", async () => {
+    const sockets = [];
+    const server = net.createServer((socket) => sockets.push(socket)); // no greeting
+    server.listen(0, "127.0.0.1");
+    await once(server, "listening");
+
+    const transport = new SmtpTransport(
+      { host: "127.0.0.1", port: server.address().port, secure: false, user: "" },
+      { timeoutMs: 200 }
+    );
+    await assert.rejects(transport.send(EMAIL), (err) => err.permanent === false);
+    sockets.forEach((s) => s.destroy());
+    server.close();
+  });
+});
+
+describe("FileTransport", () => {
+  it("writes one .eml file per email", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "classmate-mail-"));
+    const file = await new FileTransport(path.join(dir, "outbox")).send(EMAIL);
+
+    assert.equal(path.extname(file), ".eml");
+    assert.equal(bodyOf(fs.readFileSync(file, "utf8")), EMAIL.text.replace(/\n/g, "\r\n"));
+    fs.rmSync(dir, { recursive: true });
+  });
+});
+
+describe("Mailer", () => {
+  const MESSAGE = {
+    message: {
+      first_name: "Sara",
+      message: "when is the deadline?",
+      created_at: new Date(),
+    },
+    reply: "next sunday",
+  };
+
+  function mailer(send) {
+    const { emails } = createRepositories("memory");
+    const sent = [];
+    const transport = {
+      name: "test",
+      send: send || (async (email) => sent.push(email)),
+    };
+    const m = new Mailer({
+      emails,
+      transport,
+      from: "hub@classmate.test",
+      maxAttempts: 3,
+      retryMinutes: 1,
+      pollSeconds: 60,
+    });
+    return { m, emails, sent };
+  }
+
+  it("sends queued emails once", async () => {
+    const { m, emails, sent } = mailer();
+    const id = await m.queue("contactReply", "sara@example.com", MESSAGE);
+
+    assert.deepEqual(await m.processQueue(), { sent: 1, retried: 0, failed: 0 });
+    assert.deepEqual(await m.processQueue(), { sent: 0, retried: 0, failed: 0 });
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].from, "hub@classmate.test");
+    assert.match(sent[0].text, /next sunday\n[\s\S]*> when is the deadline\?/);
+    assert.equal((await emails.findById(id)).status, "sent");
+  });
+
+  it("retries later, longer each time, then gives up", async (t) => {
+    t.mock.method(console, "error", () => {});
+    const { m, emails } = mailer(async () => {
+      throw new Error("connect ECONNREFUSED");
+    });
+    const id = await m.queue("contactReply", "sara@example.com", MESSAGE);
+    const start = new Date();
+    const minutes = (n) => new Date(start.getTime() + n * 60 * 1000);
+
+    assert.deepEqual(await m.processQueue(start), { sent: 0, retried: 1, failed: 0 });
+    assert.equal((await emails.findById(id)).next_attempt_at.getTime(), minutes(1).getTime());
+    assert.equal((await m.processQueue(minutes(0.5))).retried, 0, "not due yet");
+
+    await m.processQueue(minutes(1));
+    assert.equal((await emails.findById(id)).next_attempt_at.getTime(), minutes(3).getTime());
+
+    assert.deepEqual(await m.processQueue(minutes(3)), { sent: 0, retried: 0, failed: 1 });
+    const email = await emails.findById(id);
+    assert.equal(email.status, "failed");
+    assert.equal(email.attempts, 3);
+    assert.equal(email.last_error, "connect ECONNREFUSED");
+  });
+
+  it("gives up at once when the server refuses the address", async (t) => {
+    t.mock.method(console, "error", () => {});
+    const { m, emails } = mailer(async () => {
+      throw Object.assign(new Error("550 no such user"), { permanent: true });
+    });
+    const id = await m.queue("contactReply", "nobody@example.com", MESSAGE);
+
+    assert.deepEqual(await m.processQueue(), { sent: 0, retried: 0, failed: 1 });
+    assert.equal((await emails.findById(id)).attempts, 1);
+  });
+});
+
+describe("emails queued by the routes", () => {
+  let staff;
+
+  before(async () => {
+    await startServer();
+    staff = await createUser("instructor", { email: "prof.mail@uj.edu.sa" });
+    await createCourse("MAIL101", { instructor_id: staff.id });
+  });
+  after(stopServer);
+
+  it("sends the team a receipt and the instructor a notice for a new idea", async () => {
+    const { id, editToken } = await createProject({
+      courseCode: "MAIL101",
+      repEmail: "team.rep@uj.edu.sa",
+      projectName: "Mail Tracker",
+    });
+
+    const [receipt] = await queuedFor("team.rep@uj.edu.sa");
+    assert.equal(receipt.template, "submissionReceipt");
+    assert.equal(receipt.subject, "Idea received: Mail Tracker (MAIL101)");
+    assert.match(receipt.body_text, /Member 1: Member One \(\d{7}\)/);
+    assert.ok(
+      receipt.body_text.includes(`http://localhost:3000/idea.html?edit=${id}&token=${editToken}`)
+    );
+
+    const [notice] = await queuedFor("prof.mail@uj.edu.sa");
+    assert.equal(notice.template, "newIdea");
+    assert.match(notice.body_text, new RegExp(`/project.html\\?id=${id}\\b`));
+    assert.doesNotMatch(notice.body_text, /token=/, "the edit link is only for the team");
+  });
+
+  it("tells the team about a review decision", async () => {
+    const { id } = await createProject({ repEmail: "reviewed.rep@uj.edu.sa" });
+
+    await request("POST", `/api/projects/${id}/status`, {
+      body: { status: "needs_changes", feedback: "please add a timeline" },
+      headers: staff.headers,
+    });
+
+    const emails = await queuedFor("reviewed.rep@uj.edu.sa");
+    const email = emails.find((e) => e.template === "statusChanged");
+    assert.match(email.subject, /^Your idea is needs changes/);
+    assert.match(email.body_text, /please add a timeline/);
+  });
+
+  it("writes to the team and the instructor in the language the idea was sent in", async () => {
+    const body = validProject({ courseCode: "MAIL101", repEmail: "arabic.rep@uj.edu.sa" });
+    const res = await request("POST", "/api/project", {
+      body,
+      headers: { "accept-language": "ar" },
+    });
+    assert.equal(res.status, 200);
+
+    const notices = await queuedFor("prof.mail@uj.edu.sa");
+    const notice = notices.find((e) => e.body_text.includes(`id=${res.body.id}`));
+    assert.match(notice.subject, /^فكرة جديدة في MAIL101/);
+
+    // the review is done in english, the team still reads arabic
+    await request("POST", `/api/projects/${res.body.id}/status`, {
+      body: { status: "approved" },
+      headers: staff.headers,
+    });
+    const emails = await queuedFor("arabic.rep@uj.edu.sa");
+    const email = emails.find((e) => e.template === "statusChanged");
+    assert.match(email.subject, /^فكرتك /);
+  });
+
+  it("still saves the idea when the email can't be queued", async (t) => {
+    failRepo(t, repos.emails, "create");
+    const res = await request("POST", "/api/project", {
+      body: validProject(),
+    });
+    assert.equal(res.status, 200);
+  });
+
+  describe("POST /api/admin/messages/:id/reply", () => {
+    let messageId;
+
+    before(async () => {
+      messageId = await repos.contact.create({
+        firstName: "Sara",
+        lastName: "Ahmed",
+        gender: "female",
+        mobile: "0551234567",
+        dob: "2003-05-17",
+        email: "sara.contact@example.com",
+        language: "en",
+        message: "when is the deadline?",
+      });
+    });
+
+    const reply = (id, body, headers = staff.headers) =>
+      request("POST", `/api/admin/messages/${id}/reply`, { body, headers, formToken: false });
+
+    it("is for staff only and needs a reply", async () => {
+      assert.equal((await reply(messageId, { reply: "hi" }, {})).status, 401);
+      assert.deepEqual(errorPaths(await reply(messageId, { reply: "  " })), ["reply"]);
+      assert.equal((await reply(99999, { reply: "hi" })).status, 404);
+    });
+
+    it("emails the sender, marks the message replied and keeps a note", async () => {
+      const res = await reply(messageId, { reply: "next sunday at noon" });
+      assert.equal(res.status, 200);
+
+      const [email] = await queuedFor("sara.contact@example.com");
+      assert.equal(email.template, "contactReply");
+      assert.match(email.body_text, /next sunday at noon[\s\S]*> when is the deadline\?/);
+
+      const message = await repos.contact.findById(messageId);
+      assert.ok(message.replied_at);
+      assert.equal(message.notes[0].note, "replied by email: next sunday at noon");
+    });
+  });
+});
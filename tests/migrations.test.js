@@ -0,0 +1,56 @@
+// migrations.test.js
+// what the migrations write into existing data, run against a fake db that
+// records the queries (the sql itself is only run by npm run migrate)
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const courses = require("../backend/migrations/010_courses");
+const { repos, startServer, stopServer, request, createUser } = require("./helpers");
+
+// db.query() that answers selects with the given rows and keeps every call
+function fakeDb(rows) {
+  const calls = [];
+  return {
+    calls,
+    async query(sql, params = []) {
+      calls.push({ sql: sql.trim(), params });
+      return [/^select/i.test(sql.trim()) ? rows : { affectedRows: 0 }];
+    },
+  };
+}
+
+describe("010_courses", () => {
+  let staff;
+
+  before(async () => {
+    await startServer();
+    staff = await createUser("instructor");
+  });
+  after(stopServer);
+
+  it("seeds old courses with a team size limit the course rules accept", async () => {
+    const db = fakeDb([
+      { course_code: "OLD101", biggest: 8 },
+      { course_code: "OLD202", biggest: 3 },
+    ]);
+    await courses.up(db);
+
+    const seeded = db.calls
+      .filter((c) => c.sql.startsWith("insert into courses"))
+      .map((c) => c.params);
+    assert.deepEqual(seeded, [
+      ["OLD101", "OLD101", 5],
+      ["OLD202", "OLD202", 3],
+    ]);
+
+    // saving a migrated course unchanged goes through PUT /api/courses/:code
+    for (const [code, title, maxTeamSize] of seeded) {
+      await repos.courses.create({ code, title, min_team_size: 1, max_team_size: maxTeamSize });
+      const res = await request("PUT", `/api/courses/${code}`, {
+        body: { title, minTeamSize: 1, maxTeamSize },
+        headers: staff.headers,
+      });
+      assert.equal(res.status, 200, JSON.stringify(res.body));
+    }
+  });
+});
@@ -0,0 +1,369 @@
+// openapi.test.js
+// the OpenAPI document (backend/openapi.js) against the real api: the same
+// routes, limits the routes really enforce, answers in the documented shape;
+// plus the docs page that draws it
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+// helpers first: it sets up the test environment the server reads
+const {
+  repos,
+  startServer,
+  stopServer,
+  request,
+  createUser,
+  createProject,
+  validProject,
+  nextStudentId,
+} = require("./helpers");
+const app = require("../backend/server");
+const inboxRouter = require("../backend/inbox");
+const draftsRouter = require("../backend/drafts");
+const rostersRouter = require("../backend/rosters");
+const coursesRouter = require("../backend/courses");
+const { openApiSpec } = require("../backend/openapi");
+const { FORM_SCHEMAS } = require("../js/validation");
+const { loadPage, fill, submit, settle } = require("./dom-helpers");
+
+const METHODS = ["get", "post", "put", "patch", "delete"];
+
+// "/api/projects/:id" → "/api/projects/{id}"
+function openApiPath(path) {
+  return path.replace(/:(\w+)/g, "{$1}");
+}
+
+// "/^\/api\/admin\/messages\/?(?=\/|$)/i" → "/api/admin/messages"
+function mountPath(layer) {
+  return layer.regexp.source
+    .replace("^", "")
+    .replace("\\/?(?=\\/|$)", "")
+    .replace(/\\\//g, "/");
+}
+
+// every "METHOD /api/…" express answers, routers mounted under /api included
+function liveRoutes() {
+  const routes = [];
+  const add = (prefix, route) =>
+    Object.keys(route.methods).forEach((method) =>
+      routes.push(`${method} ${openApiPath(prefix + (route.path === "/" ? "" : route.path))}`)
+    );
+
+  app._router.stack.forEach((layer) => {
+    if (layer.route) add("", layer.route);
+    if ([inboxRouter, draftsRouter, rostersRouter, coursesRouter].includes(layer.handle)) {
+      layer.handle.stack.forEach((inner) => inner.route && add(mountPath(layer), inner.route));
+    }
+  });
+  return routes.filter((r) => r.split(" ")[1].startsWith("/api/")).sort();
+}
+
+function specRoutes() {
+  return Object.entries(openApiSpec.paths)
+    .flatMap(([path, item]) =>
+      METHODS.filter((method) => item[method]).map((method) => `${method} ${path}`)
+    )
+    .sort();
+}
+
+// "#/components/…" → the part of the document it points to
+function resolve(schema) {
+  let out = schema;
+  while (out && out.$ref) {
+    out = out.$ref
+      .split("/")
+      .slice(1)
+      .reduce((node, key) => node[key], openApiSpec);
+  }
+  return out;
+}
+
+// a value against a schema → list of problems ([] when it fits)
+// (the subset of json schema the document uses)
+function problems(schema, value, at = "body") {
+  const s = resolve(schema);
+  if (value === null || value === undefined) {
+    return s.nullable ? [] : [`${at} is ${value}`];
+  }
+  if (s.allOf) return s.allOf.flatMap((part) => problems(part, value, at));
+
+  const out = [];
+  if (s.type === "object") {
+    if (typeof value !== "object" || Array.isArray(value)) return [`${at} is not an object`];
+    (s.required || []).forEach((key) => {
+      if (!(key in value)) out.push(`${at}.${key} is missing`);
+    });
+    Object.entries(s.properties || {}).forEach(([key, property]) => {
+      if (key in value) out.push(...problems(property, value[key], `${at}.${key}`));
+    });
+    if (typeof s.additionalProperties === "object") {
+      Object.entries(value).forEach(([key, item]) =>
+        out.push(...problems(s.additionalProperties, item, `${at}.${key}`))
+      );
+    }
+  } else if (s.type === "array") {
+    if (!Array.isArray(value)) return [`${at} is not an array`];
+    value.forEach((item, i) => out.push(...problems(s.items, item, `${at}[${i}]`)));
+  } else if (s.type === "integer") {
+    if (!Number.isInteger(value)) out.push(`${at} is not an integer`);
+  } else if (s.type === "number") {
+    if (typeof value !== "number") out.push(`${at} is not a number`);
+  } else if (s.type && typeof value !== s.type) {
+    out.push(`${at} is not a ${s.type}`);
+  }
+  if (s.enum && !s.enum.includes(value)) out.push(`${at} is not one of ${s.enum.join(", ")}`);
+  return out;
+}
+
+// the answer of one operation fits what the document says for its status
+function assertDocumented(method, path, res) {
+  const op = openApiSpec.paths[path][method];
+  assert.ok(op.responses[res.status], `${method} ${path} does not document ${res.status}`);
+  const { content } = resolve(op.responses[res.status]);
+  assert.deepEqual(
+    problems(content["application/json"].schema, res.body),
+    [],
+    `${method} ${path} → ${res.status}`
+  );
+}
+
+describe("openapi document", () => {
+  it("describes every api route express has, and only those", () => {
+    const live = liveRoutes();
+    const documented = specRoutes();
+    assert.deepEqual(
+      live.filter((r) => !documented.includes(r)),
+      [],
+      "routes missing from backend/openapi.js"
+    );
+    assert.deepEqual(
+      documented.filter((r) => !live.includes(r)),
+      [],
+      "documented routes that do not exist"
+    );
+  });
+
+  it("gives every operation a tag, a summary and its answers", () => {
+    const tags = openApiSpec.tags.map((tag) => tag.name);
+    Object.entries(openApiSpec.paths).forEach(([path, item]) =>
+      METHODS.filter((method) => item[method]).forEach((method) => {
+        const op = item[method];
+        assert.ok(op.summary, `${method} ${path} has no summary`);
+        assert.ok(op.tags.every((tag) => tags.includes(tag)), `${method} ${path} tags`);
+        assert.ok(Object.keys(op.responses).some((s) => s < 300), `${method} ${path} answers`);
+        const params = (path.match(/\{(\w+)\}/g) || []).map((p) => p.slice(1, -1));
+        const inPath = (op.parameters || []).filter((p) => p.in === "path").map((p) => p.name);
+        assert.deepEqual(inPath, params, `${method} ${path} path parameters`);
+      })
+    );
+  });
+
+  it("takes the form bodies from the shared schemas", () => {
+    const { schemas } = openApiSpec.components;
+    const project = schemas.ProjectForm;
+    assert.equal(project.properties.teamName.maxLength, FORM_SCHEMAS.project.teamName.max);
+    assert.equal(project.properties.teamSize.maximum, FORM_SCHEMAS.project.teamSize.max);
+    assert.deepEqual(project.properties.category.enum, FORM_SCHEMAS.project.category.oneOf);
+    assert.equal(project.properties.members.items.properties.studentId.pattern, "^\\d{7}$");
+    assert.ok(!project.required.includes("tools"));
+    assert.equal(schemas.ContactForm.properties.dob.format, "date");
+  });
+
+  it("only points to parts of the document that exist", () => {
+    const refs = JSON.stringify(openApiSpec).match(/"\$ref":"[^"]+"/g);
+    refs.forEach((ref) => {
+      const target = JSON.parse(`{${ref}}`).$ref;
+      assert.ok(resolve({ $ref: target }), target);
+    });
+  });
+});
+
+describe("the document against the live api", () => {
+  before(startServer);
+  after(stopServer);
+
+  it("is served as json, the same in every language", async () => {
+    const res = await request("GET", "/api/openapi.json", {
+      headers: { "accept-language": "ar" },
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, JSON.parse(JSON.stringify(openApiSpec)));
+  });
+
+  it("documents limits the routes really enforce", async () => {
+    const cases = [
+      ["/api/contact", "ContactForm", {
+        firstName: "Sara",
+        lastName: "Ahmed",
+        gender: "female",
+        mobile: "0551234567",
+        dob: "2003-05-17",
+        email: "sara@example.com",
+        language: "en",
+        message: "a question about the projects",
+      }],
+      ["/api/project", "ProjectForm", validProject()],
+    ];
+
+    for (const [url, name, body] of cases) {
+      const { properties } = openApiSpec.components.schemas[name];
+      for (const [field, schema] of Object.entries(properties)) {
+        if (schema.maxLength === undefined) continue;
+        const res = await request("POST", url, {
+          body: { ...body, [field]: "a".repeat(schema.maxLength + 1) },
+        });
+        assert.equal(res.status, 400, `${url} ${field}`);
+        assert.ok(res.body.fields[field], `${url} ${field}`);
+      }
+    }
+  });
+
+  it("accepts every documented choice of a query parameter", async () => {
+    const staff = await createUser("instructor");
+    for (const [path, item] of Object.entries(openApiSpec.paths)) {
+      const op = item.get;
+      if (!op || path.includes("{")) continue;
+      for (const p of op.parameters || []) {
+        for (const value of p.schema.enum || []) {
+          const res = await request("GET", `${path}?${p.name}=${value}`, {
+            headers: staff.headers,
+          });
+          assert.notEqual(res.status, 400, `${path}?${p.name}=${value}: ${res.text}`);
+        }
+      }
+    }
+  });
+
+  it("answers in the documented shape", async () => {
+    const staff = await createUser("instructor");
+    const student = await createUser("student");
+    const { id, body } = await createProject();
+    await repos.tasks.create({
+      projectId: id,
+      title: "write the report",
+      assignee: body.repId,
+      dueDate: "2025-12-31",
+      status: "todo",
+    });
+    await repos.contact.create({
+      firstName: "Nora",
+      lastName: "Saleh",
+      gender: "female",
+      mobile: "0551234567",
+      dob: "2002-01-10",
+      email: "nora@example.com",
+      language: "en",
+      message: "when is the deadline?",
+    });
+
+    const gets = [
+      ["/api/projects", "/api/projects", {}],
+      ["/api/projects", "/api/projects", staff.headers],
+      ["/api/projects/{id}", `/api/projects/${id}`, {}],
+      ["/api/projects/{id}", `/api/projects/${id}`, staff.headers],
+      ["/api/projects/similar", "/api/projects/similar?course=CCSW321&title=Test%20Project", {}],
+      ["/api/courses", "/api/courses", {}],
+      ["/api/courses/{code}/settings", "/api/courses/CCSW321/settings", staff.headers],
+      ["/api/auth/me", "/api/auth/me", {}],
+      ["/api/auth/me", "/api/auth/me", student.headers],
+      ["/api/form-token", "/api/form-token", {}],
+      ["/api/students/{sid}/work", `/api/students/${body.repId}/work`, staff.headers],
+      ["/api/admin/messages", "/api/admin/messages", staff.headers],
+      ["/api/admin/messages/count", "/api/admin/messages/count", staff.headers],
+      ["/api/stats", "/api/stats?interval=week", staff.headers],
+      ["/api/drafts/{repId}", `/api/drafts/${student.studentId}`, student.headers],
+      ["/api/projects/{id}", "/api/projects/999999", {}],
+      ["/api/admin/messages", "/api/admin/messages", student.headers],
+    ];
+    for (const [path, url, headers] of gets) {
+      assertDocumented("get", path, await request("GET", url, { headers }));
+    }
+
+    const list = await request("GET", "/api/admin/messages", { headers: staff.headers });
+    const message = list.body.data[0].id;
+    assertDocumented(
+      "get",
+      "/api/admin/messages/{id}",
+      await request("GET", `/api/admin/messages/${message}`, { headers: staff.headers })
+    );
+
+    const saved = await request("POST", "/api/project", {
+      body: validProject({ teamName: "Shape Team", projectName: "Shape Check" }),
+    });
+    assertDocumented("post", "/api/project", saved);
+    assertDocumented(
+      "post",
+      "/api/project",
+      await request("POST", "/api/project", { body: { teamName: "x" } })
+    );
+    assertDocumented(
+      "post",
+      "/api/courses",
+      await request("POST", "/api/courses", {
+        body: { code: "ccsw999", title: "Shapes", minTeamSize: 1, maxTeamSize: 3 },
+        headers: staff.headers,
+        formToken: false,
+      })
+    );
+    assertDocumented(
+      "post",
+      "/api/auth/register",
+      await request("POST", "/api/auth/register", {
+        body: {
+          fullName: "New Student",
+          email: "new.student@example.com",
+          studentId: nextStudentId(),
+          password: "long enough password",
+        },
+        formToken: false,
+      })
+    );
+  });
+});
+
+describe("api-docs.html", () => {
+  const SPEC = JSON.parse(JSON.stringify(openApiSpec));
+
+  function respond(url) {
+    return url === "/api/openapi.json" ? SPEC : { status: "ok", data: [] };
+  }
+
+  it("draws one block per route, grouped by tag", async () => {
+    const { window, document } = await loadPage("api-docs.html", { respond });
+    window.initApiDocs();
+    await settle();
+
+    const sections = document.querySelectorAll("#apiDocs section");
+    assert.equal(sections.length, SPEC.tags.length);
+    assert.equal(document.querySelectorAll("#apiDocs details").length, specRoutes().length);
+    assert.match(document.getElementById("apiDocsStatus").textContent, /OpenAPI 3\.0\.3/);
+
+    const submitIdea = [...document.querySelectorAll("#apiDocs details")].find(
+      (d) => d.querySelector("summary code").textContent === "/api/project"
+    );
+    const teamName = [...submitIdea.querySelectorAll("tbody tr")].find(
+      (row) => row.cells[0].textContent === "teamName"
+    );
+    assert.equal(teamName.cells[1].textContent, "string, 3–50 characters, required");
+    assert.match(submitIdea.textContent, /anyone, with a form token/);
+  });
+
+  it("sends a route from the page and shows the answer", async () => {
+    const { window, document, calls } = await loadPage("api-docs.html", { respond });
+    window.initApiDocs();
+    await settle();
+
+    const detail = [...document.querySelectorAll("#apiDocs details")].find(
+      (d) =>
+        d.querySelector("summary code").textContent === "/api/projects/{id}" &&
+        d.querySelector(".api-method").textContent === "GET"
+    );
+    const form = detail.querySelector("form.api-try");
+    fill(form, { id: "7" });
+    await submit(window, form);
+
+    const call = calls.fetch[calls.fetch.length - 1];
+    assert.equal(call.url, "/api/projects/7");
+    assert.equal(call.method, "GET");
+    assert.match(detail.querySelector(".api-output").textContent, /^HTTP 200\n\n\{\n {2}"status": "ok"/);
+  });
+});
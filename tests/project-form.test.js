@@ -0,0 +1,589 @@
+// project-form.test.js
+// initProjectForm() on idea.html (new idea + edit link), in jsdom
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { COURSES, loadPage, fill, submit, settle, fieldErrors } = require("./dom-helpers");
+
+const VALID = {
+  teamName: "Test Team",
+  repName: "Rep Person",
+  repId: "2310001",
+  repEmail: "rep@uj.edu.sa",
+  courseCode: "CCSW321",
+  category: "se",
+  projectType: "group",
+  projectName: "Test Project",
+  projectDesc: "a description that is long enough",
+  tools: "Node.js",
+};
+
+async function setup(options) {
+  const page = await loadPage("idea.html", options);
+  page.window.initProjectForm();
+  await settle(); // the course dropdown is filled from GET /api/courses
+  page.form = page.document.getElementById("projectForm");
+  return page;
+}
+
+// pick a team size the way a user does (fires change → member rows)
+function chooseTeamSize({ window, form }, size) {
+  form.teamSize.value = String(size);
+  form.teamSize.dispatchEvent(new window.Event("change"));
+}
+
+// what a user typing into a field fires (bubbles up to the form)
+function typeInto({ window }, input) {
+  input.dispatchEvent(new window.Event("input", { bubbles: true }));
+}
+
+function fillMembers(form, members) {
+  const names = form.querySelectorAll(".member-name-input");
+  const ids = form.querySelectorAll(".member-id-input");
+  members.forEach(([name, id], i) => {
+    names[i].value = name;
+    ids[i].value = id;
+  });
+}
+
+describe("initProjectForm (new idea)", () => {
+  it("renders one member row per other team member", async () => {
+    const page = await setup();
+
+    chooseTeamSize(page, 4);
+    assert.equal(page.form.querySelectorAll(".member-name-input").length, 3);
+
+    chooseTeamSize(page, 1);
+    assert.equal(page.form.querySelectorAll(".member-name-input").length, 0);
+  });
+
+  it("posts the idea with a members array and shows the edit link", async () => {
+    const page = await setup({
+      respond: (url) =>
+        url.startsWith("/api/projects/similar")
+          ? { status: "ok", data: [] }
+          : {
+              status: "ok",
+              msg: "team project idea saved successfully ✔",
+              id: 7,
+              editToken: "abc",
+              editUrl: "/idea.html?edit=7&token=abc",
+            },
+    });
+    const { window, document, form, calls } = page;
+    fill(form, VALID);
+    chooseTeamSize(page, 3);
+    fillMembers(form, [["Member One", "2310002"], ["Member Two", "2310003"]]);
+
+    await submit(window, form);
+
+    assert.equal(calls.fetch.length, 2);
+    const post = calls.fetch[1];
+    assert.equal(post.url, "/api/project");
+    assert.equal(post.method, "POST");
+    assert.deepEqual(post.body.members, [
+      { name: "Member One", studentId: "2310002" },
+      { name: "Member Two", studentId: "2310003" },
+    ]);
+    assert.equal(post.body.teamSize, "3");
+    assert.equal(post.body.website, "");
+    assert.equal(post.headers["X-CSRF-Token"], "test-token");
+
+    const box = document.getElementById("projectErrors");
+    assert.equal(box.className, "success-msg");
+    assert.equal(
+      box.querySelector("a").getAttribute("href"),
+      "/idea.html?edit=7&token=abc"
+    );
+    assert.equal(form.querySelectorAll(".member-name-input").length, 0);
+  });
+
+  describe("similar ideas", () => {
+    const MATCHES = [
+      {
+        id: 4,
+        team_name: "Book Worms",
+        project_name: "Library System",
+        score: 0.87,
+        same_title: false,
+      },
+      {
+        id: 9,
+        team_name: "<b>Shelf</b>",
+        project_name: "Test Project",
+        score: 1,
+        same_title: true,
+      },
+    ];
+
+    // similar check answers with `matches`, the post with a saved idea
+    async function setupSimilar(matches, blockDuplicateTitles = false) {
+      const page = await setup({
+        respond: (url) =>
+          url.startsWith("/api/projects/similar")
+            ? { status: "ok", data: matches, blockDuplicateTitles }
+            : { status: "ok", msg: "saved", id: 12 },
+      });
+      fill(page.form, VALID);
+      chooseTeamSize(page, 1);
+      return page;
+    }
+
+    it("are shown before the idea is sent", async () => {
+      const { window, document, form, calls } = await setupSimilar(MATCHES);
+
+      await submit(window, form);
+
+      assert.equal(calls.fetch.length, 1);
+      const url = new URL(calls.fetch[0].url, "http://localhost");
+      assert.equal(url.pathname, "/api/projects/similar");
+      assert.equal(url.searchParams.get("course"), VALID.courseCode);
+      assert.equal(url.searchParams.get("title"), VALID.projectName);
+      assert.equal(url.searchParams.get("description"), VALID.projectDesc);
+
+      const box = document.getElementById("similarIdeas");
+      assert.equal(box.hidden, false);
+      const items = box.querySelectorAll("#similarIdeasList li");
+      assert.equal(items.length, 2);
+      assert.equal(items[0].textContent, "Library System — team Book Worms (87% similar)");
+      assert.equal(items[1].textContent, "Test Project — team <b>Shelf</b> (same title)");
+      assert.equal(items[0].querySelector("a").getAttribute("href"), "project.html?id=4");
+      assert.equal(document.getElementById("similarConfirm").hidden, false);
+    });
+
+    it("sends the idea once the team confirms", async () => {
+      const { window, document, form, calls } = await setupSimilar(MATCHES);
+      await submit(window, form);
+
+      document.getElementById("similarConfirm").click();
+      await settle();
+
+      assert.equal(calls.fetch.length, 2, "no second similar check");
+      assert.equal(calls.fetch[1].url, "/api/project");
+      assert.equal(document.getElementById("similarIdeas").hidden, true);
+      assert.equal(document.getElementById("projectErrors").className, "success-msg");
+    });
+
+    it("asks again when the idea was changed", async () => {
+      const { window, document, form, calls } = await setupSimilar(MATCHES);
+      await submit(window, form);
+
+      document.getElementById("similarBack").click();
+      assert.equal(document.getElementById("similarIdeas").hidden, true);
+
+      form.projectName.value = "Library Tracker";
+      await submit(window, form);
+
+      assert.equal(calls.fetch.length, 2);
+      assert.match(calls.fetch[1].url, /^\/api\/projects\/similar\?/);
+      assert.equal(document.getElementById("similarIdeas").hidden, false);
+    });
+
+    it("offer no way around a blocked duplicate title", async () => {
+      const { window, document, form, calls } = await setupSimilar(MATCHES, true);
+
+      await submit(window, form);
+
+      assert.equal(calls.fetch.length, 1);
+      assert.equal(document.getElementById("similarConfirm").hidden, true);
+      assert.match(
+        document.getElementById("similarIdeasNote").textContent,
+        /does not allow two ideas with the same title/
+      );
+    });
+
+    it("don't hold up an idea when there are none", async () => {
+      const { window, form, calls } = await setupSimilar([]);
+
+      await submit(window, form);
+
+      assert.equal(calls.fetch.length, 2);
+      assert.equal(calls.fetch[1].url, "/api/project");
+    });
+  });
+
+  it("blocks bad fields before sending", async () => {
+    const page = await setup();
+    const { window, form, calls } = page;
+    fill(form, { ...VALID, repId: "123", courseCode: "321ccsw", projectDesc: "short" });
+    chooseTeamSize(page, 2);
+    fillMembers(form, [["Member One", "2310002"]]);
+
+    await submit(window, form);
+
+    assert.equal(calls.fetch.length, 0);
+    assert.deepEqual(Object.keys(fieldErrors(form)).sort(), [
+      "courseCode",
+      "projectDesc",
+      "repId",
+    ]);
+  });
+
+  it("checks member ids and duplicates", async () => {
+    const page = await setup();
+    const { window, form, calls } = page;
+    fill(form, VALID);
+    chooseTeamSize(page, 3);
+    fillMembers(form, [["Member One", "12ab"], ["Member Two", VALID.repId]]);
+
+    await submit(window, form);
+
+    assert.equal(calls.fetch.length, 0);
+    const rows = form.querySelectorAll("#membersContainer .form-row");
+    assert.deepEqual(
+      Array.from(rows).map((row) => row.querySelector(".error-message").textContent),
+      ["member student id must be exactly 7 digits.", "each student can only be listed once."]
+    );
+  });
+
+  it("needs a team size and a project type", async () => {
+    const { window, form, calls } = await setup();
+    fill(form, { ...VALID, projectType: "" });
+
+    await submit(window, form);
+
+    assert.equal(calls.fetch.length, 0);
+    assert.ok(fieldErrors(form).teamSize);
+    assert.ok(
+      form.querySelector('input[name="projectType"]').closest(".field-error")
+    );
+  });
+
+  it("lists server errors such as taken students", async () => {
+    const page = await setup({
+      respond: () => ({
+        status: "error",
+        msg: "some students are already in another team for this course.",
+        errors: [{ path: "members", msg: 'student 2310002 is already in team "X" for CCSW321' }],
+      }),
+    });
+    const { window, document, form } = page;
+    fill(form, VALID);
+    chooseTeamSize(page, 2);
+    fillMembers(form, [["Member One", "2310002"]]);
+
+    await submit(window, form);
+
+    const box = document.getElementById("projectErrors");
+    assert.equal(box.className, "error-box");
+    assert.match(box.querySelector("li").textContent, /2310002/);
+    assert.equal(form.teamName.value, VALID.teamName, "form is kept");
+  });
+
+  it("puts server field errors under their inputs, member rows included", async () => {
+    const page = await setup({
+      respond: () => ({
+        status: "error",
+        code: "validation_failed",
+        msg: "please check the highlighted fields.",
+        errors: [
+          { path: "projectName", msg: "an idea with this title already exists in CCSW321." },
+          { path: "members[0].studentId", msg: "member student id must be exactly 7 digits." },
+        ],
+      }),
+    });
+    const { window, document, form, calls } = page;
+    fill(form, VALID);
+    chooseTeamSize(page, 2);
+    fillMembers(form, [["Member One", "2310002"]]);
+
+    await submit(window, form);
+
+    assert.equal(calls.alert.length, 0);
+    assert.equal(
+      fieldErrors(form).projectName,
+      "an idea with this title already exists in CCSW321."
+    );
+    // name + id of a member share one row
+    const memberRow = form.querySelector(".member-id-input").closest(".field-error");
+    assert.equal(
+      memberRow.querySelector(".error-message").textContent,
+      "member student id must be exactly 7 digits."
+    );
+    const box = document.getElementById("projectErrors");
+    assert.equal(box.querySelectorAll("li").length, 2);
+  });
+});
+
+describe("initProjectForm (drafts)", () => {
+  const DRAFT = {
+    savedAt: "2025-03-01T10:00:00.000Z",
+    values: {
+      ...VALID,
+      teamSize: "3",
+      members: [
+        { name: "Member One", studentId: "2310002" },
+        { name: "Member Two", studentId: "" },
+      ],
+    },
+  };
+
+  // idea.html with a draft left in this browser by an earlier visit
+  async function setupWithDraft(options) {
+    const page = await loadPage("idea.html", options);
+    page.window.localStorage.setItem("classmate.ideaDraft", JSON.stringify(DRAFT));
+    page.window.initProjectForm();
+    await settle();
+    page.form = page.document.getElementById("projectForm");
+    return page;
+  }
+
+  function savedDraft({ window }) {
+    return JSON.parse(window.localStorage.getItem("classmate.ideaDraft"));
+  }
+
+  it("changing the team size keeps what was typed for the members", async () => {
+    const page = await setup();
+    const { form } = page;
+    chooseTeamSize(page, 4);
+    fillMembers(form, [["Member One", "2310002"], ["Member Two", "2310003"], ["Member Three", ""]]);
+
+    chooseTeamSize(page, 2);
+    assert.equal(form.querySelector(".member-name-input").value, "Member One");
+
+    chooseTeamSize(page, 4);
+    const names = Array.from(form.querySelectorAll(".member-name-input"), (i) => i.value);
+    const ids = Array.from(form.querySelectorAll(".member-id-input"), (i) => i.value);
+    assert.deepEqual(names, ["Member One", "Member Two", "Member Three"]);
+    assert.deepEqual(ids, ["2310002", "2310003", ""]);
+  });
+
+  it("saves the form in this browser as it is typed", async () => {
+    const page = await setup();
+    const { form } = page;
+    assert.equal(savedDraft(page), null);
+    assert.equal(page.document.getElementById("draftBox").hidden, true);
+
+    fill(form, VALID);
+    chooseTeamSize(page, 2);
+    fillMembers(form, [["Member One", "2310002"]]);
+    typeInto(page, form.querySelector(".member-id-input"));
+
+    const { values } = savedDraft(page);
+    assert.equal(values.teamName, "Test Team");
+    assert.equal(values.projectType, "group");
+    assert.equal(values.teamSize, "2");
+    assert.deepEqual(values.members, [{ name: "Member One", studentId: "2310002" }]);
+  });
+
+  it("offers the saved draft back and restores it, member rows included", async () => {
+    const page = await setupWithDraft();
+    const { document, form } = page;
+    const box = document.getElementById("draftBox");
+    assert.equal(box.hidden, false);
+    assert.match(document.getElementById("draftNote").textContent, /did not send it yet/);
+
+    document.getElementById("draftRestore").click();
+    await settle();
+
+    assert.equal(box.hidden, true);
+    assert.equal(form.teamName.value, "Test Team");
+    assert.equal(form.courseCode.value, "CCSW321");
+    assert.equal(form.querySelector('input[name="projectType"]:checked').value, "group");
+    const names = Array.from(form.querySelectorAll(".member-name-input"), (i) => i.value);
+    assert.deepEqual(names, ["Member One", "Member Two"]);
+    assert.equal(form.querySelectorAll(".member-id-input")[0].value, "2310002");
+  });
+
+  it("discarding or resetting the form drops the draft", async () => {
+    const page = await setupWithDraft();
+    const { document, form } = page;
+
+    document.getElementById("draftDiscard").click();
+    assert.equal(document.getElementById("draftBox").hidden, true);
+    assert.equal(savedDraft(page), null);
+
+    fill(form, { teamName: "Fresh Start" });
+    typeInto(page, form.teamName);
+    assert.equal(savedDraft(page).values.teamName, "Fresh Start");
+
+    form.reset();
+    assert.equal(savedDraft(page), null);
+  });
+
+  it("a submitted idea leaves no draft behind", async () => {
+    const page = await setup({
+      respond: (url) =>
+        url.startsWith("/api/projects/similar")
+          ? { status: "ok", data: [] }
+          : { status: "ok", msg: "team project idea saved successfully ✔", id: 7 },
+    });
+    const { window, form } = page;
+    fill(form, VALID);
+    chooseTeamSize(page, 1);
+    typeInto(page, form.teamName);
+    assert.ok(savedDraft(page));
+
+    await submit(window, form);
+    assert.equal(savedDraft(page), null);
+  });
+
+  it("keeps the draft in the rep's account to finish on another device", async () => {
+    const saving = await setup({
+      respond: () => ({ status: "ok", msg: "draft saved to your account ✔" }),
+    });
+    const status = saving.document.getElementById("serverDraftStatus");
+
+    saving.document.getElementById("draftSaveServer").click();
+    await settle();
+    assert.equal(saving.calls.fetch.length, 0);
+    assert.match(status.textContent, /student id first/);
+
+    fill(saving.form, VALID);
+    chooseTeamSize(saving, 2);
+    fillMembers(saving.form, [["Member One", "2310002"]]);
+    saving.document.getElementById("draftSaveServer").click();
+    await settle();
+
+    const put = saving.calls.fetch[0];
+    assert.equal(put.url, "/api/drafts/2310001");
+    assert.equal(put.method, "PUT");
+    assert.equal(put.body.projectName, "Test Project");
+    assert.deepEqual(put.body.members, [{ name: "Member One", studentId: "2310002" }]);
+    assert.equal(status.textContent, "draft saved to your account ✔");
+
+    // another device: only the rep id is typed in
+    const loading = await setup({
+      respond: () => ({ status: "ok", data: put.body, savedAt: DRAFT.savedAt }),
+    });
+    fill(loading.form, { repId: "2310001" });
+    loading.document.getElementById("draftLoadServer").click();
+    await settle();
+
+    assert.equal(loading.calls.fetch[0].url, "/api/drafts/2310001");
+    assert.equal(loading.form.projectName.value, "Test Project");
+    assert.equal(loading.form.querySelector(".member-name-input").value, "Member One");
+    assert.match(loading.document.getElementById("serverDraftStatus").textContent, /restored/);
+    assert.equal(savedDraft(loading).values.projectName, "Test Project");
+  });
+
+  it("shows why the account draft could not be loaded", async () => {
+    const { document, form } = await setup({
+      respond: () => ({ status: "error", msg: "please log in first." }),
+    });
+    fill(form, { repId: "2310001" });
+    document.getElementById("draftLoadServer").click();
+    await settle();
+
+    assert.equal(document.getElementById("serverDraftStatus").textContent, "please log in first.");
+    assert.equal(form.teamName.value, "");
+  });
+});
+
+describe("initProjectForm (course dropdown)", () => {
+  const courses = [
+    ...COURSES,
+    { ...COURSES[0], code: "CCAI321", title: "AI", minTeamSize: 3, maxTeamSize: 4 },
+    {
+      ...COURSES[0],
+      code: "CPCS351",
+      title: "Software Engineering",
+      closesAt: "2025-01-01T00:00:00.000Z",
+      window: "closed",
+    },
+  ];
+
+  it("lists the courses and disables closed ones", async () => {
+    const { form } = await setup({ courses });
+
+    const options = Array.from(form.courseCode.options).slice(1);
+    assert.deepEqual(options.map((o) => o.value), ["CCSW321", "CCAI321", "CPCS351"]);
+    assert.match(options[2].textContent, /submissions closed/);
+    assert.deepEqual(options.map((o) => o.disabled), [false, false, true]);
+  });
+
+  it("only offers the team sizes of the chosen course", async () => {
+    const { window, document, form, calls } = await setup({ courses });
+    fill(form, { ...VALID, courseCode: "CCAI321" });
+    form.courseCode.dispatchEvent(new window.Event("change"));
+
+    const sizes = Array.from(form.teamSize.options).filter((o) => !o.disabled);
+    assert.deepEqual(sizes.map((o) => o.value), ["3", "4"]);
+    assert.match(document.getElementById("courseInfo").textContent, /teams of 3–4 students/);
+
+    form.teamSize.value = "2";
+    await submit(window, form);
+    assert.equal(calls.fetch.length, 0);
+    assert.equal(fieldErrors(form).teamSize, "CCAI321 needs teams of 3–4 students.");
+  });
+});
+
+describe("initProjectForm (edit link)", () => {
+  const project = {
+    id: 5,
+    team_name: "Saved Team",
+    team_size: 2,
+    rep_name: "Rep Person",
+    rep_id: "2310001",
+    rep_email: "rep@uj.edu.sa",
+    course_code: "CCSW321",
+    category: "cs",
+    project_type: "solo",
+    project_name: "Saved Project",
+    description: "a description that is long enough",
+    tools: "",
+    status: "needs_changes",
+    status_feedback: "add a timeline",
+    members: [{ name: "Member One", student_id: "2310002" }],
+  };
+
+  function respond(url, options = {}) {
+    if (!options.method) return { status: "ok", data: project };
+    return { status: "ok", msg: "team project idea updated successfully ✔" };
+  }
+
+  it("prefills the form, members and review note", async () => {
+    const { document, form, calls } = await setup({ search: "?edit=5&token=secret", respond });
+    await settle();
+
+    assert.equal(calls.fetch[0].url, "/api/projects/5");
+    assert.equal(calls.fetch[0].headers["X-Edit-Token"], "secret");
+
+    assert.equal(form.teamName.value, "Saved Team");
+    assert.equal(form.querySelector('input[name="projectType"]:checked').value, "solo");
+    assert.equal(form.querySelector(".member-id-input").value, "2310002");
+    assert.match(document.getElementById("reviewNote").textContent, /add a timeline/);
+    assert.equal(document.getElementById("withdrawIdea").hidden, false);
+    assert.equal(document.getElementById("serverDraft").hidden, true);
+  });
+
+  it("saves with PUT and the edit token", async () => {
+    const { window, document, form, calls } = await setup({
+      search: "?edit=5&token=secret",
+      respond,
+    });
+    await settle();
+
+    form.projectName.value = "Renamed Project";
+    await submit(window, form);
+
+    const put = calls.fetch[1];
+    assert.equal(put.method, "PUT");
+    assert.equal(put.url, "/api/projects/5");
+    assert.equal(put.headers["X-Edit-Token"], "secret");
+    assert.equal(put.headers["X-CSRF-Token"], undefined);
+    assert.equal(calls.formTokens, 0, "edits need no form token");
+    assert.equal(put.body.projectName, "Renamed Project");
+    assert.equal(document.getElementById("projectErrors").className, "success-msg");
+    assert.equal(form.teamName.value, "Saved Team", "edit form stays filled");
+  });
+
+  it("withdraws the idea and locks the form", async () => {
+    const { document, form, calls } = await setup({
+      search: "?edit=5&token=secret",
+      respond: (url, options = {}) =>
+        options.method === "DELETE"
+          ? { status: "ok", msg: "withdrawn" }
+          : respond(url, options),
+    });
+    await settle();
+
+    document.getElementById("withdrawIdea").click();
+    await settle();
+
+    assert.equal(calls.fetch[1].method, "DELETE");
+    assert.equal(calls.fetch[1].headers["X-Edit-Token"], "secret");
+    assert.equal(form.teamName.disabled, true);
+    assert.equal(document.getElementById("projectErrors").className, "success-msg");
+  });
+});
@@ -0,0 +1,176 @@
+// projects-list.test.js
+// initProjectsList() on projects.html and initProjectDetail() on project.html,
+// in jsdom: text from the database is shown as text, never run as html
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage, settle } = require("./dom-helpers");
+
+const PAYLOAD = '<img src="x" onerror="window.hacked = true">';
+
+// a project where every student-written field carries markup
+function evilProject() {
+  return {
+    id: 3,
+    team_name: PAYLOAD,
+    rep_name: "<b>rep</b>",
+    members: [{ name: "<script>window.hacked = true</script>", student_id: "2310002" }],
+    course_code: "CCSW321",
+    category: "se",
+    project_type: "group",
+    project_name: PAYLOAD,
+    description: "<a href='javascript:alert(1)'>click</a>",
+    status: "submitted",
+  };
+}
+
+describe("initProjectsList", () => {
+  it("builds the rows from text, not html", async () => {
+    const { window, document } = await loadPage("projects.html", {
+      respond: () => ({ status: "ok", data: [evilProject()], total: 1, page: 1, pages: 1 }),
+    });
+    window.initProjectsList();
+    await settle();
+
+    const cells = document.querySelectorAll("#projectsBody td");
+    assert.equal(cells.length, 10);
+    assert.equal(cells[1].textContent, PAYLOAD);
+    assert.equal(cells[7].textContent, PAYLOAD);
+
+    const tbody = document.getElementById("projectsBody");
+    assert.equal(tbody.querySelector("img, script, b"), null);
+    assert.equal(tbody.querySelectorAll("a").length, 2); // only the detail links
+    assert.equal(tbody.querySelectorAll(".member-badge").length, 1);
+    assert.equal(tbody.querySelector(".status-badge").textContent, "submitted");
+    assert.equal(window.hacked, undefined);
+  });
+});
+
+describe("export links", () => {
+  function listPage(role) {
+    return loadPage("projects.html", {
+      search: "?course=CCSW321&sort=team_name&page=2",
+      respond: (url) =>
+        url === "/api/auth/me"
+          ? { status: "ok", user: role ? { full_name: "x", role } : null }
+          : { status: "ok", data: [], total: 0, page: 1, pages: 1 },
+    });
+  }
+
+  // (the page was opened with the older ?course= name)
+  it("are shown to instructors and follow the filters, not the page", async () => {
+    const { window, document } = await listPage("instructor");
+    window.initProjectsList();
+    await settle();
+
+    assert.equal(document.getElementById("projectsExport").hidden, false);
+    assert.equal(
+      document.getElementById("exportXlsx").getAttribute("href"),
+      "/api/projects/export?course_code=CCSW321&sort=team_name&dir=asc&format=xlsx"
+    );
+    assert.match(document.getElementById("exportCsv").getAttribute("href"), /format=csv$/);
+  });
+
+  it("stay hidden for students and visitors", async () => {
+    for (const role of ["student", null]) {
+      const { window, document } = await listPage(role);
+      window.initProjectsList();
+      await settle();
+      assert.equal(document.getElementById("projectsExport").hidden, true, String(role));
+    }
+  });
+});
+
+describe("withdrawn ideas", () => {
+  function withdrawnPage(restoreAnswer) {
+    return loadPage("projects.html", {
+      search: "?withdrawn=true",
+      respond: (url) => {
+        if (url === "/api/auth/me") {
+          return { status: "ok", user: { full_name: "x", role: "instructor" } };
+        }
+        if (url.endsWith("/restore")) return restoreAnswer;
+        return {
+          status: "ok",
+          data: [{ ...evilProject(), deleted_at: "2025-03-01T10:00:00.000Z" }],
+          total: 1,
+          page: 1,
+          pages: 1,
+        };
+      },
+    });
+  }
+
+  it("instructors list them and restore one from its row", async () => {
+    const { window, document, calls } = await withdrawnPage({
+      status: "ok",
+      msg: "project restored ✔",
+    });
+    window.initProjectsList();
+    await settle();
+
+    assert.equal(document.getElementById("withdrawnFilter").hidden, false);
+    assert.equal(document.getElementById("filterWithdrawn").value, "true");
+    assert.ok(calls.fetch.some((c) => c.url === "/api/projects?withdrawn=true"));
+
+    const status = document.querySelector("#projectsBody .status-badge");
+    assert.equal(status.textContent, "withdrawn");
+    document.querySelector("#projectsBody button").click();
+    await settle();
+
+    const restore = calls.fetch.find((c) => c.url === "/api/projects/3/restore");
+    assert.equal(restore.method, "POST");
+    assert.equal(document.querySelectorAll("#projectsBody tr").length, 0);
+    assert.equal(document.getElementById("projectsStatus").textContent, "project restored ✔");
+  });
+
+  it("keep the row when a member joined another team meanwhile", async () => {
+    const { window, document } = await withdrawnPage({
+      status: "error",
+      msg: "2310002 is already in team Other of CCSW321.",
+    });
+    window.initProjectsList();
+    await settle();
+
+    const button = document.querySelector("#projectsBody button");
+    button.click();
+    await settle();
+
+    assert.equal(document.querySelectorAll("#projectsBody tr").length, 1);
+    assert.equal(button.disabled, false);
+    assert.match(document.getElementById("projectsStatus").textContent, /already in team/);
+  });
+
+  it("the filter stays hidden for students", async () => {
+    const { window, document } = await loadPage("projects.html", {
+      respond: (url) =>
+        url === "/api/auth/me"
+          ? { status: "ok", user: { full_name: "x", role: "student" } }
+          : { status: "ok", data: [evilProject()], total: 1, page: 1, pages: 1 },
+    });
+    window.initProjectsList();
+    await settle();
+    assert.equal(document.getElementById("withdrawnFilter").hidden, true);
+    assert.equal(document.querySelector("#projectsBody button"), null);
+  });
+});
+
+describe("initProjectDetail", () => {
+  it("shows members and status as text", async () => {
+    const { window, document } = await loadPage("project.html", {
+      search: "?id=3",
+      respond: () => ({ status: "ok", data: { ...evilProject(), history: [] } }),
+    });
+    window.initProjectDetail();
+    await settle();
+
+    const members = document.getElementById("detailMembers");
+    assert.equal(members.querySelector("script"), null);
+    assert.equal(
+      members.textContent,
+      "<script>window.hacked = true</script> — 2310002"
+    );
+    assert.equal(document.getElementById("detailTeam").textContent, PAYLOAD);
+    assert.equal(window.hacked, undefined);
+  });
+});
@@ -0,0 +1,565 @@
+// projects.test.js
+// submit / edit / withdraw / restore ideas and the projects list + detail
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  repos,
+  startServer,
+  stopServer,
+  request,
+  errorPaths,
+  nextStudentId,
+  validProject,
+  createCourse,
+  createProject,
+  createUser,
+  failRepo,
+} = require("./helpers");
+
+before(startServer);
+after(stopServer);
+
+describe("POST /api/project", () => {
+  it("saves a valid idea and returns a private edit link", async () => {
+    const body = validProject();
+    const res = await request("POST", "/api/project", { body });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, "ok");
+    assert.match(res.body.editToken, /^[0-9a-f]{48}$/);
+    assert.equal(
+      res.body.editUrl,
+      `/idea.html?edit=${res.body.id}&token=${res.body.editToken}`
+    );
+
+    const saved = await repos.projects.findById(res.body.id);
+    assert.equal(saved.project_name, body.projectName);
+    assert.equal(saved.status, "submitted");
+    assert.notEqual(saved.edit_token_hash, res.body.editToken);
+    assert.deepEqual(saved.members, [
+      { name: body.members[0].name, student_id: body.members[0].studentId },
+    ]);
+  });
+
+  it("accepts a solo idea without members", async () => {
+    const res = await request("POST", "/api/project", {
+      body: validProject({ teamSize: 1, projectType: "solo", members: undefined }),
+    });
+    assert.equal(res.status, 200);
+  });
+
+  // [field, bad value]
+  const invalid = [
+    ["teamName", "ab"],
+    ["teamName", "x".repeat(51)],
+    ["teamSize", 0],
+    ["teamSize", 6],
+    ["teamSize", "two"],
+    ["repName", "ab"],
+    ["repName", "x".repeat(51)],
+    ["repId", "123456"],
+    ["repId", "12345678"],
+    ["repId", "abcdefg"],
+    ["repEmail", "not-an-email"],
+    ["courseCode", "321ccsw"],
+    ["courseCode", "c321"],
+    ["courseCode", "ccsw"],
+    ["courseCode", "ccsw3210000000000000x"],
+    ["category", ""],
+    ["category", "music"],
+    ["projectType", ""],
+    ["projectType", "team"],
+    ["projectName", "ab"],
+    ["projectName", "x".repeat(61)],
+    ["projectDesc", "too short"],
+    ["projectDesc", "x".repeat(401)],
+    ["tools", "x".repeat(301)],
+  ];
+
+  invalid.forEach(([field, value]) => {
+    it(`rejects ${field} = ${JSON.stringify(String(value).slice(0, 20))}`, async () => {
+      const overrides = { [field]: value };
+      // keep the member count in line so only the tested field fails
+      if (field === "teamSize") overrides.members = undefined;
+
+      const res = await request("POST", "/api/project", {
+        body: validProject(overrides),
+      });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.status, "error");
+      assert.ok(errorPaths(res).includes(field), errorPaths(res).join(", "));
+      if (field !== "teamSize") assert.deepEqual(errorPaths(res), [field]);
+    });
+  });
+
+  it("rejects a member count that does not match the team size", async () => {
+    const res = await request("POST", "/api/project", {
+      body: validProject({ teamSize: 3 }),
+    });
+    assert.equal(res.status, 400);
+    assert.deepEqual(errorPaths(res), ["members"]);
+  });
+
+  it("rejects more than 4 other members", async () => {
+    const members = Array.from({ length: 5 }, (_, i) => ({
+      name: `Member ${i}`,
+      studentId: nextStudentId(),
+    }));
+    const res = await request("POST", "/api/project", {
+      body: validProject({ teamSize: 5, members }),
+    });
+    assert.equal(res.status, 400);
+    assert.ok(errorPaths(res).includes("members"));
+  });
+
+  it("rejects bad member names and ids", async () => {
+    const res = await request("POST", "/api/project", {
+      body: validProject({
+        teamSize: 3,
+        members: [
+          { name: "x", studentId: nextStudentId() },
+          { name: "Member Two", studentId: "12ab" },
+        ],
+      }),
+    });
+    assert.equal(res.status, 400);
+    assert.deepEqual(errorPaths(res), ["members[0].name", "members[1].studentId"]);
+  });
+
+  it("says members must be a list instead of failing on other values", async () => {
+    for (const members of ["Sara, Omar", { name: "Sara" }, [null, 7]]) {
+      const res = await request("POST", "/api/project", {
+        body: validProject({ teamSize: 3, members }),
+      });
+      assert.equal(res.status, 400, JSON.stringify(members));
+      const msgs = res.body.errors.map((e) => e.msg).join(" | ");
+      assert.doesNotMatch(msgs, /is not a function|cannot read|typeerror/i);
+      if (!Array.isArray(members)) {
+        assert.deepEqual(res.body.errors, [
+          { path: "members", msg: "members must be a list of at most 4 students." },
+        ]);
+      }
+    }
+  });
+
+  it("rejects the same student twice in one team", async () => {
+    const repId = nextStudentId();
+    const res = await request("POST", "/api/project", {
+      body: validProject({
+        repId,
+        members: [{ name: "Member One", studentId: repId }],
+      }),
+    });
+    assert.equal(res.status, 400);
+    assert.deepEqual(errorPaths(res), ["members"]);
+  });
+
+  it("answers 409 when a student is already in a team of the course", async () => {
+    const first = await createProject();
+    const taken = first.body.members[0].studentId;
+
+    const res = await request("POST", "/api/project", {
+      body: validProject({ members: [{ name: "Member One", studentId: taken }] }),
+    });
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.errors[0].path, "members");
+    assert.match(res.body.errors[0].msg, new RegExp(taken));
+  });
+
+  it("lets the same student join teams of different courses", async () => {
+    const first = await createProject();
+    await createCourse("CPCS351");
+    const res = await request("POST", "/api/project", {
+      body: validProject({
+        courseCode: "CPCS351",
+        members: [{ name: "Member One", studentId: first.body.repId }],
+      }),
+    });
+    assert.equal(res.status, 200);
+  });
+
+  it("answers 500 when the idea cannot be saved", async (t) => {
+    failRepo(t, repos.projects, "create");
+    const res = await request("POST", "/api/project", { body: validProject() });
+    assert.equal(res.status, 500);
+    assert.equal(res.body.msg, "database error while saving project.");
+  });
+});
+
+describe("PUT /api/projects/:id", () => {
+  it("updates the idea with a valid edit token", async () => {
+    const { id, editToken, body } = await createProject();
+
+    const res = await request("PUT", `/api/projects/${id}`, {
+      headers: { "x-edit-token": editToken },
+      body: { ...body, projectName: "Renamed Project" },
+    });
+
+    assert.equal(res.status, 200);
+    const saved = await repos.projects.findById(id);
+    assert.equal(saved.project_name, "Renamed Project");
+  });
+
+  it("also reads the token from the body", async () => {
+    const { id, editToken, body } = await createProject();
+    const res = await request("PUT", `/api/projects/${id}`, {
+      body: { ...body, editToken },
+    });
+    assert.equal(res.status, 200);
+  });
+
+  it("answers 403 for a wrong or missing token", async () => {
+    const { id, body } = await createProject();
+
+    for (const headers of [{ "x-edit-token": "nope" }, {}]) {
+      const res = await request("PUT", `/api/projects/${id}`, { headers, body });
+      assert.equal(res.status, 403);
+    }
+  });
+
+  it("answers 404 for an unknown project and 400 for a bad id", async () => {
+    const body = validProject();
+    assert.equal((await request("PUT", "/api/projects/9999", { body })).status, 404);
+
+    const res = await request("PUT", "/api/projects/abc", { body });
+    assert.equal(res.status, 400);
+    assert.deepEqual(errorPaths(res), ["id"]);
+  });
+
+  it("validates the body like a new submission", async () => {
+    const { id, editToken, body } = await createProject();
+    const res = await request("PUT", `/api/projects/${id}`, {
+      headers: { "x-edit-token": editToken },
+      body: { ...body, repId: "123" },
+    });
+    assert.equal(res.status, 400);
+    assert.deepEqual(errorPaths(res), ["repId"]);
+  });
+
+  it("answers 400, not 500, for a list where a text field belongs", async () => {
+    const { id, editToken, body } = await createProject();
+    const res = await request("PUT", `/api/projects/${id}`, {
+      headers: { "x-edit-token": editToken },
+      body: { ...body, courseCode: [body.courseCode.toLowerCase()] },
+    });
+    assert.equal(res.status, 400);
+    assert.deepEqual(errorPaths(res), ["courseCode"]);
+  });
+
+  it("answers 409 when a new member is taken by another team", async () => {
+    const other = await createProject();
+    const { id, editToken, body } = await createProject();
+
+    const res = await request("PUT", `/api/projects/${id}`, {
+      headers: { "x-edit-token": editToken },
+      body: {
+        ...body,
+        members: [{ name: "Member One", studentId: other.body.repId }],
+      },
+    });
+    assert.equal(res.status, 409);
+  });
+
+  it("sends an idea that needs changes back for review", async () => {
+    const { id, editToken, body } = await createProject();
+    await repos.projects.changeStatus(id, "submitted", "needs_changes", "more detail");
+
+    const res = await request("PUT", `/api/projects/${id}`, {
+      headers: { "x-edit-token": editToken },
+      body,
+    });
+
+    assert.equal(res.status, 200);
+    const saved = await repos.projects.findById(id);
+    assert.equal(saved.status, "submitted");
+    const history = await repos.projects.history(id);
+    assert.equal(history.at(-1).feedback, "resubmitted by the team");
+  });
+
+  it("sends an approved idea back for review when its content changes", async () => {
+    const { id, editToken, body } = await createProject();
+    await repos.projects.changeStatus(id, "submitted", "approved");
+
+    // fixing the team's own details keeps the approval
+    let res = await request("PUT", `/api/projects/${id}`, {
+      headers: { "x-edit-token": editToken },
+      body: { ...body, repEmail: "new.rep@uj.edu.sa" },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.msg, "team project idea updated successfully ✔");
+    assert.equal((await repos.projects.findById(id)).status, "approved");
+
+    res = await request("PUT", `/api/projects/${id}`, {
+      headers: { "x-edit-token": editToken },
+      body: { ...body, projectName: "Something Else", projectDesc: "not what was approved" },
+    });
+    assert.equal(res.status, 200);
+    assert.match(res.body.msg, /goes back to your instructor for review/);
+
+    const saved = await repos.projects.findById(id);
+    assert.equal(saved.status, "submitted");
+    assert.equal(saved.project_name, "Something Else");
+    const history = await repos.projects.history(id);
+    assert.deepEqual(
+      { from: history.at(-1).from_status, to: history.at(-1).to_status },
+      { from: "approved", to: "submitted" }
+    );
+    assert.equal(history.at(-1).feedback, "changed by the team after approval");
+  });
+
+  it("answers 500 when the update fails", async (t) => {
+    const { id, editToken, body } = await createProject();
+    failRepo(t, repos.projects, "update");
+
+    const res = await request("PUT", `/api/projects/${id}`, {
+      headers: { "x-edit-token": editToken },
+      body,
+    });
+    assert.equal(res.status, 500);
+  });
+});
+
+describe("DELETE /api/projects/:id and restore", () => {
+  it("withdraws an idea with its edit token", async () => {
+    const { id, editToken } = await createProject();
+
+    assert.equal(
+      (await request("DELETE", `/api/projects/${id}`)).status,
+      403
+    );
+
+    const res = await request("DELETE", `/api/projects/${id}`, {
+      headers: { "x-edit-token": editToken },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(await repos.projects.findById(id), null);
+    assert.equal((await request("GET", `/api/projects/${id}`)).status, 404);
+  });
+
+  it("answers 500 when withdrawing fails", async (t) => {
+    const { id, editToken } = await createProject();
+    failRepo(t, repos.projects, "withdraw");
+    const res = await request("DELETE", `/api/projects/${id}`, {
+      headers: { "x-edit-token": editToken },
+    });
+    assert.equal(res.status, 500);
+  });
+
+  it("lets only staff restore a withdrawn idea", async () => {
+    const { id } = await createProject();
+    await repos.projects.withdraw(id);
+
+    const student = await createUser("student");
+    const instructor = await createUser("instructor");
+
+    assert.equal((await request("POST", `/api/projects/${id}/restore`)).status, 401);
+    assert.equal(
+      (await request("POST", `/api/projects/${id}/restore`, { headers: student.headers })).status,
+      403
+    );
+
+    const res = await request("POST", `/api/projects/${id}/restore`, {
+      headers: instructor.headers,
+    });
+    assert.equal(res.status, 200);
+    assert.ok(await repos.projects.findById(id));
+  });
+
+  it("answers 404 when the idea is not withdrawn", async () => {
+    const { id } = await createProject();
+    const instructor = await createUser("instructor");
+    const res = await request("POST", `/api/projects/${id}/restore`, {
+      headers: instructor.headers,
+    });
+    assert.equal(res.status, 404);
+  });
+
+  it("answers 409 when a member joined another team meanwhile", async () => {
+    const { id, body } = await createProject();
+    await repos.projects.withdraw(id);
+    await createProject({
+      members: [{ name: "Member One", studentId: body.repId }],
+    });
+
+    const instructor = await createUser("instructor");
+    const res = await request("POST", `/api/projects/${id}/restore`, {
+      headers: instructor.headers,
+    });
+    assert.equal(res.status, 409);
+  });
+
+  it("answers 500 when restoring fails", async (t) => {
+    const { id } = await createProject();
+    await repos.projects.withdraw(id);
+    const instructor = await createUser("instructor");
+    failRepo(t, repos.projects, "restore");
+
+    const res = await request("POST", `/api/projects/${id}/restore`, {
+      headers: instructor.headers,
+    });
+    assert.equal(res.status, 500);
+  });
+});
+
+describe("GET /api/projects", () => {
+  // a course of its own, so other tests in this file do not change the counts
+  const course = "CCLS101";
+
+  before(async () => {
+    const ideas = [
+      ["Alpha Team", "Library Finder", "ai", "group", "find free study rooms"],
+      ["Beta Team", "Bus Tracker", "cs", "solo", "live map of shuttle buses"],
+      ["Gamma Team", "Cafe Menu", "ai", "group", "menu of the library cafe"],
+    ];
+    for (const [teamName, projectName, category, projectType, projectDesc] of ideas) {
+      await createProject({
+        courseCode: course,
+        teamName,
+        projectName,
+        category,
+        projectType,
+        projectDesc: `${projectDesc} on campus`,
+      });
+    }
+  });
+
+  it("filters by course, category, type and free text", async () => {
+    let res = await request("GET", `/api/projects?course_code=${course.toLowerCase()}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.total, 3);
+
+    res = await request("GET", `/api/projects?course_code=${course}&category=ai`);
+    assert.deepEqual(res.body.data.map((p) => p.team_name).sort(), ["Alpha Team", "Gamma Team"]);
+
+    res = await request("GET", `/api/projects?course_code=${course}&project_type=solo`);
+    assert.deepEqual(res.body.data.map((p) => p.team_name), ["Beta Team"]);
+
+    res = await request("GET", `/api/projects?course_code=${course}&q=LIBRARY`);
+    assert.deepEqual(res.body.data.map((p) => p.team_name).sort(), ["Alpha Team", "Gamma Team"]);
+  });
+
+  it("still takes the short course / type names of older links", async () => {
+    const res = await request("GET", `/api/projects?course=${course}&type=solo`);
+    assert.deepEqual(res.body.data.map((p) => p.team_name), ["Beta Team"]);
+
+    const bad = await request("GET", "/api/projects?project_type=pair&type=pair");
+    assert.equal(bad.status, 400);
+    assert.deepEqual(errorPaths(bad).sort(), ["project_type", "type"]);
+  });
+
+  it("sorts and pages", async () => {
+    const res = await request(
+      "GET",
+      `/api/projects?course=${course}&sort=team_name&dir=asc&limit=2&page=2`
+    );
+    assert.deepEqual(res.body.data.map((p) => p.team_name), ["Gamma Team"]);
+    assert.equal(res.body.page, 2);
+    assert.equal(res.body.limit, 2);
+    assert.equal(res.body.pages, 2);
+  });
+
+  it("hides emails and student ids from visitors but not from staff", async () => {
+    let res = await request("GET", `/api/projects?course=${course}`);
+    const [pub] = res.body.data;
+    assert.equal(pub.rep_email, undefined);
+    assert.equal(pub.rep_id, undefined);
+    assert.deepEqual(Object.keys(pub.members[0]), ["name"]);
+
+    const instructor = await createUser("instructor");
+    res = await request("GET", `/api/projects?course=${course}`, {
+      headers: instructor.headers,
+    });
+    const [full] = res.body.data;
+    assert.equal(full.rep_email, "rep@uj.edu.sa");
+    assert.match(full.members[0].student_id, /^\d{7}$/);
+  });
+
+  it("leaves withdrawn ideas out", async () => {
+    const { id } = await createProject({ courseCode: "CCWD100" });
+    await repos.projects.withdraw(id);
+    const res = await request("GET", "/api/projects?course=CCWD100");
+    assert.equal(res.body.total, 0);
+  });
+
+  it("lists only the withdrawn ideas for instructors who ask", async () => {
+    const { id } = await createProject({ courseCode: "CCWD200" });
+    await createProject({ courseCode: "CCWD200" });
+    await repos.projects.withdraw(id);
+
+    const instructor = await createUser("instructor");
+    const res = await request("GET", "/api/projects?course_code=CCWD200&withdrawn=true", {
+      headers: instructor.headers,
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.map((p) => p.id), [id]);
+    assert.ok(res.body.data[0].deleted_at);
+
+    const student = await createUser("student");
+    for (const headers of [undefined, student.headers]) {
+      const denied = await request("GET", "/api/projects?withdrawn=true", { headers });
+      assert.equal(denied.status, 403);
+      assert.equal(denied.body.msg, "only instructors can see withdrawn ideas.");
+    }
+  });
+
+  const invalid = [
+    ["sort", "password"],
+    ["dir", "up"],
+    ["page", "0"],
+    ["limit", "101"],
+    ["type", "team"],
+    ["status", "done"],
+    ["withdrawn", "yes"],
+    ["q", "x".repeat(101)],
+  ];
+
+  invalid.forEach(([field, value]) => {
+    it(`rejects ${field}=${value.slice(0, 20)}`, async () => {
+      const res = await request("GET", `/api/projects?${field}=${value}`);
+      assert.equal(res.status, 400);
+      assert.deepEqual(errorPaths(res), [field]);
+    });
+  });
+
+  it("answers 500 when the list cannot be loaded", async (t) => {
+    failRepo(t, repos.projects, "list");
+    const res = await request("GET", "/api/projects");
+    assert.equal(res.status, 500);
+  });
+});
+
+describe("GET /api/projects/:id", () => {
+  it("shows public fields to visitors", async () => {
+    const { id, body } = await createProject();
+    const res = await request("GET", `/api/projects/${id}`);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.project_name, body.projectName);
+    assert.equal(res.body.data.rep_email, undefined);
+    assert.equal(res.body.data.edit_token_hash, undefined);
+    assert.equal(res.body.data.history, undefined);
+    assert.equal(res.body.data.can_review, false);
+  });
+
+  it("shows the full record and history to the team", async () => {
+    const { id, editToken, body } = await createProject();
+    const res = await request("GET", `/api/projects/${id}`, {
+      headers: { "x-edit-token": editToken },
+    });
+
+    assert.equal(res.body.data.rep_email, body.repEmail);
+    assert.equal(res.body.data.history.length, 1);
+    assert.equal(res.body.data.history[0].to_status, "submitted");
+  });
+
+  it("answers 404 / 400 / 500", async (t) => {
+    assert.equal((await request("GET", "/api/projects/9999")).status, 404);
+    assert.equal((await request("GET", "/api/projects/0")).status, 400);
+
+    failRepo(t, repos.projects, "findById");
+    assert.equal((await request("GET", "/api/projects/1")).status, 500);
+  });
+});
@@ -0,0 +1,109 @@
+// review.test.js
+// POST /api/projects/:id/status (instructor review workflow)
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  repos,
+  startServer,
+  stopServer,
+  request,
+  errorPaths,
+  createProject,
+  createUser,
+  failRepo,
+} = require("./helpers");
+
+describe("POST /api/projects/:id/status", () => {
+  let instructor;
+
+  before(async () => {
+    await startServer();
+    instructor = await createUser("instructor");
+  });
+  after(stopServer);
+
+  function setStatus(id, body, headers = instructor.headers) {
+    return request("POST", `/api/projects/${id}/status`, { headers, body });
+  }
+
+  it("moves an idea along and keeps the history", async () => {
+    const { id } = await createProject();
+
+    assert.equal((await setStatus(id, { status: "under_review" })).status, 200);
+    const res = await setStatus(id, { status: "approved" });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data, { status: "approved", feedback: null });
+
+    const history = await repos.projects.history(id);
+    assert.deepEqual(
+      history.map((h) => h.to_status),
+      ["submitted", "under_review", "approved"]
+    );
+    assert.equal(history[2].changed_by, "Test instructor");
+  });
+
+  it("requires feedback for needs_changes and rejected", async () => {
+    const { id } = await createProject();
+
+    for (const status of ["needs_changes", "rejected"]) {
+      const res = await setStatus(id, { status, feedback: "  " });
+      assert.equal(res.status, 400);
+      assert.deepEqual(errorPaths(res), ["feedback"]);
+    }
+
+    const res = await setStatus(id, { status: "rejected", feedback: "too broad" });
+    assert.equal(res.status, 200);
+    const saved = await repos.projects.findById(id);
+    assert.equal(saved.status_feedback, "too broad");
+  });
+
+  it("rejects unknown statuses, long feedback and bad ids", async () => {
+    const { id } = await createProject();
+
+    let res = await setStatus(id, { status: "done" });
+    assert.equal(res.status, 400);
+    assert.deepEqual(errorPaths(res), ["status"]);
+
+    res = await setStatus(id, { status: "approved", feedback: "x".repeat(1001) });
+    assert.equal(res.status, 400);
+    assert.deepEqual(errorPaths(res), ["feedback"]);
+
+    res = await setStatus("abc", { status: "approved" });
+    assert.equal(res.status, 400);
+    assert.deepEqual(errorPaths(res), ["id"]);
+  });
+
+  it("answers 409 for a move the workflow does not allow", async () => {
+    const { id } = await createProject();
+    await setStatus(id, { status: "approved" });
+
+    const res = await setStatus(id, { status: "rejected", feedback: "late" });
+    assert.equal(res.status, 409);
+  });
+
+  it("answers 404 for unknown or withdrawn ideas", async () => {
+    assert.equal((await setStatus(9999, { status: "approved" })).status, 404);
+
+    const { id } = await createProject();
+    await repos.projects.withdraw(id);
+    assert.equal((await setStatus(id, { status: "approved" })).status, 404);
+  });
+
+  it("is for staff only", async () => {
+    const { id } = await createProject();
+    const student = await createUser("student");
+
+    assert.equal((await setStatus(id, { status: "approved" }, {})).status, 401);
+    assert.equal(
+      (await setStatus(id, { status: "approved" }, student.headers)).status,
+      403
+    );
+  });
+
+  it("answers 500 when the change cannot be saved", async (t) => {
+    const { id } = await createProject();
+    failRepo(t, repos.projects, "changeStatus");
+    assert.equal((await setStatus(id, { status: "approved" })).status, 500);
+  });
+});
@@ -0,0 +1,148 @@
+// rosters.test.js
+// class lists of the courses (backend/rosters.js): csv import with a dry run
+// and GET /api/rosters/:code
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  repos,
+  startServer,
+  stopServer,
+  request,
+  createCourse,
+  createUser,
+  failRepo,
+  nextCourse,
+  nextStudentId,
+} = require("./helpers");
+
+function csv(...lines) {
+  return ["Course,Student ID,Name,Email", ...lines].join("\r\n") + "\r\n";
+}
+
+function upload(path, text, headers) {
+  return request("POST", path, {
+    body: text,
+    headers: { "content-type": "text/csv", ...headers },
+    formToken: false,
+  });
+}
+
+describe("/api/rosters", () => {
+  const course = nextCourse();
+  const other = nextCourse();
+  let staff;
+
+  before(async () => {
+    await startServer();
+    await createCourse(course);
+    await createCourse(other);
+    staff = await createUser("instructor");
+  });
+  after(stopServer);
+
+  it("is for instructors only", async () => {
+    const file = csv(`${course},${nextStudentId()},Sara Ahmed,`);
+    assert.equal((await upload("/api/rosters/import/preview", file)).status, 401);
+
+    const student = await createUser("student");
+    const res = await upload("/api/rosters/import", file, student.headers);
+    assert.equal(res.status, 403);
+    const list = await request("GET", `/api/rosters/${course}`, { headers: student.headers });
+    assert.equal(list.status, 403);
+  });
+
+  it("checks every row and saves nothing on preview", async () => {
+    const repeated = nextStudentId();
+    const file = csv(
+      `${course.toLowerCase()},${repeated},سارة أحمد,sara@uj.edu.sa`,
+      `${course},12,A,not-an-email`,
+      `NOPE101,${nextStudentId()},Ali Saleh,`,
+      `${course},${repeated},Sara Again,`
+    );
+    const res = await upload("/api/rosters/import/preview", file, staff.headers);
+
+    assert.equal(res.status, 200);
+    assert.deepEqual([res.body.total, res.body.valid, res.body.invalid], [4, 1, 3]);
+    assert.deepEqual(res.body.courses, [{ code: course, students: 1 }]);
+
+    const [arabic, invalid, unknown, twice] = res.body.rows;
+    assert.equal(arabic.courseCode, course, "written like the course");
+    assert.equal(arabic.fullName, "سارة أحمد");
+    assert.deepEqual(arabic.errors, []);
+    assert.deepEqual(invalid.errors.map((e) => e.path), ["studentId", "fullName", "email"]);
+    assert.match(unknown.errors[0].msg, /there is no course NOPE101/);
+    assert.match(twice.errors[0].msg, new RegExp(`student ${repeated} is already in row 2`));
+
+    assert.deepEqual(await repos.rosters.list(course), []);
+  });
+
+  it("says what is wrong with a too long email, in arabic too", async () => {
+    const file = csv(`${course},${nextStudentId()},Sara Ahmed,${"a".repeat(115)}@uj.edu.sa`);
+    const res = await upload("/api/rosters/import/preview", file, staff.headers);
+    assert.deepEqual(res.body.rows[0].errors, [
+      { path: "email", msg: "email must be at most 120 characters." },
+    ]);
+
+    const arabic = await upload("/api/rosters/import/preview", file, {
+      ...staff.headers,
+      "accept-language": "ar",
+    });
+    assert.equal(arabic.body.rows[0].errors[0].msg, "يجب ألا يتجاوز البريد الإلكتروني 120 حرفًا.");
+  });
+
+  it("replaces the list of every course in the file", async () => {
+    const [first, second, third] = [nextStudentId(), nextStudentId(), nextStudentId()];
+    await upload(
+      "/api/rosters/import",
+      csv(`${course},${first},First Student,`, `${other},${third},Other Course,`),
+      staff.headers
+    );
+
+    const res = await upload(
+      "/api/rosters/import",
+      csv(`${course},${second},Second Student,second@uj.edu.sa`, `${course},1,Bad Row,`),
+      staff.headers
+    );
+    assert.equal(res.status, 200);
+    assert.equal(res.body.msg, "1 student(s) imported into 1 course roster(s) ✔");
+    assert.deepEqual(res.body.skipped.map((r) => r.row), [3]);
+
+    const list = await request("GET", `/api/rosters/${course.toLowerCase()}`, {
+      headers: staff.headers,
+    });
+    assert.equal(list.status, 200);
+    assert.equal(list.body.course, course);
+    assert.deepEqual(list.body.students, [
+      { student_id: second, full_name: "Second Student", email: "second@uj.edu.sa" },
+    ]);
+
+    // a course that is not in the file keeps its list
+    const untouched = await repos.rosters.list(other);
+    assert.deepEqual(untouched.map((s) => s.student_id), [third]);
+  });
+
+  it("refuses files it cannot read and saves nothing without a valid row", async () => {
+    const missing = await upload("/api/rosters/import/preview", "Course\r\nX\r\n", staff.headers);
+    assert.equal(missing.status, 400);
+    assert.match(missing.body.msg, /missing the column\(s\): studentId, fullName/);
+
+    const invalid = await upload("/api/rosters/import", csv(`${course},1,B,`), staff.headers);
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.msg, "no row of this file can be imported, see the errors per row.");
+
+    const unknown = await request("GET", "/api/rosters/NOPE101", { headers: staff.headers });
+    assert.equal(unknown.status, 404);
+  });
+
+  it("answers 500 when the database fails", async (t) => {
+    failRepo(t, repos.rosters, "replaceMany");
+    const res = await upload(
+      "/api/rosters/import",
+      csv(`${course},${nextStudentId()},Sara Ahmed,`),
+      staff.headers
+    );
+    assert.equal(res.status, 500);
+    assert.match(res.body.msg, /nothing was imported/);
+  });
+});
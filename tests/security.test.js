@@ -0,0 +1,43 @@
+// security.test.js
+// security headers on pages, static files and api responses
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startServer, stopServer, request } = require("./helpers");
+
+describe("security headers", () => {
+  before(startServer);
+  after(stopServer);
+
+  for (const url of ["/projects.html", "/js/app.js", "/api/projects", "/api/projects/999999"]) {
+    it(`are sent with ${url}`, async () => {
+      const res = await request("GET", url);
+
+      const csp = res.headers.get("content-security-policy");
+      assert.match(csp, /script-src 'self'(;|$)/);
+      assert.doesNotMatch(csp, /unsafe-inline|unsafe-eval/);
+      assert.match(csp, /object-src 'none'/);
+      assert.match(csp, /frame-ancestors 'none'/);
+
+      assert.equal(res.headers.get("x-content-type-options"), "nosniff");
+      assert.equal(res.headers.get("x-frame-options"), "DENY");
+      assert.equal(res.headers.get("referrer-policy"), "same-origin");
+      assert.equal(res.headers.get("x-powered-by"), null);
+    });
+  }
+
+  it("no page needs inline scripts, handlers or styles", () => {
+    const htmlDir = path.join(__dirname, "..", "html");
+
+    fs.readdirSync(htmlDir)
+      .filter((file) => file.endsWith(".html"))
+      .forEach((file) => {
+        const html = fs.readFileSync(path.join(htmlDir, file), "utf8");
+        assert.doesNotMatch(html, /<script(?![^>]*\ssrc=)[^>]*>/i, `${file}: inline <script>`);
+        assert.doesNotMatch(html, /\son[a-z]+\s*=/i, `${file}: on…= handler`);
+        assert.doesNotMatch(html, /\sstyle\s*=|<style/i, `${file}: inline style`);
+      });
+  });
+});
@@ -0,0 +1,245 @@
+// similar.test.js
+// similar / duplicate idea detection (backend/similarity.js): the check used
+// by idea.html, the warning on POST /api/project and the strict course mode
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { findSimilar, sameTitle } = require("../backend/similarity");
+const {
+  repos,
+  startServer,
+  stopServer,
+  request,
+  errorPaths,
+  validProject,
+  createProject,
+  createCourse,
+  createUser,
+  failRepo,
+} = require("./helpers");
+
+// every describe gets its own course, so ideas never leak between tests
+let lastCourse = 100;
+function nextCourse() {
+  lastCourse += 1;
+  return `SIM${lastCourse}`;
+}
+
+function library(courseCode, overrides = {}) {
+  return {
+    courseCode,
+    projectName: "Library Management System",
+    projectDesc: "students borrow and return books from the college library",
+    ...overrides,
+  };
+}
+
+function similar(query) {
+  return request("GET", "/api/projects/similar?" + new URLSearchParams(query).toString());
+}
+
+describe("findSimilar", () => {
+  // [id, team, title, description]
+  const ideas = [
+    [1, "A", "Library Management System", "borrow books from the library"],
+    [2, "B", "Hospital Management System", "doctors and patient appointments"],
+    [3, "C", "Smart Library App", "students borrow and return library books"],
+    [4, "D", "نظام إدارة المكتبة", "إعارة الكتب"],
+  ].map(([id, team_name, project_name, description]) => ({
+    id,
+    team_name,
+    project_name,
+    description,
+  }));
+
+  it("puts the same title first and skips unrelated ideas", () => {
+    const matches = findSimilar(
+      {
+        project_name: "library management system!",
+        description: "borrowing books in the library",
+      },
+      ideas
+    );
+    assert.deepEqual(matches.map((m) => [m.id, m.same_title]), [[1, true], [3, false]]);
+    assert.equal(matches[0].score, 1);
+  });
+
+  it("does not match on words every project uses", () => {
+    const matches = findSimilar(
+      { project_name: "Parking Management System", description: "find parking spots" },
+      ideas
+    );
+    assert.deepEqual(matches, []);
+  });
+
+  it("reads arabic spelling variants as the same word", () => {
+    assert.ok(sameTitle("نظام ادارة المكتبه", "نظام إدارة المكتبة"));
+    const matches = findSimilar({ project_name: "مكتبة", description: "اعارة كتب" }, ideas);
+    assert.equal(matches[0].id, 4);
+  });
+});
+
+describe("GET /api/projects/similar", () => {
+  const course = nextCourse();
+
+  before(async () => {
+    await startServer();
+    await createProject(library(course));
+    await createProject(library(nextCourse())); // other course
+    const { id, editToken } = await createProject(library(course, { teamName: "Gone Team" }));
+    await request("DELETE", `/api/projects/${id}`, { headers: { "x-edit-token": editToken } });
+  });
+  after(stopServer);
+
+  it("lists live ideas of the same course, closest first", async () => {
+    const res = await similar({
+      course: course.toLowerCase(),
+      title: "Library System",
+      description: "borrow books from the library",
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.blockDuplicateTitles, false);
+    assert.equal(res.body.data.length, 1, "no withdrawn or other-course ideas");
+    const [match] = res.body.data;
+    assert.equal(match.team_name, "Test Team");
+    assert.equal(match.project_name, "Library Management System");
+    assert.equal(match.same_title, false);
+    assert.ok(match.score >= 0.45 && match.score < 1);
+  });
+
+  it("answers an empty list for a new kind of idea", async () => {
+    const res = await similar({ course, title: "Campus Bus Tracker" });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data, []);
+  });
+
+  it("needs a course and a title", async () => {
+    const res = await similar({ description: "x" });
+    assert.equal(res.status, 400);
+    assert.deepEqual(errorPaths(res).sort(), ["course", "title"]);
+  });
+
+  it("answers 500 when the database fails", async (t) => {
+    failRepo(t, repos.projects, "listForCourse");
+    const res = await similar({ course, title: "Library" });
+    assert.equal(res.status, 500);
+  });
+});
+
+describe("POST /api/project with similar ideas", () => {
+  const course = nextCourse();
+
+  before(startServer);
+  after(stopServer);
+
+  it("saves the idea and warns about the closest ones", async () => {
+    const first = await createProject(library(course));
+
+    const res = await request("POST", "/api/project", {
+      body: validProject(library(course, { projectName: "library management system" })),
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.similar.length, 1);
+    assert.equal(res.body.similar[0].id, first.id);
+    assert.equal(res.body.similar[0].same_title, true);
+  });
+});
+
+describe("strict courses (duplicate titles blocked)", () => {
+  const course = nextCourse();
+  let staff;
+
+  before(async () => {
+    await startServer();
+    await createCourse(course);
+    staff = await createUser("instructor");
+  });
+  after(stopServer);
+
+  function saveSettings(body, headers = staff.headers) {
+    return request("PUT", `/api/courses/${course}/settings`, { body, headers });
+  }
+
+  it("are set by instructors only", async () => {
+    const student = await createUser("student");
+    assert.equal((await saveSettings({ blockDuplicateTitles: true }, {})).status, 401);
+    assert.equal((await saveSettings({ blockDuplicateTitles: true }, student.headers)).status, 403);
+
+    const bad = await saveSettings({ blockDuplicateTitles: "maybe" });
+    assert.equal(bad.status, 400);
+    assert.deepEqual(errorPaths(bad), ["blockDuplicateTitles"]);
+
+    const before = await request("GET", `/api/courses/${course}/settings`, {
+      headers: staff.headers,
+    });
+    assert.deepEqual(before.body.data, { blockDuplicateTitles: false });
+
+    const res = await saveSettings({ blockDuplicateTitles: true });
+    assert.equal(res.status, 200);
+
+    const after = await request("GET", `/api/courses/${course.toLowerCase()}/settings`, {
+      headers: staff.headers,
+    });
+    assert.deepEqual(after.body.data, { blockDuplicateTitles: true });
+  });
+
+  it("are only saved for a course that exists", async () => {
+    const res = await request("PUT", "/api/courses/NOPE999/settings", {
+      body: { blockDuplicateTitles: true },
+      headers: staff.headers,
+    });
+    assert.equal(res.status, 404);
+    assert.equal(res.body.msg, "course not found.");
+    assert.deepEqual(await repos.courses.settings("NOPE999"), { block_duplicate_titles: false });
+  });
+
+  it("refuse a second idea with the same title", async () => {
+    await createProject(library(course, { teamName: "First Team" }));
+
+    const res = await request("POST", "/api/project", {
+      body: validProject(library(course, { projectName: "Library  management system." })),
+    });
+
+    assert.equal(res.status, 409);
+    assert.deepEqual(errorPaths(res), ["projectName"]);
+    assert.match(res.body.errors[0].msg, /team "First Team" already uses the title/);
+  });
+
+  it("still take ideas that are only similar", async () => {
+    const res = await request("POST", "/api/project", {
+      body: validProject(library(course, { projectName: "Library Book Tracker" })),
+    });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.similar.length > 0);
+  });
+
+  it("refuse renaming an idea to a taken title, but not keeping its own", async () => {
+    const { id, editToken, body } = await createProject(
+      library(course, { projectName: "Campus Food Ordering" })
+    );
+    const headers = { "x-edit-token": editToken };
+
+    const taken = await request("PUT", `/api/projects/${id}`, {
+      body: { ...body, projectName: "Library Management System" },
+      headers,
+    });
+    assert.equal(taken.status, 409);
+
+    const own = await request("PUT", `/api/projects/${id}`, {
+      body: { ...body, projectDesc: "order food from the campus cafeteria" },
+      headers,
+    });
+    assert.equal(own.status, 200);
+  });
+
+  it("go back to warnings when switched off", async () => {
+    await saveSettings({ blockDuplicateTitles: false });
+
+    const res = await request("POST", "/api/project", {
+      body: validProject(library(course)),
+    });
+    assert.equal(res.status, 200);
+  });
+});
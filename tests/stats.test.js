@@ -0,0 +1,212 @@
+// stats.test.js
+// the dashboard numbers (backend/stats.js) and GET /api/stats
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseTools, topTools, submissionsOverTime } = require("../backend/stats");
+const {
+  repos,
+  startServer,
+  stopServer,
+  request,
+  errorPaths,
+  createProject,
+  createUser,
+  failRepo,
+  nextStudentId,
+} = require("./helpers");
+
+// a live idea the way repos.projects.forStats returns it
+function idea(createdAt, tools = "") {
+  return { created_at: new Date(createdAt), tools };
+}
+
+describe("parseTools / topTools", () => {
+  it("splits the free-text tools field", () => {
+    assert.deepEqual(parseTools("React, Node.js / MySQL and Figma…"), [
+      "React",
+      "Node.js",
+      "MySQL",
+      "Figma",
+    ]);
+    assert.deepEqual(parseTools("- Python\n- Flask;  SQL  Server."), ["Python", "Flask", "SQL Server"]);
+    assert.deepEqual(parseTools("Flutter، Firebase"), ["Flutter", "Firebase"]);
+    assert.deepEqual(parseTools(null), []);
+  });
+
+  it("counts each tool once per idea, whatever its spelling", () => {
+    const tools = topTools([
+      idea("2025-03-01", "Node.js, React, nodejs"),
+      idea("2025-03-02", "NodeJS and MySQL"),
+      idea("2025-03-03", "Node.js, mysql"),
+      idea("2025-03-04", ""),
+    ]);
+    assert.deepEqual(tools, [
+      { tool: "Node.js", count: 3 },
+      { tool: "MySQL", count: 2 },
+      { tool: "React", count: 1 },
+    ]);
+    assert.equal(topTools([idea("2025-03-01", "a1, b2, c3")], 2).length, 2);
+  });
+});
+
+describe("submissionsOverTime", () => {
+  const ideas = [
+    idea("2025-03-03T09:00:00"), // monday
+    idea("2025-03-03T18:00:00"),
+    idea("2025-03-05T10:00:00"),
+    idea("2025-03-18T10:00:00"),
+    idea("2025-04-02T10:00:00"),
+  ];
+
+  it("per day, with the quiet days in between", () => {
+    const points = submissionsOverTime(ideas.slice(0, 3), "day");
+    assert.deepEqual(points, [
+      { period: "2025-03-03", count: 2 },
+      { period: "2025-03-04", count: 0 },
+      { period: "2025-03-05", count: 1 },
+    ]);
+  });
+
+  it("per week (from monday) and per month", () => {
+    assert.deepEqual(submissionsOverTime(ideas, "week"), [
+      { period: "2025-03-03", count: 3 },
+      { period: "2025-03-10", count: 0 },
+      { period: "2025-03-17", count: 1 },
+      { period: "2025-03-24", count: 0 },
+      { period: "2025-03-31", count: 1 },
+    ]);
+    assert.deepEqual(submissionsOverTime(ideas, "month"), [
+      { period: "2025-03", count: 4 },
+      { period: "2025-04", count: 1 },
+    ]);
+    assert.deepEqual(submissionsOverTime([], "day"), []);
+  });
+});
+
+describe("GET /api/stats", () => {
+  let staff;
+  let inTeam;
+  const withoutTeam = nextStudentId();
+
+  before(async () => {
+    await startServer();
+    staff = await createUser("instructor");
+    inTeam = await createUser("student");
+
+    await createProject({
+      courseCode: "STA101",
+      category: "se",
+      teamSize: 2,
+      tools: "React, Node.js",
+      members: [{ name: "In Team", studentId: inTeam.studentId }],
+    });
+    await createProject({
+      courseCode: "STA101",
+      category: "ai",
+      teamSize: 1,
+      projectType: "solo",
+      tools: "Python",
+      members: [],
+    });
+    const withdrawn = await createProject({ courseCode: "STA101", tools: "Cobol" });
+    await repos.projects.withdraw(withdrawn.id);
+    await createProject({ courseCode: "STA202", category: "se", tools: "react" });
+
+    // the class lists: one student of STA101 ends up in a team, the other
+    // does not; the one in a team is in none of STA202
+    await repos.rosters.replaceMany([
+      {
+        courseCode: "STA101",
+        students: [
+          { studentId: inTeam.studentId, fullName: "In Team" },
+          { studentId: withoutTeam, fullName: "Without Team", email: "without@uj.edu.sa" },
+        ],
+      },
+      { courseCode: "STA202", students: [{ studentId: inTeam.studentId, fullName: "In Team" }] },
+    ]);
+  });
+  after(stopServer);
+
+  it("counts the live ideas for instructors", async () => {
+    const res = await request("GET", "/api/stats", { headers: staff.headers });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.course, null);
+    assert.equal(res.body.total, 3);
+    assert.deepEqual(res.body.byCourse, [
+      { key: "STA101", count: 2 },
+      { key: "STA202", count: 1 },
+    ]);
+    assert.deepEqual(res.body.byCategory, [
+      { key: "se", count: 2 },
+      { key: "ai", count: 1 },
+    ]);
+    assert.deepEqual(res.body.byProjectType, [
+      { key: "group", count: 2 },
+      { key: "solo", count: 1 },
+    ]);
+    assert.deepEqual(res.body.byTeamSize, [
+      { key: 1, count: 1 },
+      { key: 2, count: 2 },
+    ]);
+    assert.deepEqual(res.body.byStatus, [{ key: "submitted", count: 3 }]);
+    assert.equal(res.body.overTime.interval, "day");
+    assert.deepEqual(res.body.overTime.points.map((p) => p.count), [3]);
+    assert.deepEqual(res.body.tools[0], { tool: "React", count: 2 });
+    assert.ok(!res.body.tools.some((t) => t.tool === "Cobol"));
+  });
+
+  it("lists the students of the class lists in no team of their course", async () => {
+    const res = await request("GET", "/api/stats", { headers: staff.headers });
+    assert.equal(res.body.roster.students, 3);
+    assert.deepEqual(res.body.roster.withoutTeam, [
+      {
+        course_code: "STA101",
+        student_id: withoutTeam,
+        full_name: "Without Team",
+        email: "without@uj.edu.sa",
+      },
+      { course_code: "STA202", student_id: inTeam.studentId, full_name: "In Team", email: null },
+    ]);
+  });
+
+  it("for one course", async () => {
+    const res = await request("GET", "/api/stats?course=sta202&interval=month&tools=1", {
+      headers: staff.headers,
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.total, 1);
+    assert.equal(res.body.overTime.interval, "month");
+    assert.deepEqual(res.body.tools, [{ tool: "react", count: 1 }]);
+    // on its list and not in a team of this course
+    assert.equal(res.body.roster.students, 1);
+    assert.deepEqual(
+      res.body.roster.withoutTeam.map((s) => s.student_id),
+      [inTeam.studentId]
+    );
+
+    // no class list imported for the course: nothing to compare with
+    const none = await request("GET", "/api/stats?course=STA303", { headers: staff.headers });
+    assert.equal(none.body.roster, null);
+  });
+
+  it("checks the query", async () => {
+    const res = await request("GET", "/api/stats?interval=year&tools=500", {
+      headers: staff.headers,
+    });
+    assert.equal(res.status, 400);
+    assert.deepEqual(errorPaths(res).sort(), ["interval", "tools"]);
+  });
+
+  it("only for instructors", async () => {
+    assert.equal((await request("GET", "/api/stats")).status, 401);
+    assert.equal((await request("GET", "/api/stats", { headers: inTeam.headers })).status, 403);
+  });
+
+  it("database errors", async (t) => {
+    failRepo(t, repos.projects, "forStats");
+    const res = await request("GET", "/api/stats", { headers: staff.headers });
+    assert.equal(res.status, 500);
+    assert.equal(res.body.msg, "database error while loading the statistics.");
+  });
+});
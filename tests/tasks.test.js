@@ -0,0 +1,232 @@
+// tasks.test.js
+// project tasks and the my work lookup (GET /api/students/:sid/work)
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  repos,
+  startServer,
+  stopServer,
+  request,
+  errorPaths,
+  createProject,
+  createUser,
+  failRepo,
+} = require("./helpers");
+
+before(startServer);
+after(stopServer);
+
+function daysFromNow(days) {
+  const d = new Date();
+  d.setDate(d.getDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+describe("POST /api/projects/:id/tasks", () => {
+  it("adds a task for a team member with the edit token", async () => {
+    const { id, editToken, body } = await createProject();
+
+    const res = await request("POST", `/api/projects/${id}/tasks`, {
+      headers: { "x-edit-token": editToken },
+      body: { title: "Write the report", assignee: body.members[0].studentId },
+    });
+
+    assert.equal(res.status, 200);
+    const task = await repos.tasks.findById(res.body.id);
+    assert.equal(task.status, "todo");
+    assert.equal(task.due_date, null);
+  });
+
+  it("lets logged-in members and staff add tasks, nobody else", async () => {
+    const { id, body } = await createProject();
+    const task = { title: "Plan the demo", assignee: body.repId };
+
+    const outsider = await createUser("student");
+    const instructor = await createUser("instructor");
+    const member = await createUser("student", { studentId: body.members[0].studentId });
+
+    const post = (headers) =>
+      request("POST", `/api/projects/${id}/tasks`, { headers, body: task });
+
+    assert.equal((await post({})).status, 403);
+    assert.equal((await post(outsider.headers)).status, 403);
+    assert.equal((await post(member.headers)).status, 200);
+    assert.equal((await post(instructor.headers)).status, 200);
+  });
+
+  it("rejects an assignee from outside the team", async () => {
+    const { id, editToken } = await createProject();
+    const res = await request("POST", `/api/projects/${id}/tasks`, {
+      headers: { "x-edit-token": editToken },
+      body: { title: "Plan the demo", assignee: "1234567" },
+    });
+    assert.equal(res.status, 400);
+    assert.deepEqual(errorPaths(res), ["assignee"]);
+  });
+
+  const invalid = [
+    ["title", "ab"],
+    ["title", "x".repeat(101)],
+    ["assignee", "123"],
+    ["dueDate", "31-12-2025"],
+    ["status", "blocked"],
+  ];
+
+  invalid.forEach(([field, value]) => {
+    it(`rejects ${field} = ${JSON.stringify(value.slice(0, 20))}`, async () => {
+      const { id, editToken, body } = await createProject();
+      const res = await request("POST", `/api/projects/${id}/tasks`, {
+        headers: { "x-edit-token": editToken },
+        body: { title: "Plan the demo", assignee: body.repId, [field]: value },
+      });
+      assert.equal(res.status, 400);
+      assert.deepEqual(errorPaths(res), [field]);
+    });
+  });
+
+  it("answers 500 when the task cannot be saved", async (t) => {
+    const { id, editToken, body } = await createProject();
+    failRepo(t, repos.tasks, "create");
+    const res = await request("POST", `/api/projects/${id}/tasks`, {
+      headers: { "x-edit-token": editToken },
+      body: { title: "Plan the demo", assignee: body.repId },
+    });
+    assert.equal(res.status, 500);
+  });
+});
+
+describe("PATCH /api/tasks/:id", () => {
+  async function projectWithTask() {
+    const project = await createProject();
+    const taskId = await repos.tasks.create({
+      projectId: project.id,
+      title: "First task",
+      assignee: project.body.repId,
+      status: "todo",
+    });
+    return { ...project, taskId };
+  }
+
+  it("changes only the fields that are sent", async () => {
+    const { editToken, taskId } = await projectWithTask();
+    const res = await request("PATCH", `/api/tasks/${taskId}`, {
+      headers: { "x-edit-token": editToken },
+      body: { status: "done", dueDate: "2030-01-31" },
+    });
+
+    assert.equal(res.status, 200);
+    const task = await repos.tasks.findById(taskId);
+    assert.equal(task.status, "done");
+    assert.equal(task.due_date, "2030-01-31");
+    assert.equal(task.title, "First task");
+  });
+
+  it("answers 400 for an empty update, 403 without access, 404 when missing", async () => {
+    const { editToken, taskId } = await projectWithTask();
+    const headers = { "x-edit-token": editToken };
+
+    assert.equal((await request("PATCH", `/api/tasks/${taskId}`, { headers, body: {} })).status, 400);
+    assert.equal(
+      (await request("PATCH", `/api/tasks/${taskId}`, { body: { status: "done" } })).status,
+      403
+    );
+    assert.equal(
+      (await request("PATCH", "/api/tasks/9999", { headers, body: { status: "done" } })).status,
+      404
+    );
+  });
+
+  it("rejects a new assignee from outside the team", async () => {
+    const { editToken, taskId } = await projectWithTask();
+    const res = await request("PATCH", `/api/tasks/${taskId}`, {
+      headers: { "x-edit-token": editToken },
+      body: { assignee: "1234567" },
+    });
+    assert.equal(res.status, 400);
+    assert.deepEqual(errorPaths(res), ["assignee"]);
+  });
+
+  it("answers 500 when the task cannot be updated", async (t) => {
+    const { editToken, taskId } = await projectWithTask();
+    failRepo(t, repos.tasks, "update");
+    const res = await request("PATCH", `/api/tasks/${taskId}`, {
+      headers: { "x-edit-token": editToken },
+      body: { status: "done" },
+    });
+    assert.equal(res.status, 500);
+  });
+});
+
+describe("GET /api/students/:sid/work", () => {
+  let staff;
+  before(async () => {
+    staff = await createUser("instructor");
+  });
+
+  it("lists the student's projects and open tasks, overdue first", async () => {
+    const student = await createUser("student");
+    const sid = student.studentId;
+    const { id } = await createProject({ members: [{ name: "Member One", studentId: sid }] });
+    const add = (title, days, status = "todo") =>
+      repos.tasks.create({
+        projectId: id,
+        title,
+        assignee: sid,
+        dueDate: days === null ? null : daysFromNow(days),
+        status,
+      });
+
+    await add("no date", null);
+    await add("next week", 7);
+    await add("already done", -3, "done");
+    await add("late", -2);
+
+    const res = await request("GET", `/api/students/${sid}/work`, { headers: student.headers });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.projects.map((p) => [p.id, p.is_rep]), [[id, false]]);
+    assert.deepEqual(
+      res.body.data.tasks.map((t) => [t.title, t.overdue]),
+      [["late", true], ["next week", false], ["no date", false]]
+    );
+  });
+
+  it("instructors can look up any student", async () => {
+    const { body } = await createProject();
+    const res = await request("GET", `/api/students/${body.repId}/work`, {
+      headers: staff.headers,
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.projects[0].is_rep, true);
+  });
+
+  it("is not for visitors or other students", async () => {
+    const { body } = await createProject();
+    const url = `/api/students/${body.repId}/work`;
+
+    const anonymous = await request("GET", url);
+    assert.equal(anonymous.status, 401);
+
+    const other = await createUser("student");
+    const forbidden = await request("GET", url, { headers: other.headers });
+    assert.equal(forbidden.status, 403);
+    assert.equal(
+      forbidden.body.msg,
+      "you can only see your own work; log in with this student id."
+    );
+    assert.equal(forbidden.body.data, undefined);
+  });
+
+  it("rejects ids that are not 7 digits", async () => {
+    const res = await request("GET", "/api/students/12ab/work", { headers: staff.headers });
+    assert.equal(res.status, 400);
+    assert.deepEqual(errorPaths(res), ["sid"]);
+  });
+
+  it("answers 500 when the lookup fails", async (t) => {
+    failRepo(t, repos.tasks, "openForStudent");
+    const res = await request("GET", "/api/students/1234567/work", { headers: staff.headers });
+    assert.equal(res.status, 500);
+  });
+});
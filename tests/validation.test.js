@@ -0,0 +1,50 @@
+// validation.test.js
+// the shared form schemas (js/validation.js): served to the browser, and the
+// server's express-validator chains give the same message as checkField
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { FORM_SCHEMAS, checkField } = require("../js/validation");
+const { startServer, stopServer, request } = require("./helpers");
+
+// the server's message for one field, or null when it passed
+function serverMessage(res, path) {
+  const error = (res.body.errors || []).find((e) => e.path === path);
+  return error ? error.msg : null;
+}
+
+describe("shared validation schema", () => {
+  before(startServer);
+  after(stopServer);
+
+  it("is served to the browser at /js/validation.js", async () => {
+    const res = await request("GET", "/js/validation.js");
+    assert.equal(res.status, 200);
+  });
+
+  // [form, url, field, values to try]
+  const cases = [
+    ["contact", "/api/contact", "firstName", ["", "S", "Sara", "سارة", "Sara1", "S".repeat(31)]],
+    ["contact", "/api/contact", "mobile", ["0551234567", "+966551234567", "966551234567"]],
+    ["contact", "/api/contact", "dob", ["2003-05-17", "2003-02-30", "2999-01-01"]],
+    ["contact", "/api/contact", "message", ["too short", "x".repeat(10), "x".repeat(1001)]],
+    ["project", "/api/project", "teamSize", ["0", "1", "5", "6", "two"]],
+    ["project", "/api/project", "repName", ["Sa", "Sara Ahmed", "x".repeat(51)]],
+    ["project", "/api/project", "courseCode", ["ccsw321", "321", "ccsw"]],
+    ["project", "/api/project", "projectDesc", ["short", "x".repeat(400), "x".repeat(401)]],
+  ];
+
+  cases.forEach(([form, url, field, values]) => {
+    it(`${form}.${field}: browser and server agree`, async () => {
+      for (const value of values) {
+        // only the field under test is sent; the other fields fail on their own
+        const res = await request("POST", url, { body: { [field]: value } });
+        assert.equal(
+          serverMessage(res, field),
+          checkField(FORM_SCHEMAS[form][field], value),
+          `${field} = ${JSON.stringify(value)}`
+        );
+      }
+    });
+  });
+});